@@ -47,4 +47,11 @@ export default [
       ],
     },
   },
+  {
+    // Node-only helper scripts (e.g. the headless benchmark runner).
+    files: ['scripts/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
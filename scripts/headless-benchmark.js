@@ -0,0 +1,123 @@
+// Run AI-vs-AI benchmarks headlessly in Node (no browser, no Phaser).
+//
+// Usage examples:
+//   npm run bench:headless -- --rounds 200 --seed 12345
+//   npm run bench:headless -- --seeds 1,2,3 --rounds 50 --out bench.json
+//   npm run bench:headless -- --seed-start 100 --seed-count 20 --bt my-bt.json --left aggressive
+//   npm run bench:headless -- --rounds 100 --bt-left candidate.json --bt-right baseline.json
+//   npm run bench:headless -- --rounds 50 --left-difficulty expert --right-difficulty normal
+//
+// Output: the same JSON as the browser "export benchmark" buttons
+// (single run => `exportBenchmark()`, multiple seeds => `exportBenchmarkBatch()`).
+
+import { writeFile } from 'node:fs/promises'
+import path from 'node:path'
+
+import { createGameModuleServer, parseArgs, parseSeedArg, readOptionalFile, readProfileArg } from './headlessCli.js'
+
+// Production mode keeps `import.meta.env.DEV` false, so game debug logging stays off.
+process.env.NODE_ENV = 'production'
+
+function printReport(label, report) {
+  const wins = report?.wins ?? {}
+  const avgKoSec = report?.avgKoTimeMs != null ? Math.round(report.avgKoTimeMs / 100) / 10 : null
+  console.log(
+    `${label}: ${report?.totalRounds ?? 0} rounds | L:${wins.left ?? 0} R:${wins.right ?? 0} D:${wins.draw ?? 0}` +
+      (avgKoSec != null ? ` | avg KO ${avgKoSec}s` : ''),
+  )
+}
+
+function printBtProfile(btProfile) {
+  // Dead branches at a glance; the full per-node table is in the export (`btProfile`).
+  const describe = (side) => {
+    const profile = btProfile?.[side]
+    return profile ? `${side} ${profile.deadPaths.length}/${profile.nodes.length} never ticked` : `${side} —`
+  }
+  console.log(`BT nodes: ${describe('left')} | ${describe('right')}`)
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+
+  if (args.help) {
+    console.log(
+      [
+        'Options:',
+        '  --rounds N          rounds per run (default 20)',
+        '  --seed S            stage seed for a single run',
+        '  --seeds a,b,c       explicit seed list (batch)',
+        '  --seed-start S      first seed for a sequential batch',
+        '  --seed-count N      number of seeds for a sequential batch',
+        '  --style STYLE       stage style (default procedural:random)',
+        '  --bt FILE           Behavior Tree JSON file (default: built-in tree)',
+        '  --bt-left FILE      left side tree (overrides --bt, for BT A/B runs)',
+        '  --bt-right FILE     right side tree (overrides --bt)',
+        '  --left ID|FILE      left AI profile id, or a custom profile JSON file (default balanced)',
+        '  --right ID|FILE     right AI profile (default balanced)',
+        '  --left-difficulty ID   left AI difficulty: easy|normal|hard|expert (default expert)',
+        '  --right-difficulty ID  right AI difficulty (default expert)',
+        '  --max-round-ms N    round time limit; timeouts count as draws (default 120000)',
+        '  --out FILE          write the export JSON to a file',
+      ].join('\n'),
+    )
+    return
+  }
+
+  const btJsonText = await readOptionalFile(args.bt)
+  const btJsonTexts = {
+    left: (await readOptionalFile(args['bt-left'])) ?? btJsonText,
+    right: (await readOptionalFile(args['bt-right'])) ?? btJsonText,
+  }
+  const rounds = Number(args.rounds ?? 20)
+  const style = args.style ? String(args.style) : 'procedural:random'
+  const isBatch = Boolean(args.seeds || args['seed-start'] != null || args['seed-count'] != null)
+
+  const vite = await createGameModuleServer()
+
+  try {
+    const { HeadlessMatch } = await vite.ssrLoadModule('/src/game/sim/HeadlessMatch.js')
+
+    const match = new HeadlessMatch({
+      btJsonTexts,
+      aiProfiles: { left: await readProfileArg(args.left), right: await readProfileArg(args.right) },
+      aiDifficulties: { left: args['left-difficulty'], right: args['right-difficulty'] },
+      stageConfig: { style, seed: parseSeedArg(args.seed) },
+      maxRoundMs: args['max-round-ms'] != null ? Number(args['max-round-ms']) : undefined,
+    })
+
+    const startedAt = Date.now()
+    const payload = isBatch
+      ? match.runBenchmarkBatch({
+          seeds: args.seeds ? String(args.seeds).split(',') : undefined,
+          seedStart: args['seed-start'],
+          seedCount: args['seed-count'] != null ? Number(args['seed-count']) : undefined,
+          roundsPerSeed: rounds,
+          stageConfigTemplate: { style },
+        })
+      : match.runBenchmark({ rounds })
+    const elapsedMs = Date.now() - startedAt
+
+    if (isBatch) {
+      for (const run of payload.runs) printReport(`seed ${run.batch.seed}`, run.report)
+      printReport('total', payload.report)
+    } else {
+      printReport(`seed ${payload.stage?.seed ?? '—'}`, payload.report)
+    }
+    console.log(`BT ${payload.bt?.hash ?? '—'}`)
+    printBtProfile(payload.btProfile)
+    console.log(`simulated ${Math.round(match.nowMs / 1000)}s of game time in ${elapsedMs}ms`)
+
+    if (args.out) {
+      const outPath = path.resolve(process.cwd(), String(args.out))
+      await writeFile(outPath, `${JSON.stringify(payload, null, 2)}\n`, 'utf8')
+      console.log(`wrote ${outPath}`)
+    }
+  } finally {
+    await vite.close()
+  }
+}
+
+main().catch((error) => {
+  console.error(error)
+  process.exitCode = 1
+})
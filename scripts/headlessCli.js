@@ -0,0 +1,65 @@
+// Shared helpers for the Node tool scripts (headless benchmark, profile optimizer).
+//
+// Why Vite?
+// - Game modules import JSON/PNG assets the way Vite does (`import x from './a.png'`).
+// - Loading them through Vite's SSR module loader keeps the game code unchanged.
+
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+export const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+
+export function parseArgs(argv) {
+  const args = {}
+  for (let i = 0; i < argv.length; i += 1) {
+    const token = argv[i]
+    if (!token.startsWith('--')) continue
+
+    const key = token.slice(2)
+    const next = argv[i + 1]
+    if (next == null || next.startsWith('--')) {
+      args[key] = true
+    } else {
+      args[key] = next
+      i += 1
+    }
+  }
+  return args
+}
+
+export function parseSeedArg(value) {
+  // Numeric seeds stay numbers (same as the stage UI); anything else is hashed as a string seed.
+  if (value == null || value === true) return null
+  const n = Number(value)
+  return Number.isFinite(n) ? n : String(value)
+}
+
+export async function readOptionalFile(value, baseDir = process.cwd()) {
+  // Relative paths resolve against `baseDir` (the cwd for CLI flags, the file's folder inside JSON configs).
+  if (!value || value === true) return null
+  return readFile(path.resolve(baseDir, String(value)), 'utf8')
+}
+
+export async function readProfileArg(value, baseDir = process.cwd()) {
+  // A built-in profile id, or a custom profile JSON file (e.g. `aiProfileDefs.left` of an export).
+  if (!value || value === true) return undefined
+  if (!String(value).endsWith('.json')) return String(value)
+  const profile = JSON.parse(await readOptionalFile(value, baseDir))
+  // Custom profiles need a 'custom:' id; name files without one after the file.
+  const id = String(profile?.id ?? '').startsWith('custom:') ? profile.id : `custom:${path.basename(String(value), '.json')}`
+  return { ...profile, id }
+}
+
+export async function createGameModuleServer() {
+  // Vite server used only as a module loader (`server.ssrLoadModule('/src/...')`); close it when done.
+  const { createServer } = await import('vite')
+  return createServer({
+    root: ROOT_DIR,
+    logLevel: 'error',
+    appType: 'custom',
+    server: { middlewareMode: true, hmr: false, ws: false },
+    // We only load game modules through SSR; skip the browser dependency pre-bundling scan.
+    optimizeDeps: { noDiscovery: true, include: [] },
+  })
+}
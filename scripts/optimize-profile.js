@@ -0,0 +1,124 @@
+// Tune an AI profile headlessly: a seeded (1+1)-ES over profile parameters, scored by
+// benchmark batches against a fixed opponent (see src/game/benchmark/profileOptimizer.js).
+//
+// Usage examples:
+//   npm run optimize:headless -- --iterations 30 --seed-start 1 --seed-count 5 --rounds 10
+//   npm run optimize:headless -- --start aggressive --opponent defensive --profile-out tuned.json
+//   npm run optimize:headless -- --side right --opponent custom-baseline.json --out optimize.json
+//
+// Every candidate plays the same stage seeds, so scores compare profiles, not luck.
+// Output:
+// - a convergence line per iteration (score, win rate, damage lead, sigma, accepted?)
+// - `--out FILE`: the full optimization export (`kind: 'profileOptimization'`, best + log)
+// - `--profile-out FILE`: the best profile alone; usable as `bench:headless -- --left FILE`
+
+import { writeFile } from 'node:fs/promises'
+import path from 'node:path'
+
+import { createGameModuleServer, parseArgs, readOptionalFile, readProfileArg } from './headlessCli.js'
+
+// Production mode keeps `import.meta.env.DEV` false, so game debug logging stays off.
+process.env.NODE_ENV = 'production'
+
+function formatParams(params) {
+  return Object.entries(params)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(' ')
+}
+
+function printEntry(entry) {
+  const mark = entry.accepted ? '*' : ' '
+  console.log(
+    `${mark} #${entry.iteration} score ${entry.score.toFixed(3)} (best ${entry.bestScore.toFixed(3)})` +
+      ` | win ${Math.round(entry.winRate * 100)}% | dmg ${entry.damageLead >= 0 ? '+' : ''}${entry.damageLead.toFixed(1)}` +
+      ` | sigma ${entry.sigma.toFixed(3)} | ${formatParams(entry.params)}`,
+  )
+}
+
+async function writeJson(file, value) {
+  const outPath = path.resolve(process.cwd(), String(file))
+  await writeFile(outPath, `${JSON.stringify(value, null, 2)}\n`, 'utf8')
+  console.log(`wrote ${outPath}`)
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+
+  if (args.help) {
+    console.log(
+      [
+        'Options:',
+        '  --side left|right   side whose profile is tuned (default left)',
+        '  --start ID|FILE     starting profile id or custom profile JSON file (default balanced)',
+        '  --opponent ID|FILE  fixed opponent profile (default balanced)',
+        '  --iterations N      candidates to evaluate, including the start profile (default 20)',
+        '  --seed-start S      first stage seed of every batch (default 1)',
+        '  --seed-count N      stage seeds per batch (default 3)',
+        '  --rounds N          rounds per seed (default 10)',
+        '  --opt-seed S        optimizer RNG seed (default 1)',
+        '  --sigma X           initial mutation step in normalized units (default 0.15)',
+        '  --style STYLE       stage style (default procedural:random)',
+        '  --bt FILE           Behavior Tree JSON file for both sides (default: built-in tree)',
+        '  --max-round-ms N    round time limit; timeouts count as draws (default 120000)',
+        '  --out FILE          write the optimization export (best + convergence log)',
+        '  --profile-out FILE  write the best profile JSON (for --left/--right of bench:headless)',
+      ].join('\n'),
+    )
+    return
+  }
+
+  const side = args.side === 'right' ? 'right' : 'left'
+  const otherSide = side === 'left' ? 'right' : 'left'
+  const iterations = Math.max(1, Math.round(Number(args.iterations ?? 20)) || 20)
+  const rounds = Number(args.rounds ?? 10)
+  const style = args.style ? String(args.style) : 'procedural:random'
+  const batchOptions = {
+    seedStart: args['seed-start'] ?? 1,
+    seedCount: Number(args['seed-count'] ?? 3),
+    roundsPerSeed: rounds,
+    stageConfigTemplate: { style },
+  }
+  const btJsonText = await readOptionalFile(args.bt)
+  const opponent = (await readProfileArg(args.opponent)) ?? 'balanced'
+
+  const vite = await createGameModuleServer()
+
+  try {
+    const { HeadlessMatch } = await vite.ssrLoadModule('/src/game/sim/HeadlessMatch.js')
+    const { ProfileOptimizer } = await vite.ssrLoadModule('/src/game/benchmark/profileOptimizer.js')
+
+    const optimizer = new ProfileOptimizer({
+      start: (await readProfileArg(args.start)) ?? 'balanced',
+      side,
+      seed: args['opt-seed'] ?? 1,
+      sigma: args.sigma != null ? Number(args.sigma) : undefined,
+    })
+
+    const startedAt = Date.now()
+    while (optimizer.iteration < iterations) {
+      const candidate = optimizer.ask()
+      // A fresh match per candidate: no state (opponent model, stage rotation) leaks between runs.
+      const match = new HeadlessMatch({
+        btJsonTexts: { left: btJsonText, right: btJsonText },
+        aiProfiles: { [side]: candidate, [otherSide]: opponent },
+        stageConfig: { style },
+        maxRoundMs: args['max-round-ms'] != null ? Number(args['max-round-ms']) : undefined,
+      })
+      printEntry(optimizer.tell(match.runBenchmarkBatch(batchOptions)))
+    }
+
+    const { best } = optimizer.toJSON()
+    console.log(`best #${best.iteration}: score ${best.score.toFixed(3)} | ${formatParams(optimizer.best.params)}`)
+    console.log(`evaluated ${optimizer.iteration} profiles in ${Date.now() - startedAt}ms`)
+
+    if (args.out) await writeJson(args.out, { ...optimizer.toJSON(), opponent, benchmark: batchOptions })
+    if (args['profile-out']) await writeJson(args['profile-out'], best.profile)
+  } finally {
+    await vite.close()
+  }
+}
+
+main().catch((error) => {
+  console.error(error)
+  process.exitCode = 1
+})
@@ -0,0 +1,181 @@
+// Round-robin AI tournament in Node: every entrant (BT + profile + difficulty) plays every other
+// one on the same seed list, once from each side (see src/game/benchmark/tournament.js).
+//
+// Usage examples:
+//   npm run tournament:headless -- --profiles balanced,aggressive,defensive,punisher --seed-count 5 --rounds 10
+//   npm run tournament:headless -- --entrants entrants.json --seeds 1,2,3 --rounds 20 --out tournament.json
+//
+// Entrants file (paths are relative to the file itself):
+//   {
+//     "entrants": [
+//       { "id": "base", "labelZh": "內建 BT", "profile": "balanced" },
+//       { "id": "cand", "bt": "candidate-bt.json", "profile": "tuned.json", "difficulty": "hard" }
+//     ]
+//   }
+//
+// Output: standings, head-to-head win rates (row vs column), and with `--out` the full export
+// (`kind: 'tournament'`: entrants, per-leg reports, standings, headToHead, entrantStats).
+
+import { readFile, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+
+import { createGameModuleServer, parseArgs, readOptionalFile, readProfileArg } from './headlessCli.js'
+
+// Production mode keeps `import.meta.env.DEV` false, so game debug logging stays off.
+process.env.NODE_ENV = 'production'
+
+async function readEntrantList(args) {
+  // Entrant inputs for normalizeTournamentEntrants(): from `--entrants FILE` or `--profiles a,b,c`.
+  if (args.entrants && args.entrants !== true) {
+    const file = path.resolve(process.cwd(), String(args.entrants))
+    const baseDir = path.dirname(file)
+    const data = JSON.parse(await readFile(file, 'utf8'))
+    const list = Array.isArray(data) ? data : data?.entrants ?? []
+    return Promise.all(
+      list.map(async (entry) => ({
+        id: entry?.id,
+        labelZh: entry?.labelZh,
+        btJsonText: await readOptionalFile(entry?.bt, baseDir),
+        // Profiles may also be inlined as objects.
+        profile: entry?.profile && typeof entry.profile === 'object' ? entry.profile : await readProfileArg(entry?.profile, baseDir),
+        difficulty: entry?.difficulty,
+      })),
+    )
+  }
+
+  const btJsonText = await readOptionalFile(args.bt)
+  const profiles = args.profiles && args.profiles !== true ? String(args.profiles).split(',') : []
+  return Promise.all(
+    profiles.map(async (value) => {
+      const profile = await readProfileArg(value.trim())
+      return { id: typeof profile === 'string' ? profile : profile?.id, btJsonText, profile }
+    }),
+  )
+}
+
+function pad(value, width) {
+  return String(value).padEnd(width)
+}
+
+function printStandings(standings) {
+  console.log('Standings (win = 1, draw = 0.5):')
+  for (const row of standings) {
+    const dealt = row.avgDamageDealt != null ? row.avgDamageDealt.toFixed(1) : '—'
+    const taken = row.avgDamageTaken != null ? row.avgDamageTaken.toFixed(1) : '—'
+    console.log(
+      `  ${row.rank}. ${pad(row.id, 20)} ${pad(`${row.points}/${row.rounds}`, 10)}` +
+        ` W:${row.wins} D:${row.draws} L:${row.losses} | win ${Math.round((row.winRate ?? 0) * 100)}%` +
+        ` | dmg ${dealt} / taken ${taken}`,
+    )
+  }
+}
+
+function printHeadToHead(entrants, headToHead) {
+  // Row entrant's win rate (draws count half) against the column entrant.
+  const width = Math.max(8, ...entrants.map((entrant) => entrant.id.length + 2))
+  console.log('Head-to-head (row vs column):')
+  console.log(`  ${pad('', width)}${entrants.map((entrant) => pad(entrant.id, width)).join('')}`.trimEnd())
+  for (const row of entrants) {
+    const cells = entrants.map((col) => {
+      const cell = headToHead[row.id][col.id]
+      return pad(cell?.winRate != null ? `${Math.round(cell.winRate * 100)}%` : '—', width)
+    })
+    console.log(`  ${pad(row.id, width)}${cells.join('')}`.trimEnd())
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+
+  if (args.help) {
+    console.log(
+      [
+        'Options:',
+        '  --entrants FILE     entrants JSON ({ entrants: [{ id, labelZh, bt, profile, difficulty }] })',
+        '  --profiles a,b,c    quick mode: one entrant per profile id / profile JSON file',
+        '  --bt FILE           Behavior Tree JSON for --profiles entrants (default: built-in tree)',
+        '  --seeds a,b,c       explicit seed list for every leg',
+        '  --seed-start S      first seed of a sequential list (default 1)',
+        '  --seed-count N      number of seeds (default 3)',
+        '  --rounds N          rounds per seed per leg (default 10)',
+        '  --style STYLE       stage style (default procedural:random)',
+        '  --max-round-ms N    round time limit; timeouts count as draws (default 120000)',
+        '  --out FILE          write the tournament export JSON',
+      ].join('\n'),
+    )
+    return
+  }
+
+  const style = args.style ? String(args.style) : 'procedural:random'
+  const batchOptions = {
+    seeds: args.seeds ? String(args.seeds).split(',') : undefined,
+    seedStart: args['seed-start'] ?? 1,
+    seedCount: Number(args['seed-count'] ?? 3),
+    roundsPerSeed: Number(args.rounds ?? 10),
+    stageConfigTemplate: { style },
+  }
+  const entrantList = await readEntrantList(args)
+
+  const vite = await createGameModuleServer()
+
+  try {
+    const { HeadlessMatch } = await vite.ssrLoadModule('/src/game/sim/HeadlessMatch.js')
+    const { TOURNAMENT_VERSION, computeTournamentReport, createTournamentSchedule, normalizeTournamentEntrants } =
+      await vite.ssrLoadModule('/src/game/benchmark/tournament.js')
+
+    const entrants = normalizeTournamentEntrants(entrantList)
+    if (entrants.length < 2) throw new Error('A tournament needs at least 2 entrants (--entrants FILE or --profiles a,b)')
+    const byId = Object.fromEntries(entrants.map((entrant) => [entrant.id, entrant]))
+
+    const legs = createTournamentSchedule(entrants)
+    const startedAt = Date.now()
+    for (const [index, leg] of legs.entries()) {
+      const left = byId[leg.leftId]
+      const right = byId[leg.rightId]
+      // A fresh match per leg: opponent models and stage state never carry over between entrants.
+      const match = new HeadlessMatch({
+        btJsonTexts: { left: left.btJsonText, right: right.btJsonText },
+        aiProfiles: { left: left.profile, right: right.profile },
+        aiDifficulties: { left: left.difficulty, right: right.difficulty },
+        stageConfig: { style },
+        maxRoundMs: args['max-round-ms'] != null ? Number(args['max-round-ms']) : undefined,
+      })
+      const payload = match.runBenchmarkBatch(batchOptions)
+      leg.rounds = payload.runs.flatMap((run) => run.rounds)
+      leg.bt = payload.bt
+      leg.seeds = payload.batch.seeds
+      leg.report = payload.report
+
+      const wins = payload.report.wins
+      console.log(`leg ${index + 1}/${legs.length}: ${leg.leftId} vs ${leg.rightId} | L:${wins.left} R:${wins.right} D:${wins.draw}`)
+    }
+
+    const report = computeTournamentReport({ entrants, legs })
+    printStandings(report.standings)
+    printHeadToHead(entrants, report.headToHead)
+    console.log(`played ${legs.length} legs in ${Date.now() - startedAt}ms`)
+
+    if (args.out) {
+      const outPath = path.resolve(process.cwd(), String(args.out))
+      const payload = {
+        kind: 'tournament',
+        version: TOURNAMENT_VERSION,
+        // BT text is large; the hash identifies the tree (same as benchmark exports).
+        entrants: entrants.map((entrant) => ({ ...entrant, btJsonText: undefined })),
+        benchmark: { ...batchOptions, seeds: legs[0].seeds },
+        // Per-leg aggregates only; every round is still summarized in entrantStats/headToHead.
+        legs: legs.map((leg) => ({ ...leg, rounds: undefined })),
+        ...report,
+      }
+      await writeFile(outPath, `${JSON.stringify(payload, null, 2)}\n`, 'utf8')
+      console.log(`wrote ${outPath}`)
+    }
+  } finally {
+    await vite.close()
+  }
+}
+
+main().catch((error) => {
+  console.error(error)
+  process.exitCode = 1
+})
@@ -0,0 +1,129 @@
+// Custom AI profile editor for BattlePage: create, clone, tune and delete user-made profiles.
+//
+// Design:
+// - The page owns the library (aiProfileLibrary.js) and persists every change; this component
+//   only renders it and reports edits through `onChange(nextLibrary)`.
+// - New profiles are always clones (of a built-in or another custom profile), so every field
+//   starts from a sensible value.
+// - Slider edits apply immediately: sides using the edited profile get it on the next AI tick.
+import { useState } from 'react'
+
+import { AI_PROFILE_FIELDS } from '../game/ai/aiProfiles.js'
+import {
+  addCustomAiProfile,
+  findAiProfile,
+  listAiProfileOptions,
+  removeCustomAiProfile,
+  updateCustomAiProfile,
+} from '../game/ai/aiProfileLibrary.js'
+
+export default function AiProfileEditor({ library, onChange, onRemove }) {
+  // Custom profile being edited ('' => none) and the profile a new one is cloned from.
+  const [editingId, setEditingId] = useState('')
+  const [cloneFromId, setCloneFromId] = useState('balanced')
+
+  const editing = library.profiles.find((profile) => profile.id === editingId) ?? null
+  const options = listAiProfileOptions(library)
+
+  function createProfile() {
+    const { library: next, profileId } = addCustomAiProfile(library, {
+      from: findAiProfile(library, cloneFromId) ?? cloneFromId,
+      nowIso: new Date().toISOString(),
+    })
+    onChange(next)
+    setEditingId(profileId)
+  }
+
+  function updateProfile(patch) {
+    onChange(updateCustomAiProfile(library, editingId, patch, { nowIso: new Date().toISOString() }))
+  }
+
+  function removeProfile() {
+    if (!editing) return
+    onChange(removeCustomAiProfile(library, editingId))
+    onRemove?.(editingId)
+    setEditingId('')
+  }
+
+  return (
+    <div className="controlGroup" style={{ marginBottom: 16 }}>
+      <h3 className="cardTitle">自訂 AI 風格</h3>
+      <p className="hint">
+        從內建或既有風格複製一份再用滑桿調整，會存在瀏覽器（localStorage），並出現在左右方的「AI 風格」選單。
+        benchmark 匯出與回放會記錄風格的完整數值（aiProfileDefs），之後修改或刪除也不影響判讀。
+      </p>
+
+      <div className="buttonRow">
+        <label className="hint" style={{ display: 'flex', gap: 8, alignItems: 'center', margin: 0 }}>
+          複製自
+          <select className="select" value={cloneFromId} onChange={(event) => setCloneFromId(event.target.value)}>
+            {options.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.custom ? `自訂：${option.labelZh}` : option.labelZh}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button className="button" type="button" onClick={createProfile}>
+          新增自訂風格
+        </button>
+        <label className="hint" style={{ display: 'flex', gap: 8, alignItems: 'center', margin: 0 }}>
+          編輯
+          <select className="select" value={editingId} onChange={(event) => setEditingId(event.target.value)}>
+            <option value="">（選擇自訂風格）</option>
+            {library.profiles.map((profile) => (
+              <option key={profile.id} value={profile.id}>
+                {profile.labelZh}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button className="button buttonSecondary" type="button" disabled={!editing} onClick={removeProfile}>
+          刪除
+        </button>
+      </div>
+
+      {editing ? (
+        <div style={{ marginTop: 12 }}>
+          <label className="label" htmlFor="aiProfileLabel">
+            名稱
+          </label>
+          <input
+            id="aiProfileLabel"
+            className="input"
+            value={editing.labelZh}
+            onChange={(event) => updateProfile({ labelZh: event.target.value })}
+          />
+          <label className="label" htmlFor="aiProfileDescription" style={{ marginTop: 8 }}>
+            說明
+          </label>
+          <input
+            id="aiProfileDescription"
+            className="input"
+            value={editing.descriptionZh}
+            onChange={(event) => updateProfile({ descriptionZh: event.target.value })}
+          />
+
+          {AI_PROFILE_FIELDS.map((field) => (
+            <div key={field.key} style={{ marginTop: 8 }}>
+              <label className="label" htmlFor={`aiProfile-${field.key}`}>
+                {field.labelZh}：{editing[field.key]}
+              </label>
+              <input
+                id={`aiProfile-${field.key}`}
+                type="range"
+                min={field.min}
+                max={field.max}
+                step={field.step}
+                value={editing[field.key]}
+                onChange={(event) => updateProfile({ [field.key]: Number(event.target.value) })}
+                style={{ width: '100%' }}
+              />
+            </div>
+          ))}
+          <p className="hint">id：{editing.id}（匯出與回放中使用）</p>
+        </div>
+      ) : null}
+    </div>
+  )
+}
@@ -0,0 +1,167 @@
+// Decision timeline for BattlePage: scrub through the last few seconds of BT ticks.
+//
+// Design:
+// - The page captures a history export (`BattleScene.exportAiHistory()`) and passes it in as
+//   `history`; the panel never talks to Phaser itself.
+// - One side at a time; the slider picks a tick, markers show where the active branch changed.
+// - The selected tick shows the same human-readable headline as the live panel, plus the raw
+//   trace (indented by depth), intent and blackboard summary.
+import { useMemo, useState } from 'react'
+
+import { explainAiAgentSnapshot } from '../game/ai/explain/explainDecision.zh-TW.js'
+import { findActiveBranch, findBranchChanges } from '../game/ai/btTraceHistory.js'
+
+// Only show the most recent changes in the list (the markers still show all of them).
+const MAX_LISTED_CHANGES = 12
+
+const SIDE_LABEL = { left: '左方', right: '右方' }
+
+export default function BtTimelinePanel({ history, paused, onCapture, onResume, onExport }) {
+  const [side, setSide] = useState('left')
+  // Selected tick index; null => newest entry.
+  const [selectedIndex, setSelectedIndex] = useState(null)
+
+  const entries = useMemo(() => history?.[side]?.entries ?? [], [history, side])
+  const changes = useMemo(() => findBranchChanges(entries), [entries])
+
+  const index = entries.length ? Math.min(selectedIndex ?? entries.length - 1, entries.length - 1) : -1
+  const entry = index >= 0 ? entries[index] : null
+  const newestMs = entries.length ? Number(entries[entries.length - 1].nowMs ?? 0) : 0
+
+  const branch = useMemo(() => findActiveBranch(entry?.trace), [entry])
+  const explain = entry ? explainAiAgentSnapshot(entry) : null
+
+  function selectSide(nextSide) {
+    setSide(nextSide)
+    setSelectedIndex(null)
+  }
+
+  function capture() {
+    setSelectedIndex(null)
+    onCapture()
+  }
+
+  function jumpToChange(direction) {
+    // Previous/next branch change relative to the selected tick.
+    const target =
+      direction < 0 ? changes.filter((i) => i < index).pop() : changes.find((i) => i > index)
+    if (target != null) setSelectedIndex(target)
+  }
+
+  const describeTime = (e) => `${((Number(e.nowMs ?? 0) - newestMs) / 1000).toFixed(2)}s`
+
+  return (
+    <div className="controlGroup" style={{ marginTop: 16 }}>
+      <h3 className="cardTitle">AI 決策時間軸（最近 {Math.round((history?.[side]?.windowMs ?? 10_000) / 1000)} 秒）</h3>
+      <p className="hint">
+        擷取會暫停比賽並取出雙方最近幾秒的 BT tick（trace、reasons、intent、黑板），可拖曳時間軸回看每一次決策；黃色刻度是「生效分支」改變的位置。
+      </p>
+
+      <div className="buttonRow">
+        <button className="button" type="button" onClick={capture}>
+          暫停並擷取
+        </button>
+        <button className="button buttonSecondary" type="button" disabled={!paused} onClick={onResume}>
+          繼續比賽
+        </button>
+        <button className="button buttonSecondary" type="button" disabled={!history} onClick={onExport}>
+          匯出 JSON
+        </button>
+        <label className="hint" style={{ display: 'flex', gap: 8, alignItems: 'center', margin: 0 }}>
+          檢視
+          <select className="select" value={side} onChange={(event) => selectSide(event.target.value)}>
+            <option value="left">{SIDE_LABEL.left}</option>
+            <option value="right">{SIDE_LABEL.right}</option>
+          </select>
+        </label>
+      </div>
+
+      {!history ? (
+        <p className="hint">尚未擷取。</p>
+      ) : !entry ? (
+        <p className="hint">{SIDE_LABEL[side]}沒有紀錄（可能不是 AI 控制）。</p>
+      ) : (
+        <>
+          <div className="replayTimeline">
+            <div className="replayTimelineTrack">
+              <input
+                className="replayTimelineSlider"
+                type="range"
+                min={0}
+                max={entries.length - 1}
+                value={index}
+                onChange={(event) => setSelectedIndex(Number(event.target.value))}
+              />
+              {changes.map((i) => (
+                <span
+                  key={i}
+                  className="replayTimelineMarker"
+                  style={{ left: `${(i / Math.max(1, entries.length - 1)) * 100}%` }}
+                />
+              ))}
+            </div>
+            <div className="buttonRow">
+              <button className="button buttonSecondary" type="button" onClick={() => jumpToChange(-1)}>
+                上一個分支切換
+              </button>
+              <button className="button buttonSecondary" type="button" onClick={() => jumpToChange(1)}>
+                下一個分支切換
+              </button>
+              <span className="hint" style={{ margin: 0 }}>
+                {describeTime(entry)} | tick #{entry.tickId} | {entry.status}（{index + 1}/{entries.length}）
+              </span>
+            </div>
+          </div>
+
+          {changes.length ? (
+            <details>
+              <summary className="hint">分支切換（{changes.length}）</summary>
+              <ul className="btLintList">
+                {changes
+                  .slice(-MAX_LISTED_CHANGES)
+                  .reverse()
+                  .map((i) => (
+                    <li key={i}>
+                      <button type="button" className="btProblemLink" onClick={() => setSelectedIndex(i)}>
+                        {describeTime(entries[i])}
+                      </button>{' '}
+                      {entries[i - 1].activePath ?? '—'} → {entries[i].activePath ?? '—'}
+                    </li>
+                  ))}
+              </ul>
+            </details>
+          ) : null}
+
+          <p className="hint">{explain.headline}</p>
+          <p className="hint">生效分支：{branch.map((e) => e.name).join(' › ') || '—'}</p>
+          <pre className="codeBlock">
+            {[
+              `intent: ${describeIntent(entry.intent)}`,
+              `reasons: ${entry.reasons.join(', ') || '—'}`,
+              `blackboard: ${JSON.stringify(entry.blackboard)}`,
+            ].join('\n')}
+          </pre>
+          <details>
+            <summary className="hint">完整 trace（{entry.trace.length} 個節點）</summary>
+            <pre className="codeBlock">{describeTrace(entry.trace)}</pre>
+          </details>
+        </>
+      )}
+    </div>
+  )
+}
+
+function describeIntent(intent) {
+  // Only the fields that are "pressed" / non-zero this tick.
+  const parts = Object.entries(intent ?? {})
+    .filter(([, value]) => value !== false && value !== 0 && value != null)
+    .map(([key, value]) => (value === true ? key : `${key}=${typeof value === 'number' ? Math.round(value * 100) / 100 : value}`))
+  return parts.join(', ') || '（無動作）'
+}
+
+function describeTrace(trace) {
+  // Trace order as recorded (post-order: children before their parent), indented by depth.
+  return trace
+    .map((e) => `${'  '.repeat(e.depth ?? 0)}${e.name} [${e.status}] ${e.path}${e.durationMs ? ` ${e.durationMs}ms` : ''}`)
+    .join('\n')
+}
@@ -0,0 +1,575 @@
+// Graphical editor for BT JSON (used by the BT Lab page).
+//
+// Design:
+// - The editor is "controlled": it receives the parsed BT JSON (`value`) and reports every edit
+//   through `onChange(nextJson)`. The page keeps the JSON text as the single source of truth,
+//   so the graphical view and the raw JSON view always round-trip to the same saved text.
+// - Node types come from the Zod schema (btNodeSpecs.js); param forms are generated from it too.
+// - Drag & drop uses the HTML5 DnD API (no extra dependency):
+//   - drag a palette entry onto a drop slot / container node to insert a new node
+//   - drag an existing node to move it (dropping into its own subtree is blocked)
+// - Documents with `defs` show one tab per subtree; plain trees can be turned into documents
+//   by adding a subtree.
+// - `activePaths` (optional, from btTraceMatch.js) highlights the nodes ticked in the latest
+//   trace with their status, so the BT Lab sandbox can show what the running AI is doing.
+import { useRef, useState } from 'react'
+
+import { isBtDocument } from '../game/ai/bt/runtime.js'
+import { ABORT_MODE_OPTIONS, createDefaultBtNode, getBtNodeSpecs } from '../game/ai/bt/btNodeSpecs.js'
+import {
+  changeNodeType,
+  getNodeAt,
+  insertNodeAt,
+  isAncestorPath,
+  moveNode,
+  pathKey,
+  removeNodeAt,
+  updateNodeAt,
+} from '../game/ai/bt/btJsonEdit.js'
+
+const ROOT_TAB = 'root'
+
+// Trace status => badge color (see App.css).
+const STATUS_BADGE_CLASS = {
+  SUCCESS: 'btNodeStatusSuccess',
+  FAILURE: 'btNodeStatusFailure',
+  RUNNING: 'btNodeStatusRunning',
+}
+
+export default function BtTreeEditor({ value, onChange, activePaths = null }) {
+  const specs = getBtNodeSpecs()
+  const isDocument = isBtDocument(value)
+  const defNames = isDocument ? Object.keys(value.defs ?? {}) : []
+
+  // Which tree is shown (root or a subtree def) and which node is selected in it.
+  const [activeTab, setActiveTab] = useState(ROOT_TAB)
+  const [selectedPath, setSelectedPath] = useState([])
+  const [newDefName, setNewDefName] = useState('')
+
+  // The current drag payload. `dataTransfer` cannot be read during dragover, so keep it here.
+  const dragRef = useRef(null)
+  const [dropTargetKey, setDropTargetKey] = useState(null)
+
+  const tab = isDocument && (activeTab === ROOT_TAB || defNames.includes(activeTab)) ? activeTab : ROOT_TAB
+  const tree = getTree(value, tab)
+  const selectedNode = tree ? getNodeAt(tree, selectedPath) : null
+  const selected = selectedNode ? selectedPath : []
+  const activeInTab = activePaths?.[tab] ?? null
+
+  function commitTree(nextTree) {
+    onChange(setTree(value, tab, nextTree))
+  }
+
+  function selectTab(name) {
+    setActiveTab(name)
+    setSelectedPath([])
+  }
+
+  // ---- Drag & drop ----
+
+  function canDropInto(parentPath) {
+    const drag = dragRef.current
+    if (!drag || !tree) return false
+    const parent = getNodeAt(tree, parentPath)
+    const spec = specs[parent?.type]
+    if (!spec || spec.children.max === 0) return false
+
+    if (drag.kind === 'move') {
+      if (isAncestorPath(drag.path, parentPath)) return false
+      // Reordering under the same parent never changes the child count.
+      if (pathKey(drag.path.slice(0, -1)) === pathKey(parentPath)) return true
+    }
+    return (parent.children?.length ?? 0) < spec.children.max
+  }
+
+  function handleDragOver(event, parentPath, key) {
+    if (!canDropInto(parentPath)) return
+    event.preventDefault()
+    event.stopPropagation()
+    event.dataTransfer.dropEffect = dragRef.current.kind === 'move' ? 'move' : 'copy'
+    if (dropTargetKey !== key) setDropTargetKey(key)
+  }
+
+  function handleDrop(event, parentPath, index) {
+    event.preventDefault()
+    event.stopPropagation()
+    const drag = dragRef.current
+    const ok = canDropInto(parentPath)
+    dragRef.current = null
+    setDropTargetKey(null)
+    if (!ok) return
+
+    if (drag.kind === 'palette') {
+      commitTree(insertNodeAt(tree, parentPath, index, createDefaultBtNode(drag.type)))
+      setSelectedPath([...parentPath, index])
+      return
+    }
+
+    commitTree(moveNode(tree, drag.path, parentPath, index))
+    setSelectedPath([])
+  }
+
+  function startDrag(event, payload) {
+    dragRef.current = payload
+    event.dataTransfer.effectAllowed = payload.kind === 'move' ? 'move' : 'copy'
+    // Some browsers refuse to start a drag without data.
+    event.dataTransfer.setData('text/plain', payload.kind === 'move' ? pathKey(payload.path) : payload.type)
+  }
+
+  function endDrag() {
+    dragRef.current = null
+    setDropTargetKey(null)
+  }
+
+  // ---- Selected node actions ----
+
+  function updateSelected(updater) {
+    commitTree(updateNodeAt(tree, selected, updater))
+  }
+
+  function deleteSelected() {
+    if (!selected.length) return
+    commitTree(removeNodeAt(tree, selected))
+    setSelectedPath(selected.slice(0, -1))
+  }
+
+  function moveSelected(delta) {
+    if (!selected.length) return
+    const parentPath = selected.slice(0, -1)
+    const index = selected[selected.length - 1]
+    const count = getNodeAt(tree, parentPath)?.children?.length ?? 0
+    const target = index + delta
+    if (target < 0 || target >= count) return
+    // moveNode measures the index before removal, so moving down needs one extra step.
+    commitTree(moveNode(tree, selected, parentPath, delta > 0 ? target + 1 : target))
+    setSelectedPath([...parentPath, target])
+  }
+
+  function addToSelected(type) {
+    // Click-to-add alternative to dragging (keyboard friendly): append under the selected node.
+    const spec = specs[selectedNode?.type]
+    if (!spec || (selectedNode.children?.length ?? 0) >= spec.children.max) return
+    const index = selectedNode.children?.length ?? 0
+    commitTree(insertNodeAt(tree, selected, index, createDefaultBtNode(type)))
+    setSelectedPath([...selected, index])
+  }
+
+  // ---- Subtree defs ----
+
+  function addDef() {
+    const name = newDefName.trim()
+    if (!/^[A-Za-z_][A-Za-z0-9_-]*$/.test(name) || defNames.includes(name)) return
+
+    const base = isDocument ? value : { defs: {}, root: value }
+    onChange({ ...base, defs: { ...(base.defs ?? {}), [name]: createDefaultBtNode('Selector') } })
+    setNewDefName('')
+    selectTab(name)
+  }
+
+  function deleteDef() {
+    if (!isDocument || tab === ROOT_TAB) return
+    const defs = { ...value.defs }
+    delete defs[tab]
+    onChange({ ...value, defs })
+    selectTab(ROOT_TAB)
+  }
+
+  // ---- Render ----
+
+  function renderSlot(parentPath, index) {
+    const key = `slot:${pathKey(parentPath)}:${index}`
+    return (
+      <li
+        key={key}
+        className={dropTargetKey === key ? 'btDropSlot btDropSlotActive' : 'btDropSlot'}
+        onDragOver={(event) => handleDragOver(event, parentPath, key)}
+        onDragLeave={() => setDropTargetKey(null)}
+        onDrop={(event) => handleDrop(event, parentPath, index)}
+      />
+    )
+  }
+
+  function renderNode(node, path) {
+    const spec = specs[node?.type]
+    const key = `node:${pathKey(path)}`
+    const isSelected = pathKey(path) === pathKey(selected)
+    const activeStatus = activeInTab?.[pathKey(path)] ?? null
+    const children = Array.isArray(node?.children) ? node.children : []
+    const className = [
+      'btNodeRow',
+      isSelected ? 'btNodeRowSelected' : '',
+      activeStatus ? 'btNodeRowActive' : '',
+      dropTargetKey === key ? 'btNodeRowDrop' : '',
+    ]
+      .filter(Boolean)
+      .join(' ')
+
+    // Dropping onto a node row appends to that node's children.
+    return (
+      <li key={key} className="btNode">
+        <div
+          className={className}
+          draggable={path.length > 0}
+          onDragStart={(event) => startDrag(event, { kind: 'move', path })}
+          onDragEnd={endDrag}
+          onDragOver={(event) => handleDragOver(event, path, key)}
+          onDragLeave={() => setDropTargetKey(null)}
+          onDrop={(event) => handleDrop(event, path, children.length)}
+          onClick={() => setSelectedPath(path)}
+        >
+          <span className="btNodeType">{String(node?.type ?? '?')}</span>
+          {spec ? null : <span className="btNodeBadge btNodeBadgeError">未知節點</span>}
+          {node?.id ? <span className="btNodeBadge">#{node.id}</span> : null}
+          {node?.abort && node.abort !== 'none' ? <span className="btNodeBadge">abort: {node.abort}</span> : null}
+          <span className="btNodeParams">{formatParams(node?.params)}</span>
+          {activeStatus ? <span className={`btNodeBadge ${STATUS_BADGE_CLASS[activeStatus] ?? ''}`}>{activeStatus}</span> : null}
+        </div>
+
+        {spec && spec.children.max > 0 ? (
+          <ul className="btNodeChildren">
+            {children.map((child, index) => [renderSlot(path, index), renderNode(child, [...path, index])])}
+            {renderSlot(path, children.length)}
+          </ul>
+        ) : null}
+      </li>
+    )
+  }
+
+  return (
+    <div className="btEditor">
+      <div className="buttonRow">
+        <button
+          className={tab === ROOT_TAB ? 'button' : 'button buttonSecondary'}
+          type="button"
+          onClick={() => selectTab(ROOT_TAB)}
+        >
+          root
+        </button>
+        {defNames.map((name) => (
+          <button
+            key={name}
+            className={tab === name ? 'button' : 'button buttonSecondary'}
+            type="button"
+            onClick={() => selectTab(name)}
+          >
+            defs.{name}
+          </button>
+        ))}
+        <input
+          className="input btDefNameInput"
+          value={newDefName}
+          placeholder="子樹名稱"
+          onChange={(event) => setNewDefName(event.target.value)}
+        />
+        <button className="button buttonSecondary" type="button" onClick={addDef}>
+          新增子樹
+        </button>
+        {tab !== ROOT_TAB ? (
+          <button className="button buttonSecondary" type="button" onClick={deleteDef}>
+            刪除此子樹
+          </button>
+        ) : null}
+      </div>
+
+      <div className="btEditorLayout">
+        <div className="controlGroup">
+          <div className="label">節點（拖曳到樹上）</div>
+          <div className="btPalette">
+            {Object.keys(specs).map((type) => (
+              <button
+                key={type}
+                className="btPaletteItem"
+                type="button"
+                draggable
+                title="拖曳到樹上，或點擊加到選取節點底下"
+                onDragStart={(event) => startDrag(event, { kind: 'palette', type })}
+                onDragEnd={endDrag}
+                onClick={() => addToSelected(type)}
+              >
+                {type}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="controlGroup">
+          <div className="label">樹狀結構</div>
+          {tree && typeof tree === 'object' ? (
+            <ul className="btTree">{renderNode(tree, [])}</ul>
+          ) : (
+            <p className="statusError">這棵樹不是物件，請切換到 JSON 模式修正。</p>
+          )}
+        </div>
+
+        <div className="controlGroup">
+          <div className="label">節點設定</div>
+          {selectedNode ? (
+            <NodeInspector
+              node={selectedNode}
+              isRoot={!selected.length}
+              defNames={defNames}
+              onChange={updateSelected}
+              onDelete={deleteSelected}
+              onMove={moveSelected}
+            />
+          ) : (
+            <p className="hint">點擊樹上的節點以編輯參數。</p>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function NodeInspector({ node, isRoot, defNames, onChange, onDelete, onMove }) {
+  const specs = getBtNodeSpecs()
+  const spec = specs[node.type]
+  const childCount = Array.isArray(node.children) ? node.children.length : 0
+
+  return (
+    <div className="btInspector">
+      <label className="btField">
+        <span className="btFieldLabel">type</span>
+        <select
+          className="select"
+          value={spec ? node.type : ''}
+          onChange={(event) => onChange((current) => changeNodeType(current, event.target.value))}
+        >
+          {spec ? null : <option value="">（未知：{String(node.type)}）</option>}
+          {Object.keys(specs).map((type) => (
+            <option key={type} value={type}>
+              {type}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="btField">
+        <span className="btFieldLabel">id（選填）</span>
+        <input
+          className="input"
+          value={node.id ?? ''}
+          placeholder="預設用 JSON 位置當 id"
+          onChange={(event) => onChange((current) => setNodeKey(current, 'id', event.target.value || undefined))}
+        />
+      </label>
+
+      <label className="btField">
+        <span className="btFieldLabel">abort</span>
+        <select
+          className="select"
+          value={node.abort ?? ''}
+          onChange={(event) => onChange((current) => setNodeKey(current, 'abort', event.target.value || undefined))}
+        >
+          <option value="">（預設 none）</option>
+          {ABORT_MODE_OPTIONS.map((mode) => (
+            <option key={mode} value={mode}>
+              {mode}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {(spec?.params ?? []).map((param) => (
+        <ParamField
+          key={param.key}
+          param={param}
+          value={node.params?.[param.key]}
+          childCount={childCount}
+          // SubTree refs pick from the document's defs.
+          refOptions={node.type === 'SubTree' && param.key === 'ref' ? defNames : null}
+          onChange={(next) => onChange((current) => setParam(current, param.key, next))}
+        />
+      ))}
+
+      {spec ? (
+        <p className="hint">
+          子節點：{formatChildRange(spec.children)}（目前 {childCount}）
+        </p>
+      ) : null}
+
+      {isRoot ? null : (
+        <div className="buttonRow">
+          <button className="button buttonSecondary" type="button" onClick={() => onMove(-1)}>
+            上移
+          </button>
+          <button className="button buttonSecondary" type="button" onClick={() => onMove(1)}>
+            下移
+          </button>
+          <button className="button buttonSecondary" type="button" onClick={onDelete}>
+            刪除節點
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function ParamField({ param, value, childCount, refOptions, onChange }) {
+  const label = param.optional ? `${param.key}（選填）` : param.key
+
+  if (param.kind === 'list') {
+    // One entry per child. Optional lists can be switched off entirely (e.g. uniform weights).
+    const list = Array.isArray(value) ? value : null
+    return (
+      <div className="btField">
+        <span className="btFieldLabel">{label}</span>
+        {param.optional ? (
+          <label className="btCheckbox">
+            <input
+              type="checkbox"
+              checked={Boolean(list)}
+              onChange={(event) => onChange(event.target.checked ? Array.from({ length: childCount }, () => 1) : undefined)}
+            />
+            啟用（每個子節點一個值）
+          </label>
+        ) : null}
+        {list
+          ? list.map((item, index) => (
+              <ScalarInput
+                key={index}
+                param={param.element}
+                value={item}
+                placeholder={`#${index}`}
+                onChange={(next) => {
+                  const copy = list.slice()
+                  copy[index] = next ?? getFallbackListValue(param.element)
+                  onChange(copy)
+                }}
+              />
+            ))
+          : null}
+        {list && list.length !== childCount ? (
+          <span className="statusError">數量（{list.length}）需與子節點數（{childCount}）相同</span>
+        ) : null}
+      </div>
+    )
+  }
+
+  if (refOptions) {
+    return (
+      <label className="btField">
+        <span className="btFieldLabel">{label}</span>
+        <select className="select" value={value ?? ''} onChange={(event) => onChange(event.target.value)}>
+          <option value="">（選擇子樹）</option>
+          {refOptions.map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+          {value && !refOptions.includes(value) ? <option value={value}>{value}（不存在）</option> : null}
+        </select>
+      </label>
+    )
+  }
+
+  return (
+    <label className="btField">
+      <span className="btFieldLabel">{label}</span>
+      <ScalarInput param={param} value={value} onChange={onChange} />
+    </label>
+  )
+}
+
+function ScalarInput({ param, value, placeholder, onChange }) {
+  // Empty input => undefined, so optional params fall back to the runtime default.
+  if (param.kind === 'enum' || param.kind === 'boolean') {
+    const options = param.kind === 'enum' ? param.options : [true, false]
+    return (
+      <select
+        className="select"
+        value={value === undefined ? '' : String(value)}
+        onChange={(event) => {
+          const raw = event.target.value
+          if (raw === '') onChange(undefined)
+          else onChange(param.kind === 'boolean' ? raw === 'true' : raw)
+        }}
+      >
+        {param.optional || value === undefined ? <option value="">（預設）</option> : null}
+        {options.map((option) => (
+          <option key={String(option)} value={String(option)}>
+            {String(option)}
+          </option>
+        ))}
+      </select>
+    )
+  }
+
+  if (param.kind === 'number') {
+    return (
+      <input
+        className="input"
+        type="number"
+        value={value ?? ''}
+        min={param.min ?? undefined}
+        max={param.max ?? undefined}
+        step={param.integer ? 1 : 'any'}
+        placeholder={placeholder ?? '（預設）'}
+        onChange={(event) => onChange(event.target.value === '' ? undefined : Number(event.target.value))}
+      />
+    )
+  }
+
+  // string / score (number or expression) / value (number, boolean or string)
+  return (
+    <input
+      className="input"
+      value={value === undefined ? '' : String(value)}
+      placeholder={placeholder ?? (param.optional ? '（選填）' : '')}
+      onChange={(event) => onChange(parseScalar(param.kind, event.target.value))}
+    />
+  )
+}
+
+function getTree(json, tab) {
+  if (!isBtDocument(json)) return json
+  return tab === ROOT_TAB ? json.root : json.defs?.[tab]
+}
+
+function setTree(json, tab, tree) {
+  if (!isBtDocument(json)) return tree
+  if (tab === ROOT_TAB) return { ...json, root: tree }
+  return { ...json, defs: { ...json.defs, [tab]: tree } }
+}
+
+function setNodeKey(node, key, value) {
+  const next = { ...node }
+  if (value === undefined) delete next[key]
+  else next[key] = value
+  return next
+}
+
+function setParam(node, key, value) {
+  // Drop empty params objects so the JSON stays as small as hand-written trees.
+  const params = setNodeKey(node.params ?? {}, key, value)
+  return setNodeKey(node, 'params', Object.keys(params).length ? params : undefined)
+}
+
+function parseScalar(kind, raw) {
+  if (raw === '') return undefined
+  const trimmed = raw.trim()
+  if (kind === 'score' || kind === 'value') {
+    if (trimmed !== '' && Number.isFinite(Number(trimmed))) return Number(trimmed)
+  }
+  if (kind === 'value' && (trimmed === 'true' || trimmed === 'false')) return trimmed === 'true'
+  return raw
+}
+
+function getFallbackListValue(param) {
+  // List entries cannot be "missing"; clearing one falls back to 0.
+  return param.kind === 'score' ? 0 : ''
+}
+
+function formatParams(params) {
+  if (!params || typeof params !== 'object') return ''
+  return Object.entries(params)
+    .map(([key, value]) => `${key}=${Array.isArray(value) ? `[${value.join(', ')}]` : String(value)}`)
+    .join(' ')
+}
+
+function formatChildRange({ min, max }) {
+  if (max === 0) return '無（葉節點）'
+  if (min === max) return `${min} 個`
+  if (max === Infinity) return `至少 ${min} 個`
+  return `${min}–${max} 個`
+}
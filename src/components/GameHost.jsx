@@ -8,14 +8,18 @@ import { createDebugLogger } from '../game/debug/debugLogger.js'
 
 export default function GameHost({
   btJsonText,
+  btJsonTexts,
   controlMode,
   aiProfiles,
+  aiDifficulties,
   restartToken,
   replayCommand,
   stageCommand,
   benchmarkCommand,
+  aiHistoryCommand,
   onReplayData,
   onBenchmarkData,
+  onAiHistoryData,
   onDebugSnapshot,
 }) {
   // This div is where Phaser will inject its canvas element.
@@ -24,6 +28,16 @@ export default function GameHost({
   // Store the Phaser.Game instance so we can destroy it on unmount.
   const gameRef = useRef(null)
 
+  // BT JSON each side is currently running (the scene is built with the initial props,
+  // later changes are hot-swapped through `setBtForSide`).
+  const appliedBtRef = useRef(null)
+  if (!appliedBtRef.current) {
+    appliedBtRef.current = {
+      left: btJsonTexts?.left ?? btJsonText ?? null,
+      right: btJsonTexts?.right ?? btJsonText ?? null,
+    }
+  }
+
   // Keep one logger instance so throttling state survives re-renders.
   const logRef = useRef(null)
   if (!logRef.current) logRef.current = createDebugLogger('GameHost')
@@ -64,6 +78,7 @@ export default function GameHost({
     const game = createPhaserGame({
       parent: parentEl,
       btJsonText,
+      btJsonTexts,
       onDebugSnapshot,
       debug: log.enabled,
     })
@@ -117,9 +132,9 @@ export default function GameHost({
         log.groupEnd()
       }
     }
-    // We intentionally do NOT depend on btJsonText here.
-    // Re-creating the entire game whenever the JSON changes would be slow and disruptive.
-    // Later we will add a method to apply updated BT data to the running scene.
+    // We intentionally do NOT depend on btJsonText/btJsonTexts here.
+    // Re-creating the entire game whenever the JSON changes would be slow and disruptive;
+    // the effect below hot-swaps trees on the running scene instead.
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [onDebugSnapshot])
 
@@ -200,6 +215,89 @@ export default function GameHost({
     }
   }, [aiProfiles])
 
+  useEffect(() => {
+    // Apply AI difficulty updates (reaction delay + input errors) to the running BattleScene.
+    let cancelled = false
+
+    function tryApplyDifficulties() {
+      if (cancelled) return true
+      if (!aiDifficulties) return true
+
+      const game = gameRef.current
+      if (!game) return false
+
+      const scene = game.scene?.getScene?.('BattleScene')
+      if (!scene || typeof scene.setAiDifficulties !== 'function') return false
+
+      scene.setAiDifficulties(aiDifficulties)
+      return true
+    }
+
+    if (tryApplyDifficulties()) return () => {}
+
+    let tries = 0
+    function rafLoop() {
+      if (cancelled) return
+      tries += 1
+      if (tryApplyDifficulties()) return
+      if (tries >= 60) return
+      requestAnimationFrame(rafLoop)
+    }
+
+    requestAnimationFrame(rafLoop)
+
+    return () => {
+      cancelled = true
+    }
+  }, [aiDifficulties])
+
+  useEffect(() => {
+    // Hot-swap Behavior Trees on the running BattleScene (per side, without restarting the match).
+    let cancelled = false
+    const next = {
+      left: btJsonTexts?.left ?? btJsonText ?? null,
+      right: btJsonTexts?.right ?? btJsonText ?? null,
+    }
+
+    function tryApplyBt() {
+      if (cancelled) return true
+
+      const game = gameRef.current
+      if (!game) return false
+
+      const scene = game.scene?.getScene?.('BattleScene')
+      if (!scene || typeof scene.setBtForSide !== 'function') return false
+
+      for (const side of ['left', 'right']) {
+        if (next[side] === appliedBtRef.current[side]) continue
+        scene.setBtForSide({ side, btJsonText: next[side] })
+        appliedBtRef.current = { ...appliedBtRef.current, [side]: next[side] }
+      }
+      return true
+    }
+
+    // Nothing to do when the texts match what the scene is running (including the first render).
+    if (next.left === appliedBtRef.current.left && next.right === appliedBtRef.current.right) return () => {}
+
+    // Try immediately; if the scene isn't ready yet, retry briefly.
+    if (tryApplyBt()) return () => {}
+
+    let tries = 0
+    function rafLoop() {
+      if (cancelled) return
+      tries += 1
+      if (tryApplyBt()) return
+      if (tries >= 60) return
+      requestAnimationFrame(rafLoop)
+    }
+
+    requestAnimationFrame(rafLoop)
+
+    return () => {
+      cancelled = true
+    }
+  }, [btJsonText, btJsonTexts])
+
   useEffect(() => {
     // Reset the match on demand (e.g., user clicks "restart match" in the UI).
     let cancelled = false
@@ -277,6 +375,30 @@ export default function GameHost({
           }
           break
         }
+        case 'playMatchReplay': {
+          if (typeof scene.playMatchReplay === 'function') {
+            scene.playMatchReplay(replayCommand.payload)
+          }
+          break
+        }
+        case 'seekMatchReplay': {
+          if (typeof scene.seekMatchReplay === 'function') {
+            scene.seekMatchReplay(replayCommand.payload)
+          }
+          break
+        }
+        case 'setPlayback': {
+          if (typeof scene.setPlayback === 'function') {
+            scene.setPlayback(replayCommand.payload)
+          }
+          break
+        }
+        case 'stepPlayback': {
+          if (typeof scene.stepPlayback === 'function') {
+            scene.stepPlayback(replayCommand.payload)
+          }
+          break
+        }
         case 'clearReplayData': {
           if (typeof scene.clearReplayData === 'function') {
             scene.clearReplayData(replayCommand.payload)
@@ -447,6 +569,56 @@ export default function GameHost({
     }
   }, [benchmarkCommand, onBenchmarkData])
 
+  useEffect(() => {
+    // Execute AI decision-history commands (BattlePage timeline).
+    if (!aiHistoryCommand) return () => {}
+
+    let cancelled = false
+
+    function tryRunCommand() {
+      if (cancelled) return true
+
+      const game = gameRef.current
+      if (!game) return false
+
+      const scene = game.scene?.getScene?.('BattleScene')
+      if (!scene) return false
+
+      switch (aiHistoryCommand.type) {
+        case 'exportAiHistory': {
+          if (typeof scene.exportAiHistory === 'function') {
+            const data = scene.exportAiHistory()
+            if (data && typeof onAiHistoryData === 'function') onAiHistoryData(data)
+          }
+          break
+        }
+        default: {
+          break
+        }
+      }
+
+      return true
+    }
+
+    // Try immediately; if the scene isn't ready yet, retry briefly.
+    if (tryRunCommand()) return () => {}
+
+    let tries = 0
+    function rafLoop() {
+      if (cancelled) return
+      tries += 1
+      if (tryRunCommand()) return
+      if (tries >= 60) return
+      requestAnimationFrame(rafLoop)
+    }
+
+    requestAnimationFrame(rafLoop)
+
+    return () => {
+      cancelled = true
+    }
+  }, [aiHistoryCommand, onAiHistoryData])
+
   useEffect(() => {
     // Optional debug: track container resizing and DOM mutations.
     // This is useful for diagnosing "canvas jitter" caused by layout feedback loops.
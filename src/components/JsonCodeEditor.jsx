@@ -0,0 +1,94 @@
+// Line-numbered JSON text editor (used by the BT Lab's JSON mode).
+//
+// Design:
+// - A plain <textarea> plus a line-number gutter (no editor dependency).
+// - The gutter scrolls with the textarea and uses the same fixed line height, and lines never
+//   wrap, so line N of the gutter always sits next to line N of the text.
+// - `markers` (`[{ line, severity, message, offset }]`) color the line numbers by the worst
+//   severity on that line; hovering shows the messages, clicking jumps to the first marker.
+// - `jumpTo` (`{ offset, line, nonce }`) moves the caret and scrolls the line into view.
+//   The page bumps `nonce` so jumping to the same spot twice still works.
+import { useEffect, useMemo, useRef } from 'react'
+
+const LINE_HEIGHT_PX = 20
+
+// Worst severity wins when several markers share a line.
+const SEVERITY_RANK = { error: 3, warning: 2, info: 1 }
+
+const GUTTER_CLASS = {
+  error: 'codeGutterLineError',
+  warning: 'codeGutterLineWarning',
+  info: 'codeGutterLineInfo',
+}
+
+export default function JsonCodeEditor({ value, onChange, markers = [], jumpTo = null, rows = 18 }) {
+  const textareaRef = useRef(null)
+  const gutterRef = useRef(null)
+
+  const lineCount = useMemo(() => String(value ?? '').split('\n').length, [value])
+
+  const markersByLine = useMemo(() => {
+    const byLine = new Map()
+    for (const marker of markers) {
+      const entry = byLine.get(marker.line)
+      if (!entry) {
+        byLine.set(marker.line, { severity: marker.severity, messages: [marker.message], first: marker })
+        continue
+      }
+      entry.messages.push(marker.message)
+      if ((SEVERITY_RANK[marker.severity] ?? 0) > (SEVERITY_RANK[entry.severity] ?? 0)) entry.severity = marker.severity
+    }
+    return byLine
+  }, [markers])
+
+  useEffect(() => {
+    if (jumpTo) moveCaret(textareaRef.current, gutterRef.current, jumpTo)
+  }, [jumpTo])
+
+  function syncGutter() {
+    if (gutterRef.current && textareaRef.current) gutterRef.current.scrollTop = textareaRef.current.scrollTop
+  }
+
+  const lineStyle = { lineHeight: `${LINE_HEIGHT_PX}px` }
+
+  return (
+    <div className="codeEditor" style={{ height: rows * LINE_HEIGHT_PX + 24 }}>
+      <div className="codeGutter" ref={gutterRef} style={lineStyle}>
+        {Array.from({ length: lineCount }, (_, index) => {
+          const line = index + 1
+          const entry = markersByLine.get(line)
+          if (!entry) return <div key={line}>{line}</div>
+          return (
+            <div
+              key={line}
+              className={`codeGutterLine ${GUTTER_CLASS[entry.severity] ?? ''}`}
+              title={entry.messages.join('\n')}
+              onClick={() => moveCaret(textareaRef.current, gutterRef.current, entry.first)}
+            >
+              {line}
+            </div>
+          )
+        })}
+      </div>
+      <textarea
+        ref={textareaRef}
+        className="codeEditorInput"
+        style={lineStyle}
+        value={value}
+        onChange={(event) => onChange(event.target.value)}
+        onScroll={syncGutter}
+        spellCheck={false}
+        wrap="off"
+      />
+    </div>
+  )
+}
+
+function moveCaret(textarea, gutter, { offset, line }) {
+  if (!textarea) return
+  textarea.focus()
+  textarea.setSelectionRange(offset, offset)
+  // Keep the target line about a third from the top so the surrounding context is visible.
+  textarea.scrollTop = Math.max(0, (line - 1) * LINE_HEIGHT_PX - textarea.clientHeight / 3)
+  if (gutter) gutter.scrollTop = textarea.scrollTop
+}
@@ -4,14 +4,23 @@
 // - Read the world (self, target, stage) and update a blackboard.
 // - Tick the BT at a fixed rate and produce an "intent" snapshot.
 // - Record trace + reasons for explainability and debug UI.
+// - Keep a short history of recent ticks for the decision timeline (btTraceHistory.js).
+// - Apply the difficulty level: delayed view of the target + input errors (perception.js).
+// - Learn the opponent's habits over the match (opponentModel.js) for leaves to exploit.
 
-import { createEmptyIntent } from '../entities/Fighter.js'
+import { createEmptyIntent } from '../entities/fighterCore.js'
 import { MOVES } from '../combat/moves.js'
 import { BT_STATUS } from './bt/runtime.js'
-import { getAiProfile, normalizeAiProfileId } from './aiProfiles.js'
+import { resolveAiProfile } from './aiProfiles.js'
+import { getAiDifficulty, normalizeAiDifficultyId } from './aiDifficulty.js'
+import { ExecutionNoise, TargetPerception } from './perception.js'
+import { OPPONENT_MIN_SAMPLES, OpponentModel } from './opponentModel.js'
+import { createSeededRng, toRngSeed } from '../sim/seededRandom.js'
+import { BtTraceHistory, findActiveBranch, summarizeBlackboard } from './btTraceHistory.js'
+import { BtProfiler } from './bt/btProfiler.js'
 
 export class BotAgent {
-  constructor({ id, self, target, stage, btRoot, profileId } = {}) {
+  constructor({ id, self, target, stage, btRoot, profileId, profile, difficultyId, rngSeed, historyWindowMs } = {}) {
     this.id = id
     this.self = self
     this.target = target
@@ -19,29 +28,134 @@ export class BotAgent {
     this.btRoot = btRoot
 
     // Profile controls "playstyle" weights without changing the BT structure.
-    this.profileId = normalizeAiProfileId(profileId)
+    // `profile` (a custom profile by value) wins over `profileId` (built-in preset id).
+    this.setProfile(profile ?? profileId)
+
+    // Difficulty controls how the agent sees (reaction delay) and executes (input errors).
+    // `perceivedTarget` is what the BT reads as `ctx.target`: the live fighter at 'expert',
+    // otherwise a delayed snapshot of it.
+    this.difficultyId = normalizeAiDifficultyId(difficultyId)
+    this.perception = new TargetPerception()
+    this.execution = new ExecutionNoise()
+    this.perceivedTarget = target
+
+    // Per-match statistics of the opponent (favourite moves, blocking, jump-ins, dodges).
+    // Kept across rounds and BT hot-swaps; scenes reset it with the match.
+    this.opponentModel = new OpponentModel()
 
     // Blackboard is a plain object shared across ticks.
     // It holds derived values (distances, flags) so leaf nodes can stay simple.
-    this.blackboard = {
-      self: {},
-      target: {},
-      stage: {},
-      ai: {},
-    }
+    // Readable paths are declared in `blackboardSchema.js`; `vars` is written by BT JSON (BlackboardSet).
+    this.blackboard = createBlackboard()
+
+    // Per-agent BT node memory (decorator timers/counters), keyed by node instance.
+    // Keeping it here instead of on the nodes means two agents never share state.
+    this.nodeMemory = new WeakMap()
+    this.tickCount = 0
+
+    // Seeded RNG for stochastic BT nodes (RandomSelector), exposed to nodes as `ctx.rng`.
+    // BattleScene/HeadlessMatch reseed it from the match seed + side on every match reset (resetMatch);
+    // the agent id is only the fallback for agents built outside a match.
+    this.setRngSeed(rngSeed ?? id)
 
     // Explainability data captured each tick.
     this.lastStatus = BT_STATUS.FAILURE
     this.lastTrace = []
     this.lastReasons = []
+
+    // Last few seconds of ticks (trace + reasons + intent + blackboard summary).
+    // Kept across BT hot-swaps so the timeline shows the switch itself.
+    this.history = new BtTraceHistory({ windowMs: historyWindowMs })
+
+    // Per-node visit/status/time counters for benchmark rounds (see btProfiler.js); only fed
+    // by ticks that ask for it (`tick({ profile: true })`).
+    this.profiler = new BtProfiler(btRoot)
+  }
+
+  setRngSeed(seed) {
+    // Restart the random sequence; `rngSeed` (uint32) is what replays/benchmarks record.
+    this.rngSeed = toRngSeed(seed)
+    this.rng = createSeededRng(this.rngSeed)
+    // Separate stream for the difficulty layer, so changing the difficulty does not shift the
+    // BT's own random choices.
+    this.humanRng = createSeededRng(`human:${this.rngSeed}`)
+  }
+
+  setProfile(profile) {
+    // Allow the UI to switch playstyles at runtime: a built-in id or a custom profile object.
+    this.profile = resolveAiProfile(profile)
+    this.profileId = this.profile.id
+  }
+
+  setDifficulty(difficultyId) {
+    // Allow the UI to switch difficulty at runtime; old snapshots/late inputs are dropped.
+    this.difficultyId = normalizeAiDifficultyId(difficultyId)
+    this.resetPerception()
+  }
+
+  resetMatch({ rngSeed } = {}) {
+    // Called by the scenes on every match reset: everything the agent remembers from earlier
+    // matches (node memory, tick ids, blackboard incl. combat timers, history, opponent model)
+    // starts over, so a match seed plays out the same whatever ran before it.
+    // Tree, profile and difficulty are kept.
+    this.setRngSeed(rngSeed ?? this.rngSeed)
+    this.opponentModel.reset()
+    this.nodeMemory = new WeakMap()
+    this.tickCount = 0
+    this.blackboard = createBlackboard()
+    this.lastStatus = BT_STATUS.FAILURE
+    this.lastTrace = []
+    this.lastReasons = []
+    this.history.clear()
+    this.resetRound()
+  }
+
+  resetRound() {
+    // Called by the scenes on every round reset: BT authors' `vars` start empty each round,
+    // and perception snapshots from before the reset would show the old positions.
+    this.blackboard.vars = {}
+    this.resetPerception()
   }
 
-  setProfile(profileId) {
-    // Allow the UI to switch playstyles at runtime.
-    this.profileId = normalizeAiProfileId(profileId)
+  resetPerception() {
+    this.perception.reset()
+    this.execution.reset()
+    this.perceivedTarget = this.target
   }
 
-  tick({ nowMs }) {
+  setBtRoot(btRoot, { nowMs } = {}) {
+    // Hot-swap the Behavior Tree mid-match (per-side BT A/B testing).
+    // Running nodes of the old tree are aborted first so their onAbort hooks run
+    // (e.g. MoveToTargetX drops its nav plan); the new tree starts with fresh node memory
+    // and empty `vars`, exactly like a freshly built agent.
+    const previous = this.btRoot
+    if (previous && typeof previous.abort === 'function') {
+      const reasons = []
+      const ctx = this._createCtx({
+        nowMs: nowMs ?? this.blackboard.ai.nowMs ?? 0,
+        intent: createEmptyIntent(),
+        trace: [],
+        reasons,
+      })
+      try {
+        previous.abort(ctx)
+      } catch (error) {
+        reasons.push(`BT_ERROR:${error instanceof Error ? error.message : String(error)}`)
+      }
+      this.lastReasons = reasons
+    }
+
+    this.btRoot = btRoot
+    this.profiler.setRoot(btRoot)
+    this.nodeMemory = new WeakMap()
+    this.blackboard.vars = {}
+    this.lastTrace = []
+  }
+
+  tick({ nowMs, profile = false }) {
+    // `profile`: scenes pass true while a benchmark runs, so per-node counters/timing (and their
+    // clock reads) are only paid for when someone collects them.
+
     // Create a fresh intent snapshot for this tick.
     const intent = createEmptyIntent()
 
@@ -49,20 +163,20 @@ export class BotAgent {
     const trace = []
     const reasons = []
 
-    // Update blackboard (derived observations).
-    this._updateBlackboard({ nowMs })
+    // Perceive the target (delayed snapshot below 'expert'), then update the blackboard from it.
+    const difficulty = getAiDifficulty(this.difficultyId)
+    const reactionMs = this._rollReactionMs(difficulty)
+    this.perceivedTarget = reactionMs > 0 ? this.perception.observe(this.target, nowMs, reactionMs) : this.target
+    this.opponentModel.observe({ nowMs, self: this.self, target: this.perceivedTarget })
+    this._updateBlackboard({ nowMs, target: this.perceivedTarget })
+    this.blackboard.ai.difficultyId = difficulty.id
+    this.blackboard.ai.reactionMs = reactionMs
+
+    // Tick id lets stateful decorators tell "still running" from "started again".
+    this.tickCount += 1
 
     // Build BT context passed to every node.
-    const ctx = {
-      nowMs,
-      self: this.self,
-      target: this.target,
-      stage: this.stage,
-      blackboard: this.blackboard,
-      intent,
-      trace,
-      reasons,
-    }
+    const ctx = this._createCtx({ nowMs, intent, trace, reasons, profile })
 
     // Tick the tree.
     let status = BT_STATUS.FAILURE
@@ -80,6 +194,9 @@ export class BotAgent {
     // Clamp intent values to safe ranges.
     intent.moveX = clamp(intent.moveX, -1, 1)
 
+    // Execution errors (dropped inputs / late attacks); a no-op at 'expert'.
+    this.execution.apply(intent, { nowMs, difficulty, rng: this.humanRng, reasons })
+
     // Persist explainability info for the debug panel.
     this.lastStatus = status
     this.lastTrace = trace
@@ -90,15 +207,51 @@ export class BotAgent {
     this.blackboard.ai.lastTrace = trace
     this.blackboard.ai.lastReasons = reasons
 
+    this.history.push({
+      tickId: this.tickCount,
+      nowMs,
+      status,
+      activePath: findActiveBranch(trace).pop()?.path ?? null,
+      trace,
+      reasons,
+      // Copy: the fighter clears edge-triggered flags (jump/dash/dodge) on the live intent once consumed.
+      intent: { ...intent },
+      blackboard: summarizeBlackboard(this.blackboard),
+    })
+
     return intent
   }
 
-  _updateBlackboard({ nowMs }) {
+  _createCtx({ nowMs, intent, trace, reasons, profile = false }) {
+    return {
+      nowMs,
+      tickId: this.tickCount,
+      nodeMemory: this.nodeMemory,
+      rng: this.rng,
+      profiler: profile ? this.profiler : null,
+      self: this.self,
+      target: this.perceivedTarget ?? this.target,
+      stage: this.stage,
+      blackboard: this.blackboard,
+      intent,
+      trace,
+      reasons,
+    }
+  }
+
+  _rollReactionMs(difficulty) {
+    // Reaction delay for this tick: base +/- jitter (never negative).
+    const baseMs = Number(difficulty?.reactionMs ?? 0)
+    const jitterMs = Number(difficulty?.reactionJitterMs ?? 0)
+    if (baseMs <= 0 && jitterMs <= 0) return 0
+    return Math.max(0, Math.round(baseMs + (this.humanRng() * 2 - 1) * jitterMs))
+  }
+
+  _updateBlackboard({ nowMs, target }) {
     const self = this.self
-    const target = this.target
 
-    // Resolve the active AI profile for this tick.
-    const profile = getAiProfile(this.profileId)
+    // Active AI profile (resolved once in setProfile).
+    const profile = this.profile
 
     // Prediction horizon (in ms) used for simple linear "lead" targeting.
     // 150-250ms tends to be a good range for fast platform fighters.
@@ -123,6 +276,8 @@ export class BotAgent {
     // Target snapshot.
     const dx = target.x - self.x
     const dy = target.y - self.y
+    this.blackboard.target.hp = target.hp
+    this.blackboard.target.maxHp = target.maxHp
     this.blackboard.target.x = target.x
     this.blackboard.target.y = target.y
     this.blackboard.target.vx = target.body?.velocity ? target.body.velocity.x : 0
@@ -167,6 +322,10 @@ export class BotAgent {
     this.blackboard.stage.height = this.stage.height
     this.blackboard.stage.centerX = this.stage.centerX
 
+    // Opponent habits learned so far this match (see opponentModel.js).
+    const opponent = this.opponentModel.summarize({ absDx: Math.abs(dx) })
+    this.blackboard.opponent = opponent
+
     // Profile snapshot (used by leaf nodes).
     this.blackboard.ai.profileId = profile.id
     this.blackboard.ai.profile = profile
@@ -228,11 +387,17 @@ export class BotAgent {
 
     // Threat model:
     // Predict whether the opponent's current attack could hit us soon (150-250ms window).
+    // The opponent's usual move from this range is read earlier (up to +120ms): we expect it.
+    const expectsMove =
+      opponent.expectedMoveSamples >= OPPONENT_MIN_SAMPLES && opponent.expectedMoveShare >= 0.4
     this.blackboard.ai.threat = computeThreat({
       nowMs,
       self,
       target,
       horizonMs: Number(profile.threatHorizonMs ?? 220),
+      anticipate: expectsMove
+        ? { kind: opponent.expectedMove, bonusMs: Math.round(opponent.expectedMoveShare * 120) }
+        : null,
     })
 
     // Time is occasionally useful for cooldown logic.
@@ -240,11 +405,22 @@ export class BotAgent {
   }
 }
 
+function createBlackboard() {
+  return {
+    self: {},
+    target: {},
+    stage: {},
+    ai: {},
+    opponent: {},
+    vars: {},
+  }
+}
+
 function clamp(value, min, max) {
   return Math.max(min, Math.min(max, value))
 }
 
-function computeThreat({ nowMs, self, target, horizonMs } = {}) {
+function computeThreat({ nowMs, self, target, horizonMs, anticipate } = {}) {
   // "Threat" is a forward-looking approximation:
   // - If the opponent is attacking (startup/active)
   // - And the attack would overlap our hurtbox in the near future
@@ -269,7 +445,10 @@ function computeThreat({ nowMs, self, target, horizonMs } = {}) {
   }
 
   const safeNowMs = Number(nowMs ?? 0)
-  const safeHorizonMs = clamp(Number(horizonMs ?? 220), 60, 600)
+  // An anticipated move (the opponent's habit from this range) gets a longer reaction horizon.
+  const anticipated = Boolean(anticipate?.kind) && anticipate.kind === kind
+  const bonusMs = anticipated ? Number(anticipate.bonusMs ?? 0) : 0
+  const safeHorizonMs = clamp(Number(horizonMs ?? 220) + bonusMs, 60, 600)
 
   // Estimate when the hitbox becomes active.
   let timeToActiveMs = 0
@@ -281,7 +460,7 @@ function computeThreat({ nowMs, self, target, horizonMs } = {}) {
 
   // If the attack won't become active soon, it's not an immediate threat.
   if (timeToActiveMs > safeHorizonMs) {
-    return { threatening: true, willHit: false, timeToHitMs: null, moveKind: kind, phase, severity: 0 }
+    return { threatening: true, willHit: false, timeToHitMs: null, moveKind: kind, phase, severity: 0, anticipated }
   }
 
   // Predict positions at the time the move becomes active.
@@ -330,6 +509,7 @@ function computeThreat({ nowMs, self, target, horizonMs } = {}) {
     moveKind: kind,
     phase,
     severity,
+    anticipated,
   }
 }
 
@@ -0,0 +1,91 @@
+// AI difficulty presets: how "human" the bot's perception and execution are.
+//
+// Goal:
+// - Profiles (aiProfiles.js) decide WHAT the bot likes to do; difficulty decides how well it
+//   sees and executes it. Both are picked per side and combine freely.
+// - The BT itself is unchanged: BotAgent applies difficulty around the tick (see perception.js).
+//
+// Notes:
+// - Reaction: the bot observes a snapshot of the target from `reactionMs` (+/- jitter) ago,
+//   so it blocks/punishes what the opponent did a moment earlier, not what it is doing now.
+// - Execution: edge-triggered inputs (jump/dash/dodge/starting a guard) are sometimes dropped,
+//   and attacks are sometimes pressed late.
+// - Expert is the reference bot (exact perception, no input errors) and the default, so
+//   benchmarks keep measuring the BT itself.
+
+export const AI_DIFFICULTY_ID = {
+  EASY: 'easy',
+  NORMAL: 'normal',
+  HARD: 'hard',
+  EXPERT: 'expert',
+}
+
+export const AI_DIFFICULTIES = {
+  [AI_DIFFICULTY_ID.EASY]: {
+    id: AI_DIFFICULTY_ID.EASY,
+    labelZh: '簡單',
+    descriptionZh: '反應慢（約 0.4 秒）、常漏按輸入、出招時機常偏晚，適合新手。',
+
+    // Observation delay of the target (ms) and the random +/- spread per tick.
+    reactionMs: 380,
+    reactionJitterMs: 120,
+
+    // Chance to drop an edge-triggered input (jump/dash/dodge/guard start) on the tick it is pressed.
+    missInputChance: 0.25,
+
+    // Chance to press an attack late, and how late (ms, scaled by 0.5..1 per press).
+    lateAttackChance: 0.35,
+    lateAttackMs: 220,
+  },
+
+  [AI_DIFFICULTY_ID.NORMAL]: {
+    id: AI_DIFFICULTY_ID.NORMAL,
+    labelZh: '普通',
+    descriptionZh: '接近一般玩家的反應（約 0.25 秒），偶爾失誤。',
+
+    reactionMs: 250,
+    reactionJitterMs: 80,
+    missInputChance: 0.12,
+    lateAttackChance: 0.2,
+    lateAttackMs: 160,
+  },
+
+  [AI_DIFFICULTY_ID.HARD]: {
+    id: AI_DIFFICULTY_ID.HARD,
+    labelZh: '困難',
+    descriptionZh: '反應快（約 0.15 秒），很少失誤。',
+
+    reactionMs: 150,
+    reactionJitterMs: 40,
+    missInputChance: 0.05,
+    lateAttackChance: 0.08,
+    lateAttackMs: 100,
+  },
+
+  [AI_DIFFICULTY_ID.EXPERT]: {
+    id: AI_DIFFICULTY_ID.EXPERT,
+    labelZh: '專家',
+    descriptionZh: '即時看到對手狀態、不會失誤（基準 AI，benchmark 預設）。',
+
+    reactionMs: 0,
+    reactionJitterMs: 0,
+    missInputChance: 0,
+    lateAttackChance: 0,
+    lateAttackMs: 0,
+  },
+}
+
+export const AI_DIFFICULTY_OPTIONS = Object.values(AI_DIFFICULTIES).map((d) => ({
+  id: d.id,
+  labelZh: d.labelZh,
+  descriptionZh: d.descriptionZh,
+}))
+
+export function normalizeAiDifficultyId(value) {
+  const v = String(value ?? '')
+  return Object.prototype.hasOwnProperty.call(AI_DIFFICULTIES, v) ? v : AI_DIFFICULTY_ID.EXPERT
+}
+
+export function getAiDifficulty(difficultyId) {
+  return AI_DIFFICULTIES[normalizeAiDifficultyId(difficultyId)]
+}
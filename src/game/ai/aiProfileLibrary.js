@@ -0,0 +1,119 @@
+// Custom AI profile library (user-made playstyles next to the built-in presets).
+//
+// Format (stored as JSON under AI_PROFILE_LIBRARY_STORAGE_KEY):
+//   {
+//     version: 1,
+//     nextId: 3,
+//     profiles: [{ id: 'custom:p1', labelZh, descriptionZh, aggression, defense, spacingMin,
+//                  spacingMax, threatHorizonMs, dashChance, createdAtIso, updatedAtIso }],
+//   }
+//
+// Notes:
+// - Custom profiles have the same fields as AI_PROFILES (aiProfiles.js); values are clamped to
+//   AI_PROFILE_FIELDS ranges by normalizeCustomAiProfile().
+// - The battle page passes custom profiles to the scene by value, and exports/replays record
+//   them by value too, so a result stays readable after the profile is edited or deleted.
+// - All helpers are immutable and return a new library object.
+//
+// This module must NOT import Phaser.
+
+import { AI_PROFILE_OPTIONS, CUSTOM_AI_PROFILE_PREFIX, normalizeCustomAiProfile, resolveAiProfile } from './aiProfiles.js'
+
+export const AI_PROFILE_LIBRARY_VERSION = 1
+
+export function createEmptyAiProfileLibrary() {
+  return { version: AI_PROFILE_LIBRARY_VERSION, nextId: 1, profiles: [] }
+}
+
+export function normalizeAiProfileLibrary(data) {
+  // Accept anything (localStorage may hold junk); unknown shapes become an empty library.
+  const base = createEmptyAiProfileLibrary()
+  if (!data || typeof data !== 'object' || Number(data.version) !== AI_PROFILE_LIBRARY_VERSION) return base
+
+  const profiles = []
+  for (const entry of Array.isArray(data.profiles) ? data.profiles : []) {
+    const profile = normalizeCustomAiProfile(entry)
+    if (!profile || profiles.some((p) => p.id === profile.id)) continue
+    profiles.push({ ...profile, createdAtIso: entry.createdAtIso ?? null, updatedAtIso: entry.updatedAtIso ?? null })
+  }
+
+  return {
+    version: AI_PROFILE_LIBRARY_VERSION,
+    nextId: Math.max(Number(data.nextId ?? 1), profiles.length + 1),
+    profiles,
+  }
+}
+
+export function findAiProfile(library, profileId) {
+  // Built-in or custom profile object; null for an unknown id (e.g. a deleted custom profile).
+  const custom = library?.profiles?.find((profile) => profile.id === profileId)
+  if (custom) return custom
+  return AI_PROFILE_OPTIONS.some((option) => option.id === profileId) ? resolveAiProfile(profileId) : null
+}
+
+export function listAiProfileOptions(library) {
+  // Dropdown entries: built-ins first, then custom profiles (`custom: true`).
+  return [
+    ...AI_PROFILE_OPTIONS,
+    ...(library?.profiles ?? []).map((profile) => ({
+      id: profile.id,
+      labelZh: profile.labelZh,
+      descriptionZh: profile.descriptionZh,
+      custom: true,
+    })),
+  ]
+}
+
+export function addCustomAiProfile(library, { from, labelZh, nowIso = null } = {}) {
+  // Clone `from` (any profile object or id) into a new custom profile.
+  // Returns `{ library, profileId }` so the caller can select the new profile.
+  const source = resolveAiProfile(from)
+  const profileId = `${CUSTOM_AI_PROFILE_PREFIX}p${library.nextId}`
+  const profile = normalizeCustomAiProfile({
+    ...source,
+    id: profileId,
+    labelZh: String(labelZh ?? '').trim() || `${source.labelZh}（複製）`,
+  })
+  return {
+    library: {
+      ...library,
+      nextId: library.nextId + 1,
+      profiles: [...library.profiles, { ...profile, createdAtIso: nowIso, updatedAtIso: nowIso }],
+    },
+    profileId,
+  }
+}
+
+export function updateCustomAiProfile(library, profileId, patch, { nowIso = null } = {}) {
+  // Apply field edits (label/description/numbers); the id never changes.
+  const current = library.profiles.find((profile) => profile.id === profileId)
+  if (!current) return library
+  const next = normalizeCustomAiProfile({ ...current, ...patch, id: profileId })
+  return {
+    ...library,
+    profiles: library.profiles.map((profile) =>
+      profile.id === profileId ? { ...next, createdAtIso: current.createdAtIso, updatedAtIso: nowIso } : profile,
+    ),
+  }
+}
+
+export function removeCustomAiProfile(library, profileId) {
+  return { ...library, profiles: library.profiles.filter((profile) => profile.id !== profileId) }
+}
+
+export function importCustomAiProfiles(library, profiles, { nowIso = null } = {}) {
+  // Add custom profiles recorded by value (replays) that this library does not have yet.
+  // Existing ids are kept as they are: the local, possibly newer edit wins.
+  let next = library
+  for (const value of profiles ?? []) {
+    const profile = normalizeCustomAiProfile(value)
+    if (!profile || next.profiles.some((p) => p.id === profile.id)) continue
+    const idNumber = Number(profile.id.slice(`${CUSTOM_AI_PROFILE_PREFIX}p`.length))
+    next = {
+      ...next,
+      nextId: Number.isFinite(idNumber) ? Math.max(next.nextId, idNumber + 1) : next.nextId,
+      profiles: [...next.profiles, { ...profile, createdAtIso: nowIso, updatedAtIso: nowIso }],
+    }
+  }
+  return next
+}
@@ -0,0 +1,5 @@
+// Centralized storage key(s) for custom AI profiles.
+// Keeping these constants in one place prevents mismatches between UI pages.
+
+// Version the key so future schema migrations can be handled cleanly.
+export const AI_PROFILE_LIBRARY_STORAGE_KEY = 'ai:platform-brawl:profiles:v1'
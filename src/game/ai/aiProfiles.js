@@ -90,6 +90,52 @@ export const AI_PROFILE_OPTIONS = Object.values(AI_PROFILES).map((p) => ({
   descriptionZh: p.descriptionZh,
 }))
 
+// Tunable numeric fields (custom profile editor sliders + validation ranges).
+export const AI_PROFILE_FIELDS = [
+  { key: 'aggression', labelZh: '積極度', min: 0, max: 1, step: 0.05 },
+  { key: 'defense', labelZh: '防守傾向', min: 0, max: 1, step: 0.05 },
+  { key: 'spacingMin', labelZh: '最近距離（px）', min: 20, max: 300, step: 5 },
+  { key: 'spacingMax', labelZh: '最遠距離（px）', min: 40, max: 400, step: 5 },
+  { key: 'threatHorizonMs', labelZh: '威脅預判（ms）', min: 60, max: 600, step: 10 },
+  { key: 'dashChance', labelZh: 'Dash 傾向', min: 0, max: 1, step: 0.05 },
+]
+
+// User-made profiles (see aiProfileLibrary.js) use ids like 'custom:p1' so they never collide
+// with the built-in ids above.
+export const CUSTOM_AI_PROFILE_PREFIX = 'custom:'
+
+export function isCustomAiProfileId(value) {
+  return typeof value === 'string' && value.startsWith(CUSTOM_AI_PROFILE_PREFIX)
+}
+
+export function normalizeCustomAiProfile(value) {
+  // Sanitize a custom profile object (from storage, a replay or a benchmark export).
+  // Returns null when it has no custom id; missing/invalid fields fall back to 'balanced'.
+  if (!value || typeof value !== 'object' || !isCustomAiProfileId(value.id)) return null
+
+  const base = AI_PROFILES[AI_PROFILE_ID.BALANCED]
+  const label = String(value.labelZh ?? '')
+  const profile = {
+    id: value.id,
+    // Not trimmed, so the editor's name field can hold spaces while typing.
+    labelZh: label.trim() ? label : value.id,
+    descriptionZh: String(value.descriptionZh ?? ''),
+  }
+  for (const field of AI_PROFILE_FIELDS) {
+    const n = Number(value[field.key])
+    profile[field.key] = Number.isFinite(n) ? Math.max(field.min, Math.min(field.max, n)) : base[field.key]
+  }
+  // Keep the spacing band ordered (KeepDistance and utility scoring assume min <= max).
+  if (profile.spacingMax < profile.spacingMin) profile.spacingMax = profile.spacingMin
+  return profile
+}
+
+export function resolveAiProfile(value) {
+  // Profile object for a built-in id, or a custom profile passed by value.
+  // Used wherever a profile may be custom (BotAgent, scenes); unknown values => 'balanced'.
+  return normalizeCustomAiProfile(value) ?? getAiProfile(value?.id ?? value)
+}
+
 export function normalizeAiProfileId(value) {
   const v = String(value ?? '')
   return Object.prototype.hasOwnProperty.call(AI_PROFILES, v) ? v : AI_PROFILE_ID.BALANCED
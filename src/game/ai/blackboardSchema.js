@@ -0,0 +1,109 @@
+// Declared blackboard schema for data-driven BT nodes.
+//
+// Why declare it?
+// - `BlackboardCompare`, `BlackboardSet` and score expressions read the blackboard by path
+//   (`target.absDx`). A typo would silently read `undefined` at runtime.
+// - The BT Lab validates every path against this list, so authors get an error instead.
+//
+// Keep this in sync with `BotAgent._updateBlackboard` (the writer of every read-only path).
+//
+// Types:
+// - number / boolean / string: scalar values (string values may also be null, e.g. no attack)
+// - `vars.*` is the only writable namespace: BT authors store their own flags/counters there
+//   with `BlackboardSet`. It starts empty each round and accepts any scalar.
+
+export const BLACKBOARD_VARS_PREFIX = 'vars.'
+
+export const BLACKBOARD_SCHEMA = {
+  // ---- Self ----
+  'self.hp': 'number',
+  'self.maxHp': 'number',
+  'self.x': 'number',
+  'self.y': 'number',
+  'self.vx': 'number',
+  'self.vy': 'number',
+  'self.predictedX': 'number',
+  'self.predictedY': 'number',
+  'self.onGround': 'boolean',
+  'self.inHitstun': 'boolean',
+  'self.inHitstop': 'boolean',
+  'self.attack.kind': 'string',
+  'self.attack.phase': 'string',
+
+  // ---- Target ----
+  'target.hp': 'number',
+  'target.maxHp': 'number',
+  'target.x': 'number',
+  'target.y': 'number',
+  'target.vx': 'number',
+  'target.vy': 'number',
+  'target.dx': 'number',
+  'target.dy': 'number',
+  'target.absDx': 'number',
+  'target.absDy': 'number',
+  'target.predictedX': 'number',
+  'target.predictedY': 'number',
+  'target.onGround': 'boolean',
+  'target.inHitstun': 'boolean',
+  'target.attack.kind': 'string',
+  'target.attack.phase': 'string',
+
+  // ---- Stage ----
+  'stage.width': 'number',
+  'stage.height': 'number',
+  'stage.centerX': 'number',
+
+  // ---- AI (profile, threat model, combo tracking) ----
+  'ai.nowMs': 'number',
+  'ai.profileId': 'string',
+  'ai.profile.aggression': 'number',
+  'ai.profile.defense': 'number',
+  'ai.profile.spacingMin': 'number',
+  'ai.profile.spacingMax': 'number',
+  'ai.profile.dashChance': 'number',
+  'ai.difficultyId': 'string',
+  'ai.reactionMs': 'number',
+  'ai.threat.threatening': 'boolean',
+  'ai.threat.willHit': 'boolean',
+  'ai.threat.severity': 'number',
+  'ai.threat.timeToHitMs': 'number',
+  'ai.threat.moveKind': 'string',
+  'ai.threat.anticipated': 'boolean',
+  'ai.combat.comboCount': 'number',
+  'ai.combat.comboWindowUntilMs': 'number',
+  'ai.combat.blockPressureUntilMs': 'number',
+  'ai.combat.lastLandedHitAtMs': 'number',
+
+  // ---- Opponent model (habits learned this match, see opponentModel.js) ----
+  // Rates are 0 until there is data; compare the matching count before trusting a rate.
+  'opponent.attackCount': 'number',
+  'opponent.attacksPerMin': 'number',
+  'opponent.rangeBand': 'string',
+  'opponent.expectedMove': 'string',
+  'opponent.expectedMoveShare': 'number',
+  'opponent.expectedMoveSamples': 'number',
+  'opponent.favoriteMoveClose': 'string',
+  'opponent.favoriteMoveMid': 'string',
+  'opponent.favoriteMoveFar': 'string',
+  'opponent.hitRecoveries': 'number',
+  'opponent.blockAfterHitRate': 'number',
+  'opponent.airborneCount': 'number',
+  'opponent.jumpInRate': 'number',
+  'opponent.jumpInsPerMin': 'number',
+  'opponent.dodgeChances': 'number',
+  'opponent.dodgeRate': 'number',
+  'opponent.avgDodgeDelayMs': 'number',
+}
+
+// Returns the declared type of `path`, 'any' for `vars.<name>`, or null when unknown.
+export function getBlackboardPathType(path) {
+  const key = String(path ?? '')
+  if (Object.prototype.hasOwnProperty.call(BLACKBOARD_SCHEMA, key)) return BLACKBOARD_SCHEMA[key]
+  if (isBlackboardVarPath(key)) return 'any'
+  return null
+}
+
+export function isBlackboardVarPath(path) {
+  // `vars.<identifier>` only (no nesting), so BlackboardSet can never clobber observations.
+  return /^vars\.[A-Za-z_][A-Za-z0-9_]*$/.test(String(path ?? ''))
+}
@@ -0,0 +1,186 @@
+// Structural diff between two BT JSON values (used by the BT Lab library view).
+//
+// Why not a text diff?
+// - Reformatting or reordering keys changes every line but not the tree.
+// - Designers care about "which node/param changed", so changes are reported by JSON path:
+//     ~ root.children[1].params.ms: 800 → 1200
+//     + root.children[3]: Sequence
+//     - defs.recovery
+//
+// Children are aligned with an LCS over identical subtrees, so inserting one node reports one
+// addition instead of "every later sibling changed". Unmatched children between two aligned
+// anchors are compared pairwise when they have the same type, otherwise reported as -/+.
+//
+// This module must NOT import Phaser.
+
+import { isBtDocument } from './runtime.js'
+
+export const BT_DIFF_KIND = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CHANGED: 'changed',
+}
+
+export function diffBtJson(before, after) {
+  // Returns `[{ kind, path, before, after }]` in tree order (empty when equal).
+  const changes = []
+
+  if (isBtDocument(before) || isBtDocument(after)) {
+    const beforeDoc = isBtDocument(before) ? before : { defs: {}, root: before }
+    const afterDoc = isBtDocument(after) ? after : { defs: {}, root: after }
+
+    const names = unionKeys(beforeDoc.defs ?? {}, afterDoc.defs ?? {})
+    for (const name of names) {
+      diffNode(beforeDoc.defs?.[name], afterDoc.defs?.[name], `defs.${name}`, changes)
+    }
+    diffNode(beforeDoc.root, afterDoc.root, 'root', changes)
+    return changes
+  }
+
+  diffNode(before, after, 'root', changes)
+  return changes
+}
+
+export function formatBtDiff(changes) {
+  // One line per change (the BT Lab shows this in a code block).
+  return changes.map((change) => {
+    if (change.kind === BT_DIFF_KIND.ADDED) return `+ ${change.path}: ${describeValue(change.after)}`
+    if (change.kind === BT_DIFF_KIND.REMOVED) return `- ${change.path}: ${describeValue(change.before)}`
+    return `~ ${change.path}: ${describeValue(change.before)} → ${describeValue(change.after)}`
+  })
+}
+
+function diffNode(before, after, path, changes) {
+  if (before === undefined && after === undefined) return
+  if (before === undefined) {
+    changes.push({ kind: BT_DIFF_KIND.ADDED, path, before, after })
+    return
+  }
+  if (after === undefined) {
+    changes.push({ kind: BT_DIFF_KIND.REMOVED, path, before, after })
+    return
+  }
+  if (!isPlainObject(before) || !isPlainObject(after) || before.type !== after.type) {
+    // A different node type is a replacement, not a param tweak.
+    if (stableStringify(before) !== stableStringify(after)) {
+      changes.push({ kind: BT_DIFF_KIND.CHANGED, path, before, after })
+    }
+    return
+  }
+
+  // Node-level fields other than children/params (e.g. `abort`).
+  for (const key of unionKeys(before, after)) {
+    if (key === 'type' || key === 'children' || key === 'params') continue
+    diffValue(before[key], after[key], `${path}.${key}`, changes)
+  }
+
+  const beforeParams = isPlainObject(before.params) ? before.params : {}
+  const afterParams = isPlainObject(after.params) ? after.params : {}
+  for (const key of unionKeys(beforeParams, afterParams)) {
+    diffValue(beforeParams[key], afterParams[key], `${path}.params.${key}`, changes)
+  }
+
+  diffChildren(
+    Array.isArray(before.children) ? before.children : [],
+    Array.isArray(after.children) ? after.children : [],
+    path,
+    changes,
+  )
+}
+
+function diffChildren(before, after, path, changes) {
+  const beforeKeys = before.map(stableStringify)
+  const afterKeys = after.map(stableStringify)
+  const anchors = longestCommonSubsequence(beforeKeys, afterKeys)
+
+  // Walk the gaps between anchors (plus the tail after the last one).
+  let i = 0
+  let j = 0
+  for (const [anchorI, anchorJ] of [...anchors, [before.length, after.length]]) {
+    const removed = []
+    const added = []
+    for (; i < anchorI; i += 1) removed.push(i)
+    for (; j < anchorJ; j += 1) added.push(j)
+
+    // Same-type children at the same position in the gap are "edited", the rest are -/+.
+    const paired = Math.min(removed.length, added.length)
+    for (let k = 0; k < removed.length || k < added.length; k += 1) {
+      const bi = removed[k]
+      const aj = added[k]
+      if (k < paired && before[bi]?.type === after[aj]?.type) {
+        diffNode(before[bi], after[aj], `${path}.children[${aj}]`, changes)
+        continue
+      }
+      if (bi !== undefined) diffNode(before[bi], undefined, `${path}.children[${bi}]`, changes)
+      if (aj !== undefined) diffNode(undefined, after[aj], `${path}.children[${aj}]`, changes)
+    }
+
+    // Skip the anchor itself (identical subtree).
+    i = anchorI + 1
+    j = anchorJ + 1
+  }
+}
+
+function diffValue(before, after, path, changes) {
+  if (before === undefined && after === undefined) return
+  if (stableStringify(before) === stableStringify(after)) return
+  let kind = BT_DIFF_KIND.CHANGED
+  if (before === undefined) kind = BT_DIFF_KIND.ADDED
+  else if (after === undefined) kind = BT_DIFF_KIND.REMOVED
+  changes.push({ kind, path, before, after })
+}
+
+function longestCommonSubsequence(a, b) {
+  // Classic O(n*m) LCS; children lists are short (a handful of nodes).
+  const rows = a.length + 1
+  const cols = b.length + 1
+  const table = Array.from({ length: rows }, () => new Array(cols).fill(0))
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1])
+    }
+  }
+
+  const pairs = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pairs.push([i, j])
+      i += 1
+      j += 1
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i += 1
+    } else {
+      j += 1
+    }
+  }
+  return pairs
+}
+
+function describeValue(value) {
+  // Nodes are summarized by type (the full subtree would be too long for one line).
+  if (isPlainObject(value) && typeof value.type === 'string') {
+    const count = Array.isArray(value.children) ? value.children.length : 0
+    return count ? `${value.type}（${count} 個子節點）` : value.type
+  }
+  return JSON.stringify(value)
+}
+
+function stableStringify(value) {
+  // Key-order independent JSON (so `{a,b}` and `{b,a}` compare equal).
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value).sort()
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value) ?? 'undefined'
+}
+
+function unionKeys(a, b) {
+  return [...new Set([...Object.keys(a ?? {}), ...Object.keys(b ?? {})])]
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
@@ -0,0 +1,141 @@
+// Immutable edit helpers for BT JSON (used by the graphical editor in the BT Lab).
+//
+// Nodes are addressed by a "path": the list of child indices from a tree root.
+// - `[]` is the root itself, `[0, 2]` is `root.children[0].children[2]`.
+// - Every helper returns a NEW tree and never mutates its input, so React state updates stay simple.
+//
+// Per-child params (RandomSelector `weights`, UtilitySelector `scores`) are kept aligned with
+// `children` when children are inserted, removed or reordered.
+//
+// This module must NOT import Phaser.
+
+import { createDefaultBtNode, getBtNodeSpecs, getDefaultParamValue } from './btNodeSpecs.js'
+
+export function getNodeAt(tree, path) {
+  let node = tree
+  for (const index of path) {
+    node = node?.children?.[index]
+    if (!node) return null
+  }
+  return node ?? null
+}
+
+export function updateNodeAt(tree, path, updater) {
+  if (!path.length) return updater(tree)
+  const [index, ...rest] = path
+  const children = (tree.children ?? []).slice()
+  children[index] = updateNodeAt(children[index], rest, updater)
+  return { ...tree, children }
+}
+
+export function removeNodeAt(tree, path) {
+  // Removing the root is not allowed (a tree always has one); returns the tree unchanged.
+  if (!path.length) return tree
+  const parentPath = path.slice(0, -1)
+  const index = path[path.length - 1]
+  return updateNodeAt(tree, parentPath, (parent) => spliceChildren(parent, index, 1, []))
+}
+
+export function insertNodeAt(tree, parentPath, index, node) {
+  return updateNodeAt(tree, parentPath, (parent) => {
+    const count = parent.children?.length ?? 0
+    return spliceChildren(parent, Math.max(0, Math.min(count, index)), 0, [node])
+  })
+}
+
+export function moveNode(tree, fromPath, toParentPath, toIndex) {
+  // Moves a subtree to `toParentPath.children[toIndex]` (index measured BEFORE the removal).
+  // Moving a node into itself or one of its descendants is rejected (returns the tree unchanged).
+  if (!fromPath.length || isAncestorPath(fromPath, toParentPath)) return tree
+
+  const node = getNodeAt(tree, fromPath)
+  if (!node) return tree
+
+  // Carry the node's per-child param entries (e.g. its weight) along when staying under the same parent.
+  const fromParentPath = fromPath.slice(0, -1)
+  const fromIndex = fromPath[fromPath.length - 1]
+  const sameParent = samePath(fromParentPath, toParentPath)
+  const carried = sameParent ? readPerChildEntries(getNodeAt(tree, fromParentPath), fromIndex) : null
+
+  // Removing first shifts later siblings (and possibly the target parent) left by one.
+  const removed = removeNodeAt(tree, fromPath)
+  const targetParentPath = shiftPathAfterRemoval(toParentPath, fromPath)
+  let targetIndex = toIndex
+  if (sameParent && toIndex > fromIndex) targetIndex -= 1
+
+  return updateNodeAt(removed, targetParentPath, (parent) => {
+    const count = parent.children?.length ?? 0
+    return spliceChildren(parent, Math.max(0, Math.min(count, targetIndex)), 0, [node], carried)
+  })
+}
+
+export function changeNodeType(node, type) {
+  // Swap a node's type: params reset to the new type's defaults, `id`, `abort` and as many
+  // children as the new type accepts are kept (leaves drop their children).
+  const next = createDefaultBtNode(type)
+  if (node.id) next.id = node.id
+  if (node.abort) next.abort = node.abort
+
+  const spec = getBtNodeSpecs()[type]
+  const kept = (node.children ?? []).slice(0, spec?.children.max ?? 0)
+  if (!next.children) return next
+
+  // Re-insert through spliceChildren so required per-child params get one entry per child.
+  return spliceChildren({ ...next, children: [] }, 0, 0, kept)
+}
+
+export function isAncestorPath(ancestor, path) {
+  // True when `path` is `ancestor` itself or lies below it.
+  if (ancestor.length > path.length) return false
+  return ancestor.every((index, i) => path[i] === index)
+}
+
+export function pathKey(path) {
+  return path.length ? path.join('.') : 'root'
+}
+
+function spliceChildren(parent, index, deleteCount, inserted, carried = null) {
+  const children = (parent.children ?? []).slice()
+  children.splice(index, deleteCount, ...inserted)
+
+  const spec = getBtNodeSpecs()[parent.type]
+  const perChild = spec?.params.filter((p) => p.perChild) ?? []
+  const currentParams = parent.params ?? {}
+  let params = parent.params
+
+  for (const param of perChild) {
+    const list = currentParams[param.key]
+    if (!Array.isArray(list)) continue
+    const next = list.slice()
+    const fill = inserted.map(() => carried?.[param.key] ?? getDefaultParamValue(param.element))
+    next.splice(index, deleteCount, ...fill)
+    params = { ...params, [param.key]: next }
+  }
+
+  return params === undefined ? { ...parent, children } : { ...parent, params, children }
+}
+
+function readPerChildEntries(parent, index) {
+  const spec = getBtNodeSpecs()[parent?.type]
+  const entries = {}
+  for (const param of spec?.params ?? []) {
+    const list = parent.params?.[param.key]
+    if (param.perChild && Array.isArray(list) && index < list.length) entries[param.key] = list[index]
+  }
+  return entries
+}
+
+function shiftPathAfterRemoval(path, removedPath) {
+  // If `path` runs through a later sibling of the removed node, that sibling moved left by one.
+  const depth = removedPath.length - 1
+  if (path.length <= depth) return path
+  for (let i = 0; i < depth; i += 1) if (path[i] !== removedPath[i]) return path
+  if (path[depth] <= removedPath[depth]) return path
+  const shifted = path.slice()
+  shifted[depth] -= 1
+  return shifted
+}
+
+function samePath(a, b) {
+  return a.length === b.length && a.every((index, i) => b[i] === index)
+}
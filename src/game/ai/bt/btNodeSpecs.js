@@ -0,0 +1,143 @@
+// Node "specs" for editors, derived from the Zod schemas in validateBtJson.js.
+//
+// Why derive instead of hand-writing forms?
+// - The schema is already the single source of truth for params (enums, bounds, optional keys).
+// - Adding a node type to `BtNodeShapeSchema` makes it editable in the graphical editor for free.
+//
+// Spec shape (per node type):
+//   {
+//     type: 'Cooldown',
+//     children: { min: 1, max: 1 },           // leaves: { min: 0, max: 0 }
+//     params: [{ key, kind, optional, options?, min?, max?, integer?, perChild? }],
+//     paramsOptional: true,                   // `params` itself may be omitted
+//   }
+//
+// Param kinds:
+// - enum (options), number (min/max/integer), boolean, string
+// - score: number or expression string (RandomSelector weights / UtilitySelector scores)
+// - value: number, boolean or string (BlackboardCompare / BlackboardSet)
+// - list: array of `element` params, one per child when `perChild` is true
+//
+// This module must NOT import Phaser.
+
+import { AbortModeSchema, BtNodeShapeSchema, KNOWN_BT_NODE_TYPES } from './validateBtJson.js'
+
+export const ABORT_MODE_OPTIONS = AbortModeSchema.options
+
+let cachedSpecs = null
+
+export function getBtNodeSpecs() {
+  // Built lazily once (the schema is static).
+  if (cachedSpecs) return cachedSpecs
+
+  const specs = {}
+  for (const option of unwrap(BtNodeShapeSchema).options) {
+    const object = unwrap(option)
+    const shape = object.shape
+    const type = unwrap(shape.type).value
+    if (typeof type !== 'string') continue
+
+    const paramsSchema = shape.params
+    const paramsObject = paramsSchema ? unwrap(paramsSchema) : null
+    const paramShape = paramsObject?.shape ?? {}
+
+    specs[type] = {
+      type,
+      children: describeChildren(shape.children),
+      paramsOptional: !paramsSchema || isOptional(paramsSchema) || Object.values(paramShape).every(isOptional),
+      params: Object.entries(paramShape).map(([key, schema]) => describeParam(key, schema)),
+    }
+  }
+
+  // Keep the documented order (KNOWN_BT_NODE_TYPES) for palettes.
+  cachedSpecs = {}
+  for (const type of KNOWN_BT_NODE_TYPES) if (specs[type]) cachedSpecs[type] = specs[type]
+  for (const type of Object.keys(specs)) if (!cachedSpecs[type]) cachedSpecs[type] = specs[type]
+  return cachedSpecs
+}
+
+export function createDefaultBtNode(type) {
+  // A new node with required params filled in, so the editor never produces an empty shell.
+  const spec = getBtNodeSpecs()[type]
+  const node = { type }
+  if (!spec) return node
+
+  const params = {}
+  for (const param of spec.params) {
+    if (param.optional) continue
+    params[param.key] = getDefaultParamValue(param)
+  }
+  if (Object.keys(params).length) node.params = params
+  if (spec.children.max > 0) node.children = []
+  return node
+}
+
+export function getDefaultParamValue(param) {
+  if (param.kind === 'enum') return param.options[0]
+  if (param.kind === 'number') return Number.isFinite(param.min) ? Math.max(param.min, param.integer ? 1 : 0) : 0
+  if (param.kind === 'boolean') return false
+  if (param.kind === 'score') return 1
+  if (param.kind === 'value') return 0
+  if (param.kind === 'list') return []
+  return ''
+}
+
+function describeChildren(schema) {
+  if (!schema) return { min: 0, max: 0 }
+  const array = unwrap(schema)
+  const def = array._def
+  if (def.exactLength) return { min: def.exactLength.value, max: def.exactLength.value }
+  return {
+    min: def.minLength?.value ?? 0,
+    max: def.maxLength?.value ?? Infinity,
+  }
+}
+
+function describeParam(key, schema) {
+  const optional = isOptional(schema)
+  const inner = unwrap(schema)
+  const typeName = inner._def.typeName
+
+  if (typeName === 'ZodEnum') return { key, optional, kind: 'enum', options: inner.options }
+  if (typeName === 'ZodBoolean') return { key, optional, kind: 'boolean' }
+  if (typeName === 'ZodString') return { key, optional, kind: 'string' }
+
+  if (typeName === 'ZodNumber') {
+    const param = { key, optional, kind: 'number', integer: false, min: null, max: null }
+    for (const check of inner._def.checks ?? []) {
+      if (check.kind === 'int') param.integer = true
+      if (check.kind === 'min') param.min = check.value
+      if (check.kind === 'max') param.max = check.value
+    }
+    return param
+  }
+
+  if (typeName === 'ZodUnion') {
+    const kinds = inner.options.map((o) => unwrap(o)._def.typeName)
+    const kind = kinds.includes('ZodBoolean') ? 'value' : 'score'
+    return { key, optional, kind }
+  }
+
+  if (typeName === 'ZodArray') {
+    // Per-child lists (weights/scores) must line up with `children`.
+    return { key, optional, kind: 'list', perChild: true, element: describeParam('item', inner.element) }
+  }
+
+  return { key, optional, kind: 'string' }
+}
+
+function isOptional(schema) {
+  return schema?._def?.typeName === 'ZodOptional'
+}
+
+function unwrap(schema) {
+  // Peel optional/lazy/effects wrappers to reach the underlying schema.
+  let current = schema
+  for (;;) {
+    const typeName = current?._def?.typeName
+    if (typeName === 'ZodOptional') current = current._def.innerType
+    else if (typeName === 'ZodEffects') current = current._def.schema
+    else if (typeName === 'ZodLazy') current = current._def.getter()
+    else return current
+  }
+}
@@ -0,0 +1,199 @@
+// Per-node BT statistics for benchmarks: visits, SUCCESS/FAILURE/RUNNING counts and time.
+//
+// How it is wired:
+// - BtNode.tick reports every tick to `ctx.profiler.record(node, status, durationMs)`;
+//   BotAgent passes its own BtProfiler, so the two sides never mix. Scenes only ask for it
+//   while a benchmark runs (`agent.tick({ nowMs, profile: true })`); normal play skips it.
+// - Counters are keyed by node instance `path` (see "Node identity" in runtime.js), so two
+//   references to the same def are counted separately.
+// - BattleScene/HeadlessMatch call `takeRound()` when a round ends and store the result on the
+//   round row (`row.btProfile.left/right`).
+//
+// Round rows keep counters compactly as `{ [path]: [visits, success, failure, running] }`
+// (see BT_PROFILE_COLUMNS): exports hold hundreds of rows and a tree has dozens of nodes.
+// computeBtProfileReport() sums the rows into one readable table per side, next to the
+// benchmark `report`.
+//
+// Time is wall-clock (includes children) and differs between runs, so it never goes into round
+// rows or `btProfile`: the profiler sums it per benchmark run (`takeTiming()`), and exports keep
+// it in a separate `btTiming` section. Two runs with the same seed still export identical rows.
+//
+// This module must NOT import Phaser.
+
+import { BT_STATUS } from './runtime.js'
+
+export const BT_PROFILE_COLUMNS = ['visits', 'success', 'failure', 'running']
+
+const STATUS_COLUMN = {
+  [BT_STATUS.SUCCESS]: 1,
+  [BT_STATUS.FAILURE]: 2,
+  [BT_STATUS.RUNNING]: 3,
+}
+
+export class BtProfiler {
+  constructor(root) {
+    this.setRoot(root)
+  }
+
+  setRoot(root) {
+    // A new tree starts from zero; the row's `btHashes` then matches the counted tree.
+    this.nodes = listBtNodes(root)
+    this.reset()
+    this.resetTiming()
+  }
+
+  reset() {
+    // Per-round counters only; timing runs across rounds (see resetTiming()).
+    this._counters = new Map()
+  }
+
+  resetTiming() {
+    this._timeMs = new Map()
+  }
+
+  record(node, status, durationMs) {
+    let counters = this._counters.get(node.path)
+    if (!counters) {
+      counters = [0, 0, 0, 0]
+      this._counters.set(node.path, counters)
+    }
+    counters[0] += 1
+    const column = STATUS_COLUMN[status]
+    if (column) counters[column] += 1
+    this._timeMs.set(node.path, (this._timeMs.get(node.path) ?? 0) + durationMs)
+  }
+
+  takeRound() {
+    // Counters since the last reset (compact form), then start over for the next round.
+    const round = {}
+    for (const [path, counters] of this._counters) round[path] = counters.slice()
+    this.reset()
+    return round
+  }
+
+  takeTiming() {
+    // Wall-clock ms per node path since resetTiming() (the benchmark start): `{ [path]: totalMs }`.
+    const timing = {}
+    for (const [path, ms] of this._timeMs) timing[path] = roundMs(ms)
+    return timing
+  }
+}
+
+export function listBtNodes(root) {
+  // Every node instance of a built tree in pre-order: `[{ path, id, name, depth }]`.
+  const nodes = []
+  const visit = (node) => {
+    if (!node) return
+    nodes.push({ path: node.path, id: node.id, name: node.name, depth: node.depth })
+    for (const child of node.getChildren()) visit(child)
+  }
+  visit(root)
+  return nodes
+}
+
+export function computeBtProfileReport(rounds, trees = {}) {
+  // `trees` is `{ left, right }` of `{ hash, nodes }` (the tree each side runs now, nodes from
+  // BtProfiler.nodes). Only rounds played with that same hash are summed, so a hot-swapped
+  // tree never mixes its paths with the previous tree's.
+  //
+  // Per side:
+  //   { hash, rounds, nodes: [{ path, id, name, depth, visits, success, failure, running,
+  //     visitsPerRound }], deadPaths }
+  // - `nodes` keeps tree order; sort by `visits` (or `btTiming` time) to find hot paths.
+  // - `deadPaths` lists nodes that were never ticked in any counted round.
+  const list = Array.isArray(rounds) ? rounds : []
+  return {
+    left: computeSideProfile(list, 'left', trees.left),
+    right: computeSideProfile(list, 'right', trees.right),
+  }
+}
+
+export function createBtTiming(trees = {}, timing = {}) {
+  // Export section for wall-clock node time: `{ left, right }` of `{ hash, totalMsByPath }`.
+  // Kept apart from `btProfile` because it differs between runs of the same seed.
+  const side = (name) => (trees[name] ? { hash: trees[name].hash ?? null, totalMsByPath: { ...timing[name] } } : null)
+  return { left: side('left'), right: side('right') }
+}
+
+export function mergeBtTiming(sections, trees = {}) {
+  // Sum `btTiming` sections of several runs (benchmark batch), keeping only the current trees.
+  const totals = { left: {}, right: {} }
+  for (const section of sections ?? []) {
+    for (const name of ['left', 'right']) {
+      const entry = section?.[name]
+      if (!entry || entry.hash !== trees[name]?.hash) continue
+      for (const [path, ms] of Object.entries(entry.totalMsByPath ?? {})) {
+        totals[name][path] = roundMs((totals[name][path] ?? 0) + Number(ms ?? 0))
+      }
+    }
+  }
+  return createBtTiming(trees, totals)
+}
+
+export function formatBtProfileSummary(sideReport, { top = 5, timing = null } = {}) {
+  // Short text summary for the UI: hottest nodes (by time when `timing` is given, which is the
+  // side's `btTiming` entry, else by visits) and the dead branches.
+  if (!sideReport?.rounds) return ['（沒有可統計的回合）']
+  const lines = []
+  const timeMs = (node) => Number(timing?.totalMsByPath?.[node.path] ?? 0)
+  const byTime = Boolean(timing?.totalMsByPath)
+  const hot = sideReport.nodes
+    .filter((node) => node.visits > 0)
+    .sort((a, b) => (byTime ? timeMs(b) - timeMs(a) : b.visits - a.visits))
+    .slice(0, top)
+  lines.push(`${byTime ? '最耗時' : '最常執行'}（${sideReport.rounds} 回合）：`)
+  for (const node of hot) {
+    const time = byTime ? `${timeMs(node)}ms，` : ''
+    lines.push(
+      `  ${node.name} ${node.path}: ${time}${node.visits} 次（S${node.success}/F${node.failure}/R${node.running}）`,
+    )
+  }
+  lines.push(`從未執行：${sideReport.deadPaths.length} 個節點`)
+  for (const path of sideReport.deadPaths.slice(0, 20)) {
+    const node = sideReport.nodes.find((entry) => entry.path === path)
+    lines.push(`  ${node?.name ?? '?'} ${path}`)
+  }
+  if (sideReport.deadPaths.length > 20) lines.push(`  …（另有 ${sideReport.deadPaths.length - 20} 個）`)
+  return lines
+}
+
+function computeSideProfile(rounds, side, tree) {
+  if (!tree || !Array.isArray(tree.nodes)) return null
+
+  const totals = new Map()
+  let counted = 0
+  for (const round of rounds) {
+    const profile = round?.btProfile?.[side]
+    if (!profile || round?.btHashes?.[side] !== tree.hash) continue
+    counted += 1
+    for (const [path, counters] of Object.entries(profile)) {
+      const sum = totals.get(path) ?? [0, 0, 0, 0]
+      for (let i = 0; i < sum.length; i += 1) sum[i] += Number(counters?.[i] ?? 0)
+      totals.set(path, sum)
+    }
+  }
+
+  const nodes = tree.nodes.map((node) => {
+    const [visits, success, failure, running] = totals.get(node.path) ?? [0, 0, 0, 0]
+    return {
+      ...node,
+      visits,
+      success,
+      failure,
+      running,
+      visitsPerRound: counted ? Math.round((visits / counted) * 100) / 100 : null,
+    }
+  })
+
+  return {
+    hash: tree.hash ?? null,
+    rounds: counted,
+    nodes,
+    deadPaths: counted ? nodes.filter((node) => node.visits === 0).map((node) => node.path) : [],
+  }
+}
+
+function roundMs(ms) {
+  // Microsecond precision, same as trace entries.
+  return Math.round(ms * 1000) / 1000
+}
@@ -0,0 +1,38 @@
+// Map a BT trace (`BotAgent.lastTrace`) back onto the BT JSON (used by the BT Lab sandbox).
+//
+// Every trace entry carries its node's instance `path` (see "Node identity" in runtime.js), e.g.
+// 'root.1>defs.recovery.0'. The last '>' segment is the node's position inside one tree (root or
+// a def), which is exactly how the graphical editor addresses nodes.
+//
+// Nodes inside a def that is referenced more than once share one editor node; the entry ticked
+// last wins (the trace is post-order, so that is the most recent status).
+//
+// Output: `{ [tab]: { [pathKey]: status } }`
+// - tab is 'root' or a subtree def name (matches the tabs in BtTreeEditor)
+// - pathKey comes from btJsonEdit.js ('root', '0', '0.2', ...)
+//
+// This module must NOT import Phaser.
+
+import { isBtDocument, parseBtNodePath } from './runtime.js'
+import { getNodeAt, pathKey } from './btJsonEdit.js'
+
+export function matchBtTraceToJson(json, trace) {
+  const result = {}
+  if (!json || typeof json !== 'object' || !Array.isArray(trace) || !trace.length) return result
+
+  const defs = isBtDocument(json) && json.defs && typeof json.defs === 'object' ? json.defs : {}
+  const root = isBtDocument(json) ? json.root : json
+
+  for (const entry of trace) {
+    const location = parseBtNodePath(entry?.path)
+    if (!location) continue
+
+    // Skip positions that do not exist in this JSON (e.g. a trace of the previous tree right after an edit).
+    const tree = location.tree === 'root' ? root : defs[location.tree]
+    if (!tree || !getNodeAt(tree, location.indices)) continue
+
+    const byPath = result[location.tree] ?? (result[location.tree] = {})
+    byPath[pathKey(location.indices)] = entry.status
+  }
+  return result
+}
@@ -0,0 +1,228 @@
+// JSON parser that remembers where every value starts in the source text (used by the BT Lab).
+//
+// Why not JSON.parse?
+// - JSON.parse only says "Unexpected token at position 812" (and the wording differs per browser).
+// - Validation/lint issues are reported by JSON path (`children[3].params.ms`); to put a marker
+//   on the right line we need path => source offset for the whole document.
+//
+// Output of parseJsonSourceMap(text):
+//   { ok: true,  value, positions, lineStarts }
+//   { ok: false, value: null, positions, lineStarts, error: { message, offset, line, column } }
+// - `positions` maps a formatted path ('' for the top level, 'root.children[0]', ...) to the
+//   offset where that value starts. Paths use the same format as validation errors.
+// - line/column are 1-based.
+//
+// The grammar is plain RFC 8259 JSON, so anything JSON.parse accepts parses the same here.
+//
+// This module must NOT import Phaser.
+
+import { formatZodPath } from './validateBtJson.js'
+
+export function parseJsonSourceMap(text) {
+  const state = { text: String(text ?? ''), offset: 0, positions: new Map() }
+  const lineStarts = computeLineStarts(state.text)
+
+  try {
+    skipWhitespace(state)
+    const value = parseValue(state, [])
+    skipWhitespace(state)
+    if (state.offset < state.text.length) fail(state, `Unexpected ${describeChar(state)} after the JSON value`)
+    return { ok: true, value, positions: state.positions, lineStarts }
+  } catch (error) {
+    if (!(error instanceof JsonSourceSyntaxError)) throw error
+    return {
+      ok: false,
+      value: null,
+      positions: state.positions,
+      lineStarts,
+      error: { message: error.message, offset: error.offset, ...offsetToLineColumn(lineStarts, error.offset) },
+    }
+  }
+}
+
+export function locateJsonPath(sourceMap, path) {
+  // Source position for a formatted path. Paths that do not exist in the text (e.g. a missing
+  // required param) fall back to the closest ancestor that does. Returns null without a source map.
+  if (!sourceMap?.positions) return null
+  let current = String(path ?? '')
+  for (;;) {
+    if (sourceMap.positions.has(current)) {
+      const offset = sourceMap.positions.get(current)
+      return { offset, ...offsetToLineColumn(sourceMap.lineStarts, offset) }
+    }
+    if (!current) return null
+    current = parentPath(current)
+  }
+}
+
+export function offsetToLineColumn(lineStarts, offset) {
+  // Binary search for the last line that starts at or before `offset`.
+  let low = 0
+  let high = lineStarts.length - 1
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2)
+    if (lineStarts[mid] <= offset) low = mid
+    else high = mid - 1
+  }
+  return { line: low + 1, column: offset - lineStarts[low] + 1 }
+}
+
+class JsonSourceSyntaxError extends Error {
+  constructor(message, offset) {
+    super(message)
+    this.name = 'JsonSourceSyntaxError'
+    this.offset = offset
+  }
+}
+
+function parseValue(state, path) {
+  state.positions.set(formatZodPath(path), state.offset)
+  const ch = state.text[state.offset]
+
+  if (ch === '{') return parseObject(state, path)
+  if (ch === '[') return parseArray(state, path)
+  if (ch === '"') return parseString(state)
+  if (ch === '-' || (ch >= '0' && ch <= '9')) return parseNumber(state)
+  if (state.text.startsWith('true', state.offset)) return consumeLiteral(state, 'true', true)
+  if (state.text.startsWith('false', state.offset)) return consumeLiteral(state, 'false', false)
+  if (state.text.startsWith('null', state.offset)) return consumeLiteral(state, 'null', null)
+  return fail(state, ch === undefined ? 'Unexpected end of JSON input' : `Unexpected ${describeChar(state)}`)
+}
+
+function parseObject(state, path) {
+  const object = {}
+  state.offset += 1
+  skipWhitespace(state)
+  if (state.text[state.offset] === '}') {
+    state.offset += 1
+    return object
+  }
+
+  for (;;) {
+    if (state.text[state.offset] !== '"') fail(state, `Expected a property name in double quotes, got ${describeChar(state)}`)
+    const key = parseString(state)
+    skipWhitespace(state)
+    if (state.text[state.offset] !== ':') fail(state, `Expected ':' after property name, got ${describeChar(state)}`)
+    state.offset += 1
+    skipWhitespace(state)
+
+    // defineProperty keeps keys like "__proto__" as plain data (same as JSON.parse).
+    const value = parseValue(state, [...path, key])
+    Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true })
+
+    skipWhitespace(state)
+    const ch = state.text[state.offset]
+    if (ch === '}') {
+      state.offset += 1
+      return object
+    }
+    if (ch !== ',') fail(state, `Expected ',' or '}' after property value, got ${describeChar(state)}`)
+    state.offset += 1
+    skipWhitespace(state)
+    if (state.text[state.offset] === '}') fail(state, 'Trailing comma before }')
+  }
+}
+
+function parseArray(state, path) {
+  const array = []
+  state.offset += 1
+  skipWhitespace(state)
+  if (state.text[state.offset] === ']') {
+    state.offset += 1
+    return array
+  }
+
+  for (;;) {
+    array.push(parseValue(state, [...path, array.length]))
+    skipWhitespace(state)
+    const ch = state.text[state.offset]
+    if (ch === ']') {
+      state.offset += 1
+      return array
+    }
+    if (ch !== ',') fail(state, `Expected ',' or ']' after array element, got ${describeChar(state)}`)
+    state.offset += 1
+    skipWhitespace(state)
+    if (state.text[state.offset] === ']') fail(state, 'Trailing comma before ]')
+  }
+}
+
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' }
+
+function parseString(state) {
+  const start = state.offset
+  state.offset += 1
+  let out = ''
+
+  for (;;) {
+    const ch = state.text[state.offset]
+    if (ch === undefined) fail(state, 'Unterminated string', start)
+    if (ch === '"') {
+      state.offset += 1
+      return out
+    }
+    if (ch < ' ') fail(state, 'Bad control character in string (use \\n, \\t, ...)')
+
+    if (ch !== '\\') {
+      out += ch
+      state.offset += 1
+      continue
+    }
+
+    const escape = state.text[state.offset + 1]
+    if (escape === 'u') {
+      const hex = state.text.slice(state.offset + 2, state.offset + 6)
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) fail(state, 'Bad Unicode escape in string')
+      out += String.fromCharCode(parseInt(hex, 16))
+      state.offset += 6
+      continue
+    }
+    if (!Object.prototype.hasOwnProperty.call(ESCAPES, escape)) fail(state, 'Bad escaped character in string')
+    out += ESCAPES[escape]
+    state.offset += 2
+  }
+}
+
+const NUMBER_PATTERN = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y
+
+function parseNumber(state) {
+  NUMBER_PATTERN.lastIndex = state.offset
+  const match = NUMBER_PATTERN.exec(state.text)
+  if (!match) fail(state, 'Invalid number')
+  state.offset += match[0].length
+  return Number(match[0])
+}
+
+function consumeLiteral(state, word, value) {
+  state.offset += word.length
+  return value
+}
+
+function skipWhitespace(state) {
+  while (state.offset < state.text.length) {
+    const ch = state.text[state.offset]
+    if (ch !== ' ' && ch !== '\n' && ch !== '\r' && ch !== '\t') return
+    state.offset += 1
+  }
+}
+
+function describeChar(state) {
+  const ch = state.text[state.offset]
+  return ch === undefined ? 'end of input' : `token ${JSON.stringify(ch)}`
+}
+
+function fail(state, message, offset = state.offset) {
+  throw new JsonSourceSyntaxError(message, offset)
+}
+
+function computeLineStarts(text) {
+  const starts = [0]
+  for (let i = 0; i < text.length; i += 1) if (text[i] === '\n') starts.push(i + 1)
+  return starts
+}
+
+function parentPath(path) {
+  // 'a.b[2]' => 'a.b' => 'a' => ''
+  const match = /(?:\.[^.[\]]+|\[\d+\])$/.exec(path)
+  return match ? path.slice(0, match.index) : ''
+}
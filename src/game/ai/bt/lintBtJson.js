@@ -0,0 +1,298 @@
+// Semantic lint for BT JSON (runs after / next to the Zod schema validation).
+//
+// Why a separate pass?
+// - The schema answers "will this tree load?"; lint answers "does this tree do what you think?".
+// - A tree can be perfectly valid and still have dead branches, e.g. a Selector whose first child
+//   can never fail, so every later child is unreachable.
+// - Lint results never block saving; they are hints with a severity.
+//
+// Issue shape:
+//   { severity: 'warning' | 'info', rule: 'unreachable-child', path: 'root.children[2]', message }
+// Paths use the same format as validation errors (`children[1].params.ms`, `defs.recovery`, ...).
+// The `root.` / `defs.<name>.` prefix only exists for documents (`{ root, defs }`); a bare tree
+// reports `children[2]`, and '' for its root node.
+//
+// Status analysis:
+// - Every node gets the set of statuses it can possibly return (SUCCESS / FAILURE / RUNNING).
+// - Leaves use LEAF_OUTCOMES (kept in sync with the leaf implementations in platformBrawlBt.js).
+// - Composites/decorators derive theirs from their children, following runtime.js semantics.
+//
+// This module must NOT import Phaser.
+
+import { BT_STATUS, DEFAULT_COOLDOWN_MS, DEFAULT_TIMEOUT_MS, isBtDocument } from './runtime.js'
+import { formatZodPath } from './validateBtJson.js'
+
+export const BT_LINT_SEVERITY = {
+  WARNING: 'warning',
+  INFO: 'info',
+}
+
+// The AI decides at 15Hz (see `_aiTickIntervalMs` in BattleScene/HeadlessMatch).
+const AI_TICK_MS = 1000 / 15
+
+const S = BT_STATUS.SUCCESS
+const F = BT_STATUS.FAILURE
+const R = BT_STATUS.RUNNING
+const ALL_STATUSES = [S, F, R]
+
+// Statuses each leaf can return in practice.
+const LEAF_OUTCOMES = {
+  IsOffstage: [S, F],
+  IsTargetAttacking: [S, F],
+  IsTargetRecovering: [S, F],
+  IsTargetInHitstun: [S, F],
+  CanAttack: [S, F],
+  IsInRange: [S, F],
+  BlackboardCompare: [S, F],
+  // Only fails for non-`vars.` paths, which the schema already rejects.
+  BlackboardSet: [S],
+  RecoverToStage: [R],
+  KeepDistance: [S, F, R],
+  Strafe: [S, R],
+  Approach: [S, R],
+  Evade: [S, F],
+  Punish: [S, F, R],
+  MoveToTargetX: [S, R],
+  LightAttack: [S],
+  HeavyAttack: [S],
+  UtilityAttack: [S, F, R],
+}
+
+// Leaves that only read the blackboard. Everything else in LEAF_OUTCOMES writes intents.
+const CONDITION_TYPES = new Set([
+  'IsOffstage',
+  'IsTargetAttacking',
+  'IsTargetRecovering',
+  'IsTargetInHitstun',
+  'CanAttack',
+  'IsInRange',
+  'BlackboardCompare',
+])
+
+const SELECTOR_TYPES = new Set(['Selector', 'MemorySelector'])
+const SEQUENCE_TYPES = new Set(['Sequence', 'MemorySequence'])
+
+export function lintBtJson(json) {
+  // Returns issues in tree order (defs first, then root, like the document itself).
+  if (!json || typeof json !== 'object') return []
+
+  const isDocument = isBtDocument(json)
+  const defs = isDocument && json.defs && typeof json.defs === 'object' ? json.defs : {}
+  const state = { defs, issues: [], outcomeCache: new Map() }
+
+  for (const [name, node] of Object.entries(defs)) lintNode(node, ['defs', name], state)
+  lintNode(isDocument ? json.root : json, isDocument ? ['root'] : [], state)
+
+  if (isDocument) {
+    const used = collectReachableDefs(json.root, defs)
+    for (const name of Object.keys(defs)) {
+      if (used.has(name)) continue
+      report(state, BT_LINT_SEVERITY.INFO, 'unused-def', ['defs', name], `Subtree "${name}" is never referenced from root`)
+    }
+  }
+
+  return state.issues
+}
+
+export function formatBtLintIssues(issues) {
+  // One line per issue, same "path: message" style as validation errors.
+  return issues.map((issue) => `[${issue.severity}] ${issue.path || '(root)'}: ${issue.message}`)
+}
+
+function lintNode(node, path, state) {
+  if (!node || typeof node !== 'object' || typeof node.type !== 'string') return
+  const children = Array.isArray(node.children) ? node.children : []
+  const params = node.params && typeof node.params === 'object' ? node.params : {}
+
+  if (SELECTOR_TYPES.has(node.type) || SEQUENCE_TYPES.has(node.type)) {
+    // A Selector moves on only when a child FAILS; a Sequence only when a child SUCCEEDS.
+    const proceedOn = SELECTOR_TYPES.has(node.type) ? F : S
+    const stopIndex = children.findIndex((child) => !getOutcomes(child, state).has(proceedOn))
+    if (stopIndex >= 0 && stopIndex < children.length - 1) {
+      const blocker = children[stopIndex]
+      const outcomes = [...getOutcomes(blocker, state)].join('/')
+      report(
+        state,
+        BT_LINT_SEVERITY.WARNING,
+        'unreachable-child',
+        [...path, 'children', stopIndex + 1],
+        `Unreachable: children[${stopIndex}] (${blocker.type}) only returns ${outcomes}, so ${node.type} never gets past it`,
+      )
+    }
+
+    if (children.length === 1) {
+      report(state, BT_LINT_SEVERITY.INFO, 'single-child', path, `${node.type} with a single child can be replaced by that child`)
+    }
+  }
+
+  // Cooldown/Timeout: lint the value the runtime uses (its default when `params.ms` is missing).
+  const msPath = 'ms' in params ? [...path, 'params', 'ms'] : path
+
+  if (node.type === 'Cooldown') {
+    const cooldownMs = Number(params.ms ?? DEFAULT_COOLDOWN_MS)
+    if (!(cooldownMs > AI_TICK_MS)) {
+      report(
+        state,
+        BT_LINT_SEVERITY.WARNING,
+        'short-cooldown',
+        msPath,
+        `Cooldown of ${cooldownMs}ms never blocks (the AI only ticks every ~${Math.round(AI_TICK_MS)}ms)`,
+      )
+    }
+  }
+
+  if (node.type === 'Timeout') {
+    const timeoutMs = Number(params.ms ?? DEFAULT_TIMEOUT_MS)
+    if (!(timeoutMs > AI_TICK_MS)) {
+      report(
+        state,
+        BT_LINT_SEVERITY.WARNING,
+        'short-timeout',
+        msPath,
+        `Timeout of ${timeoutMs}ms expires before the next AI tick, so the child can never keep RUNNING`,
+      )
+    }
+  }
+
+  if (node.type === 'Inverter') {
+    // Any action under the Inverter (directly, inside a Sequence/Selector, or in a SubTree).
+    const actions = [...collectInvertedActions(children[0], state.defs)]
+    if (actions.length) {
+      report(
+        state,
+        BT_LINT_SEVERITY.WARNING,
+        'inverted-action',
+        path,
+        `Inverter wraps the action${actions.length > 1 ? 's' : ''} ${actions.join(', ')}; actions still run, only the result is flipped (use ForceFailure/Succeeder, or invert a condition)`,
+      )
+    }
+  }
+
+  children.forEach((child, index) => lintNode(child, [...path, 'children', index], state))
+}
+
+function getOutcomes(node, state, stack = []) {
+  // Set of statuses `node` can return. Unknown nodes (or SubTree cycles) may return anything.
+  if (!node || typeof node !== 'object') return new Set(ALL_STATUSES)
+  const cached = state.outcomeCache.get(node)
+  if (cached) return cached
+
+  const outcomes = computeOutcomes(node, state, stack)
+  state.outcomeCache.set(node, outcomes)
+  return outcomes
+}
+
+function computeOutcomes(node, state, stack) {
+  const type = node.type
+  const children = Array.isArray(node.children) ? node.children : []
+  const childOutcomes = (child) => getOutcomes(child, state, stack)
+
+  if (LEAF_OUTCOMES[type]) return new Set(LEAF_OUTCOMES[type])
+
+  if (SELECTOR_TYPES.has(type) || SEQUENCE_TYPES.has(type)) {
+    // Walk children while the composite can still move on; stop at the first child that cannot.
+    const proceedOn = SELECTOR_TYPES.has(type) ? F : S
+    const outcomes = new Set()
+    let passedAll = true
+    for (const child of children) {
+      const set = childOutcomes(child)
+      for (const status of set) if (status !== proceedOn) outcomes.add(status)
+      if (!set.has(proceedOn)) {
+        passedAll = false
+        break
+      }
+    }
+    if (passedAll) outcomes.add(proceedOn)
+    return outcomes
+  }
+
+  if (type === 'RandomSelector' || type === 'UtilitySelector') {
+    // Any order: SUCCESS/RUNNING if some child can, FAILURE only if every child can fail.
+    const outcomes = new Set()
+    let allCanFail = true
+    for (const child of children) {
+      const set = childOutcomes(child)
+      if (set.has(S)) outcomes.add(S)
+      if (set.has(R)) outcomes.add(R)
+      if (!set.has(F)) allCanFail = false
+    }
+    if (allCanFail) outcomes.add(F)
+    return outcomes
+  }
+
+  if (type === 'SubTree') {
+    const ref = String(node.params?.ref ?? '')
+    const def = state.defs[ref]
+    if (!def || stack.includes(ref)) return new Set(ALL_STATUSES)
+    return getOutcomes(def, state, [...stack, ref])
+  }
+
+  const child = children[0]
+  const inner = child ? childOutcomes(child) : new Set(ALL_STATUSES)
+
+  if (type === 'Inverter') return mapOutcomes(inner, { [S]: F, [F]: S })
+  if (type === 'Succeeder') return mapOutcomes(inner, { [F]: S })
+  if (type === 'ForceFailure') return mapOutcomes(inner, { [S]: F })
+
+  if (type === 'Repeat') {
+    // Each child SUCCESS is RUNNING until `count` successes.
+    const outcomes = new Set(inner)
+    if (inner.has(S) && Number(node.params?.count ?? 1) > 1) outcomes.add(R)
+    return outcomes
+  }
+
+  if (type === 'Retry') {
+    const outcomes = new Set(inner)
+    if (inner.has(F) && Number(node.params?.attempts ?? 1) > 1) outcomes.add(R)
+    return outcomes
+  }
+
+  if (type === 'Cooldown' || type === 'Timeout' || type === 'Limit') {
+    // These may refuse to run the child (or stop it), which is a FAILURE.
+    return new Set([...inner, F])
+  }
+
+  // Parallel (and anything unknown): too policy-dependent to narrow down.
+  return new Set(ALL_STATUSES)
+}
+
+function mapOutcomes(outcomes, mapping) {
+  return new Set([...outcomes].map((status) => mapping[status] ?? status))
+}
+
+function collectInvertedActions(node, defs, found = new Set(), stack = []) {
+  // Action leaf types in a subtree. Nested Inverters are skipped: they get their own warning.
+  if (!node || typeof node !== 'object' || node.type === 'Inverter') return found
+  if (LEAF_OUTCOMES[node.type] && !CONDITION_TYPES.has(node.type)) found.add(node.type)
+
+  if (node.type === 'SubTree') {
+    const ref = String(node.params?.ref ?? '')
+    if (Object.prototype.hasOwnProperty.call(defs, ref) && !stack.includes(ref)) {
+      collectInvertedActions(defs[ref], defs, found, [...stack, ref])
+    }
+  }
+  for (const child of Array.isArray(node.children) ? node.children : []) collectInvertedActions(child, defs, found, stack)
+  return found
+}
+
+function collectReachableDefs(root, defs) {
+  // Defs referenced from root, directly or through other defs.
+  const used = new Set()
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return
+    if (node.type === 'SubTree') {
+      const ref = String(node.params?.ref ?? '')
+      if (Object.prototype.hasOwnProperty.call(defs, ref) && !used.has(ref)) {
+        used.add(ref)
+        visit(defs[ref])
+      }
+    }
+    for (const child of Array.isArray(node.children) ? node.children : []) visit(child)
+  }
+  visit(root)
+  return used
+}
+
+function report(state, severity, rule, path, message) {
+  state.issues.push({ severity, rule, path: formatZodPath(path), message })
+}
@@ -2,13 +2,50 @@
 //
 // This is intentionally small for MVP:
 // - SUCCESS / FAILURE / RUNNING statuses
-// - Composite nodes: Selector, Sequence
-// - Decorators: Inverter (optional), Cooldown (optional)
+// - Composite nodes: Selector, Sequence, Parallel, RandomSelector, UtilitySelector,
+//   MemorySelector, MemorySequence
+// - Decorators: Inverter, Cooldown, Repeat, Retry, Timeout, Succeeder, ForceFailure, Limit
 // - Leaf nodes: Condition / Action (provided via factories)
+// - Subtrees: SubTree references a named entry in the document's `defs` (see isBtDocument)
 //
 // The most important design choice:
 // - The BT does not directly move physics bodies.
 // - Instead it writes to an "intent" object (move/jump/attack), which the Fighter executes.
+//
+// Node state:
+// - The tree is re-evaluated from the root every AI tick (no "running node" pointer).
+// - Nodes that need memory (timers, counters, running flags) keep it in `ctx.nodeMemory`,
+//   a per-agent WeakMap owned by BotAgent, so left/right agents never share timers
+//   even if they tick the same tree instance.
+//
+// Lifecycle (onEnter / onExit / onAbort):
+// - A node "activation" starts on the first tick after it was not RUNNING (onEnter) and ends
+//   when it returns SUCCESS/FAILURE (onExit) or when it is aborted (onAbort).
+// - A node is aborted when its parent finishes a tick without ticking it while it was RUNNING
+//   (a higher-priority sibling took over, a decorator stopped ticking it, ...).
+//   Aborts propagate down to running descendants, so leaves can drop stale plans.
+//
+// Reactive vs memory composites:
+// - Selector / Sequence are reactive: every tick restarts from child 0, so a higher-priority
+//   child always preempts (and aborts) a running lower-priority one.
+// - MemorySelector / MemorySequence resume from the RUNNING child. Earlier children are only
+//   re-checked if they opt in via the node-level `abort` field (see ABORT_MODE).
+// - Randomness comes from `ctx.rng` (seeded per agent from the match seed + side, see BotAgent),
+//   never Math.random, so benchmark runs with the same seeds stay reproducible.
+//
+// Node identity (set by buildBtTreeFromJson, shown in every trace entry):
+// - jsonPath: where the node is in the JSON, e.g. 'root', 'root.2.0', 'defs.recovery.1'
+//   (child indices joined by '.'; subtree defs start at 'defs.<name>').
+// - id: the node's explicit JSON `id` field, or its jsonPath. Stable across rebuilds.
+// - path: unique per node instance. A def referenced twice is built twice, so nodes inside
+//   a subtree get the referencing SubTree's path as a prefix: 'root.1>defs.recovery.0'.
+// - depth: 0 for the root, +1 per child (SubTree -> def root included).
+//
+// Trace entries: `{ id, path, depth, name, status, durationMs, subtree? }`, pushed in post-order
+// (children before their parent). durationMs is wall-clock time including children.
+
+import { compileScoreExpression } from './scoreExpression.js'
+import { createSeededRng } from '../../sim/seededRandom.js'
 
 export const BT_STATUS = {
   SUCCESS: 'SUCCESS',
@@ -16,23 +53,117 @@ export const BT_STATUS = {
   RUNNING: 'RUNNING',
 }
 
-// Base node class with trace support.
+// Observer aborts (node-level `abort` field in BT JSON), checked by memory composites:
+// - self: in a MemorySequence, re-check this node every tick while a later sibling is RUNNING;
+//   if it fails, abort the running sibling and fail the sequence.
+// - lowerPriority: in a MemorySelector, re-check this node every tick while a later sibling is
+//   RUNNING; if it no longer fails, abort the running sibling and switch to this node.
+// - both: self + lowerPriority.
+export const ABORT_MODE = {
+  NONE: 'none',
+  SELF: 'self',
+  LOWER_PRIORITY: 'lowerPriority',
+  BOTH: 'both',
+}
+
+// Base node class with trace + lifecycle support.
 export class BtNode {
   constructor(name) {
     this.name = name
+    this.abortMode = ABORT_MODE.NONE
+
+    // Identity (see "Node identity" above); nodes built by hand keep their name as id.
+    this.id = name
+    this.jsonPath = null
+    this.path = name
+    this.depth = 0
+  }
+
+  // Initial per-agent memory for this node (see getNodeMemory).
+  createMemory() {
+    return {}
+  }
+
+  // Direct children (used for abort propagation).
+  getChildren() {
+    if (Array.isArray(this.children)) return this.children
+    return this.child ? [this.child] : []
   }
 
   tick(ctx) {
-    // Run the node and record the result in ctx.trace for explainability.
-    const status = this.run(ctx)
-    if (ctx?.trace) ctx.trace.push({ name: this.name, status })
+    const memory = this._getLifecycleMemory(ctx)
+    const stamp = getTickStamp(ctx)
+    memory.lastTickStamp = stamp
+
+    if (!memory.running) this.onEnter(ctx, memory)
+
+    // Run the node and record the result in ctx.trace (explainability) and ctx.profiler
+    // (per-node benchmark statistics, see btProfiler.js).
+    const timed = Boolean(ctx?.trace || ctx?.profiler)
+    const startedAtMs = timed ? readClockMs() : 0
+    const status = this.run(ctx, memory)
+
+    // Children still RUNNING from an earlier tick that were not ticked now were preempted.
+    for (const child of this.getChildren()) {
+      const childMemory = peekNodeMemory(ctx, child)
+      if (childMemory?.running && childMemory.lastTickStamp !== stamp) child.abort(ctx)
+    }
+
+    if (timed) {
+      const durationMs = readClockMs() - startedAtMs
+      if (ctx.trace) ctx.trace.push(this._createTraceEntry(status, durationMs))
+      if (ctx.profiler) ctx.profiler.record(this, status, durationMs)
+    }
+
+    memory.running = status === BT_STATUS.RUNNING
+    if (!memory.running) this.onExit(ctx, status, memory)
     return status
   }
 
-  // Subclasses implement run(ctx) and return a BT_STATUS value.
+  abort(ctx) {
+    // Stop a RUNNING activation (children first, like unwinding a call stack).
+    const memory = peekNodeMemory(ctx, this)
+    if (!memory?.running) return
+
+    for (const child of this.getChildren()) child.abort(ctx)
+    memory.running = false
+    this.onAbort(ctx, memory)
+    if (ctx?.reasons) ctx.reasons.push(`BT_ABORT:${this.name}`)
+  }
+
+  // Subclasses implement run(ctx, memory) and return a BT_STATUS value.
   run() {
     throw new Error('BtNode.run not implemented')
   }
+
+  // Lifecycle hooks, called as onEnter(ctx, memory) / onExit(ctx, status, memory) / onAbort(ctx, memory).
+  onEnter() {}
+
+  onExit() {}
+
+  onAbort() {}
+
+  _createTraceEntry(status, durationMs) {
+    const entry = {
+      id: this.id,
+      path: this.path,
+      depth: this.depth,
+      name: this.name,
+      status,
+      // Microsecond precision is plenty and keeps exported traces short.
+      durationMs: Math.round(durationMs * 1000) / 1000,
+    }
+    if (this.subtree) entry.subtree = this.subtree
+    return entry
+  }
+
+  _getLifecycleMemory(ctx) {
+    return getNodeMemory(ctx, this, () => ({
+      ...this.createMemory(),
+      running: false,
+      lastTickStamp: null,
+    }))
+  }
 }
 
 export class SelectorNode extends BtNode {
@@ -67,6 +198,254 @@ export class SequenceNode extends BtNode {
   }
 }
 
+// Parallel success/failure policies.
+// - REQUIRE_ONE: the policy is met as soon as one child reports that status
+// - REQUIRE_ALL: the policy is met only when every child reports that status
+export const PARALLEL_POLICY = {
+  REQUIRE_ONE: 'requireOne',
+  REQUIRE_ALL: 'requireAll',
+}
+
+export class ParallelNode extends BtNode {
+  // Ticks *every* child on every tick (no short-circuit), then combines their statuses.
+  //
+  // Typical use: "strafe while waiting for a cooldown", "keep guard while repositioning".
+  // All children write into the same intent; when two children set the same field,
+  // the later child wins, so put the action that should take precedence last.
+  //
+  // Result (failure is checked first):
+  // - failure policy met => FAILURE
+  // - success policy met => SUCCESS
+  // - otherwise RUNNING while any child is RUNNING, else FAILURE
+  //   (nothing is running anymore, so the success policy can never be met this tick)
+  // On SUCCESS/FAILURE, children that are still RUNNING are aborted (onAbort fires), so they
+  // don't keep stale state such as a nav plan into their next activation.
+  constructor({
+    name = 'Parallel',
+    children = [],
+    successPolicy = PARALLEL_POLICY.REQUIRE_ALL,
+    failurePolicy = PARALLEL_POLICY.REQUIRE_ONE,
+  } = {}) {
+    super(name)
+    this.children = children
+    this.successPolicy = successPolicy
+    this.failurePolicy = failurePolicy
+  }
+
+  run(ctx) {
+    let successCount = 0
+    let failureCount = 0
+    const runningChildren = []
+
+    for (const child of this.children) {
+      const status = child.tick(ctx)
+      if (status === BT_STATUS.SUCCESS) successCount += 1
+      else if (status === BT_STATUS.FAILURE) failureCount += 1
+      else runningChildren.push(child)
+    }
+
+    const total = this.children.length
+    let status = runningChildren.length > 0 ? BT_STATUS.RUNNING : BT_STATUS.FAILURE
+    if (isParallelPolicyMet(this.failurePolicy, failureCount, total)) status = BT_STATUS.FAILURE
+    else if (isParallelPolicyMet(this.successPolicy, successCount, total)) status = BT_STATUS.SUCCESS
+
+    if (status !== BT_STATUS.RUNNING) {
+      for (const child of runningChildren) child.abort(ctx)
+    }
+    return status
+  }
+}
+
+function isParallelPolicyMet(policy, count, total) {
+  if (total <= 0) return false
+  if (policy === PARALLEL_POLICY.REQUIRE_ONE) return count >= 1
+  return count === total
+}
+
+// Per-agent memory for a node (see "Node state" above).
+// Falls back to a node-local object when the caller does not provide `ctx.nodeMemory`
+// (e.g. one-off ticks from tooling), which is fine for single-agent use.
+export function getNodeMemory(ctx, node, createMemory) {
+  const store = ctx?.nodeMemory
+  if (store) {
+    let memory = store.get(node)
+    if (!memory) {
+      memory = createMemory()
+      store.set(node, memory)
+    }
+    return memory
+  }
+
+  if (!node._fallbackMemory) node._fallbackMemory = createMemory()
+  return node._fallbackMemory
+}
+
+// Peek at a node's per-agent memory without creating it.
+function peekNodeMemory(ctx, node) {
+  const store = ctx?.nodeMemory
+  if (store) return store.get(node) ?? null
+  return node._fallbackMemory ?? null
+}
+
+export class MemorySelectorNode extends BtNode {
+  // Selector that resumes from the RUNNING child instead of restarting from child 0.
+  // Earlier children with `abort: lowerPriority|both` are still re-checked every tick.
+  constructor({ name = 'MemorySelector', children = [] } = {}) {
+    super(name)
+    this.children = children
+  }
+
+  createMemory() {
+    return { runningIndex: 0 }
+  }
+
+  onEnter(ctx, memory) {
+    memory.runningIndex = 0
+  }
+
+  run(ctx, memory) {
+    for (let i = 0; i < memory.runningIndex; i += 1) {
+      const child = this.children[i]
+      if (!abortsLowerPriority(child)) continue
+
+      const status = child.tick(ctx)
+      if (status !== BT_STATUS.FAILURE) {
+        // The running lower-priority child is not ticked => aborted by BtNode.tick.
+        memory.runningIndex = i
+        return status
+      }
+    }
+
+    for (let i = memory.runningIndex; i < this.children.length; i += 1) {
+      const status = this.children[i].tick(ctx)
+      if (status === BT_STATUS.RUNNING) memory.runningIndex = i
+      if (status !== BT_STATUS.FAILURE) return status
+    }
+    return BT_STATUS.FAILURE
+  }
+}
+
+export class MemorySequenceNode extends BtNode {
+  // Sequence that resumes from the RUNNING child instead of re-running earlier children.
+  // Earlier children with `abort: self|both` are still re-checked every tick (guards).
+  constructor({ name = 'MemorySequence', children = [] } = {}) {
+    super(name)
+    this.children = children
+  }
+
+  createMemory() {
+    return { runningIndex: 0 }
+  }
+
+  onEnter(ctx, memory) {
+    memory.runningIndex = 0
+  }
+
+  run(ctx, memory) {
+    for (let i = 0; i < memory.runningIndex; i += 1) {
+      const child = this.children[i]
+      if (!abortsSelf(child)) continue
+
+      // Guard failed => the running child is not ticked => aborted by BtNode.tick.
+      if (child.tick(ctx) === BT_STATUS.FAILURE) return BT_STATUS.FAILURE
+    }
+
+    for (let i = memory.runningIndex; i < this.children.length; i += 1) {
+      const status = this.children[i].tick(ctx)
+      if (status === BT_STATUS.RUNNING) memory.runningIndex = i
+      if (status !== BT_STATUS.SUCCESS) return status
+    }
+    return BT_STATUS.SUCCESS
+  }
+}
+
+export class RandomSelectorNode extends BtNode {
+  // Weighted random Selector: on each activation, draw a child order by weighted sampling
+  // (without replacement), then behave like a Selector over that order.
+  // The order is kept while the node is RUNNING so a running branch is not reshuffled every tick.
+  //
+  // `weights[i]` is `(blackboard) => number`; children with weight <= 0 are skipped.
+  constructor({ name = 'RandomSelector', children = [], weights = [] } = {}) {
+    super(name)
+    this.children = children
+    this.weights = weights
+  }
+
+  createMemory() {
+    return { order: [] }
+  }
+
+  onEnter(ctx, memory) {
+    const rng = getAgentRng(ctx, this)
+    const pool = this.children.map((_, index) => ({
+      index,
+      weight: this.weights[index] ? this.weights[index](ctx?.blackboard) : 1,
+    }))
+
+    const order = []
+    let remaining = pool.filter((entry) => entry.weight > 0)
+    while (remaining.length) {
+      const total = remaining.reduce((sum, entry) => sum + entry.weight, 0)
+      let roll = rng() * total
+      let pickAt = remaining.length - 1
+      for (let i = 0; i < remaining.length; i += 1) {
+        roll -= remaining[i].weight
+        if (roll < 0) {
+          pickAt = i
+          break
+        }
+      }
+      order.push(remaining[pickAt].index)
+      remaining = remaining.filter((_, i) => i !== pickAt)
+    }
+    memory.order = order
+  }
+
+  run(ctx, memory) {
+    return tickInOrder(this.children, memory.order, ctx)
+  }
+}
+
+export class UtilitySelectorNode extends BtNode {
+  // Utility Selector: on each activation, score every child from the blackboard and try
+  // them highest score first (ties keep JSON order). Children scoring <= 0 are skipped.
+  // Like RandomSelector, the order is kept while RUNNING to avoid flip-flopping between branches.
+  constructor({ name = 'UtilitySelector', children = [], scores = [] } = {}) {
+    super(name)
+    this.children = children
+    this.scores = scores
+  }
+
+  createMemory() {
+    return { order: [] }
+  }
+
+  onEnter(ctx, memory) {
+    memory.order = this.children
+      .map((_, index) => ({ index, score: this.scores[index] ? this.scores[index](ctx?.blackboard) : 0 }))
+      .filter((entry) => entry.score > 0)
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map((entry) => entry.index)
+  }
+
+  run(ctx, memory) {
+    return tickInOrder(this.children, memory.order, ctx)
+  }
+}
+
+export class SubTreeNode extends BtNode {
+  // Transparent wrapper around a `defs` entry: returns the child's status unchanged.
+  constructor({ name = 'SubTree', ref, child } = {}) {
+    super(name)
+    this.ref = ref
+    this.child = child
+  }
+
+  run(ctx) {
+    return this.child.tick(ctx)
+  }
+}
+
 export class InverterNode extends BtNode {
   constructor({ name = 'Inverter', child } = {}) {
     super(name)
@@ -81,48 +460,239 @@ export class InverterNode extends BtNode {
   }
 }
 
+// Defaults for a missing `params.ms` (also used by lintBtJson, so lint checks the effective value).
+export const DEFAULT_COOLDOWN_MS = 250
+export const DEFAULT_TIMEOUT_MS = 1000
+
 export class CooldownNode extends BtNode {
-  constructor({ name = 'Cooldown', child, cooldownMs = 250 } = {}) {
+  constructor({ name = 'Cooldown', child, cooldownMs = DEFAULT_COOLDOWN_MS } = {}) {
     super(name)
     this.child = child
     this.cooldownMs = cooldownMs
+  }
 
-    // Store last success time on the node instance.
-    // IMPORTANT: do not share a single BT tree instance between multiple agents,
-    // otherwise cooldown state would leak across agents.
-    this._lastSuccessAtMs = -Infinity
+  createMemory() {
+    // Last success time lives in per-agent memory so agents never share cooldowns.
+    return { lastSuccessAtMs: -Infinity }
   }
 
-  run(ctx) {
+  run(ctx, memory) {
     const nowMs = ctx?.nowMs ?? 0
 
     // If we are still within cooldown, fail fast.
-    if (nowMs - this._lastSuccessAtMs < this.cooldownMs) return BT_STATUS.FAILURE
+    if (nowMs - memory.lastSuccessAtMs < this.cooldownMs) return BT_STATUS.FAILURE
 
     const status = this.child.tick(ctx)
 
     // Only start cooldown when the child succeeds (common pattern).
-    if (status === BT_STATUS.SUCCESS) this._lastSuccessAtMs = nowMs
+    if (status === BT_STATUS.SUCCESS) memory.lastSuccessAtMs = nowMs
 
     return status
   }
 }
 
+export class RepeatNode extends BtNode {
+  // Run the child until it has succeeded `count` times (one success per tick at most).
+  // RUNNING between repetitions; FAILURE as soon as the child fails.
+  constructor({ name = 'Repeat', child, count = 2 } = {}) {
+    super(name)
+    this.child = child
+    this.count = count
+  }
+
+  onEnter(ctx, memory) {
+    memory.successes = 0
+  }
+
+  run(ctx, memory) {
+    const status = this.child.tick(ctx)
+    if (status !== BT_STATUS.SUCCESS) return status
+
+    memory.successes += 1
+    return memory.successes >= this.count ? BT_STATUS.SUCCESS : BT_STATUS.RUNNING
+  }
+}
+
+export class RetryNode extends BtNode {
+  // Give the child up to `attempts` tries (one per tick). RUNNING while retrying;
+  // FAILURE only after the last attempt fails.
+  constructor({ name = 'Retry', child, attempts = 3 } = {}) {
+    super(name)
+    this.child = child
+    this.attempts = attempts
+  }
+
+  onEnter(ctx, memory) {
+    memory.failures = 0
+  }
+
+  run(ctx, memory) {
+    const status = this.child.tick(ctx)
+    if (status !== BT_STATUS.FAILURE) return status
+
+    memory.failures += 1
+    return memory.failures >= this.attempts ? BT_STATUS.FAILURE : BT_STATUS.RUNNING
+  }
+}
+
+export class TimeoutNode extends BtNode {
+  // Let the child keep RUNNING for at most `timeoutMs`, then FAILURE (the child is not ticked).
+  // The timer starts when the activation starts, so the next activation gets a fresh budget.
+  constructor({ name = 'Timeout', child, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    super(name)
+    this.child = child
+    this.timeoutMs = timeoutMs
+  }
+
+  onEnter(ctx, memory) {
+    memory.startedAtMs = ctx?.nowMs ?? 0
+  }
+
+  run(ctx, memory) {
+    const nowMs = ctx?.nowMs ?? 0
+    if (nowMs - memory.startedAtMs >= this.timeoutMs) return BT_STATUS.FAILURE
+    return this.child.tick(ctx)
+  }
+}
+
+export class SucceederNode extends BtNode {
+  // SUCCESS whatever the child returns (RUNNING passes through), so a Sequence can continue.
+  constructor({ name = 'Succeeder', child } = {}) {
+    super(name)
+    this.child = child
+  }
+
+  run(ctx) {
+    const status = this.child.tick(ctx)
+    return status === BT_STATUS.RUNNING ? BT_STATUS.RUNNING : BT_STATUS.SUCCESS
+  }
+}
+
+export class ForceFailureNode extends BtNode {
+  // FAILURE whatever the child returns (RUNNING passes through), so a Selector keeps looking.
+  constructor({ name = 'ForceFailure', child } = {}) {
+    super(name)
+    this.child = child
+  }
+
+  run(ctx) {
+    const status = this.child.tick(ctx)
+    return status === BT_STATUS.RUNNING ? BT_STATUS.RUNNING : BT_STATUS.FAILURE
+  }
+}
+
+export class LimitNode extends BtNode {
+  // Allow at most `max` activations of the child, either for the agent's lifetime
+  // or within a sliding `windowMs` window. Over the limit => FAILURE without ticking the child.
+  constructor({ name = 'Limit', child, max = 1, windowMs = null } = {}) {
+    super(name)
+    this.child = child
+    this.max = max
+    this.windowMs = windowMs
+  }
+
+  createMemory() {
+    // Start times of past activations (persist across activations).
+    return { startedAtMs: [], blocked: false }
+  }
+
+  onEnter(ctx, memory) {
+    const nowMs = ctx?.nowMs ?? 0
+    if (Number.isFinite(this.windowMs) && this.windowMs > 0) {
+      memory.startedAtMs = memory.startedAtMs.filter((t) => nowMs - t < this.windowMs)
+    }
+
+    memory.blocked = memory.startedAtMs.length >= this.max
+    if (!memory.blocked) memory.startedAtMs.push(nowMs)
+  }
+
+  run(ctx, memory) {
+    if (memory.blocked) return BT_STATUS.FAILURE
+    return this.child.tick(ctx)
+  }
+}
+
 export class LeafNode extends BtNode {
-  constructor({ name, fn }) {
+  // Optional lifecycle callbacks let leaves reset their own blackboard state,
+  // e.g. drop a navigation plan when a higher-priority branch aborts the leaf.
+  constructor({ name, fn, onEnter, onExit, onAbort }) {
     super(name)
     this._fn = fn
+    this._onEnter = onEnter
+    this._onExit = onExit
+    this._onAbort = onAbort
   }
 
   run(ctx) {
     return this._fn(ctx)
   }
+
+  onEnter(ctx) {
+    if (this._onEnter) this._onEnter(ctx)
+  }
+
+  onExit(ctx, status) {
+    if (this._onExit) this._onExit(ctx, status)
+  }
+
+  onAbort(ctx) {
+    if (this._onAbort) this._onAbort(ctx)
+  }
+}
+
+// Split a node `path` (or `jsonPath`) into the tree it lives in and its child indices:
+//   'root.2.0'              => { tree: 'root', indices: [2, 0] }
+//   'root.1>defs.recovery.0' => { tree: 'recovery', indices: [0] }  (only the last '>' segment counts)
+// Returns null for paths that were not produced by buildBtTreeFromJson.
+export function parseBtNodePath(path) {
+  const segment = String(path ?? '').split('>').pop()
+  const match = /^(?:root|defs\.([A-Za-z_][A-Za-z0-9_-]*))((?:\.\d+)*)$/.exec(segment)
+  if (!match) return null
+  const indices = match[2] ? match[2].slice(1).split('.').map(Number) : []
+  return { tree: match[1] ?? 'root', indices }
+}
+
+// BT JSON comes in two shapes:
+// - a single node `{ type, params?, children? }` (the original format), or
+// - a document `{ defs: { name: node }, root: node }` where `SubTree` nodes reference `defs`.
+export function isBtDocument(json) {
+  return Boolean(json && typeof json === 'object' && !('type' in json) && 'root' in json)
 }
 
 // Build a BT tree from JSON.
-// - json must be an object with at least `{ type: string }`
+// - json must be a node with at least `{ type: string }`, or a document (see isBtDocument)
 // - leafFactories maps leaf `type` to a function that returns a BtNode
 export function buildBtTreeFromJson(json, leafFactories) {
+  if (isBtDocument(json)) {
+    const defs = json.defs && typeof json.defs === 'object' ? json.defs : {}
+    return buildNodeFromJson(json.root, leafFactories, { defs, stack: [], ...ROOT_POSITION })
+  }
+  return buildNodeFromJson(json, leafFactories, { defs: {}, stack: [], ...ROOT_POSITION })
+}
+
+// Where the root node sits (see "Node identity" at the top of this file).
+const ROOT_POSITION = { jsonPath: 'root', path: 'root', depth: 0 }
+
+function buildNodeFromJson(json, leafFactories, scope) {
+  const node = createNodeFromJson(json, leafFactories, scope)
+
+  node.jsonPath = scope.jsonPath
+  node.id = typeof json.id === 'string' && json.id ? json.id : scope.jsonPath
+  node.path = scope.path
+  node.depth = scope.depth
+
+  // Any node may opt into observer aborts (only memory composites act on it).
+  if (json.abort != null) {
+    if (!Object.values(ABORT_MODE).includes(json.abort)) throw new Error(`Unknown abort mode: "${json.abort}"`)
+    node.abortMode = json.abort
+  }
+
+  // Remember which subtree definition this node was built from (shown in the trace).
+  if (scope.stack.length) node.subtree = scope.stack.join('/')
+  return node
+}
+
+function createNodeFromJson(json, leafFactories, scope) {
   if (!json || typeof json !== 'object') throw new Error('BT JSON root must be an object')
   if (typeof json.type !== 'string') throw new Error('BT JSON node must have string "type"')
 
@@ -134,14 +704,85 @@ export function buildBtTreeFromJson(json, leafFactories) {
   if (type === 'Selector') {
     return new SelectorNode({
       name: 'Selector',
-      children: childrenJson.map((child) => buildBtTreeFromJson(child, leafFactories)),
+      children: childrenJson.map((child, index) => buildNodeFromJson(child, leafFactories, childScope(scope, index))),
     })
   }
 
   if (type === 'Sequence') {
     return new SequenceNode({
       name: 'Sequence',
-      children: childrenJson.map((child) => buildBtTreeFromJson(child, leafFactories)),
+      children: childrenJson.map((child, index) => buildNodeFromJson(child, leafFactories, childScope(scope, index))),
+    })
+  }
+
+  if (type === 'MemorySelector') {
+    return new MemorySelectorNode({
+      name: 'MemorySelector',
+      children: childrenJson.map((child, index) => buildNodeFromJson(child, leafFactories, childScope(scope, index))),
+    })
+  }
+
+  if (type === 'MemorySequence') {
+    return new MemorySequenceNode({
+      name: 'MemorySequence',
+      children: childrenJson.map((child, index) => buildNodeFromJson(child, leafFactories, childScope(scope, index))),
+    })
+  }
+
+  if (type === 'Parallel') {
+    const successPolicy = params.success ?? PARALLEL_POLICY.REQUIRE_ALL
+    const failurePolicy = params.failure ?? PARALLEL_POLICY.REQUIRE_ONE
+    return new ParallelNode({
+      // Short policy labels keep the trace readable, e.g. "Parallel(success:one,failure:all)".
+      name: `Parallel(success:${formatParallelPolicy(successPolicy)},failure:${formatParallelPolicy(failurePolicy)})`,
+      successPolicy,
+      failurePolicy,
+      children: childrenJson.map((child, index) => buildNodeFromJson(child, leafFactories, childScope(scope, index))),
+    })
+  }
+
+  if (type === 'RandomSelector') {
+    const weightsJson = Array.isArray(params.weights) ? params.weights : null
+    if (weightsJson && weightsJson.length !== childrenJson.length) {
+      throw new Error('RandomSelector.params.weights must have one entry per child')
+    }
+    return new RandomSelectorNode({
+      name: 'RandomSelector',
+      // Missing weights => uniform.
+      weights: weightsJson ? weightsJson.map((w) => compileScoreExpression(w)) : [],
+      children: childrenJson.map((child, index) => buildNodeFromJson(child, leafFactories, childScope(scope, index))),
+    })
+  }
+
+  if (type === 'UtilitySelector') {
+    const scoresJson = Array.isArray(params.scores) ? params.scores : []
+    if (scoresJson.length !== childrenJson.length) {
+      throw new Error('UtilitySelector.params.scores must have one entry per child')
+    }
+    return new UtilitySelectorNode({
+      name: 'UtilitySelector',
+      scores: scoresJson.map((score) => compileScoreExpression(score)),
+      children: childrenJson.map((child, index) => buildNodeFromJson(child, leafFactories, childScope(scope, index))),
+    })
+  }
+
+  // Subtree references (document format only).
+  if (type === 'SubTree') {
+    const ref = String(params.ref ?? '')
+    if (!Object.prototype.hasOwnProperty.call(scope.defs, ref)) throw new Error(`Unknown subtree: "${ref}"`)
+    if (scope.stack.includes(ref)) throw new Error(`Subtree cycle: ${[...scope.stack, ref].join(' -> ')}`)
+
+    // Every reference builds its own instance, so two uses of "recovery" never share node memory.
+    return new SubTreeNode({
+      name: `SubTree(${ref})`,
+      ref,
+      child: buildNodeFromJson(scope.defs[ref], leafFactories, {
+        defs: scope.defs,
+        stack: [...scope.stack, ref],
+        jsonPath: `defs.${ref}`,
+        path: `${scope.path}>defs.${ref}`,
+        depth: scope.depth + 1,
+      }),
     })
   }
 
@@ -150,16 +791,75 @@ export function buildBtTreeFromJson(json, leafFactories) {
     if (childrenJson.length !== 1) throw new Error('Inverter must have exactly 1 child')
     return new InverterNode({
       name: 'Inverter',
-      child: buildBtTreeFromJson(childrenJson[0], leafFactories),
+      child: buildNodeFromJson(childrenJson[0], leafFactories, childScope(scope, 0)),
     })
   }
 
   if (type === 'Cooldown') {
     if (childrenJson.length !== 1) throw new Error('Cooldown must have exactly 1 child')
+    const cooldownMs = Number(params.ms ?? DEFAULT_COOLDOWN_MS)
     return new CooldownNode({
-      name: `Cooldown(${Number(params.ms ?? 250)}ms)`,
-      cooldownMs: Number(params.ms ?? 250),
-      child: buildBtTreeFromJson(childrenJson[0], leafFactories),
+      name: `Cooldown(${cooldownMs}ms)`,
+      cooldownMs,
+      child: buildNodeFromJson(childrenJson[0], leafFactories, childScope(scope, 0)),
+    })
+  }
+
+  if (type === 'Repeat') {
+    if (childrenJson.length !== 1) throw new Error('Repeat must have exactly 1 child')
+    const count = Number(params.count ?? 2)
+    return new RepeatNode({
+      name: `Repeat(x${count})`,
+      count,
+      child: buildNodeFromJson(childrenJson[0], leafFactories, childScope(scope, 0)),
+    })
+  }
+
+  if (type === 'Retry') {
+    if (childrenJson.length !== 1) throw new Error('Retry must have exactly 1 child')
+    const attempts = Number(params.attempts ?? 3)
+    return new RetryNode({
+      name: `Retry(x${attempts})`,
+      attempts,
+      child: buildNodeFromJson(childrenJson[0], leafFactories, childScope(scope, 0)),
+    })
+  }
+
+  if (type === 'Timeout') {
+    if (childrenJson.length !== 1) throw new Error('Timeout must have exactly 1 child')
+    const timeoutMs = Number(params.ms ?? DEFAULT_TIMEOUT_MS)
+    return new TimeoutNode({
+      name: `Timeout(${timeoutMs}ms)`,
+      timeoutMs,
+      child: buildNodeFromJson(childrenJson[0], leafFactories, childScope(scope, 0)),
+    })
+  }
+
+  if (type === 'Succeeder') {
+    if (childrenJson.length !== 1) throw new Error('Succeeder must have exactly 1 child')
+    return new SucceederNode({
+      name: 'Succeeder',
+      child: buildNodeFromJson(childrenJson[0], leafFactories, childScope(scope, 0)),
+    })
+  }
+
+  if (type === 'ForceFailure') {
+    if (childrenJson.length !== 1) throw new Error('ForceFailure must have exactly 1 child')
+    return new ForceFailureNode({
+      name: 'ForceFailure',
+      child: buildNodeFromJson(childrenJson[0], leafFactories, childScope(scope, 0)),
+    })
+  }
+
+  if (type === 'Limit') {
+    if (childrenJson.length !== 1) throw new Error('Limit must have exactly 1 child')
+    const max = Number(params.max ?? 1)
+    const windowMs = params.windowMs != null ? Number(params.windowMs) : null
+    return new LimitNode({
+      name: windowMs != null ? `Limit(${max}/${windowMs}ms)` : `Limit(${max})`,
+      max,
+      windowMs,
+      child: buildNodeFromJson(childrenJson[0], leafFactories, childScope(scope, 0)),
     })
   }
 
@@ -171,3 +871,53 @@ export function buildBtTreeFromJson(json, leafFactories) {
 
   return factory(params)
 }
+
+function childScope(scope, index) {
+  return {
+    ...scope,
+    jsonPath: `${scope.jsonPath}.${index}`,
+    path: `${scope.path}.${index}`,
+    depth: scope.depth + 1,
+  }
+}
+
+function readClockMs() {
+  // performance.now() in browsers and Node; Date.now() as a last resort.
+  return typeof performance !== 'undefined' && typeof performance.now === 'function' ? performance.now() : Date.now()
+}
+
+function formatParallelPolicy(policy) {
+  return policy === PARALLEL_POLICY.REQUIRE_ONE ? 'one' : 'all'
+}
+
+function tickInOrder(children, order, ctx) {
+  // Selector semantics over an explicit child order.
+  for (const index of order) {
+    const status = children[index].tick(ctx)
+    if (status !== BT_STATUS.FAILURE) return status
+  }
+  return BT_STATUS.FAILURE
+}
+
+function getAgentRng(ctx, node) {
+  // BotAgent provides a seeded per-agent RNG. Tooling ticks without one fall back to a
+  // per-node RNG seeded from the node name, which is still deterministic.
+  if (typeof ctx?.rng === 'function') return ctx.rng
+
+  const memory = getNodeMemory(ctx, node, () => ({}))
+  if (!memory.fallbackRng) memory.fallbackRng = createSeededRng(node.name)
+  return memory.fallbackRng
+}
+
+function getTickStamp(ctx) {
+  // BotAgent numbers its ticks; tooling without a tick id uses a fresh ctx object per tick.
+  return ctx?.tickId ?? ctx
+}
+
+function abortsSelf(node) {
+  return node.abortMode === ABORT_MODE.SELF || node.abortMode === ABORT_MODE.BOTH
+}
+
+function abortsLowerPriority(node) {
+  return node.abortMode === ABORT_MODE.LOWER_PRIORITY || node.abortMode === ABORT_MODE.BOTH
+}
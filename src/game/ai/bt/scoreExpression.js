@@ -0,0 +1,232 @@
+// Score expressions for data-driven BT composites (RandomSelector weights, UtilitySelector scores).
+//
+// Why a tiny parser instead of `new Function(...)`?
+// - BT JSON comes from the lab textarea / localStorage; evaluating it as JS would run arbitrary code.
+// - Designers only need arithmetic over blackboard values, so a whitelist grammar is enough.
+//
+// Grammar:
+//   expr    := term (('+' | '-') term)*
+//   term    := unary (('*' | '/') unary)*
+//   unary   := '-' unary | primary
+//   primary := number | path | func '(' expr (',' expr)* ')' | '(' expr ')'
+//   path    := ident ('.' ident)*          e.g. target.absDx, ai.threat.severity
+//   func    := min | max | abs | clamp     clamp(x, lo, hi)
+//
+// Evaluation rules:
+// - Paths are read from the agent blackboard. Booleans become 1/0; missing or non-numeric values become 0.
+// - Division by zero and other non-finite results evaluate to 0 (a score of 0 means "skip this child").
+
+const FUNCTIONS = {
+  min: { arity: [1, Infinity], fn: (...args) => Math.min(...args) },
+  max: { arity: [1, Infinity], fn: (...args) => Math.max(...args) },
+  abs: { arity: [1, 1], fn: (x) => Math.abs(x) },
+  clamp: { arity: [3, 3], fn: (x, lo, hi) => Math.max(lo, Math.min(hi, x)) },
+}
+
+export function compileScoreExpression(source) {
+  // Returns `(blackboard) => number`. Plain numbers compile to a constant.
+  // Throws an Error with the character offset on syntax errors.
+  if (typeof source === 'number') {
+    if (!Number.isFinite(source)) throw new Error('Score must be a finite number')
+    return () => source
+  }
+  if (typeof source !== 'string') throw new Error('Score must be a number or an expression string')
+
+  const parser = new ScoreParser(source)
+  const evaluate = parser.parse()
+  return (blackboard) => toFiniteOrZero(evaluate(blackboard))
+}
+
+export function getScoreExpressionError(source) {
+  // Validation helper for the Zod schema: null when valid, otherwise a readable message.
+  try {
+    compileScoreExpression(source)
+    return null
+  } catch (error) {
+    return error instanceof Error ? error.message : String(error)
+  }
+}
+
+export function getScoreExpressionPaths(source) {
+  // Blackboard paths an expression reads (so validation can check them against the
+  // declared blackboard schema). Empty for numbers and unparsable input.
+  if (typeof source !== 'string') return []
+  try {
+    const parser = new ScoreParser(source)
+    parser.parse()
+    return parser.paths
+  } catch {
+    return []
+  }
+}
+
+export function readBlackboardPath(blackboard, path) {
+  // Dot-path lookup (`target.absDx`). Returns undefined for missing segments.
+  let value = blackboard
+  for (const key of String(path).split('.')) {
+    if (value == null || typeof value !== 'object') return undefined
+    value = value[key]
+  }
+  return value
+}
+
+class ScoreParser {
+  constructor(source) {
+    this.source = source
+    this.tokens = tokenize(source)
+    this.index = 0
+    this.paths = []
+  }
+
+  parse() {
+    if (!this.tokens.length) throw new Error('Score expression is empty')
+    const node = this._parseExpr()
+    const extra = this._peek()
+    if (extra) throw syntaxError(`unexpected "${extra.text}"`, extra.pos)
+    return node
+  }
+
+  _peek() {
+    return this.tokens[this.index] ?? null
+  }
+
+  _next() {
+    const token = this.tokens[this.index]
+    this.index += 1
+    return token ?? null
+  }
+
+  _expect(text) {
+    const token = this._next()
+    if (!token || token.text !== text) {
+      throw syntaxError(`expected "${text}"`, token?.pos ?? this.source.length)
+    }
+    return token
+  }
+
+  _parseExpr() {
+    let left = this._parseTerm()
+    while (this._peek()?.text === '+' || this._peek()?.text === '-') {
+      const op = this._next().text
+      const a = left
+      const b = this._parseTerm()
+      left = op === '+' ? (bb) => a(bb) + b(bb) : (bb) => a(bb) - b(bb)
+    }
+    return left
+  }
+
+  _parseTerm() {
+    let left = this._parseUnary()
+    while (this._peek()?.text === '*' || this._peek()?.text === '/') {
+      const op = this._next().text
+      const a = left
+      const b = this._parseUnary()
+      left = op === '*' ? (bb) => a(bb) * b(bb) : (bb) => a(bb) / b(bb)
+    }
+    return left
+  }
+
+  _parseUnary() {
+    if (this._peek()?.text === '-') {
+      this._next()
+      const inner = this._parseUnary()
+      return (bb) => -inner(bb)
+    }
+    return this._parsePrimary()
+  }
+
+  _parsePrimary() {
+    const token = this._next()
+    if (!token) throw syntaxError('unexpected end of expression', this.source.length)
+
+    if (token.kind === 'number') {
+      const value = token.value
+      return () => value
+    }
+
+    if (token.text === '(') {
+      const inner = this._parseExpr()
+      this._expect(')')
+      return inner
+    }
+
+    if (token.kind === 'ident') {
+      if (this._peek()?.text === '(') return this._parseCall(token)
+
+      const path = token.text
+      this.paths.push(path)
+      return (bb) => toNumber(readBlackboardPath(bb, path))
+    }
+
+    throw syntaxError(`unexpected "${token.text}"`, token.pos)
+  }
+
+  _parseCall(nameToken) {
+    const def = FUNCTIONS[nameToken.text]
+    if (!def) throw syntaxError(`unknown function "${nameToken.text}"`, nameToken.pos)
+
+    this._expect('(')
+    const args = [this._parseExpr()]
+    while (this._peek()?.text === ',') {
+      this._next()
+      args.push(this._parseExpr())
+    }
+    this._expect(')')
+
+    const [minArgs, maxArgs] = def.arity
+    if (args.length < minArgs || args.length > maxArgs) {
+      throw syntaxError(`${nameToken.text}() got ${args.length} argument(s)`, nameToken.pos)
+    }
+
+    return (bb) => def.fn(...args.map((arg) => arg(bb)))
+  }
+}
+
+function tokenize(source) {
+  const tokens = []
+  let i = 0
+  while (i < source.length) {
+    const ch = source[i]
+
+    if (/\s/.test(ch)) {
+      i += 1
+      continue
+    }
+
+    const numberMatch = /^(\d+\.?\d*|\.\d+)/.exec(source.slice(i))
+    if (numberMatch) {
+      tokens.push({ kind: 'number', text: numberMatch[0], value: Number(numberMatch[0]), pos: i })
+      i += numberMatch[0].length
+      continue
+    }
+
+    const identMatch = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*/.exec(source.slice(i))
+    if (identMatch) {
+      tokens.push({ kind: 'ident', text: identMatch[0], pos: i })
+      i += identMatch[0].length
+      continue
+    }
+
+    if ('+-*/(),'.includes(ch)) {
+      tokens.push({ kind: 'op', text: ch, pos: i })
+      i += 1
+      continue
+    }
+
+    throw syntaxError(`unexpected character "${ch}"`, i)
+  }
+  return tokens
+}
+
+function syntaxError(message, pos) {
+  return new Error(`Score expression error at ${pos}: ${message}`)
+}
+
+function toNumber(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0
+  return toFiniteOrZero(Number(value))
+}
+
+function toFiniteOrZero(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : 0
+}
@@ -8,10 +8,20 @@
 // Scope of validation (MVP):
 // - Validate the set of supported node types
 // - Validate required children / params
+// - Validate SubTree references (unknown names, cycles between defs)
 // - Provide readable error paths like: children[1].params.kind
+//
+// Result: `{ ok, value, issues, details }`
+// - issues: readable lines ("children[1].params.kind: Invalid enum value ...")
+// - details: the same issues as `{ path, message }` so the BT Lab can map them to line/column
+//   (see jsonSourceMap.js); `path` is '' for JSON syntax errors and top-level issues
 
 import { z } from 'zod'
 
+import { getScoreExpressionError, getScoreExpressionPaths } from './scoreExpression.js'
+import { getBlackboardPathType, isBlackboardVarPath } from '../blackboardSchema.js'
+import { isBtDocument } from './runtime.js'
+
 // Move kinds must match the move data used by Fighter/Combat.
 // We keep this list in sync with `src/game/combat/moves.js`.
 const MoveKindSchema = z.enum(['light', 'heavy', 'jab', 'sweep', 'uppercut', 'airKick'])
@@ -25,12 +35,69 @@ const PositiveNumberSchema = z
 const DirectionSchema = z.enum(['auto', 'left', 'right'])
 const UtilityAttackModeSchema = z.enum(['neutral', 'punish', 'combo'])
 
+// Parallel policies (see PARALLEL_POLICY in runtime.js).
+const ParallelPolicySchema = z.enum(['requireOne', 'requireAll'])
+
+// RandomSelector weights / UtilitySelector scores: a number or a blackboard expression
+// such as "1 - target.absDx / 400" (see scoreExpression.js).
+const ScoreExpressionSchema = z.union([
+  z.number({ invalid_type_error: 'Score must be a number or expression string' }).finite(),
+  z.string().superRefine((value, ctx) => {
+    const message = getScoreExpressionError(value)
+    if (message) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message })
+      return
+    }
+    for (const path of getScoreExpressionPaths(value)) {
+      if (!getBlackboardPathType(path)) ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Unknown blackboard path "${path}"` })
+    }
+  }),
+])
+
+// Blackboard paths must be declared in `blackboardSchema.js` (or be `vars.<name>`).
+const BlackboardPathSchema = z.string().refine((path) => getBlackboardPathType(path) != null, (path) => ({
+  message: `Unknown blackboard path "${path}"`,
+}))
+
+const BlackboardValueSchema = z.union([z.number().finite(), z.boolean(), z.string()])
+
+const CompareOpSchema = z.enum(['==', '!=', '<', '<=', '>', '>='])
+
+// Observer abort modes (see ABORT_MODE in runtime.js).
+export const AbortModeSchema = z.enum(['none', 'self', 'lowerPriority', 'both'])
+
+// Explicit node ids replace the JSON-position id in traces (see "Node identity" in runtime.js).
+// No dots or '>' so they never look like a generated path such as 'root.2' or 'root.1>defs.x'.
+export const BtNodeIdSchema = z
+  .string()
+  .regex(/^[A-Za-z_][A-Za-z0-9_-]*$/, 'Node id must start with a letter or "_" and use only letters, digits, "_" or "-"')
+  .refine((id) => id !== 'root', 'Node id "root" is reserved')
+
 // Recursive node schema.
 // Each node has:
 // - type: string
 // - params?: object
 // - children?: array of nodes
+// - abort?: observer abort mode (allowed on every node type)
+// - id?: explicit stable node id for traces (allowed on every node type, unique per document)
+//
+// Why validate `abort` / `id` separately?
+// - Every node shape below is `.strict()`, so adding them to each of them would be noisy.
+//   We check them here and validate the rest of the node against the per-type shapes.
 export const BtNodeSchema = z.lazy(() =>
+  z
+    .object({ abort: AbortModeSchema.optional(), id: BtNodeIdSchema.optional() })
+    .passthrough()
+    .superRefine((node, ctx) => {
+      const shape = { ...node }
+      delete shape.abort
+      delete shape.id
+      const result = BtNodeShapeSchema.safeParse(shape)
+      if (!result.success) for (const issue of result.error.issues) ctx.addIssue(issue)
+    }),
+)
+
+export const BtNodeShapeSchema = z.lazy(() =>
   z.union([
     // ---- Composites ----
     z
@@ -45,6 +112,62 @@ export const BtNodeSchema = z.lazy(() =>
         children: z.array(BtNodeSchema).min(1, 'Sequence.children must have at least 1 child'),
       })
       .strict(),
+    z
+      .object({
+        type: z.literal('MemorySelector'),
+        children: z.array(BtNodeSchema).min(1, 'MemorySelector.children must have at least 1 child'),
+      })
+      .strict(),
+    z
+      .object({
+        type: z.literal('MemorySequence'),
+        children: z.array(BtNodeSchema).min(1, 'MemorySequence.children must have at least 1 child'),
+      })
+      .strict(),
+    z
+      .object({
+        type: z.literal('Parallel'),
+        params: z
+          .object({
+            success: ParallelPolicySchema,
+            failure: ParallelPolicySchema,
+          })
+          .partial()
+          .strict()
+          .optional(),
+        children: z.array(BtNodeSchema).min(1, 'Parallel.children must have at least 1 child'),
+      })
+      .strict(),
+    z
+      .object({
+        type: z.literal('RandomSelector'),
+        params: z.object({ weights: z.array(ScoreExpressionSchema) }).partial().strict().optional(),
+        children: z.array(BtNodeSchema).min(1, 'RandomSelector.children must have at least 1 child'),
+      })
+      .strict()
+      .refine((node) => !node.params?.weights || node.params.weights.length === node.children.length, {
+        message: 'RandomSelector.params.weights must have one entry per child',
+        path: ['params', 'weights'],
+      }),
+    z
+      .object({
+        type: z.literal('UtilitySelector'),
+        params: z.object({ scores: z.array(ScoreExpressionSchema) }).strict(),
+        children: z.array(BtNodeSchema).min(1, 'UtilitySelector.children must have at least 1 child'),
+      })
+      .strict()
+      .refine((node) => node.params.scores.length === node.children.length, {
+        message: 'UtilitySelector.params.scores must have one entry per child',
+        path: ['params', 'scores'],
+      }),
+
+    // ---- Subtrees ----
+    z
+      .object({
+        type: z.literal('SubTree'),
+        params: z.object({ ref: z.string().min(1, 'SubTree.params.ref must name a defs entry') }).strict(),
+      })
+      .strict(),
 
     // ---- Decorators ----
     z
@@ -69,6 +192,91 @@ export const BtNodeSchema = z.lazy(() =>
         children: z.array(BtNodeSchema).length(1, 'Cooldown must have exactly 1 child'),
       })
       .strict(),
+    z
+      .object({
+        type: z.literal('Repeat'),
+        params: z
+          .object({
+            count: z
+              .number({ invalid_type_error: 'Repeat.params.count must be a number' })
+              .int('Repeat.params.count must be an integer')
+              .positive()
+              .max(100, 'Repeat.params.count is too large (max 100)'),
+          })
+          .partial()
+          .strict()
+          .optional(),
+        children: z.array(BtNodeSchema).length(1, 'Repeat must have exactly 1 child'),
+      })
+      .strict(),
+    z
+      .object({
+        type: z.literal('Retry'),
+        params: z
+          .object({
+            attempts: z
+              .number({ invalid_type_error: 'Retry.params.attempts must be a number' })
+              .int('Retry.params.attempts must be an integer')
+              .positive()
+              .max(100, 'Retry.params.attempts is too large (max 100)'),
+          })
+          .partial()
+          .strict()
+          .optional(),
+        children: z.array(BtNodeSchema).length(1, 'Retry must have exactly 1 child'),
+      })
+      .strict(),
+    z
+      .object({
+        type: z.literal('Timeout'),
+        params: z
+          .object({
+            ms: z
+              .number({ invalid_type_error: 'Timeout.params.ms must be a number' })
+              .finite()
+              .positive()
+              .max(60_000, 'Timeout.params.ms is too large (max 60000)'),
+          })
+          .partial()
+          .strict()
+          .optional(),
+        children: z.array(BtNodeSchema).length(1, 'Timeout must have exactly 1 child'),
+      })
+      .strict(),
+    z
+      .object({
+        type: z.literal('Succeeder'),
+        children: z.array(BtNodeSchema).length(1, 'Succeeder must have exactly 1 child'),
+      })
+      .strict(),
+    z
+      .object({
+        type: z.literal('ForceFailure'),
+        children: z.array(BtNodeSchema).length(1, 'ForceFailure must have exactly 1 child'),
+      })
+      .strict(),
+    z
+      .object({
+        type: z.literal('Limit'),
+        params: z
+          .object({
+            max: z
+              .number({ invalid_type_error: 'Limit.params.max must be a number' })
+              .int('Limit.params.max must be an integer')
+              .positive()
+              .max(1000, 'Limit.params.max is too large (max 1000)'),
+            windowMs: z
+              .number({ invalid_type_error: 'Limit.params.windowMs must be a number' })
+              .finite()
+              .positive()
+              .max(60_000, 'Limit.params.windowMs is too large (max 60000)'),
+          })
+          .partial()
+          .strict()
+          .optional(),
+        children: z.array(BtNodeSchema).length(1, 'Limit must have exactly 1 child'),
+      })
+      .strict(),
 
     // ---- Conditions ----
     z.object({ type: z.literal('IsOffstage') }).strict(),
@@ -88,7 +296,37 @@ export const BtNodeSchema = z.lazy(() =>
       })
       .strict(),
 
+    z
+      .object({
+        type: z.literal('BlackboardCompare'),
+        params: z
+          .object({
+            path: BlackboardPathSchema,
+            op: CompareOpSchema,
+            value: BlackboardValueSchema.optional(),
+            otherPath: BlackboardPathSchema.optional(),
+          })
+          .strict()
+          .superRefine((params, ctx) => checkBlackboardCompareParams(params, ctx)),
+      })
+      .strict(),
+
     // ---- Actions ----
+    z
+      .object({
+        type: z.literal('BlackboardSet'),
+        params: z
+          .object({
+            path: z.string().refine(isBlackboardVarPath, 'BlackboardSet.params.path must be "vars.<name>"'),
+            value: BlackboardValueSchema.optional(),
+            fromPath: BlackboardPathSchema.optional(),
+          })
+          .strict()
+          .refine((params) => (params.value === undefined) !== (params.fromPath === undefined), {
+            message: 'BlackboardSet needs exactly one of params.value / params.fromPath',
+          }),
+      })
+      .strict(),
     z.object({ type: z.literal('RecoverToStage') }).strict(),
     z
       .object({
@@ -143,17 +381,43 @@ export const BtNodeSchema = z.lazy(() =>
   ]),
 )
 
+// Document format: named subtree definitions + the root node (see isBtDocument in runtime.js).
+const SubtreeNameSchema = z
+  .string()
+  .regex(/^[A-Za-z_][A-Za-z0-9_-]*$/, 'Subtree names must use letters, digits, "_" or "-"')
+
+export const BtDocumentSchema = z
+  .object({
+    defs: z.record(SubtreeNameSchema, BtNodeSchema).optional(),
+    root: BtNodeSchema,
+  })
+  .strict()
+
 export const KNOWN_BT_NODE_TYPES = [
   'Selector',
   'Sequence',
+  'MemorySelector',
+  'MemorySequence',
+  'Parallel',
+  'SubTree',
+  'RandomSelector',
+  'UtilitySelector',
   'Inverter',
   'Cooldown',
+  'Repeat',
+  'Retry',
+  'Timeout',
+  'Succeeder',
+  'ForceFailure',
+  'Limit',
   'IsOffstage',
   'IsTargetAttacking',
   'IsTargetRecovering',
   'IsTargetInHitstun',
   'CanAttack',
   'IsInRange',
+  'BlackboardCompare',
+  'BlackboardSet',
   'RecoverToStage',
   'KeepDistance',
   'Strafe',
@@ -166,45 +430,159 @@ export const KNOWN_BT_NODE_TYPES = [
   'UtilityAttack',
 ]
 
+function checkBlackboardCompareParams(params, ctx) {
+  // Exactly one right-hand side, and its type must match the left path's declared type.
+  const hasValue = params.value !== undefined
+  const hasOtherPath = params.otherPath !== undefined
+  if (hasValue === hasOtherPath) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'BlackboardCompare needs exactly one of params.value / params.otherPath' })
+    return
+  }
+
+  const leftType = getBlackboardPathType(params.path)
+  const rightType = hasOtherPath ? getBlackboardPathType(params.otherPath) : typeof params.value
+  if (!leftType || !rightType) return
+
+  if (leftType !== 'any' && rightType !== 'any' && leftType !== rightType) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: [hasOtherPath ? 'otherPath' : 'value'],
+      message: `"${params.path}" is a ${leftType}, cannot compare with a ${rightType}`,
+    })
+    return
+  }
+
+  const isOrdering = !['==', '!='].includes(params.op)
+  const nonNumeric = [leftType, rightType].find((type) => type !== 'number' && type !== 'any')
+  if (isOrdering && nonNumeric) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['op'],
+      message: `"${params.op}" needs numbers (got a ${nonNumeric})`,
+    })
+  }
+}
+
 export function validateBtJsonText(text) {
   // Parse JSON first so we can validate with Zod.
   let parsed
   try {
     parsed = JSON.parse(text)
   } catch (error) {
-    return {
-      ok: false,
-      value: null,
-      issues: [
-        `JSON parse error: ${error instanceof Error ? error.message : String(error)}`,
-      ],
-    }
+    return invalidResult([
+      { path: '', message: `JSON parse error: ${error instanceof Error ? error.message : String(error)}` },
+    ])
   }
 
-  const result = BtNodeSchema.safeParse(parsed)
+  const isDocument = isBtDocument(parsed)
+  const result = (isDocument ? BtDocumentSchema : BtNodeSchema).safeParse(parsed)
 
   if (result.success) {
-    return { ok: true, value: result.data, issues: [] }
+    // Shape is fine; now check that SubTree references resolve and do not loop, and that ids are unique.
+    const doc = isDocument ? parsed : { root: parsed }
+    const details = [...findSubtreeIssues(doc, { isDocument }), ...findDuplicateIdIssues(doc, { isDocument })]
+    if (details.length) return invalidResult(details)
+    return { ok: true, value: result.data, issues: [], details: [] }
+  }
+
+  return invalidResult(describeZodIssues(result.error))
+}
+
+function invalidResult(details) {
+  return { ok: false, value: null, issues: details.map(formatIssueDetail), details }
+}
+
+function formatIssueDetail({ path, message }) {
+  return path ? `${path}: ${message}` : message
+}
+
+function findSubtreeIssues(doc, { isDocument }) {
+  const defs = doc.defs ?? {}
+  const issues = []
+
+  // Collect SubTree references per entry ("root" or a defs name) with their JSON paths.
+  const refsByEntry = new Map()
+  const entries = [['root', doc.root, isDocument ? ['root'] : []]]
+  for (const [name, node] of Object.entries(defs)) entries.push([name, node, ['defs', name]])
+
+  for (const [entry, node, basePath] of entries) {
+    const refs = []
+    walkBtJson(node, basePath, (child, path) => {
+      if (child.type === 'SubTree') refs.push({ ref: child.params.ref, path: [...path, 'params', 'ref'] })
+    })
+    refsByEntry.set(entry, refs)
+
+    for (const { ref, path } of refs) {
+      if (Object.prototype.hasOwnProperty.call(defs, ref)) continue
+      const hint = isDocument ? '' : ' (SubTree needs the { "defs": {...}, "root": {...} } format)'
+      issues.push({ path: formatZodPath(path), message: `Unknown subtree "${ref}"${hint}` })
+    }
+  }
+
+  // Cycle detection over the defs graph (DFS with an explicit "on stack" list).
+  const reported = new Set()
+  const done = new Set()
+  const visit = (name, stack) => {
+    if (stack.includes(name)) {
+      const cycle = [...stack.slice(stack.indexOf(name)), name]
+      const key = [...cycle.slice(0, -1)].sort().join(',')
+      if (!reported.has(key)) {
+        reported.add(key)
+        issues.push({ path: `defs.${name}`, message: `Subtree cycle: ${cycle.join(' -> ')}` })
+      }
+      return
+    }
+    if (done.has(name)) return
+
+    for (const { ref } of refsByEntry.get(name) ?? []) {
+      if (Object.prototype.hasOwnProperty.call(defs, ref)) visit(ref, [...stack, name])
+    }
+    done.add(name)
   }
+  for (const name of Object.keys(defs)) visit(name, [])
+
+  return issues
+}
 
-  return {
-    ok: false,
-    value: null,
-    issues: formatZodIssues(result.error),
+function findDuplicateIdIssues(doc, { isDocument }) {
+  // Explicit ids must be unique in the whole document (root and every def).
+  const firstPathById = new Map()
+  const issues = []
+  const entries = [[doc.root, isDocument ? ['root'] : []]]
+  for (const [name, node] of Object.entries(doc.defs ?? {})) entries.push([node, ['defs', name]])
+
+  for (const [node, basePath] of entries) {
+    walkBtJson(node, basePath, (child, path) => {
+      if (typeof child.id !== 'string') return
+      const first = firstPathById.get(child.id)
+      if (first == null) {
+        firstPathById.set(child.id, formatZodPath(path))
+        return
+      }
+      issues.push({ path: formatZodPath([...path, 'id']), message: `Duplicate node id "${child.id}" (already used at ${first || '(root)'})` })
+    })
   }
+  return issues
+}
+
+function walkBtJson(node, path, visit) {
+  if (!node || typeof node !== 'object') return
+  visit(node, path)
+  const children = Array.isArray(node.children) ? node.children : []
+  children.forEach((child, index) => walkBtJson(child, [...path, 'children', index], visit))
 }
 
 export function formatZodIssues(error) {
   // Convert Zod issues into readable strings with JSON-style paths.
   // Example: children[2].params.kind: Invalid enum value. Expected 'light' | 'heavy'
-  return error.issues.map((issue) => {
-    const path = formatZodPath(issue.path)
-    const prefix = path ? `${path}: ` : ''
-    return `${prefix}${issue.message}`
-  })
+  return describeZodIssues(error).map(formatIssueDetail)
+}
+
+function describeZodIssues(error) {
+  return error.issues.map((issue) => ({ path: formatZodPath(issue.path), message: issue.message }))
 }
 
-function formatZodPath(path) {
+export function formatZodPath(path) {
   if (!path || !path.length) return ''
 
   // Build paths like: children[0].params.kind
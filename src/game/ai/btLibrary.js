@@ -0,0 +1,179 @@
+// Named Behavior Tree library (shared by the BT Lab and the battle page).
+//
+// Why a library instead of one stored tree?
+// - Comparing BT variants needs several trees side by side (e.g. "aggressive v3" vs "baseline v1").
+// - Every save becomes a new version, so a regression can be diffed against the last good version.
+//
+// Format (stored as JSON under BT_LIBRARY_STORAGE_KEY):
+//   {
+//     version: 1,
+//     nextId: 3,
+//     trees: [{ id: 't1', name, createdAtIso, versions: [{ version: 1, savedAtIso, note, text }] }],
+//     assignments: { left: { treeId, version }, right: { treeId, version } },
+//   }
+//
+// Assignments pick the tree each fighter uses in /battle:
+// - `treeId: null` => the "active" tree saved by the lab under BT_STORAGE_KEY (old behavior)
+// - `version: null` => always the latest version of that tree
+//
+// Versions store the raw JSON text (not parsed objects) so downloads and hashes match
+// exactly what was saved. All helpers are immutable and return a new library object.
+//
+// This module must NOT import Phaser.
+
+export const BT_LIBRARY_VERSION = 1
+
+export const BT_LIBRARY_SIDES = ['left', 'right']
+
+export function createEmptyBtLibrary() {
+  return {
+    version: BT_LIBRARY_VERSION,
+    nextId: 1,
+    trees: [],
+    assignments: {
+      left: { treeId: null, version: null },
+      right: { treeId: null, version: null },
+    },
+  }
+}
+
+export function normalizeBtLibrary(data) {
+  // Accept anything (localStorage may hold junk); unknown shapes become an empty library.
+  const base = createEmptyBtLibrary()
+  if (!data || typeof data !== 'object' || Number(data.version) !== BT_LIBRARY_VERSION) return base
+
+  const trees = (Array.isArray(data.trees) ? data.trees : [])
+    .filter((tree) => tree && typeof tree.id === 'string')
+    .map((tree) => ({
+      id: tree.id,
+      name: String(tree.name ?? tree.id),
+      createdAtIso: tree.createdAtIso ?? null,
+      versions: (Array.isArray(tree.versions) ? tree.versions : [])
+        .filter((v) => typeof v?.text === 'string' && Number.isFinite(Number(v.version)))
+        .map((v) => ({
+          version: Number(v.version),
+          savedAtIso: v.savedAtIso ?? null,
+          note: v.note ? String(v.note) : null,
+          text: v.text,
+        })),
+    }))
+    .filter((tree) => tree.versions.length)
+
+  const assignments = {}
+  for (const side of BT_LIBRARY_SIDES) {
+    assignments[side] = normalizeAssignment(data.assignments?.[side], trees)
+  }
+
+  return {
+    version: BT_LIBRARY_VERSION,
+    nextId: Math.max(Number(data.nextId ?? 1), trees.length + 1),
+    trees,
+    assignments,
+  }
+}
+
+export function findBtLibraryTree(library, treeId) {
+  return library?.trees?.find((tree) => tree.id === treeId) ?? null
+}
+
+export function getBtLibraryVersion(library, treeId, version = null) {
+  // `version: null` => latest.
+  const tree = findBtLibraryTree(library, treeId)
+  if (!tree) return null
+  if (version == null) return tree.versions[tree.versions.length - 1] ?? null
+  return tree.versions.find((v) => v.version === Number(version)) ?? null
+}
+
+export function addBtLibraryTree(library, { name, text, note = null, nowIso = null }) {
+  // Returns `{ library, treeId }` so the caller can select the new tree.
+  const treeId = `t${library.nextId}`
+  const tree = {
+    id: treeId,
+    name: String(name ?? '').trim() || treeId,
+    createdAtIso: nowIso,
+    versions: [{ version: 1, savedAtIso: nowIso, note: note || null, text }],
+  }
+  return {
+    library: { ...library, nextId: library.nextId + 1, trees: [...library.trees, tree] },
+    treeId,
+  }
+}
+
+export function addBtLibraryVersion(library, treeId, { text, note = null, nowIso = null }) {
+  // Saving the same text as the latest version is a no-op (no empty history entries).
+  // Returns `{ library, version }` (`version` is the existing latest one for no-ops).
+  const tree = findBtLibraryTree(library, treeId)
+  if (!tree) return { library, version: null }
+
+  const latest = tree.versions[tree.versions.length - 1]
+  if (latest && latest.text === text) return { library, version: latest.version }
+
+  const version = (latest?.version ?? 0) + 1
+  const nextTree = {
+    ...tree,
+    versions: [...tree.versions, { version, savedAtIso: nowIso, note: note || null, text }],
+  }
+  return { library: replaceTree(library, nextTree), version }
+}
+
+export function renameBtLibraryTree(library, treeId, name) {
+  const tree = findBtLibraryTree(library, treeId)
+  const trimmed = String(name ?? '').trim()
+  if (!tree || !trimmed) return library
+  return replaceTree(library, { ...tree, name: trimmed })
+}
+
+export function removeBtLibraryTree(library, treeId) {
+  // Sides assigned to the removed tree fall back to the active tree.
+  const trees = library.trees.filter((tree) => tree.id !== treeId)
+  const assignments = {}
+  for (const side of BT_LIBRARY_SIDES) assignments[side] = normalizeAssignment(library.assignments[side], trees)
+  return { ...library, trees, assignments }
+}
+
+export function setBtAssignment(library, side, assignment) {
+  if (!BT_LIBRARY_SIDES.includes(side)) return library
+  return {
+    ...library,
+    assignments: { ...library.assignments, [side]: normalizeAssignment(assignment, library.trees) },
+  }
+}
+
+export function resolveBtAssignment(library, side, activeText) {
+  // BT JSON text for `side` (`activeText` is the BT_STORAGE_KEY tree; null => default BT).
+  // Returns `{ text, label }`; the label is for UI/debug display only.
+  const assignment = library?.assignments?.[side]
+  const entry = assignment?.treeId ? getBtLibraryVersion(library, assignment.treeId, assignment.version) : null
+  if (!entry) return { text: activeText ?? null, label: null }
+
+  const tree = findBtLibraryTree(library, assignment.treeId)
+  const suffix = assignment.version == null ? `v${entry.version}, 最新` : `v${entry.version}`
+  return { text: entry.text, label: `${tree.name}（${suffix}）` }
+}
+
+export function encodeBtAssignment(assignment) {
+  // <select> value helper: '' | 'treeId' | 'treeId@version'
+  if (!assignment?.treeId) return ''
+  return assignment.version == null ? assignment.treeId : `${assignment.treeId}@${assignment.version}`
+}
+
+export function decodeBtAssignment(value) {
+  const raw = String(value ?? '')
+  if (!raw) return { treeId: null, version: null }
+  const [treeId, version] = raw.split('@')
+  return { treeId, version: version ? Number(version) : null }
+}
+
+function normalizeAssignment(assignment, trees) {
+  const treeId = typeof assignment?.treeId === 'string' ? assignment.treeId : null
+  const tree = treeId ? trees.find((t) => t.id === treeId) : null
+  if (!tree) return { treeId: null, version: null }
+
+  const version = assignment.version == null ? null : Number(assignment.version)
+  if (version != null && !tree.versions.some((v) => v.version === version)) return { treeId, version: null }
+  return { treeId, version }
+}
+
+function replaceTree(library, nextTree) {
+  return { ...library, trees: library.trees.map((tree) => (tree.id === nextTree.id ? nextTree : tree)) }
+}
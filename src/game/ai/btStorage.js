@@ -4,3 +4,5 @@
 // Version the key so future schema migrations can be handled cleanly.
 export const BT_STORAGE_KEY = 'bt:platform-brawl:v1'
 
+// Named trees with version history + per-side assignments (see btLibrary.js).
+export const BT_LIBRARY_STORAGE_KEY = 'bt:platform-brawl:library:v1'
@@ -0,0 +1,156 @@
+// Ring buffer of recent BT ticks per agent (used by the BattlePage decision timeline).
+//
+// BotAgent only keeps the current tick in `lastTrace`/`lastReasons`, which is too little to answer
+// "why did it jump two seconds ago?". Every tick is therefore also pushed here:
+//   { tickId, nowMs, status, activePath, trace, reasons, intent, blackboard }
+// - `activePath` is the decisive branch of that tick (see findActiveBranch); the timeline marks
+//   ticks where it differs from the previous tick as branch changes.
+// - `blackboard` is a small flat summary (see summarizeBlackboard), not the live object.
+//
+// Retention:
+// - Entries older than `windowMs` (measured from the newest entry, in sim time) are dropped.
+// - `maxEntries` is a hard cap, so the buffer stays bounded even if sim time stops advancing.
+//
+// This module must NOT import Phaser.
+
+export const BT_TRACE_HISTORY_VERSION = 1
+
+// 10s at the 15Hz AI tick rate is ~150 entries per agent.
+export const DEFAULT_TRACE_HISTORY_MS = 10_000
+const DEFAULT_MAX_ENTRIES = 600
+
+export class BtTraceHistory {
+  constructor({ windowMs = DEFAULT_TRACE_HISTORY_MS, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.windowMs = Math.max(0, Number(windowMs) || 0)
+    this.maxEntries = Math.max(1, Math.floor(Number(maxEntries) || DEFAULT_MAX_ENTRIES))
+
+    // Fixed-size circular storage: `_start` is the oldest slot, `size` the number of live slots.
+    this._slots = new Array(this.maxEntries)
+    this._start = 0
+    this.size = 0
+  }
+
+  push(entry) {
+    if (this.size === this.maxEntries) {
+      this._slots[this._start] = entry
+      this._start = (this._start + 1) % this.maxEntries
+    } else {
+      this._slots[(this._start + this.size) % this.maxEntries] = entry
+      this.size += 1
+    }
+
+    // Drop entries that fell out of the time window (the newest entry always stays).
+    const oldestAllowedMs = Number(entry?.nowMs ?? 0) - this.windowMs
+    while (this.size > 1 && Number(this._slots[this._start]?.nowMs ?? 0) < oldestAllowedMs) {
+      this._slots[this._start] = undefined
+      this._start = (this._start + 1) % this.maxEntries
+      this.size -= 1
+    }
+  }
+
+  clear() {
+    this._slots = new Array(this.maxEntries)
+    this._start = 0
+    this.size = 0
+  }
+
+  toArray() {
+    // Oldest first.
+    const entries = []
+    for (let i = 0; i < this.size; i += 1) entries.push(this._slots[(this._start + i) % this.maxEntries])
+    return entries
+  }
+}
+
+export function findActiveBranch(trace) {
+  // Decisive branch of one tick, root first: `[rootEntry, ..., leafEntry]`.
+  //
+  // The trace is post-order, so the entry right before a parent (one level deeper) is the last
+  // child it ticked - the one whose result the Selector/Sequence returned. Following that chain
+  // from the root (the last entry) down gives "the branch that made the decision".
+  if (!Array.isArray(trace) || !trace.length) return []
+  let index = trace.length - 1
+  const branch = [trace[index]]
+  while (index > 0 && trace[index - 1]?.depth === trace[index].depth + 1) {
+    index -= 1
+    branch.push(trace[index])
+  }
+  return branch
+}
+
+export function summarizeBlackboard(blackboard) {
+  // Flat, JSON-friendly subset of the blackboard for one history entry.
+  // `selfHp` / `onGround` / `targetDx` / `targetDy` use the debug snapshot names so the
+  // explain helpers can read history entries directly.
+  const self = blackboard?.self ?? {}
+  const target = blackboard?.target ?? {}
+  const ai = blackboard?.ai ?? {}
+  return {
+    selfHp: self.hp,
+    targetHp: target.hp,
+    selfX: Math.round(Number(self.x ?? 0)),
+    selfY: Math.round(Number(self.y ?? 0)),
+    onGround: Boolean(self.onGround),
+    selfInHitstun: Boolean(self.inHitstun),
+    selfAttack: describeAttack(self.attack),
+    targetDx: Math.round(Number(target.dx ?? 0)),
+    targetDy: Math.round(Number(target.dy ?? 0)),
+    targetOnGround: Boolean(target.onGround),
+    targetInHitstun: Boolean(target.inHitstun),
+    targetAttack: describeAttack(target.attack),
+    threatWillHit: Boolean(ai.threat?.willHit),
+    comboCount: Number(ai.combat?.comboCount ?? 0),
+    reactionMs: Number(ai.reactionMs ?? 0),
+    vars: { ...(blackboard?.vars ?? {}) },
+  }
+}
+
+export function findBranchChanges(entries) {
+  // Indices (into `entries`) where the active branch differs from the previous entry.
+  const changes = []
+  for (let i = 1; i < entries.length; i += 1) {
+    if (entries[i]?.activePath !== entries[i - 1]?.activePath) changes.push(i)
+  }
+  return changes
+}
+
+export function createTraceHistoryExport({
+  agents,
+  nowMs,
+  controlMode,
+  bt,
+  aiProfiles,
+  aiProfileDefs,
+  aiDifficulties,
+  stage,
+} = {}) {
+  // JSON document for bug reports. `agents` is `{ left, right }` of BotAgent (or null per side).
+  const serializeAgent = (agent) =>
+    agent?.history
+      ? {
+          profileId: agent.profileId ?? null,
+          difficultyId: agent.difficultyId ?? null,
+          windowMs: agent.history.windowMs,
+          entries: agent.history.toArray(),
+        }
+      : null
+
+  return {
+    version: BT_TRACE_HISTORY_VERSION,
+    exportedAtMs: nowMs ?? null,
+    controlMode: controlMode ?? null,
+    bt: bt ?? null,
+    aiProfiles: aiProfiles ?? null,
+    aiProfileDefs: aiProfileDefs ?? null,
+    aiDifficulties: aiDifficulties ?? null,
+    stage: stage ?? null,
+    left: serializeAgent(agents?.left),
+    right: serializeAgent(agents?.right),
+  }
+}
+
+function describeAttack(attack) {
+  // 'light:startup' style label (null when idle).
+  if (!attack?.kind) return null
+  return attack.phase ? `${attack.kind}:${attack.phase}` : String(attack.kind)
+}
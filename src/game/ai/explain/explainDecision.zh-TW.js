@@ -34,9 +34,41 @@ export function explainAiAgentSnapshot(agent) {
   const errorReason = reasons.find((r) => typeof r === 'string' && r.startsWith('BT_ERROR:'))
   if (errorReason) details.unshift(`BT 錯誤：${errorReason.replace('BT_ERROR:', '')}`)
 
+  // Difficulty layer (perception.js): delayed view of the opponent and input errors.
+  const reactionMs = Number(blackboard.reactionMs ?? 0)
+  if (reactionMs > 0) details.push(`反應延遲：看到的是 ${reactionMs}ms 前的對手`)
+  const humanErrors = reasons.filter((r) => typeof r === 'string' && r.startsWith('HUMAN_'))
+  if (humanErrors.length) details.push(`操作失誤：${humanErrors.join('、')}`)
+
+  // Opponent model (opponentModel.js): decisions that exploit a learned habit.
+  if (reasons.includes('DEFEND_READ')) details.push('讀招：這是對手在這個距離的慣用招，提早準備防守。')
+  if (reasons.includes('READ_BLOCK_AFTER_HIT')) details.push('讀招：對手被打中後常立刻防禦，改用安全壓制。')
+
   return { headline, details }
 }
 
+// Describe an agent's opponent model (debugSnapshot.ai.left/right.opponentModel) as display lines.
+export function explainOpponentModel(model) {
+  if (!model) return ['（沒有資料）']
+
+  const bandLabel = { close: '近', mid: '中', far: '遠' }
+  const percent = (value) => `${Math.round(Number(value ?? 0) * 100)}%`
+  const lines = [`觀察 ${Math.round(Number(model.observedMs ?? 0) / 1000)} 秒，對手出招 ${model.attackCount ?? 0} 次（每分鐘 ${model.attacksPerMin ?? 0}）`]
+
+  for (const band of ['close', 'mid', 'far']) {
+    const counts = Object.entries(model.attacksByBand?.[band] ?? {}).sort((a, b) => b[1] - a[1])
+    const text = counts.map(([kind, count]) => `${moveLabelZh(kind)}×${count}`).join('、')
+    lines.push(`${bandLabel[band]}距離慣用招：${text || '—'}`)
+  }
+
+  lines.push(`被打後立刻防禦：${percent(model.blockAfterHitRate)}（${model.hitRecoveries ?? 0} 次硬直結束）`)
+  lines.push(`跳入：${percent(model.jumpInRate)} 的跳躍（${model.airborneCount ?? 0} 次滯空，每分鐘 ${model.jumpInsPerMin ?? 0} 次）`)
+  lines.push(
+    `閃避我方攻擊：${percent(model.dodgeRate)}（${model.dodgeChances ?? 0} 次機會，平均 ${model.avgDodgeDelayMs ?? 0}ms 後閃避）`,
+  )
+  return lines
+}
+
 function pickHeadline({ reasons }) {
   // Helpers:
   // - Some reason codes are dynamic strings (e.g., "KEEP_DISTANCE_RETREAT(min=70)"),
@@ -54,6 +86,7 @@ function pickHeadline({ reasons }) {
   if (has('DEFEND_JUMP')) return '脫離：偵測到威脅且有時間，跳躍位移改變節奏。'
 
   // Attacks (next priority)
+  if (has('PUNISH_JUMP_IN')) return '對空：對手習慣跳入，這次也跳過來了，預先用對空招迎擊。'
   if (has('PUNISH')) return '懲罰：對手收招中，嘗試靠近並用高回報招式反擊。'
   if (has('HIT_CONFIRM_COMBO')) return '連段：命中確認後，嘗試追加追擊/連段輸出。'
   if (has('HIT_CONFIRM_PRESSURE')) return '壓制：對手擋下攻擊後，改用較安全的壓制選擇。'
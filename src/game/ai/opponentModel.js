@@ -0,0 +1,224 @@
+// Per-match model of the opponent's habits (read by BT leaves through `blackboard.opponent`).
+//
+// BotAgent feeds it every AI tick with the target as the agent perceives it (so the model
+// learns with the same reaction delay as the rest of the AI) and its own fighter.
+//
+// What it counts:
+// - Attacks the opponent starts, by distance band when they start (close / mid / far),
+//   so leaves can ask "what does this player usually throw from here?".
+// - Hit recoveries: how often the opponent is guarding shortly after their hitstun ends.
+// - Jumps: how many airborne episodes were jump-ins (above us, moving toward us, in range).
+// - Our attacks started near the opponent, and how many they answered with a dodge (+ delay).
+//
+// Counts only cover the current match: scenes call `reset()` on match reset, not per round.
+// Rates are raw ratios; leaves should check the matching count against OPPONENT_MIN_SAMPLES
+// before trusting them.
+//
+// This module must NOT import Phaser.
+
+export const OPPONENT_MIN_SAMPLES = 4
+
+// Distance bands (absolute dx in px) used for "favourite move by distance".
+export const OPPONENT_RANGE_BANDS = ['close', 'mid', 'far']
+const CLOSE_MAX_DX = 90
+const MID_MAX_DX = 180
+
+// How long after hitstun ends a guard still counts as "blocks after being hit".
+const BLOCK_AFTER_HIT_WINDOW_MS = 400
+
+// Jump-in: the opponent is airborne, above us by this much, within this range and moving at us.
+const JUMP_IN_MIN_HEIGHT = 30
+const JUMP_IN_MAX_DX = 220
+const JUMP_IN_MIN_SPEED = 40
+
+// Our attacks further away than this are not a dodge opportunity for the opponent.
+const DODGE_CHANCE_MAX_DX = 220
+
+export class OpponentModel {
+  constructor() {
+    this.reset()
+  }
+
+  reset() {
+    this.attacksByBand = { close: {}, mid: {}, far: {} }
+    this.attackCount = 0
+    this.hitRecoveries = 0
+    this.blockedAfterHit = 0
+    this.airborneCount = 0
+    this.jumpIns = 0
+    this.dodgeChances = 0
+    this.dodges = 0
+    this.dodgeDelayTotalMs = 0
+    this.firstSeenAtMs = null
+    this.lastSeenAtMs = null
+
+    // Edge detection between ticks.
+    this._lastAttackStartedAtMs = null
+    this._wasInHitstun = false
+    this._blockWindowUntilMs = null
+    this._wasAirborne = false
+    this._jumpCounted = false
+    this._lastSelfAttackStartedAtMs = null
+    this._dodgeWindowStartedAtMs = null
+    this._wasDodging = false
+  }
+
+  observe({ nowMs, self, target }) {
+    if (!self || !target) return
+    if (this.firstSeenAtMs == null) this.firstSeenAtMs = nowMs
+    this.lastSeenAtMs = nowMs
+
+    const dx = Number(target.x ?? 0) - Number(self.x ?? 0)
+    const absDx = Math.abs(dx)
+
+    this._observeAttack(target, absDx)
+    this._observeHitRecovery(target, nowMs)
+    this._observeJump(self, target, dx)
+    this._observeDodge(self, target, nowMs, absDx)
+  }
+
+  summarize({ absDx } = {}) {
+    // Flat blackboard view (`opponent.*` paths in blackboardSchema.js).
+    const band = getRangeBand(absDx)
+    const favorites = {}
+    for (const name of OPPONENT_RANGE_BANDS) favorites[name] = pickFavorite(this.attacksByBand[name])
+    const minutes = this._observedMinutes()
+
+    return {
+      attackCount: this.attackCount,
+      attacksPerMin: minutes > 0 ? round2(this.attackCount / minutes) : 0,
+      rangeBand: band,
+      expectedMove: favorites[band].kind,
+      expectedMoveShare: favorites[band].share,
+      expectedMoveSamples: favorites[band].samples,
+      favoriteMoveClose: favorites.close.kind,
+      favoriteMoveMid: favorites.mid.kind,
+      favoriteMoveFar: favorites.far.kind,
+      hitRecoveries: this.hitRecoveries,
+      blockAfterHitRate: ratio(this.blockedAfterHit, this.hitRecoveries),
+      airborneCount: this.airborneCount,
+      jumpInRate: ratio(this.jumpIns, this.airborneCount),
+      jumpInsPerMin: minutes > 0 ? round2(this.jumpIns / minutes) : 0,
+      dodgeChances: this.dodgeChances,
+      dodgeRate: ratio(this.dodges, this.dodgeChances),
+      avgDodgeDelayMs: this.dodges ? Math.round(this.dodgeDelayTotalMs / this.dodges) : 0,
+    }
+  }
+
+  toJSON() {
+    // Debug panel / export view: raw counts plus the per-band move table.
+    return {
+      observedMs: this.firstSeenAtMs == null ? 0 : Math.round(this.lastSeenAtMs - this.firstSeenAtMs),
+      attacksByBand: {
+        close: { ...this.attacksByBand.close },
+        mid: { ...this.attacksByBand.mid },
+        far: { ...this.attacksByBand.far },
+      },
+      ...this.summarize(),
+    }
+  }
+
+  _observeAttack(target, absDx) {
+    // Count each attack once, at the tick it is first seen (perception may skip its startup).
+    const attack = target.attackState
+    const startedAtMs = attack?.startedAtMs
+    if (!attack?.kind || startedAtMs == null || startedAtMs === this._lastAttackStartedAtMs) return
+    this._lastAttackStartedAtMs = startedAtMs
+
+    const byKind = this.attacksByBand[getRangeBand(absDx)]
+    byKind[attack.kind] = (byKind[attack.kind] ?? 0) + 1
+    this.attackCount += 1
+  }
+
+  _observeHitRecovery(target, nowMs) {
+    const inHitstun = Boolean(target.isInHitstun(nowMs))
+    if (this._wasInHitstun && !inHitstun) {
+      this.hitRecoveries += 1
+      this._blockWindowUntilMs = nowMs + BLOCK_AFTER_HIT_WINDOW_MS
+    }
+    this._wasInHitstun = inHitstun
+
+    if (this._blockWindowUntilMs == null) return
+    if (target.isGuarding()) {
+      this.blockedAfterHit += 1
+      this._blockWindowUntilMs = null
+    } else if (nowMs > this._blockWindowUntilMs) {
+      this._blockWindowUntilMs = null
+    }
+  }
+
+  _observeJump(self, target, dx) {
+    const airborne = !(target.body?.blocked?.down || target.body?.touching?.down)
+    if (airborne && !this._wasAirborne) {
+      this.airborneCount += 1
+      this._jumpCounted = false
+    }
+    this._wasAirborne = airborne
+    if (!airborne || this._jumpCounted) return
+
+    // dx is target - self, so moving at us means velocity opposite to dx.
+    const vx = Number(target.body?.velocity?.x ?? 0)
+    const above = Number(self.y ?? 0) - Number(target.y ?? 0) >= JUMP_IN_MIN_HEIGHT
+    const towardUs = Math.abs(vx) >= JUMP_IN_MIN_SPEED && Math.sign(vx) === -Math.sign(dx)
+    if (above && towardUs && Math.abs(dx) <= JUMP_IN_MAX_DX) {
+      this.jumpIns += 1
+      this._jumpCounted = true
+    }
+  }
+
+  _observeDodge(self, target, nowMs, absDx) {
+    // Our attack near the opponent opens a "dodge chance" until it ends or they dodge.
+    const ownAttack = self.attackState
+    const startedAtMs = ownAttack?.startedAtMs
+    if (startedAtMs != null && startedAtMs !== this._lastSelfAttackStartedAtMs) {
+      this._lastSelfAttackStartedAtMs = startedAtMs
+      if (absDx <= DODGE_CHANCE_MAX_DX) {
+        this.dodgeChances += 1
+        this._dodgeWindowStartedAtMs = startedAtMs
+      }
+    }
+    if (!ownAttack) this._dodgeWindowStartedAtMs = null
+
+    const dodging = Boolean(target.isDodging(nowMs))
+    if (dodging && !this._wasDodging && this._dodgeWindowStartedAtMs != null) {
+      this.dodges += 1
+      this.dodgeDelayTotalMs += Math.max(0, nowMs - this._dodgeWindowStartedAtMs)
+      this._dodgeWindowStartedAtMs = null
+    }
+    this._wasDodging = dodging
+  }
+
+  _observedMinutes() {
+    if (this.firstSeenAtMs == null) return 0
+    return (this.lastSeenAtMs - this.firstSeenAtMs) / 60_000
+  }
+}
+
+export function getRangeBand(absDx) {
+  const d = Math.abs(Number(absDx ?? 0))
+  if (d <= CLOSE_MAX_DX) return 'close'
+  return d <= MID_MAX_DX ? 'mid' : 'far'
+}
+
+function pickFavorite(byKind) {
+  // Most used move in one band (ties: first counted), with its share of that band.
+  let kind = null
+  let best = 0
+  let samples = 0
+  for (const [name, count] of Object.entries(byKind)) {
+    samples += count
+    if (count > best) {
+      best = count
+      kind = name
+    }
+  }
+  return { kind, share: samples ? round2(best / samples) : 0, samples }
+}
+
+function ratio(count, total) {
+  return total ? round2(count / total) : 0
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100
+}
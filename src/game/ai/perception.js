@@ -0,0 +1,154 @@
+// Human-like perception and execution for BotAgent (driven by aiDifficulty.js).
+//
+// Perception (TargetPerception):
+// - Every AI tick records a small snapshot of the target (position, velocity, hp, attack,
+//   hitstun, ...). The BT and the threat model then read the snapshot from `delayMs` ago
+//   instead of the live fighter, so a defensive bot reacts to an attack only after its
+//   reaction time - like a player would.
+// - Snapshots are PerceivedFighter objects with the same fields/methods BT leaves and the
+//   opponent model read from a Fighter (`x`, `body.velocity`, `attackState`, `isInHitstun()`,
+//   `isGuarding()`, `getHurtboxRect()`, ...).
+// - Perception never goes backwards: when the delay grows (jitter), the bot keeps seeing the
+//   newest snapshot it already saw.
+//
+// Execution (ExecutionNoise):
+// - Applied to the finished intent after the BT tick (the BT still decides as usual).
+// - Edge-triggered inputs (jump/dash/dodge, and the first tick of a guard) may be dropped.
+// - Attacks may be held back and pressed `lateAttackMs` later, even if the BT has moved on.
+// - Every change is logged as a reason (`HUMAN_*`) so the debug panel / timeline show it.
+//
+// Randomness comes from the agent's seeded RNG, so replays and benchmarks stay reproducible.
+//
+// This module must NOT import Phaser.
+
+import { createRect } from '../combat/rect.js'
+
+// Edge-triggered intent flags that a "missed input" can drop.
+const EDGE_INPUTS = ['jumpPressed', 'dashPressed', 'dodgePressed']
+
+export class PerceivedFighter {
+  constructor(fighter, nowMs) {
+    this.atMs = nowMs
+    this.id = fighter.id
+    this.x = fighter.x
+    this.y = fighter.y
+    this.hp = fighter.hp
+    this.maxHp = fighter.maxHp
+    this.facing = fighter.facing
+    this.displayWidth = fighter.displayWidth
+    this.displayHeight = fighter.displayHeight
+    this.body = {
+      velocity: { x: fighter.body?.velocity?.x ?? 0, y: fighter.body?.velocity?.y ?? 0 },
+      blocked: { down: Boolean(fighter.body?.blocked?.down) },
+      touching: { down: Boolean(fighter.body?.touching?.down) },
+    }
+    // Copy: the fighter mutates its attack object in place (phase/hasHit).
+    this.attackState = fighter.attackState ? { ...fighter.attackState } : null
+    this._inHitstun = fighter.isInHitstun(nowMs)
+    this._inHitstop = fighter.isInHitstop(nowMs)
+    this._guarding = fighter.isGuarding()
+    this._dodging = fighter.isDodging(nowMs)
+  }
+
+  // The snapshot answers "as seen at capture time", whatever time the caller asks about.
+  isInHitstun() {
+    return this._inHitstun
+  }
+
+  isInHitstop() {
+    return this._inHitstop
+  }
+
+  isGuarding() {
+    return this._guarding
+  }
+
+  isDodging() {
+    return this._dodging
+  }
+
+  getHurtboxRect() {
+    return createRect(
+      this.x - this.displayWidth / 2,
+      this.y - this.displayHeight / 2,
+      this.displayWidth,
+      this.displayHeight,
+    )
+  }
+}
+
+export class TargetPerception {
+  constructor() {
+    this.reset()
+  }
+
+  reset() {
+    // Oldest first; `_snapshots[0]` is the one currently perceived.
+    this._snapshots = []
+  }
+
+  observe(target, nowMs, delayMs) {
+    // Record the live target and return what the bot perceives now.
+    // Time jumping backwards means a replay seek / match restart: forget the old snapshots.
+    const newest = this._snapshots[this._snapshots.length - 1]
+    if (newest && newest.atMs > nowMs) this._snapshots = []
+    this._snapshots.push(new PerceivedFighter(target, nowMs))
+
+    const visibleAtMs = nowMs - Math.max(0, Number(delayMs) || 0)
+    while (this._snapshots.length > 1 && this._snapshots[1].atMs <= visibleAtMs) this._snapshots.shift()
+    return this._snapshots[0]
+  }
+}
+
+export class ExecutionNoise {
+  constructor() {
+    this.reset()
+  }
+
+  reset() {
+    this._pendingAttack = null
+    this._guardHeld = false
+  }
+
+  apply(intent, { nowMs, difficulty, rng, reasons }) {
+    const missChance = Number(difficulty?.missInputChance ?? 0)
+    const lateChance = Number(difficulty?.lateAttackChance ?? 0)
+
+    if (missChance > 0) {
+      for (const key of EDGE_INPUTS) {
+        if (intent[key] && rng() < missChance) {
+          intent[key] = false
+          reasons.push(`HUMAN_MISS:${key}`)
+        }
+      }
+      // Starting a guard is the "press"; once it is up, holding it is not an extra chance to fail.
+      if (intent.guardHeld && !this._guardHeld && rng() < missChance) {
+        intent.guardHeld = false
+        reasons.push('HUMAN_MISS:guardHeld')
+      }
+    }
+    this._guardHeld = Boolean(intent.guardHeld)
+
+    // A late attack comes out when its time is up (unless the BT presses another one right now).
+    const pending = this._pendingAttack
+    if (pending && nowMs >= pending.releaseAtMs) {
+      this._pendingAttack = null
+      if (!intent.attackPressed) {
+        intent.attackPressed = pending.kind
+        reasons.push(`HUMAN_LATE_ATTACK:${pending.kind}`)
+        return intent
+      }
+    }
+
+    if (intent.attackPressed && this._pendingAttack) {
+      // Still "reaching for the button" of the delayed attack.
+      intent.attackPressed = null
+    } else if (intent.attackPressed && lateChance > 0 && rng() < lateChance) {
+      const delayMs = Number(difficulty.lateAttackMs ?? 0) * (0.5 + rng() * 0.5)
+      this._pendingAttack = { kind: intent.attackPressed, releaseAtMs: nowMs + delayMs }
+      reasons.push(`HUMAN_DELAY_ATTACK:${intent.attackPressed}:${Math.round(delayMs)}ms`)
+      intent.attackPressed = null
+    }
+    return intent
+  }
+}
@@ -3,11 +3,13 @@
 // This file defines the "leaf node vocabulary" (conditions/actions) that the BT JSON can use.
 // The BT runtime itself is generic and lives under src/game/ai/bt/runtime.js.
 
-import Phaser from 'phaser'
-
 import { MOVES } from '../combat/moves.js'
+import { createRect, rectsOverlap } from '../combat/rect.js'
 import { findPlatformPath, getPlatformIdForFighter } from '../stage/platformGraph.js'
 import { BT_STATUS, buildBtTreeFromJson, LeafNode } from './bt/runtime.js'
+import { readBlackboardPath } from './bt/scoreExpression.js'
+import { BLACKBOARD_VARS_PREFIX, isBlackboardVarPath } from './blackboardSchema.js'
+import { OPPONENT_MIN_SAMPLES } from './opponentModel.js'
 import { DEFAULT_BT_JSON } from './defaultBt.js'
 
 // Parse a BT JSON string with a safe fallback.
@@ -76,7 +78,23 @@ export function createPlatformBrawlBtTree(btJsonObject) {
         fn: (ctx) => (isInRange(ctx, params) ? BT_STATUS.SUCCESS : BT_STATUS.FAILURE),
       }),
 
+    // Data-driven condition: compare a blackboard path with a constant or another path.
+    // Paths are checked against `blackboardSchema.js` by the BT Lab validator.
+    BlackboardCompare: (params) =>
+      new LeafNode({
+        name: `BlackboardCompare(${formatBlackboardCompare(params)})`,
+        fn: (ctx) => (blackboardCompare(ctx, params) ? BT_STATUS.SUCCESS : BT_STATUS.FAILURE),
+      }),
+
     // ---- Actions ----
+
+    // Data-driven action: write a constant (or another path's value) into `vars.<name>`.
+    BlackboardSet: (params) =>
+      new LeafNode({
+        name: `BlackboardSet(${String(params?.path ?? '')})`,
+        fn: (ctx) => blackboardSet(ctx, params),
+      }),
+
     RecoverToStage: () =>
       new LeafNode({
         name: 'RecoverToStage',
@@ -126,10 +144,14 @@ export function createPlatformBrawlBtTree(btJsonObject) {
         fn: (ctx) => punish(ctx),
       }),
 
+    // Navigation keeps a plan (drop-through, direction lock) across ticks.
+    // When a higher-priority branch (e.g. Evade) interrupts it, drop the plan so the next
+    // chase replans from where the fighter actually is.
     MoveToTargetX: () =>
       new LeafNode({
         name: 'MoveToTargetX',
         fn: (ctx) => moveToTargetX(ctx),
+        onAbort: (ctx) => resetNavPlan(ctx),
       }),
 
     LightAttack: () =>
@@ -168,6 +190,41 @@ export function createPlatformBrawlBtTree(btJsonObject) {
 
 // ---- Leaf implementations (game-specific logic) ----
 
+function blackboardCompare(ctx, params) {
+  const left = readBlackboardPath(ctx.blackboard, params?.path)
+  const right = params?.otherPath != null ? readBlackboardPath(ctx.blackboard, params.otherPath) : params?.value
+  const op = String(params?.op ?? '==')
+
+  if (op === '==') return left === right
+  if (op === '!=') return left !== right
+
+  // Ordering only makes sense for numbers; missing values never match.
+  const a = typeof left === 'number' ? left : NaN
+  const b = typeof right === 'number' ? right : NaN
+  if (op === '<') return a < b
+  if (op === '<=') return a <= b
+  if (op === '>') return a > b
+  if (op === '>=') return a >= b
+  return false
+}
+
+function formatBlackboardCompare(params) {
+  // e.g. "self.hp < 30" or "self.hp < target.hp"
+  const right = params?.otherPath != null ? String(params.otherPath) : JSON.stringify(params?.value ?? null)
+  return `${String(params?.path ?? '')} ${String(params?.op ?? '==')} ${right}`
+}
+
+function blackboardSet(ctx, params) {
+  // Only `vars.<name>` is writable; observations are owned by BotAgent.
+  const path = String(params?.path ?? '')
+  if (!isBlackboardVarPath(path) || !ctx.blackboard) return BT_STATUS.FAILURE
+
+  const value = params?.fromPath != null ? readBlackboardPath(ctx.blackboard, params.fromPath) : params?.value
+  if (!ctx.blackboard.vars) ctx.blackboard.vars = {}
+  ctx.blackboard.vars[path.slice(BLACKBOARD_VARS_PREFIX.length)] = value ?? null
+  return BT_STATUS.SUCCESS
+}
+
 function isOffstage(ctx) {
   const self = ctx.self
   const stage = ctx.stage
@@ -220,6 +277,18 @@ function isTargetRecovering(ctx) {
   return ctx.target?.attackState?.phase === 'recovery'
 }
 
+function isExpectedJumpIn(ctx) {
+  // Opponent model: this player often jumps in, and the current jump looks like one
+  // (airborne, above us, moving toward us, in range) while we stand on the ground.
+  const opponent = ctx.blackboard?.opponent
+  if (!opponent || opponent.airborneCount < OPPONENT_MIN_SAMPLES || opponent.jumpInRate < 0.4) return false
+
+  const target = ctx.blackboard?.target
+  if (!target || target.onGround || !ctx.blackboard?.self?.onGround) return false
+  const towardUs = Math.abs(target.vx) >= 40 && Math.sign(target.vx) === -Math.sign(target.dx)
+  return towardUs && target.dy <= -30 && target.absDx <= 220
+}
+
 function isTargetInHitstun(ctx) {
   // BotAgent stashes this on the blackboard so leaves stay cheap.
   return Boolean(ctx.blackboard?.target?.inHitstun)
@@ -243,7 +312,7 @@ function isInRange(ctx, params) {
   const facing = target.x >= self.x ? 1 : -1
 
   // Compute a "would-be" hitbox if we attacked right now.
-  const hitbox = new Phaser.Geom.Rectangle(
+  const hitbox = createRect(
     self.x + facing * (move.hitboxOffsetX + move.hitboxWidth / 2) - move.hitboxWidth / 2,
     self.y + move.hitboxOffsetY - move.hitboxHeight / 2,
     move.hitboxWidth,
@@ -251,7 +320,7 @@ function isInRange(ctx, params) {
   )
 
   const hurtbox = target.getHurtboxRect()
-  return Phaser.Geom.Rectangle.Overlaps(hitbox, hurtbox)
+  return rectsOverlap(hitbox, hurtbox)
 }
 
 function moveToTargetX(ctx) {
@@ -643,11 +712,16 @@ function evade(ctx) {
   }
 
   // Prefer block when grounded and the threat isn't instantaneous.
-  if (onGround && timeToHitMs >= 80 && defenseBias >= 0.55) {
+  // A move we anticipated (the opponent's habit from this range) is blocked even by
+  // low-defense profiles: we saw it coming.
+  if (onGround && timeToHitMs >= 80 && (defenseBias >= 0.55 || threat.anticipated)) {
     ctx.intent.guardHeld = true
     ctx.intent.moveX = 0
     ctx.intent.fastFall = false
-    if (ctx.reasons) ctx.reasons.push('DEFEND_BLOCK')
+    if (ctx.reasons) {
+      ctx.reasons.push('DEFEND_BLOCK')
+      if (threat.anticipated) ctx.reasons.push('DEFEND_READ')
+    }
     return BT_STATUS.SUCCESS
   }
 
@@ -661,8 +735,14 @@ function evade(ctx) {
 }
 
 function punish(ctx) {
-  // Only punish when the opponent is in recovery (classic whiff punish window).
-  if (!isTargetRecovering(ctx)) return BT_STATUS.FAILURE
+  // Only punish when the opponent is in recovery (classic whiff punish window),
+  // or when a habitual jump-in is coming (learned anti-air, see opponentModel.js).
+  if (!isTargetRecovering(ctx)) {
+    if (!isExpectedJumpIn(ctx)) return BT_STATUS.FAILURE
+    const status = utilityAttack(ctx, { mode: 'antiAir' })
+    if (status !== BT_STATUS.FAILURE && ctx.reasons) ctx.reasons.push('PUNISH_JUMP_IN')
+    return status
+  }
 
   // Reuse the utility attack selector in a "punish" mode.
   // This tends to choose higher-reward moves and dash in more often.
@@ -722,6 +802,19 @@ function utilityAttack(ctx, params) {
   if (mode === 'neutral' && inComboWindow) mode = 'combo'
   else if (mode === 'neutral' && inBlockPressure) mode = 'pressure'
 
+  // Opponent model: a player who usually guards right after hitstun will block the follow-up,
+  // so once their hitstun is over the combo turns into safe pressure.
+  const opponent = ctx.blackboard?.opponent ?? {}
+  if (
+    mode === 'combo' &&
+    !ctx.blackboard?.target?.inHitstun &&
+    opponent.hitRecoveries >= OPPONENT_MIN_SAMPLES &&
+    opponent.blockAfterHitRate >= 0.5
+  ) {
+    mode = 'pressure'
+    if (ctx.reasons) ctx.reasons.push('READ_BLOCK_AFTER_HIT')
+  }
+
   // Combat hysteresis: keep one planned move for a short time to reduce jitter.
   // Only reuse the plan when the mode matches (prevents "pressure lock" leaking into neutral).
   const isLocked =
@@ -787,7 +880,7 @@ function utilityAttack(ctx, params) {
 
     const facing = predicted.x >= self.x ? 1 : -1
     const hitbox = getMoveHitboxRect({ move, x: self.x, y: self.y, facing })
-    const inRange = Phaser.Geom.Rectangle.Overlaps(hitbox, targetRect)
+    const inRange = rectsOverlap(hitbox, targetRect)
 
     let score = scoreMove({
       move,
@@ -798,6 +891,7 @@ function utilityAttack(ctx, params) {
       targetOnGround,
       profile,
       mode,
+      opponent,
     })
 
     // Bias toward a "structured" follow-up during combos.
@@ -857,7 +951,7 @@ function approachAndAttack(ctx, { kind, nowMs, onGround, predictedTarget, target
   if (self.canAttack(kind, nowMs, onGround)) {
     const facing = predictedTarget.x >= self.x ? 1 : -1
     const hitbox = getMoveHitboxRect({ move, x: self.x, y: self.y, facing })
-    const inRange = Phaser.Geom.Rectangle.Overlaps(hitbox, targetRect)
+    const inRange = rectsOverlap(hitbox, targetRect)
 
     if (inRange) {
       ctx.intent.attackPressed = kind
@@ -880,11 +974,12 @@ function approachAndAttack(ctx, { kind, nowMs, onGround, predictedTarget, target
   }
 
   // Dash in when far and grounded.
-  // We avoid randomness; dashChance is treated as a "tendency" threshold.
+  // dashChance is a per-tick probability rolled on the agent's seeded RNG (`ctx.rng`), so runs
+  // stay reproducible from the match seed; combo/pressure follow-ups dash more eagerly.
   const dashChance = clampNumber(Number(profile?.dashChance ?? 0.3), 0, 1)
   const dashDistance = mode === 'combo' ? 140 : mode === 'pressure' ? 180 : 220
-  const dashThreshold = mode === 'combo' ? 0.18 : mode === 'pressure' ? 0.24 : 0.28
-  if (onGround && absDx > dashDistance && dashChance >= dashThreshold) {
+  const dashBoost = mode === 'combo' ? 1.5 : mode === 'pressure' ? 1.25 : 1
+  if (onGround && absDx > dashDistance && rollChance(ctx, dashChance * dashBoost)) {
     ctx.intent.dashPressed = true
     if (ctx.reasons) {
       ctx.reasons.push(
@@ -897,7 +992,7 @@ function approachAndAttack(ctx, { kind, nowMs, onGround, predictedTarget, target
   return BT_STATUS.RUNNING
 }
 
-function scoreMove({ move, inRange, absDx, dy, onGround, targetOnGround, profile, mode }) {
+function scoreMove({ move, inRange, absDx, dy, onGround, targetOnGround, profile, mode, opponent }) {
   // Basic utility score:
   // - reward: damage + knockback
   // - risk: startup + recovery
@@ -926,11 +1021,22 @@ function scoreMove({ move, inRange, absDx, dy, onGround, targetOnGround, profile
   if (mode === 'combo') score -= Number(move.startupMs ?? 0) * 0.03
   if (mode === 'pressure') score -= Number(move.recoveryMs ?? 0) * 0.02
 
+  // Opponent model (only once there are enough samples):
+  // - frequent dodgers see slow moves coming, so startup costs more
+  // - a move that comes out before the opponent's usual move from this range beats it
+  const dodgeRate = opponent?.dodgeChances >= OPPONENT_MIN_SAMPLES ? Number(opponent.dodgeRate ?? 0) : 0
+  score -= Number(move.startupMs ?? 0) * 0.04 * dodgeRate
+  const expected = opponent?.expectedMoveSamples >= OPPONENT_MIN_SAMPLES ? MOVES[opponent.expectedMove] : null
+  if (expected && Number(move.startupMs ?? 0) < Number(expected.startupMs ?? 0)) {
+    score += 8 * Number(opponent.expectedMoveShare ?? 0)
+  }
+
   // Tag-based bonuses (contextual).
   const tags = Array.isArray(move.tags) ? move.tags : []
 
-  // Anti-air wants the opponent above us.
+  // Anti-air wants the opponent above us (and is the whole point of an 'antiAir' punish).
   if (tags.includes('antiAir') && dy < -45) score += 18
+  if (tags.includes('antiAir') && mode === 'antiAir') score += 25
 
   // Low moves are better when the target is grounded and on similar height.
   if (tags.includes('low') && targetOnGround && Math.abs(dy) < 60) score += 10
@@ -945,7 +1051,7 @@ function getHurtboxRectAt({ x, y, width, height }) {
   // Approximate a fighter hurtbox using display size.
   const w = Number(width ?? 0)
   const h = Number(height ?? 0)
-  return new Phaser.Geom.Rectangle(Number(x ?? 0) - w / 2, Number(y ?? 0) - h / 2, w, h)
+  return createRect(Number(x ?? 0) - w / 2, Number(y ?? 0) - h / 2, w, h)
 }
 
 function getMoveHitboxRect({ move, x, y, facing }) {
@@ -953,7 +1059,7 @@ function getMoveHitboxRect({ move, x, y, facing }) {
   const centerX = Number(x ?? 0) + (facing >= 0 ? 1 : -1) * (move.hitboxOffsetX + move.hitboxWidth / 2)
   const centerY = Number(y ?? 0) + move.hitboxOffsetY
 
-  return new Phaser.Geom.Rectangle(
+  return createRect(
     centerX - move.hitboxWidth / 2,
     centerY - move.hitboxHeight / 2,
     move.hitboxWidth,
@@ -961,6 +1067,13 @@ function getMoveHitboxRect({ move, x, y, facing }) {
   )
 }
 
+function rollChance(ctx, chance) {
+  // True with probability `chance`, drawn from the agent's seeded RNG.
+  // Ticks without an agent RNG (tooling) use a fixed 0.5 roll, so they stay deterministic.
+  const roll = typeof ctx?.rng === 'function' ? ctx.rng() : 0.5
+  return roll < chance
+}
+
 function clampNumber(value, min, max) {
   // Clamp helper used for BT params so bad JSON can't create extreme behavior.
   if (!Number.isFinite(value)) return min
@@ -1081,6 +1194,14 @@ function getNavMemory(ctx) {
   return ai.nav
 }
 
+function resetNavPlan(ctx) {
+  // Forget the active plan but keep last-known platform ids (they are still valid observations).
+  const nav = getNavMemory(ctx)
+  nav.dropPlan = null
+  nav.lockedUntilMs = 0
+  nav.replanAtMs = 0
+}
+
 function buildOrReuseDropPlan(
   ctx,
   { nowMs, currentPlatform, nextPlatform, stableSelfPlatformId, stableTargetPlatformId },
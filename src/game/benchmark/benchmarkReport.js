@@ -0,0 +1,199 @@
+// Benchmark report helpers (round rows, aggregate report, BT fingerprint).
+//
+// These are shared by BattleScene (browser benchmark) and the headless simulator (Node),
+// so both produce byte-for-byte the same JSON shape.
+// Keep this module Phaser-free.
+
+import { parseBtJsonText } from '../ai/platformBrawlBt.js'
+
+export function createEmptySideRoundStats() {
+  // Per-side counters for a single round.
+  // Keep these as simple integers so the report can be JSON-exported easily.
+  return {
+    // Offense
+    attacksStarted: 0,
+    hitsLanded: 0,
+    hitsBlocked: 0,
+    hitsDodged: 0,
+    damageDealt: 0,
+    chipDamageDealt: 0,
+
+    // Defense / mobility
+    blocks: 0,
+    dodges: 0,
+    dashes: 0,
+    dodgesStarted: 0,
+  }
+}
+
+export function createEmptyRoundStats() {
+  // A round row that we can finalize and export.
+  // This is kept small so storing hundreds of rounds is still cheap.
+  return {
+    roundNumber: 0,
+    startedAtMs: 0,
+    endedAtMs: 0,
+    durationMs: 0,
+    winner: null,
+    leftHpEnd: null,
+    rightHpEnd: null,
+    stage: { style: null, seed: null },
+    // BT hash per side when the round ended (trees can be hot-swapped between rounds).
+    btHashes: { left: null, right: null },
+    // Per-node BT counters per side (BtProfiler.takeRound(), compact; see btProfiler.js).
+    btProfile: { left: null, right: null },
+    left: createEmptySideRoundStats(),
+    right: createEmptySideRoundStats(),
+  }
+}
+
+export function exportRoundStats(round) {
+  // Return a deep-ish copy with only plain JSON values.
+  // This prevents later mutation when the scene resets internal objects.
+  return {
+    roundNumber: Number(round?.roundNumber ?? 0),
+    startedAtMs: Number(round?.startedAtMs ?? 0),
+    endedAtMs: Number(round?.endedAtMs ?? 0),
+    durationMs: Number(round?.durationMs ?? 0),
+    winner: round?.winner ?? null,
+    leftHpEnd: round?.leftHpEnd ?? null,
+    rightHpEnd: round?.rightHpEnd ?? null,
+    stage: {
+      style: round?.stage?.style ?? null,
+      seed: round?.stage?.seed ?? null,
+    },
+    btHashes: {
+      left: round?.btHashes?.left ?? null,
+      right: round?.btHashes?.right ?? null,
+    },
+    // takeRound() already returns a fresh object per round, so no copy is needed.
+    btProfile: {
+      left: round?.btProfile?.left ?? null,
+      right: round?.btProfile?.right ?? null,
+    },
+    left: { ...(round?.left ?? createEmptySideRoundStats()) },
+    right: { ...(round?.right ?? createEmptySideRoundStats()) },
+  }
+}
+
+export function computeBenchmarkReport(rounds) {
+  // Compute a compact aggregate report for the UI.
+  //
+  // We keep the report stable and deterministic:
+  // - No random sampling
+  // - All numeric values are finite or null
+  const list = Array.isArray(rounds) ? rounds : []
+  const total = list.length
+  if (!total) {
+    return {
+      totalRounds: 0,
+      wins: { left: 0, right: 0, draw: 0 },
+      avgKoTimeMs: null,
+      avgDamageDealt: { left: null, right: null },
+      avgAttacksStarted: { left: null, right: null },
+      avgHitsLanded: { left: null, right: null },
+      avgBlocks: { left: null, right: null },
+      avgDodges: { left: null, right: null },
+    }
+  }
+
+  let leftWins = 0
+  let rightWins = 0
+  let draws = 0
+
+  let sumDuration = 0
+  let sumLeftDamage = 0
+  let sumRightDamage = 0
+  let sumLeftAttacks = 0
+  let sumRightAttacks = 0
+  let sumLeftHits = 0
+  let sumRightHits = 0
+  let sumLeftBlocks = 0
+  let sumRightBlocks = 0
+  let sumLeftDodges = 0
+  let sumRightDodges = 0
+
+  for (const r of list) {
+    const winner = r?.winner
+    if (winner === 'left') leftWins += 1
+    else if (winner === 'right') rightWins += 1
+    else draws += 1
+
+    sumDuration += Number(r?.durationMs ?? 0)
+    sumLeftDamage += Number(r?.left?.damageDealt ?? 0)
+    sumRightDamage += Number(r?.right?.damageDealt ?? 0)
+    sumLeftAttacks += Number(r?.left?.attacksStarted ?? 0)
+    sumRightAttacks += Number(r?.right?.attacksStarted ?? 0)
+    sumLeftHits += Number(r?.left?.hitsLanded ?? 0)
+    sumRightHits += Number(r?.right?.hitsLanded ?? 0)
+    sumLeftBlocks += Number(r?.left?.blocks ?? 0)
+    sumRightBlocks += Number(r?.right?.blocks ?? 0)
+    sumLeftDodges += Number(r?.left?.dodges ?? 0)
+    sumRightDodges += Number(r?.right?.dodges ?? 0)
+  }
+
+  return {
+    totalRounds: total,
+    wins: { left: leftWins, right: rightWins, draw: draws },
+    avgKoTimeMs: sumDuration / total,
+    avgDamageDealt: { left: sumLeftDamage / total, right: sumRightDamage / total },
+    avgAttacksStarted: { left: sumLeftAttacks / total, right: sumRightAttacks / total },
+    avgHitsLanded: { left: sumLeftHits / total, right: sumRightHits / total },
+    avgBlocks: { left: sumLeftBlocks / total, right: sumRightBlocks / total },
+    avgDodges: { left: sumLeftDodges / total, right: sumRightDodges / total },
+  }
+}
+
+export function hashStringFNV1a32(text) {
+  // Tiny deterministic hash for debugging/regression testing.
+  //
+  // Why not crypto?
+  // - We want a zero-dependency helper that works in the browser sandbox.
+  // - 32-bit FNV-1a is good enough to "fingerprint" a BT JSON blob for comparisons.
+  const str = String(text ?? '')
+  let hash = 2166136261
+
+  for (let i = 0; i < str.length; i += 1) {
+    hash ^= str.charCodeAt(i)
+    // `Math.imul` keeps multiplication in 32-bit integer space.
+    hash = Math.imul(hash, 16777619)
+  }
+
+  // Convert to unsigned and format as fixed 8-char hex.
+  return (hash >>> 0).toString(16).padStart(8, '0')
+}
+
+export function computeBtHashMeta(btJsonText) {
+  // Compute a stable BT identifier for regression testing.
+  //
+  // We parse JSON and stringify it back to remove whitespace differences.
+  // (Key order differences can still affect the output; that's acceptable for MVP.)
+  try {
+    const btObject = parseBtJsonText(btJsonText)
+    const canonicalText = JSON.stringify(btObject)
+    return {
+      hash: canonicalText ? hashStringFNV1a32(canonicalText) : null,
+      canonicalLength: canonicalText ? canonicalText.length : 0,
+    }
+  } catch {
+    return { hash: null, canonicalLength: 0 }
+  }
+}
+
+export function computeBtHashMetaBySide({ left, right } = {}) {
+  // BT identifiers for both fighters (each side can run a different tree).
+  //
+  // `hash` stays a single string so existing summaries/CSV/file names keep working:
+  // - both sides run the same tree => that tree's hash
+  // - otherwise => `leftHash/rightHash`
+  const leftMeta = computeBtHashMeta(left)
+  const rightMeta = computeBtHashMeta(right)
+  const same = leftMeta.hash === rightMeta.hash
+
+  return {
+    hash: same ? leftMeta.hash : `${leftMeta.hash ?? '—'}/${rightMeta.hash ?? '—'}`,
+    canonicalLength: same ? leftMeta.canonicalLength : leftMeta.canonicalLength + rightMeta.canonicalLength,
+    left: leftMeta,
+    right: rightMeta,
+  }
+}
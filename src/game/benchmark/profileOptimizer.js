@@ -0,0 +1,197 @@
+// AI profile optimizer: search profile parameters with benchmark batches.
+//
+// Algorithm: a seeded (1+1) evolution strategy with the 1/5th success rule.
+// - Parameters are the AI_PROFILE_FIELDS, searched in a normalized [0..1] space so one step
+//   size (`sigma`) fits every field; candidates are snapped back to the slider step.
+// - Each iteration mutates the best profile so far with Gaussian noise. Only a candidate that
+//   scores strictly better replaces it; sigma grows after a success and shrinks after a failure,
+//   so it settles where about 1 in 5 candidates succeed.
+// - Ties count as failures: headless matches often end in 120s timeouts, and on such draw-only
+//   plateaus accepting ties would keep "succeeding" and push sigma to its maximum.
+//
+// Ask/tell interface (the optimizer never runs matches itself):
+//   const optimizer = new ProfileOptimizer({ start: 'balanced', side: 'left', seed: 1 })
+//   while (optimizer.iteration < 20) {
+//     const profile = optimizer.ask()
+//     optimizer.tell(runBenchmarkBatchWith(profile))   // a benchmark export (single or batch)
+//   }
+//   optimizer.best.profile / optimizer.log / optimizer.toJSON()
+//
+// Notes:
+// - The first ask() returns the start profile itself, so the log starts from its baseline score.
+// - Evaluate every candidate on the same stage seeds: comparisons then only differ by the
+//   profile, not by luck (the AI RNG is also seeded from the stage seed).
+// - Candidates are custom profiles (normalizeCustomAiProfile), so exports record them by value.
+//
+// This module must NOT import Phaser.
+
+import { AI_PROFILE_FIELDS, normalizeCustomAiProfile, resolveAiProfile } from '../ai/aiProfiles.js'
+import { createSeededRng } from '../sim/seededRandom.js'
+
+export const PROFILE_OPTIMIZATION_VERSION = 1
+
+// Score = win rate (draws count half) + this weight * average damage lead (in max-HP units).
+// The damage term only separates profiles with the same win rate (e.g. mostly timeouts).
+const DAMAGE_TIEBREAK_WEIGHT = 0.1
+const FIGHTER_MAX_HP = 100
+
+const DEFAULT_SIGMA = 0.15
+const MIN_SIGMA = 0.01
+const MAX_SIGMA = 0.5
+
+// 1/5th rule factors: exp(1/3) once vs exp(-1/12) four times cancel out.
+const SIGMA_GROW = Math.exp(1 / 3)
+const SIGMA_SHRINK = Math.exp(-1 / 12)
+
+export function scoreBenchmarkExport(payload, side = 'left') {
+  // Score one side of a benchmark export (`exportBenchmark()` or `exportBenchmarkBatch()`).
+  const report = payload?.report
+  const other = side === 'right' ? 'left' : 'right'
+  const total = Number(report?.totalRounds ?? 0)
+  if (!total) return { score: 0, winRate: 0, damageLead: 0, rounds: 0 }
+
+  const wins = Number(report.wins?.[side] ?? 0)
+  const draws = Number(report.wins?.draw ?? 0)
+  const winRate = (wins + draws / 2) / total
+  const damageLead = Number(report.avgDamageDealt?.[side] ?? 0) - Number(report.avgDamageDealt?.[other] ?? 0)
+
+  return {
+    score: round4(winRate + (DAMAGE_TIEBREAK_WEIGHT * damageLead) / FIGHTER_MAX_HP),
+    winRate: round4(winRate),
+    damageLead: round4(damageLead),
+    rounds: total,
+  }
+}
+
+export class ProfileOptimizer {
+  constructor({
+    start = 'balanced',
+    side = 'left',
+    seed = 1,
+    sigma = DEFAULT_SIGMA,
+    profileId = 'custom:optimized',
+    labelZh = '最佳化結果',
+  } = {}) {
+    this.side = side === 'right' ? 'right' : 'left'
+    this.seed = seed
+    this.profileId = profileId
+    this.labelZh = labelZh
+    this.startProfile = resolveAiProfile(start)
+    this.sigma = clampSigma(Number(sigma))
+    this.rng = createSeededRng(`optimizer:${seed}`)
+
+    this.iteration = 0
+    this.best = null
+    this.log = []
+    this._pending = null
+  }
+
+  ask() {
+    // Next candidate profile to benchmark. Asking again before tell() returns the same one.
+    if (this._pending) return this._pending.profile
+
+    const from = this.best ? this.best.params : toParams(this.startProfile)
+    const params = this.best ? this._mutate(from) : from
+    this._pending = { params, profile: this._toProfile(params, this.iteration) }
+    return this._pending.profile
+  }
+
+  tell(payload) {
+    // Score the pending candidate from its benchmark export and update best/sigma/log.
+    if (!this._pending) throw new Error('ProfileOptimizer.tell() called without ask()')
+    const { params, profile } = this._pending
+    this._pending = null
+
+    const result = scoreBenchmarkExport(payload, this.side)
+    const isBaseline = !this.best
+    const accepted = isBaseline || result.score > this.best.score
+    if (!isBaseline) this.sigma = clampSigma(this.sigma * (accepted ? SIGMA_GROW : SIGMA_SHRINK))
+    if (accepted) this.best = { iteration: this.iteration, params, profile, ...result }
+
+    const entry = {
+      iteration: this.iteration,
+      ...result,
+      accepted,
+      bestScore: this.best.score,
+      sigma: round4(this.sigma),
+      params,
+    }
+    this.log.push(entry)
+    this.iteration += 1
+    return entry
+  }
+
+  toJSON() {
+    // Export shape written by `npm run optimize:headless -- --out FILE`.
+    return {
+      kind: 'profileOptimization',
+      version: PROFILE_OPTIMIZATION_VERSION,
+      algorithm: '(1+1)-es',
+      side: this.side,
+      seed: this.seed,
+      startProfile: this.startProfile,
+      iterations: this.iteration,
+      best: this.best
+        ? {
+            iteration: this.best.iteration,
+            score: this.best.score,
+            winRate: this.best.winRate,
+            damageLead: this.best.damageLead,
+            profile: this._toProfile(this.best.params, null),
+          }
+        : null,
+      log: this.log.map((entry) => ({ ...entry, params: { ...entry.params } })),
+    }
+  }
+
+  _mutate(params) {
+    const next = {}
+    for (const field of AI_PROFILE_FIELDS) {
+      const range = field.max - field.min
+      const unit = (params[field.key] - field.min) / range + this.sigma * gaussian(this.rng)
+      next[field.key] = snapToStep(field, field.min + clamp01(unit) * range)
+    }
+    return toParams(normalizeCustomAiProfile({ id: this.profileId, ...next }))
+  }
+
+  _toProfile(params, iteration) {
+    // Candidates are labelled with their iteration; the exported best profile is not.
+    return normalizeCustomAiProfile({
+      id: this.profileId,
+      labelZh: iteration == null ? this.labelZh : `${this.labelZh} #${iteration}`,
+      descriptionZh: `由 ${this.startProfile.labelZh} 最佳化（${this.side === 'left' ? '左方' : '右方'}）`,
+      ...params,
+    })
+  }
+}
+
+function toParams(profile) {
+  const params = {}
+  for (const field of AI_PROFILE_FIELDS) params[field.key] = profile[field.key]
+  return params
+}
+
+function gaussian(rng) {
+  // Box-Muller: two uniforms -> one standard normal sample.
+  const u = Math.max(rng(), Number.EPSILON)
+  const v = rng()
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+}
+
+function snapToStep(field, value) {
+  const steps = Math.round((value - field.min) / field.step)
+  // Round away float noise (0.1 + 0.2) so values look like slider values.
+  return round4(Math.min(field.max, field.min + steps * field.step))
+}
+
+function clampSigma(value) {
+  return Number.isFinite(value) ? Math.max(MIN_SIGMA, Math.min(MAX_SIGMA, value)) : DEFAULT_SIGMA
+}
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value))
+}
+
+function round4(value) {
+  return Math.round(value * 10000) / 10000
+}
@@ -0,0 +1,94 @@
+// Per-round telemetry bookkeeping (shared by BattleScene and the headless simulator).
+//
+// Telemetry shape:
+// - `round`: the current round stats bucket (see createEmptyRoundStats)
+// - `last`: edge-detection memory so we count *starts*, not frames
+//
+// Keep this module Phaser-free.
+
+import { createEmptyRoundStats } from './benchmarkReport.js'
+
+export function createRoundTelemetry() {
+  return {
+    // Round start time (ms in the simulation clock).
+    roundStartedAtMs: 0,
+
+    // Per-round counters for both sides.
+    round: createEmptyRoundStats(),
+
+    // Edge detection: keep last-known state so we count *starts* not frames.
+    last: createEmptyTelemetryEdges(),
+  }
+}
+
+export function resetRoundTelemetry(t, { nowMs, roundNumber } = {}) {
+  // Start a fresh telemetry bucket for a new round.
+  if (!t) return
+
+  t.roundStartedAtMs = nowMs ?? 0
+  t.round = createEmptyRoundStats()
+  t.round.startedAtMs = nowMs ?? 0
+  t.round.roundNumber = Number(roundNumber ?? 0)
+
+  // Clear edge detection so the first actions of the round are counted correctly.
+  t.last = createEmptyTelemetryEdges()
+}
+
+export function sampleRoundTelemetry(t, { left, right, nowMs }) {
+  // Per-frame telemetry sampling.
+  //
+  // We intentionally keep this:
+  // - edge-triggered (count starts, not frames)
+  // - cheap (only a handful of boolean checks)
+  //
+  // Call this only during the FIGHT phase, after fighters updated.
+  if (!t || !left || !right) return
+
+  // ---- Attack start detection ----
+  // Fighter creates a new attack object when a move starts, and mutates it across phases.
+  // That means we can detect "attack started" by checking object identity changes.
+  const leftAttack = left.attackState
+  if (leftAttack && t.last.leftAttackRef !== leftAttack) {
+    t.round.left.attacksStarted += 1
+    t.last.leftAttackRef = leftAttack
+  } else if (!leftAttack) {
+    t.last.leftAttackRef = null
+  }
+
+  const rightAttack = right.attackState
+  if (rightAttack && t.last.rightAttackRef !== rightAttack) {
+    t.round.right.attacksStarted += 1
+    t.last.rightAttackRef = rightAttack
+  } else if (!rightAttack) {
+    t.last.rightAttackRef = null
+  }
+
+  // ---- Dash / Dodge start detection ----
+  // These are implemented as time windows in Fighter, so we detect "start" via rising edges.
+  const leftDashingNow = typeof left.isDashing === 'function' ? left.isDashing(nowMs) : false
+  if (leftDashingNow && !t.last.leftDashing) t.round.left.dashes += 1
+  t.last.leftDashing = leftDashingNow
+
+  const rightDashingNow = typeof right.isDashing === 'function' ? right.isDashing(nowMs) : false
+  if (rightDashingNow && !t.last.rightDashing) t.round.right.dashes += 1
+  t.last.rightDashing = rightDashingNow
+
+  const leftDodgingNow = typeof left.isDodging === 'function' ? left.isDodging(nowMs) : false
+  if (leftDodgingNow && !t.last.leftDodging) t.round.left.dodgesStarted += 1
+  t.last.leftDodging = leftDodgingNow
+
+  const rightDodgingNow = typeof right.isDodging === 'function' ? right.isDodging(nowMs) : false
+  if (rightDodgingNow && !t.last.rightDodging) t.round.right.dodgesStarted += 1
+  t.last.rightDodging = rightDodgingNow
+}
+
+function createEmptyTelemetryEdges() {
+  return {
+    leftAttackRef: null,
+    rightAttackRef: null,
+    leftDashing: false,
+    rightDashing: false,
+    leftDodging: false,
+    rightDodging: false,
+  }
+}
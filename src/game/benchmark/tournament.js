@@ -0,0 +1,140 @@
+// Round-robin tournament between AI entrants (BT + profile + difficulty).
+//
+// Flow (the module never runs matches itself; see scripts/tournament.js):
+//   const entrants = normalizeTournamentEntrants(list)
+//   const legs = createTournamentSchedule(entrants)          // every pairing, both sides
+//   for (const leg of legs) leg.rounds = <benchmark batch rounds of leg.leftId vs leg.rightId>
+//   const report = computeTournamentReport({ entrants, legs })
+//
+// Notes:
+// - Each pairing is played twice with sides swapped, on the same seed list, so spawn/side bias
+//   cancels out of the head-to-head result.
+// - All stats come from computeBenchmarkReport(): rounds are first re-oriented so the entrant
+//   being described is "left" (its opponents are "right").
+// - Points: win = 1, draw = 0.5 (same as the profile optimizer score).
+//
+// This module must NOT import Phaser.
+
+import { normalizeAiDifficultyId } from '../ai/aiDifficulty.js'
+import { resolveAiProfile } from '../ai/aiProfiles.js'
+import { computeBenchmarkReport, computeBtHashMeta } from './benchmarkReport.js'
+
+export const TOURNAMENT_VERSION = 1
+
+export function normalizeTournamentEntrants(list) {
+  // Entrant input: { id?, labelZh?, btJsonText?, profile?, difficulty? }.
+  // Missing ids become e1, e2, ...; duplicate ids get a numeric suffix.
+  const entrants = []
+  const used = new Set()
+  for (const [index, entry] of (Array.isArray(list) ? list : []).entries()) {
+    const baseId = String(entry?.id ?? '').trim() || `e${index + 1}`
+    let id = baseId
+    for (let n = 2; used.has(id); n += 1) id = `${baseId}-${n}`
+    used.add(id)
+
+    const profile = resolveAiProfile(entry?.profile)
+    const btJsonText = entry?.btJsonText ?? null
+    const btHash = computeBtHashMeta(btJsonText).hash
+    entrants.push({
+      id,
+      labelZh: String(entry?.labelZh ?? '').trim() || `${profile.labelZh} / BT ${btHash ?? '—'}`,
+      btJsonText,
+      btHash,
+      profile,
+      difficulty: normalizeAiDifficultyId(entry?.difficulty),
+    })
+  }
+  return entrants
+}
+
+export function createTournamentSchedule(entrants) {
+  // Every unordered pair, played once from each side: [{ leftId, rightId }, ...].
+  const legs = []
+  for (let i = 0; i < entrants.length; i += 1) {
+    for (let j = i + 1; j < entrants.length; j += 1) {
+      legs.push({ leftId: entrants[i].id, rightId: entrants[j].id })
+      legs.push({ leftId: entrants[j].id, rightId: entrants[i].id })
+    }
+  }
+  return legs
+}
+
+export function orientRounds(rounds, side) {
+  // Rounds as seen from `side`: for 'right' swap the side stats and the winner.
+  const list = Array.isArray(rounds) ? rounds : []
+  if (side !== 'right') return list
+  return list.map((round) => ({
+    ...round,
+    winner: round?.winner === 'left' ? 'right' : round?.winner === 'right' ? 'left' : round?.winner ?? null,
+    leftHpEnd: round?.rightHpEnd ?? null,
+    rightHpEnd: round?.leftHpEnd ?? null,
+    btHashes: { left: round?.btHashes?.right ?? null, right: round?.btHashes?.left ?? null },
+    btProfile: { left: round?.btProfile?.right ?? null, right: round?.btProfile?.left ?? null },
+    left: round?.right,
+    right: round?.left,
+  }))
+}
+
+export function computeTournamentReport({ entrants, legs }) {
+  // Standings, head-to-head matrix and per-entrant benchmark reports from played legs.
+  const ids = entrants.map((entrant) => entrant.id)
+  const roundsByEntrant = Object.fromEntries(ids.map((id) => [id, []]))
+  const roundsByPair = Object.fromEntries(ids.map((id) => [id, Object.fromEntries(ids.map((other) => [other, []]))]))
+
+  for (const leg of legs ?? []) {
+    if (!roundsByEntrant[leg.leftId] || !roundsByEntrant[leg.rightId]) continue
+    const asLeft = orientRounds(leg.rounds, 'left')
+    const asRight = orientRounds(leg.rounds, 'right')
+    roundsByEntrant[leg.leftId].push(...asLeft)
+    roundsByEntrant[leg.rightId].push(...asRight)
+    roundsByPair[leg.leftId][leg.rightId].push(...asLeft)
+    roundsByPair[leg.rightId][leg.leftId].push(...asRight)
+  }
+
+  const entrantStats = {}
+  for (const id of ids) entrantStats[id] = computeBenchmarkReport(roundsByEntrant[id])
+
+  const headToHead = {}
+  for (const id of ids) {
+    headToHead[id] = {}
+    for (const other of ids) {
+      headToHead[id][other] = id === other ? null : summarizeRecord(computeBenchmarkReport(roundsByPair[id][other]))
+    }
+  }
+
+  const standings = entrants
+    .map((entrant) => {
+      const report = entrantStats[entrant.id]
+      const record = summarizeRecord(report)
+      return {
+        id: entrant.id,
+        labelZh: entrant.labelZh,
+        ...record,
+        avgDamageDealt: report.avgDamageDealt.left,
+        avgDamageTaken: report.avgDamageDealt.right,
+        avgKoTimeMs: report.avgKoTimeMs,
+      }
+    })
+    .sort((a, b) => b.points - a.points || damageLead(b) - damageLead(a) || a.id.localeCompare(b.id))
+    .map((row, index) => ({ rank: index + 1, ...row }))
+
+  return { standings, headToHead, entrantStats }
+}
+
+function summarizeRecord(report) {
+  // W/D/L of "left" (the described entrant) in one report.
+  const rounds = report.totalRounds
+  const points = report.wins.left + report.wins.draw / 2
+  return {
+    rounds,
+    wins: report.wins.left,
+    draws: report.wins.draw,
+    losses: report.wins.right,
+    points,
+    winRate: rounds ? Math.round((points / rounds) * 1000) / 1000 : null,
+  }
+}
+
+function damageLead(row) {
+  return Number(row.avgDamageDealt ?? 0) - Number(row.avgDamageTaken ?? 0)
+}
@@ -57,7 +57,7 @@ function isProbablyAlivePhaserGame(game) {
   return Boolean(game.canvas && game.events)
 }
 
-export function createPhaserGame({ parent, btJsonText, onDebugSnapshot, debug } = {}) {
+export function createPhaserGame({ parent, btJsonText, btJsonTexts, onDebugSnapshot, debug } = {}) {
   const log = createDebugLogger('PhaserGame')
 
   const parentEl = resolveParentElement(parent) ?? parent
@@ -89,7 +89,7 @@ export function createPhaserGame({ parent, btJsonText, onDebugSnapshot, debug }
   cleanupParentCanvases(parentEl)
 
   // Instantiate the scene with dependencies we want to inject (BT JSON + debug callback).
-  const battleScene = new BattleScene({ btJsonText, onDebugSnapshot })
+  const battleScene = new BattleScene({ btJsonText, btJsonTexts, onDebugSnapshot })
 
   const config = {
     type: Phaser.AUTO,
@@ -108,6 +108,11 @@ export function createPhaserGame({ parent, btJsonText, onDebugSnapshot, debug }
       arcade: {
         gravity: { y: 1400 },
         debug: false,
+        // Deterministic fixed-step simulation:
+        // BattleScene steps the world itself (one `singleStep()` per 60 Hz tick),
+        // so Arcade must not auto-update from the variable render delta.
+        fps: 60,
+        customUpdate: true,
       },
     },
     // Scale the game canvas to fit its parent container while preserving aspect ratio.
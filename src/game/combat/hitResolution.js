@@ -0,0 +1,147 @@
+// Melee hit resolution (shared by BattleScene and the headless simulator).
+//
+// This is the "referee" step that runs after both fighters updated:
+// - attacker has an ACTIVE hitbox that overlaps the defender hurtbox
+// - defender may be invincible (dodge i-frames) or guarding (block from the front)
+// - HP, hitstun/hitstop, knockback and hit-confirm events are applied
+//
+// Telemetry is optional: pass the per-side round stats buckets to count hits/blocks/dodges.
+// Kept Phaser-free on purpose so Node benchmarks use the exact same rules.
+
+import { MOVES } from './moves.js'
+import { rectsOverlap } from './rect.js'
+
+export const HIT_OUTCOME = {
+  HIT: 'hit',
+  BLOCKED: 'blocked',
+  DODGED: 'dodged',
+}
+
+// Returns the outcome string, or null if nothing connected this frame.
+export function resolveMeleeHit({ attacker, defender, nowMs, attackerStats = null, defenderStats = null }) {
+  // Only check hits if the attacker currently has an active hitbox.
+  const hitbox = attacker.getAttackHitboxRect()
+  if (!hitbox) return null
+
+  const hurtbox = defender.getHurtboxRect()
+  if (!rectsOverlap(hitbox, hurtbox)) return null
+
+  const move = MOVES[attacker.attackState?.kind]
+  if (!move) return null
+
+  // Defensive mechanics (dodge / guard) are resolved here because:
+  // - We have access to BOTH attacker and defender positions/facing.
+  // - The fighter entity does not know who hit it, only that it got hit.
+
+  // If the defender is currently invincible (dodge i-frames), ignore the hit.
+  // We intentionally do NOT mark the attack as "hit" so it can still connect
+  // later in the same active window if the defender becomes vulnerable again.
+  if (typeof defender?.isInvincible === 'function' && defender.isInvincible(nowMs)) {
+    // Telemetry: count a "successful dodge" (i-frames avoided a hit).
+    if (defenderStats) {
+      defenderStats.dodges += 1
+      if (attackerStats) attackerStats.hitsDodged += 1
+    }
+    return HIT_OUTCOME.DODGED
+  }
+
+  // Guard check:
+  // - Defender must be guarding
+  // - And the attacker must be in front of the defender (no blocking from behind)
+  const defenderGuarding = typeof defender?.isGuarding === 'function' ? defender.isGuarding() : false
+  const defenderFacing = Number(defender?.facing ?? 1) >= 0 ? 1 : -1
+  const attackerInFront =
+    defenderFacing > 0 ? attacker.x >= defender.x - 2 : attacker.x <= defender.x + 2
+
+  const isBlocked = defenderGuarding && attackerInFront
+
+  // Mark hit so this attack cannot hit again during the same active window.
+  // Blocking counts as a "hit" for the attacker (prevents multi-hit spam).
+  attacker.markAttackHit()
+
+  if (isBlocked) {
+    // Blocked hit: apply chip damage + blockstun + smaller knockback.
+    const chipDamage = Math.max(0, Math.round(move.damage * 0.15))
+    const blockstunMs = Math.round(move.hitstunMs * 0.55)
+    const pushbackX = Math.round(move.knockbackX * 0.45)
+
+    // Telemetry: count block (damage is recorded after applying to avoid overcount on KO).
+    if (attackerStats && defenderStats) {
+      defenderStats.blocks += 1
+      attackerStats.hitsBlocked += 1
+    }
+
+    const hpBefore = defender.hp
+    defender.takeHit({
+      damage: chipDamage,
+      knockbackX: pushbackX,
+      knockbackY: 0,
+      hitstunMs: blockstunMs,
+      hitstopMs: Math.round(move.hitstopMs * 0.7),
+      fromFacing: attacker.facing,
+      nowMs,
+      impactKind: 'block',
+    })
+
+    const actualDamage = Math.max(0, Number(hpBefore ?? 0) - Number(defender.hp ?? 0))
+
+    // Telemetry: record actual damage dealt (chip).
+    if (attackerStats && defenderStats) {
+      attackerStats.damageDealt += actualDamage
+      attackerStats.chipDamageDealt += actualDamage
+    }
+
+    // Hit-confirm signal for the attacker (blocked).
+    // This lets AI distinguish "I hit" vs "I got blocked".
+    if (typeof attacker?.noteAttackEvent === 'function') {
+      attacker.noteAttackEvent({
+        outcome: HIT_OUTCOME.BLOCKED,
+        kind: move.kind,
+        targetId: defender.id,
+        damageDealt: actualDamage,
+        hitstunMs: blockstunMs,
+        nowMs,
+      })
+    }
+
+    // Optional: small attacker recoil for readability (feels more like a fighting game).
+    if (attacker?.body) {
+      attacker.body.setVelocityX(attacker.body.velocity.x * 0.2)
+    }
+
+    return HIT_OUTCOME.BLOCKED
+  }
+
+  // Telemetry: count a landed hit (damage is recorded after applying to avoid overcount on KO).
+  if (attackerStats && defenderStats) attackerStats.hitsLanded += 1
+
+  const hpBefore = defender.hp
+  defender.takeHit({
+    damage: move.damage,
+    knockbackX: move.knockbackX,
+    knockbackY: move.knockbackY,
+    hitstunMs: move.hitstunMs,
+    hitstopMs: move.hitstopMs,
+    fromFacing: attacker.facing,
+    nowMs,
+    impactKind: 'hit',
+  })
+
+  // Actual damage may be less than move.damage when HP was low.
+  const actualDamage = Math.max(0, Number(hpBefore ?? 0) - Number(defender.hp ?? 0))
+  if (attackerStats && defenderStats) attackerStats.damageDealt += actualDamage
+
+  // Hit-confirm signal for the attacker (landed hit).
+  if (typeof attacker?.noteAttackEvent === 'function') {
+    attacker.noteAttackEvent({
+      outcome: HIT_OUTCOME.HIT,
+      kind: move.kind,
+      targetId: defender.id,
+      damageDealt: actualDamage,
+      hitstunMs: move.hitstunMs,
+      nowMs,
+    })
+  }
+
+  return HIT_OUTCOME.HIT
+}
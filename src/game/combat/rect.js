@@ -0,0 +1,21 @@
+// Plain rectangle helpers for combat and AI range checks.
+//
+// Why not Phaser.Geom.Rectangle?
+// - Combat/AI code also runs in the headless simulator (Node, no Phaser).
+// - We only need `{ x, y, width, height }` (top-left origin) plus an overlap test.
+
+export function createRect(x, y, width, height) {
+  return {
+    x: Number(x ?? 0),
+    y: Number(y ?? 0),
+    width: Number(width ?? 0),
+    height: Number(height ?? 0),
+  }
+}
+
+// Strict overlap test (touching edges do not count).
+// Matches `Phaser.Geom.Rectangle.Overlaps` so results are identical in the browser and in Node.
+export function rectsOverlap(a, b) {
+  if (!a || !b) return false
+  return a.x < b.x + b.width && a.x + a.width > b.x && a.y < b.y + b.height && a.y + a.height > b.y
+}
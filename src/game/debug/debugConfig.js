@@ -46,7 +46,10 @@ export function getGameDebugConfig() {
   // Base default:
   // - In dev builds, enable debug by default (easy iteration)
   // - In production builds, default to off unless explicitly enabled
-  const defaultEnabled = Boolean(import.meta?.env?.DEV)
+  //
+  // NOTE: keep the plain `import.meta.env.DEV` form. Vite replaces it statically,
+  // and its SSR module loader (used by the headless benchmark script) rejects optional chaining here.
+  const defaultEnabled = Boolean(import.meta.env.DEV)
 
   // `?debug=0` (or stored 0) should force-disable debug even in DEV.
   const forcedOff = parseFalsy(urlDebug) || parseFalsy(storedDebug)
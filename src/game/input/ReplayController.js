@@ -1,4 +1,4 @@
-// ReplayController plays back a ReplayRecorder export (frames of intent + dtMs).
+// ReplayController plays back one side ("track") of a replay (frames of intents + dtMs).
 //
 // The controller is intentionally "dumb":
 // - It does not know about physics or the world.
@@ -6,21 +6,35 @@
 //
 // This makes it reusable:
 // - AI vs Replay
-// - Replay vs Replay
+// - Replay vs Replay (full-match replays drive both sides from one v2 recording)
 // - Regression tests (same input stream after code changes)
+//
+// Any supported replay version is accepted; legacy v1 data is migrated on load (see replayFormat.js).
 
-import { createEmptyIntent } from '../entities/Fighter.js'
+import { createEmptyIntent } from '../entities/fighterCore.js'
+import { findReplayRound, getReplayTracks, migrateReplayData, sanitizeIntent } from './replayFormat.js'
 
 export class ReplayController {
-  constructor({ replayData, loop = true } = {}) {
+  constructor({ replayData, loop = true, track = null } = {}) {
     this._loop = Boolean(loop)
 
-    // Normalize to a predictable structure.
-    this._frames = Array.isArray(replayData?.frames) ? replayData.frames : []
+    // Normalize to a predictable structure (v2).
+    this._data = migrateReplayData(replayData)
+    this._frames = this._data?.frames ?? []
+
+    // Which recorded side to read. Defaults to the requested side if recorded,
+    // otherwise the first available track (v1 replays only have one).
+    const tracks = getReplayTracks(this._data)
+    this._track = tracks.includes(track) ? track : (tracks[0] ?? 'left')
+
+    // Playback range [start, end). Full recording by default; narrowed by seekToRound().
+    this._rangeStart = 0
+    this._rangeEnd = this._frames.length
 
     // Playback state.
     this._index = 0
-    this._remainingMsInFrame = this._frames.length ? this._frames[0].dtMs : 0
+    this._remainingMsInFrame = 0
+    this.reset()
   }
 
   get loop() {
@@ -35,26 +49,66 @@ export class ReplayController {
     return this._frames.length
   }
 
+  get track() {
+    return this._track
+  }
+
+  get replayData() {
+    return this._data
+  }
+
+  get currentFrame() {
+    // Index of the next frame to be played (absolute, not relative to the round).
+    return this._index
+  }
+
   reset() {
-    this._index = 0
-    this._remainingMsInFrame = this._frames.length ? Number(this._frames[0].dtMs ?? 0) : 0
+    this._index = this._rangeStart
+    this._remainingMsInFrame =
+      this._index < this._rangeEnd ? Number(this._frames[this._index].dtMs ?? 0) : 0
+  }
+
+  seekToRound(roundNumber) {
+    // Restrict playback to one recorded round and rewind to its first tick.
+    // Replays without round boundaries (v1) keep playing the whole recording.
+    const round = findReplayRound(this._data, roundNumber)
+    if (round) {
+      this._rangeStart = round.startFrame
+      this._rangeEnd = round.endFrame
+    } else {
+      this._rangeStart = 0
+      this._rangeEnd = this._frames.length
+    }
+    this.reset()
+  }
+
+  seekFrame(frame) {
+    // Jump to an absolute frame inside the current playback range (used by replay seeking).
+    const target = Math.round(Number(frame ?? 0))
+    this._index = clampNumber(target, this._rangeStart, this._rangeEnd)
+    this._remainingMsInFrame =
+      this._index < this._rangeEnd ? Number(this._frames[this._index].dtMs ?? 0) : 0
   }
 
   readIntent({ deltaMs }) {
-    // No replay loaded: return empty input.
-    if (!this._frames.length) return createEmptyIntent()
+    // No replay loaded (or empty range): return empty input.
+    if (this._rangeEnd <= this._rangeStart) return createEmptyIntent()
+
+    // Wrap around before reading so a looping replay restarts at the range start.
+    if (this._index >= this._rangeEnd) {
+      if (!this._loop) return createEmptyIntent()
+      this.reset()
+    }
+
+    // The intent to apply is the frame playing *during* this delta (before we advance).
+    // With fixed-timestep recordings (dtMs === deltaMs) this maps recorded tick N to replayed tick N exactly.
+    const currentIndex = this._index
 
     // Advance playback time by deltaMs.
     let remaining = clampNumber(deltaMs, 0, 200)
 
     // Step through frames until we find the correct current frame.
-    while (remaining > 0) {
-      // If we are at/after the end, either loop or stop advancing.
-      if (this._index >= this._frames.length) {
-        if (!this._loop) break
-        this.reset()
-      }
-
+    while (remaining > 0 && this._index < this._rangeEnd) {
       // Ensure remaining time is initialized for the current frame.
       if (this._remainingMsInFrame <= 0) {
         this._remainingMsInFrame = Number(this._frames[this._index].dtMs ?? 0)
@@ -73,21 +127,8 @@ export class ReplayController {
       this._remainingMsInFrame = 0
     }
 
-    // Clamp index to valid range for reading.
-    const clampedIndex = Math.min(this._index, this._frames.length - 1)
-
     // Return a copy to avoid accidental mutation by callers.
-    const intent = this._frames[clampedIndex]?.intent
-    return {
-      moveX: clampNumber(Number(intent?.moveX ?? 0), -1, 1),
-      jumpPressed: Boolean(intent?.jumpPressed),
-      fastFall: Boolean(intent?.fastFall),
-      dashPressed: Boolean(intent?.dashPressed),
-      dodgePressed: Boolean(intent?.dodgePressed),
-      guardHeld: Boolean(intent?.guardHeld),
-      attackPressed:
-        typeof intent?.attackPressed === 'string' ? intent.attackPressed : null,
-    }
+    return sanitizeIntent(this._frames[currentIndex]?.intents?.[this._track])
   }
 }
 
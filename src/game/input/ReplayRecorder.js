@@ -1,29 +1,43 @@
-// ReplayRecorder records a stream of Fighter intents over time.
+// ReplayRecorder records a full match: both fighters' intents over time plus round boundaries.
 //
 // We record "intent snapshots" instead of raw keyboard events because:
 // - It keeps the human/AI control pipeline consistent (both produce intents).
 // - It is easy to replay deterministically enough for regression testing.
 //
 // Recording granularity:
-// - We record one intent per Phaser update() (frame) along with delta time.
-// - This makes playback roughly time-accurate even if frame rate fluctuates.
-
-import { createEmptyIntent } from '../entities/Fighter.js'
+// - We record one intent per fixed simulation tick (BattleScene runs at 60 Hz) along with its dt.
+// - Because every tick has the same dt, playback feeds back the exact same intent on the same tick,
+//   so a replay against the same seed + BT reproduces the match bit-for-bit.
+//
+// Seeking:
+// - Every `snapshotEveryFrames` ticks we also store a full simulation snapshot (fighters + sim clock).
+// - Playback can restore the nearest snapshot and re-simulate only a few ticks instead of the whole match.
+//
+// The export uses the v2 format described in replayFormat.js.
 
-export const REPLAY_VERSION = 1
+import { REPLAY_SIDES, REPLAY_VERSION, sanitizeIntent } from './replayFormat.js'
 
 export class ReplayRecorder {
-  constructor({ maxFrames = 60 * 60 * 10 } = {}) {
+  constructor({ maxFrames = 60 * 60 * 10, snapshotEveryFrames = 120 } = {}) {
     // Safety limit: prevent unbounded memory growth during long sessions.
     this._maxFrames = maxFrames
 
+    // Snapshot spacing (ticks). 120 ticks = 2 seconds at 60 Hz, so a seek re-simulates at most 2 s.
+    this._snapshotEveryFrames = Math.max(1, Math.round(Number(snapshotEveryFrames ?? 120)))
+    this._snapshots = []
+
     this._isRecording = false
     this._frames = []
     this._durationMs = 0
 
+    // Round boundaries (frame indices) so playback can restart each round on the right tick.
+    this._rounds = []
+
+    // Match setup (stage config, BT hash, AI profiles, control modes) captured at start().
+    this._match = null
+
     // Metadata is optional but helps later (debugging, migrations, UI).
     this._meta = {
-      version: REPLAY_VERSION,
       startedAtIso: null,
       notes: null,
     }
@@ -41,17 +55,23 @@ export class ReplayRecorder {
     return this._durationMs
   }
 
-  start({ notes } = {}) {
+  get roundCount() {
+    return this._rounds.length
+  }
+
+  start({ notes, match } = {}) {
     // Reset previous data.
     this._frames = []
     this._durationMs = 0
+    this._rounds = []
+    this._snapshots = []
+    this._match = match ?? null
 
     // Mark as active.
     this._isRecording = true
 
     // Store metadata.
     this._meta = {
-      version: REPLAY_VERSION,
       startedAtIso: new Date().toISOString(),
       notes: notes ?? null,
     }
@@ -63,7 +83,53 @@ export class ReplayRecorder {
     return this.export()
   }
 
-  recordFrame({ dtMs, intent }) {
+  beginRound({ round, stageConfig, simNowMs }) {
+    // Called when a round starts (fighters reset to spawns).
+    if (!this._isRecording) return
+
+    // Close the previous round if it never reached KO (e.g. the match was reset mid-round).
+    this._closeOpenRound()
+
+    this._rounds.push({
+      round: Number(round ?? this._rounds.length + 1),
+      startFrame: this._frames.length,
+      endFrame: null,
+      // Sim clock at round start. Playback restarts the round on the same clock value
+      // so absolute timers compare exactly like they did while recording.
+      startSimNowMs: Number(simNowMs ?? 0),
+      stageConfig: stageConfig ? { ...stageConfig } : null,
+      winner: null,
+    })
+  }
+
+  endRound({ winner }) {
+    // Called on KO (the frame that caused the KO is already recorded).
+    if (!this._isRecording) return
+
+    const current = this._rounds[this._rounds.length - 1]
+    if (!current || current.endFrame != null) return
+
+    current.endFrame = this._frames.length
+    current.winner = winner ?? null
+  }
+
+  wantsSnapshot() {
+    // True when the next frame index is on the snapshot grid.
+    return this._isRecording && this._frames.length % this._snapshotEveryFrames === 0
+  }
+
+  recordSnapshot({ round, state }) {
+    // `state` describes the simulation *before* frame `frame` is applied.
+    if (!this._isRecording || !state) return
+
+    const frame = this._frames.length
+    const last = this._snapshots[this._snapshots.length - 1]
+    if (last && last.frame === frame) return
+
+    this._snapshots.push({ frame, round: Number(round ?? 0), state })
+  }
+
+  recordFrame({ dtMs, intents }) {
     // Ignore frames when not recording.
     if (!this._isRecording) return
 
@@ -77,11 +143,12 @@ export class ReplayRecorder {
     }
 
     // Store a deep-ish copy so future intent mutations do not affect history.
-    const safeIntent = sanitizeIntent(intent)
+    const safeIntents = {}
+    for (const side of REPLAY_SIDES) safeIntents[side] = sanitizeIntent(intents?.[side])
 
     this._frames.push({
       dtMs: safeDtMs,
-      intent: safeIntent,
+      intents: safeIntents,
     })
 
     this._durationMs += safeDtMs
@@ -92,26 +159,22 @@ export class ReplayRecorder {
     return {
       version: REPLAY_VERSION,
       meta: this._meta,
+      match: this._match,
+      tracks: [...REPLAY_SIDES],
+      rounds: this._rounds.map((r) => ({
+        ...r,
+        endFrame: r.endFrame ?? this._frames.length,
+      })),
+      snapshots: this._snapshots,
       durationMs: this._durationMs,
       frameCount: this._frames.length,
       frames: this._frames,
     }
   }
-}
 
-function sanitizeIntent(intent) {
-  // Use defaults so missing fields don't break playback.
-  const safe = intent ?? createEmptyIntent()
-
-  return {
-    moveX: clampNumber(Number(safe.moveX ?? 0), -1, 1),
-    jumpPressed: Boolean(safe.jumpPressed),
-    fastFall: Boolean(safe.fastFall),
-    dashPressed: Boolean(safe.dashPressed),
-    dodgePressed: Boolean(safe.dodgePressed),
-    guardHeld: Boolean(safe.guardHeld),
-    // Keep null when not pressing an attack.
-    attackPressed: typeof safe.attackPressed === 'string' ? safe.attackPressed : null,
+  _closeOpenRound() {
+    const last = this._rounds[this._rounds.length - 1]
+    if (last && last.endFrame == null) last.endFrame = this._frames.length
   }
 }
 
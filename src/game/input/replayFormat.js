@@ -0,0 +1,163 @@
+// Replay data format (shared by ReplayRecorder, ReplayController, and the React UI).
+//
+// v1 (legacy):
+// - One side only: `{ version: 1, side, meta, durationMs, frameCount, frames: [{ dtMs, intent }] }`
+// - Enough for "AI vs recorded human", but not enough to re-watch a whole match.
+//
+// v2 (current): a full-match replay
+// - Both fighters' intents per fixed tick: `frames: [{ dtMs, intents: { left, right } }]`
+// - Match setup needed to reproduce the run: stage config/seed, BT hash, AI profiles (ids, plus
+//   `aiProfileDefs` by value in newer recordings so custom profiles replay too), AI RNG seeds
+//   (`aiRngSeeds: { left, right }`, newer recordings only), AI difficulties (`aiDifficulties`,
+//   newer recordings only), control modes
+// - Round boundaries: `rounds: [{ round, startFrame, endFrame, startSimNowMs, stageConfig, winner }]`
+// - Periodic simulation snapshots for seeking: `snapshots: [{ frame, round, state }]`
+//   (`state` is the state *before* `frames[frame]` is applied; see BattleScene `_captureSimState`)
+//
+// Why intents for *both* sides (even AI)?
+// - Feeding recorded intents back through the same fixed-step simulation reproduces the match
+//   exactly, without depending on the BT still behaving the same after code changes.
+// - The BT hash + profiles are stored so the UI can tell whether the current AI matches the recording.
+//
+// This module must NOT import Phaser.
+
+import { createEmptyIntent } from '../entities/fighterCore.js'
+
+export const REPLAY_VERSION = 2
+
+export const REPLAY_SIDES = ['left', 'right']
+
+export function sanitizeIntent(intent) {
+  // Use defaults so missing fields don't break playback.
+  const safe = intent ?? createEmptyIntent()
+
+  return {
+    moveX: clampNumber(Number(safe.moveX ?? 0), -1, 1),
+    jumpPressed: Boolean(safe.jumpPressed),
+    fastFall: Boolean(safe.fastFall),
+    dashPressed: Boolean(safe.dashPressed),
+    dodgePressed: Boolean(safe.dodgePressed),
+    guardHeld: Boolean(safe.guardHeld),
+    // Keep null when not pressing an attack.
+    attackPressed: typeof safe.attackPressed === 'string' ? safe.attackPressed : null,
+  }
+}
+
+export function migrateReplayData(replayData) {
+  // Normalize any supported replay payload to the v2 shape.
+  // Returns null for unknown/invalid input so callers can show "no replay loaded".
+  if (!replayData || typeof replayData !== 'object') return null
+
+  const version = Number(replayData.version ?? 1)
+  if (version === REPLAY_VERSION) return normalizeReplayV2(replayData)
+  if (version === 1) return migrateReplayV1(replayData)
+  return null
+}
+
+export function getReplayTracks(replayData) {
+  // Sides that actually have recorded intents (v1 migrations only have one).
+  const tracks = Array.isArray(replayData?.tracks) ? replayData.tracks : []
+  return REPLAY_SIDES.filter((side) => tracks.includes(side))
+}
+
+export function findReplayRound(replayData, roundNumber) {
+  // Round entries are stored in order; look them up by their 1-based round number.
+  const rounds = Array.isArray(replayData?.rounds) ? replayData.rounds : []
+  return rounds.find((r) => Number(r?.round) === Number(roundNumber)) ?? null
+}
+
+export function findReplayRoundAtFrame(replayData, frame) {
+  // Round that plays frame `frame` (the last round if the frame is past the end).
+  const rounds = Array.isArray(replayData?.rounds) ? replayData.rounds : []
+  const f = Number(frame ?? 0)
+  return rounds.find((r) => f >= r.startFrame && f < r.endFrame) ?? rounds[rounds.length - 1] ?? null
+}
+
+export function findReplaySnapshot(replayData, { round, frame }) {
+  // Latest snapshot inside `round` at or before `frame` (null => start from the round start).
+  const snapshots = Array.isArray(replayData?.snapshots) ? replayData.snapshots : []
+  let best = null
+  for (const snap of snapshots) {
+    if (Number(snap.round) !== Number(round)) continue
+    if (Number(snap.frame) > Number(frame)) continue
+    if (!best || Number(snap.frame) > Number(best.frame)) best = snap
+  }
+  return best
+}
+
+function migrateReplayV1(data) {
+  // v1 recorded a single side. Keep that side as the only track; there is no match setup.
+  const side = data.side === 'right' ? 'right' : 'left'
+  const rawFrames = Array.isArray(data.frames) ? data.frames : []
+
+  const frames = rawFrames.map((frame) => ({
+    dtMs: Number(frame?.dtMs ?? 0),
+    intents: { [side]: sanitizeIntent(frame?.intent) },
+  }))
+
+  return {
+    version: REPLAY_VERSION,
+    meta: {
+      startedAtIso: data.meta?.startedAtIso ?? null,
+      notes: data.meta?.notes ?? null,
+      migratedFromVersion: 1,
+    },
+    match: null,
+    tracks: [side],
+    // One implicit "round" spanning the whole recording (v1 restarted playback every round).
+    rounds: [],
+    snapshots: [],
+    durationMs: sumDurationMs(frames),
+    frameCount: frames.length,
+    frames,
+  }
+}
+
+function normalizeReplayV2(data) {
+  const tracks = REPLAY_SIDES.filter((side) => Array.isArray(data.tracks) && data.tracks.includes(side))
+  const rawFrames = Array.isArray(data.frames) ? data.frames : []
+
+  const frames = rawFrames.map((frame) => {
+    const intents = {}
+    for (const side of tracks) intents[side] = sanitizeIntent(frame?.intents?.[side])
+    return { dtMs: Number(frame?.dtMs ?? 0), intents }
+  })
+
+  const rounds = (Array.isArray(data.rounds) ? data.rounds : [])
+    .map((r) => ({
+      round: Number(r?.round ?? 0),
+      startFrame: clampNumber(Number(r?.startFrame ?? 0), 0, frames.length),
+      endFrame: clampNumber(Number(r?.endFrame ?? frames.length), 0, frames.length),
+      startSimNowMs: r?.startSimNowMs != null && Number.isFinite(Number(r.startSimNowMs)) ? Number(r.startSimNowMs) : null,
+      stageConfig: r?.stageConfig ?? null,
+      winner: r?.winner ?? null,
+    }))
+    .filter((r) => r.round > 0)
+
+  const snapshots = (Array.isArray(data.snapshots) ? data.snapshots : []).filter(
+    (snap) => snap?.state && Number.isFinite(Number(snap.frame)) && Number(snap.frame) <= frames.length,
+  )
+
+  return {
+    version: REPLAY_VERSION,
+    meta: data.meta ?? null,
+    match: data.match ?? null,
+    tracks,
+    rounds,
+    snapshots,
+    durationMs: sumDurationMs(frames),
+    frameCount: frames.length,
+    frames,
+  }
+}
+
+function sumDurationMs(frames) {
+  let total = 0
+  for (const frame of frames) total += Number(frame?.dtMs ?? 0)
+  return total
+}
+
+function clampNumber(value, min, max) {
+  if (!Number.isFinite(value)) return min
+  return Math.max(min, Math.min(max, value))
+}
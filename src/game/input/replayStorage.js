@@ -1,5 +1,8 @@
 // Centralized storage key(s) for replay data.
 // Keeping this in one place prevents mismatches between UI pages and game code.
 
-export const REPLAY_STORAGE_KEY = 'replay:platform-brawl:p1:v1'
+// Full-match replays (format v2, see replayFormat.js).
+export const REPLAY_STORAGE_KEY = 'replay:platform-brawl:match:v2'
 
+// Older keys we still read once and migrate (v1 stored a single P1 track).
+export const LEGACY_REPLAY_STORAGE_KEYS = ['replay:platform-brawl:p1:v1']
@@ -2,10 +2,14 @@
 // It owns the stage (platforms), fighters, AI ticking, and debug snapshot emission.
 import Phaser from 'phaser'
 
-import { MOVES } from '../combat/moves.js'
+import { resolveMeleeHit } from '../combat/hitResolution.js'
+import { separateFighters } from '../combat/pushCollision.js'
 import { createEmptyIntent, Fighter } from '../entities/Fighter.js'
 import { BotAgent } from '../ai/BotAgent.js'
-import { normalizeAiProfileId } from '../ai/aiProfiles.js'
+import { resolveAiProfile } from '../ai/aiProfiles.js'
+import { normalizeAiDifficultyId } from '../ai/aiDifficulty.js'
+import { createTraceHistoryExport } from '../ai/btTraceHistory.js'
+import { computeBtProfileReport, createBtTiming, mergeBtTiming } from '../ai/bt/btProfiler.js'
 import { createPlatformBrawlBtTree, parseBtJsonText } from '../ai/platformBrawlBt.js'
 import {
   HUMAN_CONTROL_SCHEME,
@@ -13,6 +17,13 @@ import {
 } from '../input/KeyboardHumanController.js'
 import { ReplayController } from '../input/ReplayController.js'
 import { ReplayRecorder } from '../input/ReplayRecorder.js'
+import {
+  findReplayRound,
+  findReplayRoundAtFrame,
+  findReplaySnapshot,
+  getReplayTracks,
+  migrateReplayData,
+} from '../input/replayFormat.js'
 import {
   PLAYER_CHARACTER,
   ensurePlayerAnimations,
@@ -27,6 +38,18 @@ import { createStageDefinition } from '../stage/tileStageGenerator.js'
 import { validateBrawlStage } from '../stage/stageValidator.js'
 import { BACKGROUND_KEYS, preloadStageAssets } from '../stage/tilesetAtlas.js'
 import { createDebugLogger } from '../debug/debugLogger.js'
+import {
+  computeBenchmarkReport,
+  computeBtHashMetaBySide,
+  exportRoundStats,
+} from '../benchmark/benchmarkReport.js'
+import {
+  createRoundTelemetry,
+  resetRoundTelemetry,
+  sampleRoundTelemetry,
+} from '../benchmark/roundTelemetry.js'
+import { FixedStepAccumulator, MAX_FIXED_STEPS_PER_FRAME } from '../sim/fixedTimestep.js'
+import { deriveAiRngSeeds } from '../sim/seededRandom.js'
 
 // Control modes are string-based so they can be passed easily across the React → Phaser boundary.
 export const CONTROL_MODE = {
@@ -48,7 +71,7 @@ const ROUND_PHASE = {
 let NEXT_BATTLE_SCENE_INSTANCE_ID = 1
 
 export class BattleScene extends Phaser.Scene {
-  constructor({ btJsonText, onDebugSnapshot } = {}) {
+  constructor({ btJsonText, btJsonTexts, onDebugSnapshot } = {}) {
     super({ key: 'BattleScene' })
 
     // Stable per-instance id for debugging. (Not related to match rounds.)
@@ -62,12 +85,21 @@ export class BattleScene extends Phaser.Scene {
       this._log.groupCollapsed('constructor', {
         instanceId: this._instanceId,
         hasBtJsonText: Boolean(btJsonText),
+        hasPerSideBtJsonText: Boolean(btJsonTexts),
       })
       this._log.groupEnd()
     }
 
-    // Store the initial Behavior Tree JSON text so we can parse it later.
-    this._initialBtJsonText = btJsonText ?? null
+    // Store the Behavior Tree JSON text for each side so we can parse it later.
+    // `btJsonTexts` ({ left, right }) lets the two fighters run different trees (BT library A/B);
+    // `btJsonText` is the shorthand for "both sides use the same tree".
+    this._btJsonTextBySide = {
+      left: btJsonTexts?.left ?? btJsonText ?? null,
+      right: btJsonTexts?.right ?? btJsonText ?? null,
+    }
+
+    // Stable BT hashes for both sides (recomputed by setBtForSide).
+    this._btHashMeta = computeBtHashMetaBySide(this._btJsonTextBySide)
 
     // Callback for sending lightweight debug data to React UI.
     this._onDebugSnapshot = typeof onDebugSnapshot === 'function' ? onDebugSnapshot : null
@@ -145,9 +177,13 @@ export class BattleScene extends Phaser.Scene {
     this._leftReplay = null
     this._rightReplay = null
 
-    // Replay recording state (we allow recording one side at a time for MVP).
+    // Replay recording state. A recording always captures both sides (full-match replay v2).
     this._replayRecorder = null
-    this._recordingSide = null
+
+    // Full-match replay playback state (set by `playMatchReplay`).
+    // While active, round starts follow the recorded round boundaries and stages
+    // instead of stage rotation.
+    this._matchReplay = null
 
     // Default to AI vs AI so you can run automated-ish matches without manual input.
     this._controlMode = {
@@ -161,11 +197,44 @@ export class BattleScene extends Phaser.Scene {
       left: 'balanced',
       right: 'balanced',
     }
+    // The same profiles by value (custom profiles only exist here, not in AI_PROFILES).
+    this._aiProfileDefs = {
+      left: resolveAiProfile('balanced'),
+      right: resolveAiProfile('balanced'),
+    }
+
+    // AI difficulty (reaction delay + input errors) for each side, also switchable at runtime.
+    // 'expert' is the exact reference bot.
+    this._aiDifficulties = {
+      left: 'expert',
+      right: 'expert',
+    }
 
     // Tick AI at a lower frequency than physics for stability and readability.
     this._aiTickIntervalMs = 1000 / 15
     this._aiAccumulatorMs = 0
 
+    // ---- Fixed-timestep simulation ----
+    //
+    // Gameplay (physics, fighters, AI, hits, rounds) only advances in fixed 60 Hz ticks.
+    // The render loop feeds its variable delta into an accumulator and runs 0..N ticks per frame.
+    // Why: identical inputs + seed + BT must always give identical outcomes (replays, regression runs).
+    //
+    // `_simNowMs` is the simulation clock used by all gameplay timers (instead of `time.now`).
+    this._fixedStepper = new FixedStepAccumulator()
+    this._simNowMs = 0
+    this._simTick = 0
+
+    // Playback controls (pause / single-step / speed).
+    // Built for reviewing replays tick by tick, but they work in every control mode.
+    // Speed only scales how much render time feeds the accumulator, so ticks stay identical.
+    this._playback = {
+      paused: false,
+      speed: 1,
+      // Ticks requested via `stepPlayback` while paused; run on the next render frame.
+      pendingSteps: 0,
+    }
+
     // Match tracking (HP-based). We keep it minimal but useful for watching long AI-vs-AI runs.
     this._round = 1
     this._score = { leftWins: 0, rightWins: 0, draws: 0 }
@@ -189,23 +258,8 @@ export class BattleScene extends Phaser.Scene {
     //
     // This telemetry is intentionally simple and computed in BattleScene
     // because it already owns hit resolution and round transitions.
-    this._telemetry = {
-      // Round start time (ms in Phaser clock).
-      roundStartedAtMs: 0,
-
-      // Per-round counters for both sides.
-      round: createEmptyRoundStats(),
-
-      // Edge detection: keep last-known state so we count *starts* not frames.
-      last: {
-        leftAttackRef: null,
-        rightAttackRef: null,
-        leftDashing: false,
-        rightDashing: false,
-        leftDodging: false,
-        rightDodging: false,
-      },
-    }
+    // The shape and per-frame sampling live in roundTelemetry.js (shared with the headless simulator).
+    this._telemetry = createRoundTelemetry()
 
     // Benchmark mode:
     // - When enabled, we collect a per-round summary for a fixed number of rounds.
@@ -367,7 +421,7 @@ export class BattleScene extends Phaser.Scene {
 
   resetMatch() {
     // Public API used by React UI: reset score + round and restart immediately.
-    const nowMs = this.time?.now ?? 0
+    const nowMs = this._simNowMs
 
     // Reset evaluation tooling too so the UI doesn't show stale numbers.
     this.stopBenchmark()
@@ -385,50 +439,53 @@ export class BattleScene extends Phaser.Scene {
     // If the scene hasn't created fighters yet, there's nothing to reset.
     if (!this._leftFighter || !this._rightFighter) return
 
+    this._resetAiForMatch()
     this._resetFighters({ nowMs })
   }
 
-  startRecording({ side = 'left', notes } = {}) {
-    // Public API used by React UI: start recording intents for a specific side.
-    // Recording is useful for "AI vs Recorded Human" regression testing.
-    const normalizedSide = normalizeSide(side)
-
-    // Stop any existing recording first (MVP keeps it single-recorder).
+  startRecording({ notes } = {}) {
+    // Public API used by React UI: start recording a full-match replay.
+    // Both sides are recorded every tick regardless of who controls them (AI, human, replay).
+    //
+    // We restart the match so the recording begins on round 1, tick 0:
+    // a replay that starts mid-round cannot be re-watched exactly.
+    // Stop any existing recording first (single recorder).
     this._replayRecorder = new ReplayRecorder()
-    this._replayRecorder.start({ notes })
-    this._recordingSide = normalizedSide
+    this._replayRecorder.start({ notes, match: this._createReplayMatchInfo() })
+    this.resetMatch()
   }
 
   stopRecording() {
-    // Public API used by React UI: stop recording and return the exported replay data.
+    // Public API used by React UI: stop recording and return the exported replay data (v2).
     if (!this._replayRecorder) return null
 
     const data = this._replayRecorder.stop()
-
-    const exported = {
-      side: this._recordingSide,
-      ...data,
-    }
-
     this._replayRecorder = null
-    this._recordingSide = null
 
-    return exported
+    return data
   }
 
-  setReplayData({ side = 'left', replayData, loop = true } = {}) {
+  setReplayData({ side = 'left', replayData, loop = true, track } = {}) {
     // Public API used by React UI: apply replay data to a side.
     // Once applied, that side can be switched to CONTROL_MODE.REPLAY.
+    //
+    // `track` picks which recorded side drives this fighter (defaults to the same side,
+    // or the only recorded side for legacy single-side replays).
     const normalizedSide = normalizeSide(side)
 
-    const controller = new ReplayController({ replayData, loop })
+    const controller = new ReplayController({ replayData, loop, track: track ?? normalizedSide })
 
     if (normalizedSide === 'left') this._leftReplay = controller
     else this._rightReplay = controller
+
+    // Per-side playback replaces any running full-match playback.
+    this._matchReplay = null
   }
 
   clearReplayData({ side = 'left' } = {}) {
     // Public API used by React UI: remove replay controller for a side.
+    this._matchReplay = null
+
     if (side === 'both') {
       this._leftReplay = null
       this._rightReplay = null
@@ -440,6 +497,142 @@ export class BattleScene extends Phaser.Scene {
     else this._rightReplay = null
   }
 
+  playMatchReplay({ replayData } = {}) {
+    // Public API used by React UI: re-watch a full-match replay from round 1.
+    //
+    // What we restore from the recording:
+    // - stage config (resolved seed) for every round
+    // - AI profiles (so HUD/debug labels match; intents come from the recording)
+    // - both sides' intents (recorded sides switch to CONTROL_MODE.REPLAY)
+    //
+    // Returns false if the data is not a usable replay.
+    const data = migrateReplayData(replayData)
+    if (!data || !data.frameCount) return false
+
+    const tracks = getReplayTracks(data)
+    this._leftReplay = tracks.includes('left')
+      ? new ReplayController({ replayData: data, loop: false, track: 'left' })
+      : this._leftReplay
+    this._rightReplay = tracks.includes('right')
+      ? new ReplayController({ replayData: data, loop: false, track: 'right' })
+      : this._rightReplay
+
+    this.setControlMode({
+      left: tracks.includes('left') ? CONTROL_MODE.REPLAY : this._controlMode.left,
+      right: tracks.includes('right') ? CONTROL_MODE.REPLAY : this._controlMode.right,
+    })
+
+    // Newer recordings carry the profiles by value (custom profiles); older ones only ids.
+    const recordedProfiles = data.match?.aiProfileDefs ?? data.match?.aiProfiles
+    if (recordedProfiles) this.setAiProfiles(recordedProfiles)
+    if (data.match?.aiDifficulties) this.setAiDifficulties(data.match.aiDifficulties)
+
+    this._matchReplay = { data }
+
+    // Start on the first recorded round's stage (falls back to the match setup for older data).
+    const firstStageConfig = data.rounds[0]?.stageConfig ?? data.match?.stageConfig ?? null
+    if (firstStageConfig && makeStageConfigKey(firstStageConfig) !== makeStageConfigKey(this._stageConfig)) {
+      this._stageConfig = { ...this._stageConfig, ...firstStageConfig }
+      this._rebuildStage({ nowMs: this._simNowMs, resetMatch: true })
+    } else {
+      this.resetMatch()
+    }
+
+    if (this._log.enabled) {
+      this._log.info('replay:play-match', {
+        frameCount: data.frameCount,
+        rounds: data.rounds.length,
+        tracks,
+        bt: data.match?.bt ?? null,
+      })
+    }
+
+    return true
+  }
+
+  seekMatchReplay({ frame } = {}) {
+    // Public API used by the replay timeline: jump to any tick of a full-match replay.
+    //
+    // How (no re-simulation from zero):
+    // 1) reset to the start of the round that contains `frame` (rebuilding its stage if needed)
+    // 2) restore the nearest recorded snapshot inside that round, if any
+    // 3) re-simulate the few remaining ticks with the recorded intents
+    const data = this._matchReplay?.data
+    if (!data || !this._leftFighter || !this._rightFighter) return false
+
+    // Seeking rewrites the simulation; never do that into a running recording.
+    if (this._replayRecorder?.isRecording) return false
+
+    const round = findReplayRoundAtFrame(data, frame)
+    if (!round) return false
+
+    // `target` is the next frame to play. The KO tick (endFrame - 1) is the last one we can stop before.
+    const lastPlayable = Math.max(round.startFrame, round.endFrame - 1)
+    const target = Math.max(round.startFrame, Math.min(lastPlayable, Math.round(Number(frame ?? 0))))
+
+    // Restore round bookkeeping (score comes from the recorded winners of earlier rounds).
+    this._round = round.round
+    this._score = computeScoreBeforeRound(data.rounds, round.round)
+    this._roundPhase = ROUND_PHASE.FIGHT
+    this._koWinner = null
+    this._koResumeAtMs = 0
+    this._setKoOverlayVisible(false)
+
+    // Round start (this also rewinds both replay controllers and the sim clock).
+    const stageConfig = round.stageConfig ?? null
+    if (stageConfig && makeStageConfigKey(stageConfig) !== makeStageConfigKey(this._stageConfig)) {
+      this._stageConfig = { ...this._stageConfig, ...stageConfig }
+      this._rebuildStage({ nowMs: this._simNowMs, resetMatch: false })
+    } else {
+      this._resetFighters({ nowMs: this._simNowMs })
+    }
+
+    let currentFrame = round.startFrame
+    const snapshot = findReplaySnapshot(data, { round: round.round, frame: target })
+    if (snapshot) {
+      this._restoreSimState(snapshot.state)
+      this._leftReplay?.seekFrame(snapshot.frame)
+      this._rightReplay?.seekFrame(snapshot.frame)
+      currentFrame = snapshot.frame
+    }
+
+    while (currentFrame < target) {
+      this._fixedUpdate()
+      currentFrame += 1
+    }
+
+    // The fast-forwarded ticks are never drawn: start interpolation from where we landed.
+    this._fixedStepper.reset()
+    this._leftFighter.captureRenderPrevious?.()
+    this._rightFighter.captureRenderPrevious?.()
+
+    return true
+  }
+
+  setPlayback({ paused, speed } = {}) {
+    // Public API used by React UI: pause/resume and change simulation speed (0.25x–4x).
+    if (paused != null) this._playback.paused = Boolean(paused)
+
+    if (speed != null) {
+      const rawSpeed = Number(speed)
+      const nextSpeed = Number.isFinite(rawSpeed) ? Math.max(0.25, Math.min(4, rawSpeed)) : 1
+      this._playback.speed = nextSpeed
+
+      // Allow enough catch-up ticks per frame for fast playback on slower displays.
+      this._fixedStepper.maxStepsPerFrame = Math.ceil(MAX_FIXED_STEPS_PER_FRAME * Math.max(1, nextSpeed))
+    }
+
+    // Drop leftover time so resuming doesn't burst several ticks at once.
+    this._fixedStepper.reset()
+  }
+
+  stepPlayback({ ticks = 1 } = {}) {
+    // Public API used by React UI: advance exactly N ticks (pauses first).
+    const count = Math.max(1, Math.min(600, Math.round(Number(ticks ?? 1))))
+    this._playback.paused = true
+    this._playback.pendingSteps += count
+  }
+
   setControlMode(nextMode = {}) {
     // Normalize input (React may pass undefined / partial updates).
     const left = normalizeControlMode(nextMode.left ?? this._controlMode.left)
@@ -471,10 +664,12 @@ export class BattleScene extends Phaser.Scene {
   setAiProfiles(nextProfiles = {}) {
     // Public API used by React UI: switch AI playstyle presets at runtime.
     // Profiles only affect weights/thresholds, so switching is safe mid-match.
-    const left = normalizeAiProfileId(nextProfiles.left ?? this._aiProfiles.left)
-    const right = normalizeAiProfileId(nextProfiles.right ?? this._aiProfiles.right)
+    // Each side is a built-in id or a custom profile object (see aiProfileLibrary.js).
+    const left = resolveAiProfile(nextProfiles.left ?? this._aiProfileDefs.left)
+    const right = resolveAiProfile(nextProfiles.right ?? this._aiProfileDefs.right)
 
-    this._aiProfiles = { left, right }
+    this._aiProfileDefs = { left, right }
+    this._aiProfiles = { left: left.id, right: right.id }
 
     // Apply to running agents if they exist.
     if (this._leftAi && typeof this._leftAi.setProfile === 'function') this._leftAi.setProfile(left)
@@ -483,13 +678,64 @@ export class BattleScene extends Phaser.Scene {
     if (this._log.enabled) this._log.info('ai:profiles', this._aiProfiles)
   }
 
+  setAiDifficulties(nextDifficulties = {}) {
+    // Public API used by React UI: switch AI difficulty presets at runtime.
+    // The agent drops its perception snapshots, so the new reaction delay starts cleanly.
+    const left = normalizeAiDifficultyId(nextDifficulties.left ?? this._aiDifficulties.left)
+    const right = normalizeAiDifficultyId(nextDifficulties.right ?? this._aiDifficulties.right)
+
+    this._aiDifficulties = { left, right }
+
+    if (this._leftAi && typeof this._leftAi.setDifficulty === 'function') this._leftAi.setDifficulty(left)
+    if (this._rightAi && typeof this._rightAi.setDifficulty === 'function') this._rightAi.setDifficulty(right)
+
+    if (this._log.enabled) this._log.info('ai:difficulties', this._aiDifficulties)
+  }
+
+  setBtForSide({ side, btJsonText } = {}) {
+    // Public API used by React UI: hot-swap one fighter's Behavior Tree without restarting the match.
+    //
+    // Notes:
+    // - The tree is parsed the same way as at startup (invalid/missing JSON => default BT).
+    // - The agent aborts its running nodes and starts the new tree with fresh node memory.
+    // - Hashes are updated immediately, so later benchmark rounds/exports record the new tree
+    //   (each round row stores the hashes that were active when it ended).
+    if (side !== 'left' && side !== 'right') return false
+    const btRoot = createPlatformBrawlBtTree(parseBtJsonText(btJsonText ?? null))
+
+    this._btJsonTextBySide = { ...this._btJsonTextBySide, [side]: btJsonText ?? null }
+    this._btHashMeta = computeBtHashMetaBySide(this._btJsonTextBySide)
+
+    const agent = side === 'left' ? this._leftAi : this._rightAi
+    if (agent && typeof agent.setBtRoot === 'function') agent.setBtRoot(btRoot, { nowMs: this._simNowMs })
+
+    if (this._log.enabled) this._log.info('ai:bt', { side, hash: this._btHashMeta[side].hash })
+    return true
+  }
+
+  exportAiHistory() {
+    // Public API used by React UI (decision timeline):
+    // Export both agents' recent tick history (last few seconds) as plain JSON data.
+    // Like exportBenchmark, this only copies what is already in memory.
+    return createTraceHistoryExport({
+      agents: { left: this._leftAi, right: this._rightAi },
+      nowMs: this._simNowMs,
+      controlMode: { ...this._controlMode },
+      bt: { ...this._btHashMeta },
+      aiProfiles: { ...this._aiProfiles },
+      aiProfileDefs: { left: { ...this._aiProfileDefs.left }, right: { ...this._aiProfileDefs.right } },
+      aiDifficulties: { ...this._aiDifficulties },
+      stage: this._stageMeta ? { ...this._stageMeta } : null,
+    })
+  }
+
   setStageConfig(nextConfig = {}) {
     // Public API used by React UI: rebuild the stage with a new style/seed.
     //
     // IMPORTANT:
     // - We do not auto-apply on every keystroke in React.
     // - React should send a "command" (button click) to avoid rebuilding too often.
-    const nowMs = this.time?.now ?? 0
+    const nowMs = this._simNowMs
 
     // `resetMatch` is a command option, not part of the persistent stage config.
     const { resetMatch = true, ...config } = nextConfig ?? {}
@@ -581,7 +827,7 @@ export class BattleScene extends Phaser.Scene {
     // IMPORTANT: resetMatch() would otherwise stop the benchmark if we enabled it first.
     if (resetMatch) this.resetMatch()
 
-    const nowMs = this.time?.now ?? 0
+    const nowMs = this._simNowMs
 
     this._benchmark.enabled = true
     this._benchmark.stopOnComplete = Boolean(stopOnComplete)
@@ -593,11 +839,9 @@ export class BattleScene extends Phaser.Scene {
     this._benchmark.report = null
 
     // Always start a fresh round stats bucket for the next round.
-    this._telemetry.roundStartedAtMs = nowMs
-    this._telemetry.round = createEmptyRoundStats()
-    this._telemetry.round.roundNumber = this._round
-    this._telemetry.last.leftAttackRef = null
-    this._telemetry.last.rightAttackRef = null
+    resetRoundTelemetry(this._telemetry, { nowMs, roundNumber: this._round })
+    this._resetBtProfilers()
+    this._resetBtTiming()
 
     if (this._log.enabled) {
       this._log.info('benchmark:start', {
@@ -625,7 +869,7 @@ export class BattleScene extends Phaser.Scene {
 
       // If we leave DONE without resetting fighters, one side may still be at 0 HP,
       // which would instantly re-trigger KO on the next update frame.
-      const nowMs = this.time?.now ?? 0
+      const nowMs = this._simNowMs
       if (this._leftFighter && this._rightFighter) this._resetFighters({ nowMs })
     }
 
@@ -639,12 +883,12 @@ export class BattleScene extends Phaser.Scene {
     // Notes:
     // - This returns only data already collected in memory.
     // - It does NOT start/stop the benchmark.
-    const nowMs = this.time?.now ?? 0
+    const nowMs = this._simNowMs
     const b = this._benchmark
     if (!b) return null
 
-    // Include a stable BT hash so benchmark runs can be compared across versions.
-    const btMeta = computeBtHashMeta(this._initialBtJsonText)
+    // Include stable BT hashes (both sides) so benchmark runs can be compared across versions.
+    const btMeta = { ...this._btHashMeta }
 
     return {
       exportedAtMs: nowMs,
@@ -656,11 +900,19 @@ export class BattleScene extends Phaser.Scene {
       },
       bt: btMeta,
       aiProfiles: { ...this._aiProfiles },
+      aiProfileDefs: { left: { ...this._aiProfileDefs.left }, right: { ...this._aiProfileDefs.right } },
+      aiDifficulties: { ...this._aiDifficulties },
+      // AI RNG seeds of the current match (reproducible when the benchmark started with a reset).
+      aiRngSeeds: { left: this._leftAi?.rngSeed ?? null, right: this._rightAi?.rngSeed ?? null },
       stage: this._stageMeta ? { ...this._stageMeta } : null,
       stageConfig: this._stageConfig ? { ...this._stageConfig } : null,
       stageRotation: this._stageRotation ? { ...this._stageRotation } : null,
       rounds: Array.isArray(b.rounds) ? b.rounds.slice() : [],
       report: b.report ?? null,
+      // Per-node BT statistics summed over the rounds (dead branches / hot paths).
+      btProfile: computeBtProfileReport(b.rounds, this._getBtProfileTrees()),
+      // Wall-clock time per node; differs between runs, so it stays out of rounds/btProfile.
+      btTiming: this._getBtTiming(),
     }
   }
 
@@ -677,7 +929,7 @@ export class BattleScene extends Phaser.Scene {
   } = {}) {
     // Public API used by React UI:
     // Run multiple seeds back-to-back and collect a benchmark export per seed.
-    const nowMs = this.time?.now ?? 0
+    const nowMs = this._simNowMs
 
     // Stop any in-progress batch (idempotent) and stop single benchmark collection.
     this.stopBenchmarkBatch()
@@ -773,7 +1025,7 @@ export class BattleScene extends Phaser.Scene {
   exportBenchmarkBatch() {
     // Public API used by React UI:
     // Export batch benchmark results (multiple seed runs).
-    const nowMs = this.time?.now ?? 0
+    const nowMs = this._simNowMs
     const batch = this._benchmarkBatch
     if (!batch) return null
 
@@ -788,8 +1040,10 @@ export class BattleScene extends Phaser.Scene {
     return {
       kind: 'benchmarkBatch',
       exportedAtMs: nowMs,
-      bt: computeBtHashMeta(this._initialBtJsonText),
+      bt: { ...this._btHashMeta },
       aiProfiles: { ...this._aiProfiles },
+      aiProfileDefs: { left: { ...this._aiProfileDefs.left }, right: { ...this._aiProfileDefs.right } },
+      aiDifficulties: { ...this._aiDifficulties },
       stageConfigTemplate: batch.stageConfigTemplate ? { ...batch.stageConfigTemplate } : null,
       batch: {
         seeds: Array.isArray(batch.seeds) ? batch.seeds.slice() : [],
@@ -805,6 +1059,8 @@ export class BattleScene extends Phaser.Scene {
       },
       runs,
       report: computeBenchmarkReport(allRounds),
+      btProfile: computeBtProfileReport(allRounds, this._getBtProfileTrees()),
+      btTiming: mergeBtTiming(runs.map((run) => run.btTiming), this._getBtProfileTrees()),
     }
   }
 
@@ -879,7 +1135,7 @@ export class BattleScene extends Phaser.Scene {
 
     // Build the tile-based stage (tilemap + collision + AI platform graph).
     // This is separated into a helper so we can regenerate it on demand.
-    const nowMs = this.time?.now ?? 0
+    const nowMs = this._simNowMs
     this._rebuildStage({ nowMs, resetMatch: false })
 
     // Build Phaser animations for player character sprites (safe to call multiple times).
@@ -940,7 +1196,7 @@ export class BattleScene extends Phaser.Scene {
             }
           : null,
       })
-      const nowMs = this.time?.now ?? 0
+      const nowMs = this._simNowMs
       this._log.log({
         left: this._serializeFighter(this._leftFighter, nowMs),
         right: this._serializeFighter(this._rightFighter, nowMs),
@@ -948,20 +1204,22 @@ export class BattleScene extends Phaser.Scene {
       this._log.groupEnd()
     }
 
-    // Build a BT tree from provided JSON (or fallback to default).
+    // Build each side's BT tree from provided JSON (or fallback to default).
     // IMPORTANT: each agent must get its own tree instance to avoid shared state in decorators.
-    const btJsonObject = parseBtJsonText(this._initialBtJsonText)
-    const leftTree = createPlatformBrawlBtTree(btJsonObject)
-    const rightTree = createPlatformBrawlBtTree(btJsonObject)
+    const leftTree = createPlatformBrawlBtTree(parseBtJsonText(this._btJsonTextBySide.left))
+    const rightTree = createPlatformBrawlBtTree(parseBtJsonText(this._btJsonTextBySide.right))
 
     // Create AI agents for both fighters (AI vs AI).
+    const aiRngSeeds = deriveAiRngSeeds(this._stageMeta?.seed ?? null)
     this._leftAi = new BotAgent({
       id: 'left-ai',
       self: this._leftFighter,
       target: this._rightFighter,
       stage: this._stage,
       btRoot: leftTree,
-      profileId: this._aiProfiles.left,
+      profile: this._aiProfileDefs.left,
+      difficultyId: this._aiDifficulties.left,
+      rngSeed: aiRngSeeds.left,
     })
     this._rightAi = new BotAgent({
       id: 'right-ai',
@@ -969,7 +1227,9 @@ export class BattleScene extends Phaser.Scene {
       target: this._leftFighter,
       stage: this._stage,
       btRoot: rightTree,
-      profileId: this._aiProfiles.right,
+      profile: this._aiProfileDefs.right,
+      difficultyId: this._aiDifficulties.right,
+      rngSeed: aiRngSeeds.right,
     })
 
     // Make sure fighters collide with the tile stage.
@@ -1025,23 +1285,21 @@ export class BattleScene extends Phaser.Scene {
 
     // Initialize telemetry for round 1.
     // We treat the moment the scene finishes `create()` as the "round start".
-    const roundNowMs = this.time?.now ?? 0
-    this._telemetry.roundStartedAtMs = roundNowMs
-    this._telemetry.round = createEmptyRoundStats()
-    this._telemetry.round.startedAtMs = roundNowMs
-    this._telemetry.round.roundNumber = this._round
+    const roundNowMs = this._simNowMs
+    resetRoundTelemetry(this._telemetry, { nowMs: roundNowMs, roundNumber: this._round })
   }
 
   update(_time, delta) {
-    // Use Phaser's time source for consistency across the entire scene.
-    const nowMs = this.time.now
+    // Rendering-side work (camera, diagnostics, HUD) runs once per rendered frame.
+    // Gameplay runs in fixed ticks (see `_fixedUpdate`), so it never depends on the frame rate.
+    const frameNowMs = this.time.now
 
     // Update camera focus even during KO pause so the finishing moment stays centered.
     this._updateCameraFocus({ delta })
 
     // If fighters are outside the current camera view for too long, re-center the camera.
     // This is a defensive measure against "blank screen" bugs during rapid iteration.
-    this._maybeRescueCamera({ nowMs })
+    this._maybeRescueCamera({ nowMs: frameNowMs })
 
     // Debug: detect camera value oscillations and fighter visibility issues.
     // We keep this throttled so it doesn't spam the console.
@@ -1095,20 +1353,58 @@ export class BattleScene extends Phaser.Scene {
       })
     }
 
+    // ---- Fixed-step simulation ----
+    // Run as many 60 Hz ticks as the elapsed frame time allows (capped to avoid spiral-of-death).
+    // Playback speed scales the fed time; pause feeds nothing and only runs explicitly stepped ticks.
+    const playback = this._playback
+    let steps = this._fixedStepper.advance(playback.paused ? 0 : delta * playback.speed)
+    if (playback.paused && playback.pendingSteps > 0) {
+      steps += playback.pendingSteps
+      playback.pendingSteps = 0
+    }
+    for (let i = 0; i < steps; i += 1) this._fixedUpdate()
+
+    // Interpolate fighter visuals between the last two ticks so motion stays smooth
+    // on displays that don't run at exactly 60 Hz. While paused we show the exact tick.
+    const alpha = playback.paused ? 1 : this._fixedStepper.alpha
+    this._leftFighter?.applyRenderInterpolation?.(alpha)
+    this._rightFighter?.applyRenderInterpolation?.(alpha)
+
+    // Optional in-canvas debug drawing (hurtboxes/hitboxes/platforms).
+    if (this._roundPhase === ROUND_PHASE.FIGHT) this._renderDebugOverlay({ nowMs: this._simNowMs })
+
+    this._updateHud()
+
+    this._emitDebugSnapshot({ delta })
+  }
+
+  _fixedUpdate() {
+    // One deterministic simulation tick.
+    // Everything in here must only depend on the tick count, never on wall-clock time.
+    const delta = this._fixedStepper.stepMs
+    this._simNowMs += delta
+    this._simTick += 1
+    const nowMs = this._simNowMs
+
+    // Remember where fighters were so rendering can interpolate toward this tick.
+    this._leftFighter?.captureRenderPrevious?.()
+    this._rightFighter?.captureRenderPrevious?.()
+
+    // Step Arcade physics exactly once per tick (the world uses `customUpdate`).
+    // Like Arcade's default scheduling, physics runs before the gameplay logic.
+    this.physics?.world?.singleStep?.()
+
     // If benchmark mode completed and asked to stop, we freeze the match here.
     // This lets you read the result and export the report from the UI.
     if (this._roundPhase === ROUND_PHASE.DONE) {
       if (this._leftFighter?.body) this._leftFighter.body.setVelocity(0, 0)
       if (this._rightFighter?.body) this._rightFighter.body.setVelocity(0, 0)
-
-      this._emitDebugSnapshot({ delta })
       return
     }
 
     // If we are in KO pause, freeze the action and wait before restarting the round.
     if (this._roundPhase === ROUND_PHASE.KO) {
       this._updateKoPhase({ nowMs })
-      this._emitDebugSnapshot({ delta })
       return
     }
 
@@ -1124,28 +1420,25 @@ export class BattleScene extends Phaser.Scene {
 
         // Tick AI only for the sides currently controlled by AI.
         // This allows mixed mode (human vs AI) without re-building the scene.
+        // Per-node BT profiling only runs while a benchmark collects rounds.
+        const profile = this._benchmark.enabled
         if (this._controlMode.left === CONTROL_MODE.AI) {
-          const leftIntent = this._leftAi ? this._leftAi.tick({ nowMs }) : createEmptyIntent()
+          const leftIntent = this._leftAi ? this._leftAi.tick({ nowMs, profile }) : createEmptyIntent()
           this._leftFighter.setIntent(leftIntent)
         }
         if (this._controlMode.right === CONTROL_MODE.AI) {
-          const rightIntent = this._rightAi ? this._rightAi.tick({ nowMs }) : createEmptyIntent()
+          const rightIntent = this._rightAi ? this._rightAi.tick({ nowMs, profile }) : createEmptyIntent()
           this._rightFighter.setIntent(rightIntent)
         }
       }
     }
 
-    // ---- Human / Replay input (every frame) ----
-    // Human control should feel responsive, so we sample it at frame rate (not AI tick rate).
-    // Replay is also sampled every frame so it "feels" like real input.
+    // ---- Human / Replay input (every tick) ----
+    // Human control should feel responsive, so we sample it at tick rate (not AI tick rate).
+    // Replay is also sampled every tick, which makes recorded intents replay bit-identically.
     if (this._controlMode.left === CONTROL_MODE.HUMAN && this._leftHuman) {
       const intent = this._leftHuman.readIntent()
       this._leftFighter.setIntent(intent)
-
-      // If we are recording the left side, store the intent for this frame.
-      if (this._recordingSide === 'left' && this._replayRecorder?.isRecording) {
-        this._replayRecorder.recordFrame({ dtMs: delta, intent })
-      }
     } else if (this._controlMode.left === CONTROL_MODE.REPLAY) {
       const intent = this._leftReplay
         ? this._leftReplay.readIntent({ deltaMs: delta })
@@ -1156,11 +1449,6 @@ export class BattleScene extends Phaser.Scene {
     if (this._controlMode.right === CONTROL_MODE.HUMAN && this._rightHuman) {
       const intent = this._rightHuman.readIntent()
       this._rightFighter.setIntent(intent)
-
-      // If we are recording the right side, store the intent for this frame.
-      if (this._recordingSide === 'right' && this._replayRecorder?.isRecording) {
-        this._replayRecorder.recordFrame({ dtMs: delta, intent })
-      }
     } else if (this._controlMode.right === CONTROL_MODE.REPLAY) {
       const intent = this._rightReplay
         ? this._rightReplay.readIntent({ deltaMs: delta })
@@ -1168,7 +1456,21 @@ export class BattleScene extends Phaser.Scene {
       this._rightFighter.setIntent(intent)
     }
 
-    // ---- One-way "drop-through" handling (every frame) ----
+    // ---- Replay recording (every tick) ----
+    // Snapshot the intents both fighters act on this tick, whoever produced them (AI, human, replay).
+    // Recording here (before drop-through and `updateFighter` consume one-shot presses)
+    // means playback can feed the same snapshots back through `setIntent` and get the same tick.
+    if (this._replayRecorder?.isRecording) {
+      this._replayRecorder.recordFrame({
+        dtMs: delta,
+        intents: {
+          left: this._leftFighter.getIntentRef(),
+          right: this._rightFighter.getIntentRef(),
+        },
+      })
+    }
+
+    // ---- One-way "drop-through" handling (every tick) ----
     // Rule (common in platform fighters):
     // - When you are standing on a one-way platform
     // - Holding Down + pressing Jump
@@ -1180,7 +1482,7 @@ export class BattleScene extends Phaser.Scene {
     this._maybeDropThroughOneWay({ fighter: this._leftFighter, nowMs })
     this._maybeDropThroughOneWay({ fighter: this._rightFighter, nowMs })
 
-    // Update fighters (movement + attack state machine) every frame for smooth physics.
+    // Update fighters (movement + attack state machine) every tick.
     this._leftFighter.updateFighter({ nowMs, opponent: this._rightFighter })
     this._rightFighter.updateFighter({ nowMs, opponent: this._leftFighter })
 
@@ -1190,13 +1492,9 @@ export class BattleScene extends Phaser.Scene {
     // (fighters typically don't stand on top of each other like platforms).
     this._applyFighterPushCollision({ nowMs })
 
-    // Update telemetry *after* fighters update so we can detect action starts that happened this frame.
+    // Update telemetry *after* fighters update so we can detect action starts that happened this tick.
     this._updateTelemetryPerFrame({ nowMs })
 
-    // Optional in-canvas debug drawing (hurtboxes/hitboxes/platforms).
-    // Draw after fighters update so positions/state are current.
-    this._renderDebugOverlay({ nowMs })
-
     // Resolve melee hits based on active hitboxes.
     this._resolveHit({ attacker: this._leftFighter, defender: this._rightFighter, nowMs })
     this._resolveHit({ attacker: this._rightFighter, defender: this._leftFighter, nowMs })
@@ -1210,6 +1508,13 @@ export class BattleScene extends Phaser.Scene {
       this._beginKoPause({ nowMs })
     }
 
+    // Replay seeking: store a snapshot on tick boundaries (state before the next recorded frame).
+    if (this._roundPhase === ROUND_PHASE.FIGHT && this._replayRecorder?.wantsSnapshot()) {
+      this._replayRecorder.recordSnapshot({ round: this._round, state: this._captureSimState() })
+    }
+  }
+
+  _updateHud() {
     // Update the Phaser HUD text once per frame (cheap enough for now).
     if (this._hudText) {
       const baseLine = `Round ${this._round}  |  Score L:${this._score.leftWins} R:${this._score.rightWins} D:${this._score.draws}  |  Left(${this._controlMode.left}) HP ${this._leftFighter.hp}/${this._leftFighter.maxHp}  |  Right(${this._controlMode.right}) HP ${this._rightFighter.hp}/${this._rightFighter.maxHp}`
@@ -1238,8 +1543,6 @@ export class BattleScene extends Phaser.Scene {
         this._hudText.setText([baseLine, debugLine1, debugLine2, debugLine3].join('\n'))
       }
     }
-
-    this._emitDebugSnapshot({ delta })
   }
 
   _applyFailsafeBounds({ nowMs }) {
@@ -1307,88 +1610,25 @@ export class BattleScene extends Phaser.Scene {
   }
 
   _applyFighterPushCollision({ nowMs }) {
-    // Simple "character pushbox" implementation.
-    //
-    // Why:
-    // - Without fighter-fighter collision, AI can overlap perfectly.
-    // - That makes attacks look like instant teleports (hitbox overlaps while bodies pass through).
-    //
-    // Design:
-    // - Only push horizontally (X axis) to avoid "standing on opponent" behavior.
-    // - Apply only when fighters are at similar vertical height (to avoid air stacking).
-    const left = this._leftFighter
-    const right = this._rightFighter
-    if (!left?.body || !right?.body) return
-
-    // Approximate pushboxes using the physics body sizes (not the visual sprite).
-    const halfLeftW = Number(left.body.width ?? left.displayWidth ?? 0) / 2
-    const halfRightW = Number(right.body.width ?? right.displayWidth ?? 0) / 2
-    const halfLeftH = Number(left.body.height ?? left.displayHeight ?? 0) / 2
-    const halfRightH = Number(right.body.height ?? right.displayHeight ?? 0) / 2
-
-    // If sizes are missing, skip (defensive).
-    if (!halfLeftW || !halfRightW || !halfLeftH || !halfRightH) return
-
-    const dx = Number(right.x ?? 0) - Number(left.x ?? 0)
-    const dy = Number(right.y ?? 0) - Number(left.y ?? 0)
-
-    const overlapX = halfLeftW + halfRightW - Math.abs(dx)
-    const overlapY = halfLeftH + halfRightH - Math.abs(dy)
-    if (overlapX <= 0 || overlapY <= 0) return
-
-    // Only push when the fighters are roughly on the same "floor level".
-    // This keeps air interactions from looking like weird stacking.
-    const leftFeetY = Number(left.y ?? 0) + halfLeftH
-    const rightFeetY = Number(right.y ?? 0) + halfRightH
-    const feetDelta = Math.abs(leftFeetY - rightFeetY)
-
-    const leftOnGround = Boolean(left.body.blocked.down || left.body.touching.down)
-    const rightOnGround = Boolean(right.body.blocked.down || right.body.touching.down)
-
-    // Accept if:
-    // - both are grounded (classic push)
-    // - OR their feet are close enough (same platform, even if one is barely airborne)
-    const shouldPush = (leftOnGround && rightOnGround) || feetDelta < 22
-    if (!shouldPush) return
-
-    // Compute how far to separate each fighter.
-    // Add a tiny epsilon so they don't stay overlapping due to rounding.
-    const pushEach = overlapX / 2 + 0.6
-    const dir = dx >= 0 ? 1 : -1
-
-    // Clamp within physics bounds so we never push outside the world.
-    const bounds = this.physics?.world?.bounds
-    const minX = bounds ? Number(bounds.x ?? 0) + Math.max(halfLeftW, halfRightW) : null
-    const maxX = bounds ? Number(bounds.right ?? 0) - Math.max(halfLeftW, halfRightW) : null
-
-    const nextLeftX = Number(left.x ?? 0) - dir * pushEach
-    const nextRightX = Number(right.x ?? 0) + dir * pushEach
-
-    const clampedLeftX =
-      minX != null && maxX != null ? Phaser.Math.Clamp(nextLeftX, minX, maxX) : nextLeftX
-    const clampedRightX =
-      minX != null && maxX != null ? Phaser.Math.Clamp(nextRightX, minX, maxX) : nextRightX
-
-    // Apply separation. We do NOT touch Y so gravity/tiles remain the source of vertical motion.
-    left.setPosition(clampedLeftX, left.y)
-    right.setPosition(clampedRightX, right.y)
-
-    // Dampen horizontal velocity a bit to reduce "vibrating" when both keep pushing.
-    const damp = 0.35
-    left.body.setVelocityX(Number(left.body.velocity.x ?? 0) * damp)
-    right.body.setVelocityX(Number(right.body.velocity.x ?? 0) * damp)
+    // Simple "character pushbox" implementation (see pushCollision.js for the rules).
+    // We clamp within physics bounds so we never push outside the world.
+    const push = separateFighters({
+      left: this._leftFighter,
+      right: this._rightFighter,
+      bounds: this.physics?.world?.bounds ?? null,
+    })
 
     // Optional debug log (throttled elsewhere) can use this value if needed.
-    if (this._log.enabled && this._log.verbose) {
+    if (push && this._log.enabled && this._log.verbose) {
       this._log.throttle('fighters-push', 600, () => {
         this._log.info('fighters:push', {
-          overlapX: Math.round(overlapX * 10) / 10,
-          overlapY: Math.round(overlapY * 10) / 10,
-          feetDelta: Math.round(feetDelta * 10) / 10,
-          leftOnGround,
-          rightOnGround,
-          leftX: Math.round(clampedLeftX),
-          rightX: Math.round(clampedRightX),
+          overlapX: Math.round(push.overlapX * 10) / 10,
+          overlapY: Math.round(push.overlapY * 10) / 10,
+          feetDelta: Math.round(push.feetDelta * 10) / 10,
+          leftOnGround: push.leftOnGround,
+          rightOnGround: push.rightOnGround,
+          leftX: Math.round(push.leftX),
+          rightX: Math.round(push.rightX),
           nowMs,
         })
       })
@@ -1470,7 +1710,14 @@ export class BattleScene extends Phaser.Scene {
       status: agent.lastStatus,
       reasons: agent.lastReasons,
       trace: traceTail,
+      // The full trace is small (one entry per ticked node); the BT Lab sandbox maps it back
+      // onto the JSON tree to highlight the active path.
+      fullTrace: agent.lastTrace.slice(),
       profileId: agent.blackboard?.ai?.profileId ?? null,
+      difficultyId: agent.difficultyId,
+      // Opponent habits learned this match (shown in the debug panel).
+      opponentModel: agent.opponentModel.toJSON(),
+      rngSeed: agent.rngSeed,
       threat: agent.blackboard?.ai?.threat
         ? {
             willHit: Boolean(agent.blackboard.ai.threat.willHit),
@@ -1486,75 +1733,22 @@ export class BattleScene extends Phaser.Scene {
         onGround: agent.blackboard.self.onGround,
         targetDx: Math.round(agent.blackboard.target.dx),
         targetDy: Math.round(agent.blackboard.target.dy),
+        reactionMs: agent.blackboard.ai.reactionMs ?? 0,
       },
     }
   }
 
   _updateTelemetryPerFrame({ nowMs }) {
-    // Per-frame telemetry sampling.
-    //
-    // We intentionally keep this:
-    // - edge-triggered (count starts, not frames)
-    // - cheap (only a handful of boolean checks)
-    //
+    // Per-frame telemetry sampling (edge-triggered action starts).
     // This runs only during the FIGHT phase.
-    const t = this._telemetry
-    if (!t) return
-
-    const left = this._leftFighter
-    const right = this._rightFighter
-    if (!left || !right) return
-
-    // ---- Attack start detection ----
-    // Fighter creates a new attack object when a move starts, and mutates it across phases.
-    // That means we can detect "attack started" by checking object identity changes.
-    const leftAttack = left.attackState
-    if (leftAttack && t.last.leftAttackRef !== leftAttack) {
-      t.round.left.attacksStarted += 1
-      t.last.leftAttackRef = leftAttack
-    } else if (!leftAttack) {
-      t.last.leftAttackRef = null
-    }
-
-    const rightAttack = right.attackState
-    if (rightAttack && t.last.rightAttackRef !== rightAttack) {
-      t.round.right.attacksStarted += 1
-      t.last.rightAttackRef = rightAttack
-    } else if (!rightAttack) {
-      t.last.rightAttackRef = null
-    }
-
-    // ---- Dash / Dodge start detection ----
-    // These are implemented as time windows in Fighter, so we detect "start" via rising edges.
-    const leftDashingNow = typeof left.isDashing === 'function' ? left.isDashing(nowMs) : false
-    if (leftDashingNow && !t.last.leftDashing) t.round.left.dashes += 1
-    t.last.leftDashing = leftDashingNow
-
-    const rightDashingNow = typeof right.isDashing === 'function' ? right.isDashing(nowMs) : false
-    if (rightDashingNow && !t.last.rightDashing) t.round.right.dashes += 1
-    t.last.rightDashing = rightDashingNow
-
-    const leftDodgingNow = typeof left.isDodging === 'function' ? left.isDodging(nowMs) : false
-    if (leftDodgingNow && !t.last.leftDodging) t.round.left.dodgesStarted += 1
-    t.last.leftDodging = leftDodgingNow
-
-    const rightDodgingNow = typeof right.isDodging === 'function' ? right.isDodging(nowMs) : false
-    if (rightDodgingNow && !t.last.rightDodging) t.round.right.dodgesStarted += 1
-    t.last.rightDodging = rightDodgingNow
+    sampleRoundTelemetry(this._telemetry, {
+      left: this._leftFighter,
+      right: this._rightFighter,
+      nowMs,
+    })
   }
 
   _resolveHit({ attacker, defender, nowMs }) {
-    // Only check hits if the attacker currently has an active hitbox.
-    const hitbox = attacker.getAttackHitboxRect()
-    if (!hitbox) return
-
-    const hurtbox = defender.getHurtboxRect()
-    const overlapped = Phaser.Geom.Rectangle.Overlaps(hitbox, hurtbox)
-    if (!overlapped) return
-
-    const move = MOVES[attacker.attackState?.kind]
-    if (!move) return
-
     // Resolve sides for telemetry (left/right).
     // This is used only for benchmark stats and has no gameplay effect.
     const attackerSide =
@@ -1562,132 +1756,26 @@ export class BattleScene extends Phaser.Scene {
     const defenderSide =
       defender === this._leftFighter ? 'left' : defender === this._rightFighter ? 'right' : null
 
-    // Defensive mechanics (dodge / guard) are resolved here because:
-    // - We have access to BOTH attacker and defender positions/facing.
-    // - The fighter entity does not know who hit it, only that it got hit.
-
-    // If the defender is currently invincible (dodge i-frames), ignore the hit.
-    // We intentionally do NOT mark the attack as "hit" so it can still connect
-    // later in the same active window if the defender becomes vulnerable again.
-    if (typeof defender?.isInvincible === 'function' && defender.isInvincible(nowMs)) {
-      // Telemetry: count a "successful dodge" (i-frames avoided a hit).
-      if (this._telemetry && defenderSide) {
-        this._telemetry.round[defenderSide].dodges += 1
-        if (attackerSide) this._telemetry.round[attackerSide].hitsDodged += 1
-      }
-      return
-    }
-
-    // Guard check:
-    // - Defender must be guarding
-    // - And the attacker must be in front of the defender (no blocking from behind)
-    const defenderGuarding = typeof defender?.isGuarding === 'function' ? defender.isGuarding() : false
-    const defenderFacing = Number(defender?.facing ?? 1) >= 0 ? 1 : -1
-    const attackerInFront =
-      defenderFacing > 0 ? attacker.x >= defender.x - 2 : attacker.x <= defender.x + 2
-
-    const isBlocked = defenderGuarding && attackerInFront
-
-    // Mark hit so this attack cannot hit again during the same active window.
-    // Blocking counts as a "hit" for the attacker (prevents multi-hit spam).
-    if (isBlocked) attacker.markAttackHit()
-
-    if (isBlocked) {
-      // Blocked hit: apply chip damage + blockstun + smaller knockback.
-      const chipDamage = Math.max(0, Math.round(move.damage * 0.15))
-      const blockstunMs = Math.round(move.hitstunMs * 0.55)
-      const pushbackX = Math.round(move.knockbackX * 0.45)
-
-      // Telemetry: count block (damage is recorded after applying to avoid overcount on KO).
-      if (this._telemetry && attackerSide && defenderSide) {
-        this._telemetry.round[defenderSide].blocks += 1
-        this._telemetry.round[attackerSide].hitsBlocked += 1
-      }
-
-      const hpBefore = defender.hp
-      defender.takeHit({
-        damage: chipDamage,
-        knockbackX: pushbackX,
-        knockbackY: 0,
-        hitstunMs: blockstunMs,
-        hitstopMs: Math.round(move.hitstopMs * 0.7),
-        fromFacing: attacker.facing,
-        nowMs,
-        impactKind: 'block',
-      })
-
-      const hpAfter = defender.hp
-      const actualDamage = Math.max(0, Number(hpBefore ?? 0) - Number(hpAfter ?? 0))
-
-      // Telemetry: record actual damage dealt (chip).
-      if (this._telemetry && attackerSide && defenderSide) {
-        this._telemetry.round[attackerSide].damageDealt += actualDamage
-        this._telemetry.round[attackerSide].chipDamageDealt += actualDamage
-      }
-
-      // Hit-confirm signal for the attacker (blocked).
-      // This lets AI distinguish "I hit" vs "I got blocked".
-      if (typeof attacker?.noteAttackEvent === 'function') {
-        attacker.noteAttackEvent({
-          outcome: 'blocked',
-          kind: move.kind,
-          targetId: defender.id,
-          damageDealt: actualDamage,
-          hitstunMs: blockstunMs,
-          nowMs,
-        })
-      }
-
-      // Optional: small attacker recoil for readability (feels more like a fighting game).
-      if (attacker?.body) {
-        attacker.body.setVelocityX(attacker.body.velocity.x * 0.2)
-      }
-
-      return
-    }
+    const roundStats = this._telemetry?.round ?? null
 
-    // Unblocked hit: mark hit and apply full damage/knockback.
-    attacker.markAttackHit()
-
-    // Telemetry: count a landed hit (damage is recorded after applying to avoid overcount on KO).
-    if (this._telemetry && attackerSide && defenderSide) {
-      this._telemetry.round[attackerSide].hitsLanded += 1
-    }
-
-    const hpBefore = defender.hp
-    defender.takeHit({
-      damage: move.damage,
-      knockbackX: move.knockbackX,
-      knockbackY: move.knockbackY,
-      hitstunMs: move.hitstunMs,
-      hitstopMs: move.hitstopMs,
-      fromFacing: attacker.facing,
+    // The rules (i-frames, guard, chip damage, hit-confirm) live in hitResolution.js
+    // so the headless simulator resolves hits identically.
+    resolveMeleeHit({
+      attacker,
+      defender,
       nowMs,
-      impactKind: 'hit',
+      attackerStats: roundStats && attackerSide ? roundStats[attackerSide] : null,
+      defenderStats: roundStats && defenderSide ? roundStats[defenderSide] : null,
     })
-
-    const hpAfter = defender.hp
-    const actualDamage = Math.max(0, Number(hpBefore ?? 0) - Number(hpAfter ?? 0))
-
-    // Telemetry: record actual damage dealt (may be less than move.damage when HP was low).
-    if (this._telemetry && attackerSide && defenderSide) {
-      this._telemetry.round[attackerSide].damageDealt += actualDamage
-    }
-
-    // Hit-confirm signal for the attacker (landed hit).
-    if (typeof attacker?.noteAttackEvent === 'function') {
-      attacker.noteAttackEvent({
-        outcome: 'hit',
-        kind: move.kind,
-        targetId: defender.id,
-        damageDealt: actualDamage,
-        hitstunMs: move.hitstunMs,
-        nowMs,
-      })
-    }
   }
 
-  _resetFighters({ nowMs }) {
+  _resetFighters({ nowMs: requestedNowMs }) {
+    // Full-match replay: restart the round on the sim clock it had while recording,
+    // so absolute timers (hitstun, cooldowns, ...) compare exactly like they did back then.
+    const replayRound = this._matchReplay ? findReplayRound(this._matchReplay.data, this._round) : null
+    if (replayRound?.startSimNowMs != null) this._simNowMs = replayRound.startSimNowMs
+    const nowMs = replayRound?.startSimNowMs ?? requestedNowMs
+
     // Reset fighters to their spawns (and restore HP).
     const leftSpawn = this._spawns?.left ?? { x: 260, y: 100, facing: 1 }
     const rightSpawn = this._spawns?.right ?? { x: 700, y: 100, facing: -1 }
@@ -1705,26 +1793,28 @@ export class BattleScene extends Phaser.Scene {
       nowMs,
     })
 
+    // Per-round AI state: BT `vars` start empty and delayed perception must not show pre-reset positions.
+    this._leftAi?.resetRound()
+    this._rightAi?.resetRound()
+
     // If a side is using replay, restart playback each round.
-    if (this._leftReplay) this._leftReplay.reset()
-    if (this._rightReplay) this._rightReplay.reset()
+    // Full-match replays jump to this round's recorded ticks; legacy replays restart from the top.
+    if (this._leftReplay) this._leftReplay.seekToRound(this._round)
+    if (this._rightReplay) this._rightReplay.seekToRound(this._round)
+
+    // Mark the round boundary in the recording (with the stage it is played on).
+    if (this._replayRecorder?.isRecording) {
+      this._replayRecorder.beginRound({
+        round: this._round,
+        stageConfig: this._getReplayStageConfig(),
+        simNowMs: nowMs,
+      })
+    }
 
     // Start a fresh telemetry bucket for the new round.
     // We do this here (instead of in update) so resets are deterministic and easy to reason about.
-    if (this._telemetry) {
-      this._telemetry.roundStartedAtMs = nowMs ?? 0
-      this._telemetry.round = createEmptyRoundStats()
-      this._telemetry.round.startedAtMs = nowMs ?? 0
-      this._telemetry.round.roundNumber = this._round
-
-      // Clear edge detection so the first actions of the round are counted correctly.
-      this._telemetry.last.leftAttackRef = null
-      this._telemetry.last.rightAttackRef = null
-      this._telemetry.last.leftDashing = false
-      this._telemetry.last.rightDashing = false
-      this._telemetry.last.leftDodging = false
-      this._telemetry.last.rightDodging = false
-    }
+    resetRoundTelemetry(this._telemetry, { nowMs, roundNumber: this._round })
+    this._resetBtProfilers()
   }
 
   _finalizeRoundTelemetry({ nowMs, winner }) {
@@ -1750,9 +1840,51 @@ export class BattleScene extends Phaser.Scene {
       seed: this._stageMeta?.seed ?? null,
     }
 
+    // Trees can be hot-swapped mid-benchmark; keep the hashes that played this round.
+    round.btHashes = { left: this._btHashMeta.left.hash, right: this._btHashMeta.right.hash }
+    round.btProfile = {
+      left: this._leftAi ? this._leftAi.profiler.takeRound() : null,
+      right: this._rightAi ? this._rightAi.profiler.takeRound() : null,
+    }
+
     return round
   }
 
+  _resetBtProfilers() {
+    // Per-node BT counters follow the round telemetry bucket (see btProfiler.js).
+    this._leftAi?.profiler.reset()
+    this._rightAi?.profiler.reset()
+  }
+
+  _resetBtTiming() {
+    // Node timing covers a whole benchmark run (see btProfiler.js).
+    this._leftAi?.profiler.resetTiming()
+    this._rightAi?.profiler.resetTiming()
+  }
+
+  _getBtTiming() {
+    return createBtTiming(this._getBtProfileTrees(), {
+      left: this._leftAi?.profiler.takeTiming(),
+      right: this._rightAi?.profiler.takeTiming(),
+    })
+  }
+
+  _getBtProfileTrees() {
+    // The tree each side runs now; computeBtProfileReport only sums rounds played with it.
+    return {
+      left: { hash: this._btHashMeta.left.hash, nodes: this._leftAi?.profiler.nodes ?? [] },
+      right: { hash: this._btHashMeta.right.hash, nodes: this._rightAi?.profiler.nodes ?? [] },
+    }
+  }
+
+  _resetAiForMatch() {
+    // Agents start the match fresh (node memory, opponent model, ... see BotAgent.resetMatch);
+    // AI randomness restarts seeded from the match (stage) seed + side.
+    const seeds = deriveAiRngSeeds(this._stageMeta?.seed ?? null)
+    this._leftAi?.resetMatch({ rngSeed: seeds.left })
+    this._rightAi?.resetMatch({ rngSeed: seeds.right })
+  }
+
   _beginKoPause({ nowMs }) {
     // Prevent double-triggering KO if update() runs multiple frames with HP already at 0.
     if (this._roundPhase !== ROUND_PHASE.FIGHT) return
@@ -1768,6 +1900,9 @@ export class BattleScene extends Phaser.Scene {
 
     this._koWinner = winner
 
+    // Replay recording: close the round on the KO tick.
+    if (this._replayRecorder?.isRecording) this._replayRecorder.endRound({ winner })
+
     // Telemetry: finish the round stats now that we know the winner.
     // We do this here so the numbers reflect the exact KO frame.
     const finishedRound = this._finalizeRoundTelemetry({ nowMs, winner })
@@ -1966,6 +2101,12 @@ export class BattleScene extends Phaser.Scene {
     const completedRound = this._round
     this._round += 1
 
+    // Full-match replay playback: follow the recorded rounds instead of stage rotation.
+    if (this._matchReplay) {
+      this._advanceMatchReplayRound({ nowMs })
+      return
+    }
+
     // Optional: auto-change stage after KO to increase variety when watching AI vs AI.
     // We rotate based on the number of *completed* rounds so:
     // - everyNRounds=1 => rotate after every KO
@@ -1992,6 +2133,74 @@ export class BattleScene extends Phaser.Scene {
     this._resetFighters({ nowMs })
   }
 
+  _advanceMatchReplayRound({ nowMs }) {
+    const data = this._matchReplay?.data
+    const nextRound = findReplayRound(data, this._round)
+
+    // Out of recorded rounds: freeze on a FINISH banner (resetMatch re-watches from round 1).
+    if (!nextRound && data?.rounds?.length) {
+      this._round -= 1
+      this._roundPhase = ROUND_PHASE.DONE
+      if (this._koText) this._koText.setText('FINISH')
+      if (this._koSubText) this._koSubText.setText(`回放結束：共 ${data.rounds.length} 回合`)
+      this._setKoOverlayVisible(true)
+      this._koResumeAtMs = 0
+      return
+    }
+
+    // Recorded stage changed (stage rotation during recording): rebuild before the round starts.
+    // `_rebuildStage` resets fighters (and seeks replays) for the next round itself.
+    const stageConfig = nextRound?.stageConfig ?? null
+    if (stageConfig && makeStageConfigKey(stageConfig) !== makeStageConfigKey(this._stageConfig)) {
+      this._stageConfig = { ...this._stageConfig, ...stageConfig }
+      this._rebuildStage({ nowMs, resetMatch: false })
+      return
+    }
+
+    this._resetFighters({ nowMs })
+  }
+
+  _captureSimState() {
+    // Everything a replay seek needs to resume exactly from this tick boundary.
+    // (AI agents are not included: during full-match playback both sides are driven by recorded intents.)
+    return {
+      simNowMs: this._simNowMs,
+      left: this._leftFighter.captureSimState(),
+      right: this._rightFighter.captureSimState(),
+    }
+  }
+
+  _restoreSimState(state) {
+    if (!state) return
+    if (Number.isFinite(state.simNowMs)) this._simNowMs = state.simNowMs
+    this._leftFighter.restoreSimState(state.left)
+    this._rightFighter.restoreSimState(state.right)
+  }
+
+  _getReplayStageConfig() {
+    // Stage config with the *resolved* seed, so random-seed stages reproduce in playback.
+    return {
+      ...this._stageConfig,
+      seed: this._stageMeta?.seed ?? this._stageConfig?.seed ?? null,
+    }
+  }
+
+  _createReplayMatchInfo() {
+    // Match setup stored with a full-match replay (see replayFormat.js).
+    return {
+      stepMs: this._fixedStepper.stepMs,
+      stageConfig: this._getReplayStageConfig(),
+      stageRotation: { ...this._stageRotation },
+      bt: { ...this._btHashMeta },
+      aiProfiles: { ...this._aiProfiles },
+      aiProfileDefs: { left: { ...this._aiProfileDefs.left }, right: { ...this._aiProfileDefs.right } },
+      aiDifficulties: { ...this._aiDifficulties },
+      // startRecording resets the match right after this, which reseeds the AI from the same seed.
+      aiRngSeeds: deriveAiRngSeeds(this._stageMeta?.seed ?? null),
+      controlModes: { ...this._controlMode },
+    }
+  }
+
   _setKoOverlayVisible(visible) {
     if (this._koText) this._koText.setVisible(visible)
     if (this._koSubText) this._koSubText.setVisible(visible)
@@ -2005,7 +2214,7 @@ export class BattleScene extends Phaser.Scene {
 
     if (!this._onDebugSnapshot) return
 
-    const nowMs = this.time?.now ?? 0
+    const nowMs = this._simNowMs
 
     // Camera + scale diagnostics are useful when debugging "I can't see the fighters"
     // or "the canvas keeps resizing" issues in the browser.
@@ -2129,6 +2338,7 @@ export class BattleScene extends Phaser.Scene {
         right: this._serializeAi(this._rightAi),
       },
       aiProfiles: this._aiProfiles,
+      aiDifficulties: this._aiDifficulties,
       assets: {
         player: this._playerAssetStatus,
       },
@@ -2137,11 +2347,20 @@ export class BattleScene extends Phaser.Scene {
         recording: this._replayRecorder
           ? {
               active: this._replayRecorder.isRecording,
-              side: this._recordingSide,
               frameCount: this._replayRecorder.frameCount,
               durationMs: this._replayRecorder.durationMs,
+              roundCount: this._replayRecorder.roundCount,
             }
-          : { active: false, side: null, frameCount: 0, durationMs: 0 },
+          : { active: false, frameCount: 0, durationMs: 0, roundCount: 0 },
+        match: this._matchReplay
+          ? {
+              active: true,
+              rounds: this._matchReplay.data.rounds.length,
+              bt: this._matchReplay.data.match?.bt ?? null,
+              frame: (this._leftReplay ?? this._rightReplay)?.currentFrame ?? 0,
+              frameCount: this._matchReplay.data.frameCount,
+            }
+          : { active: false, rounds: 0, bt: null, frame: 0, frameCount: 0 },
         left: this._leftReplay
           ? { loaded: true, frameCount: this._leftReplay.frameCount, loop: this._leftReplay.loop }
           : { loaded: false, frameCount: 0, loop: false },
@@ -2149,6 +2368,10 @@ export class BattleScene extends Phaser.Scene {
           ? { loaded: true, frameCount: this._rightReplay.frameCount, loop: this._rightReplay.loop }
           : { loaded: false, frameCount: 0, loop: false },
       },
+      playback: {
+        paused: this._playback.paused,
+        speed: this._playback.speed,
+      },
       score: this._score,
       round: this._round,
       roundPhase: this._roundPhase,
@@ -2213,7 +2436,7 @@ export class BattleScene extends Phaser.Scene {
             waitingForNextSeed: Boolean(this._benchmarkBatch.waitingForNextSeed),
           }
         : null,
-      btLoaded: Boolean(this._initialBtJsonText),
+      btLoaded: Boolean(this._btJsonTextBySide.left || this._btJsonTextBySide.right),
       stage: this._stageMeta,
     })
   }
@@ -2568,7 +2791,7 @@ export class BattleScene extends Phaser.Scene {
 
     // If the sprite is currently dropping through, ignore one-way collisions entirely.
     // This is what makes "Down + Jump" actually fall through instead of landing again.
-    const nowMs = this.time?.now ?? 0
+    const nowMs = this._simNowMs
     if (typeof sprite?.isIgnoringOneWay === 'function' && sprite.isIgnoringOneWay(nowMs)) {
       return false
     }
@@ -2924,165 +3147,16 @@ export class BattleScene extends Phaser.Scene {
   }
 }
 
-function createEmptySideRoundStats() {
-  // Per-side counters for a single round.
-  // Keep these as simple integers so the report can be JSON-exported easily.
-  return {
-    // Offense
-    attacksStarted: 0,
-    hitsLanded: 0,
-    hitsBlocked: 0,
-    hitsDodged: 0,
-    damageDealt: 0,
-    chipDamageDealt: 0,
-
-    // Defense / mobility
-    blocks: 0,
-    dodges: 0,
-    dashes: 0,
-    dodgesStarted: 0,
-  }
-}
-
-function createEmptyRoundStats() {
-  // A round row that we can finalize and export.
-  // This is kept small so storing hundreds of rounds is still cheap.
-  return {
-    roundNumber: 0,
-    startedAtMs: 0,
-    endedAtMs: 0,
-    durationMs: 0,
-    winner: null,
-    leftHpEnd: null,
-    rightHpEnd: null,
-    stage: { style: null, seed: null },
-    left: createEmptySideRoundStats(),
-    right: createEmptySideRoundStats(),
-  }
-}
-
-function exportRoundStats(round) {
-  // Return a deep-ish copy with only plain JSON values.
-  // This prevents later mutation when the scene resets internal objects.
-  return {
-    roundNumber: Number(round?.roundNumber ?? 0),
-    startedAtMs: Number(round?.startedAtMs ?? 0),
-    endedAtMs: Number(round?.endedAtMs ?? 0),
-    durationMs: Number(round?.durationMs ?? 0),
-    winner: round?.winner ?? null,
-    leftHpEnd: round?.leftHpEnd ?? null,
-    rightHpEnd: round?.rightHpEnd ?? null,
-    stage: {
-      style: round?.stage?.style ?? null,
-      seed: round?.stage?.seed ?? null,
-    },
-    left: { ...(round?.left ?? createEmptySideRoundStats()) },
-    right: { ...(round?.right ?? createEmptySideRoundStats()) },
-  }
-}
-
-function computeBenchmarkReport(rounds) {
-  // Compute a compact aggregate report for the UI.
-  //
-  // We keep the report stable and deterministic:
-  // - No random sampling
-  // - All numeric values are finite or null
-  const list = Array.isArray(rounds) ? rounds : []
-  const total = list.length
-  if (!total) {
-    return {
-      totalRounds: 0,
-      wins: { left: 0, right: 0, draw: 0 },
-      avgKoTimeMs: null,
-      avgDamageDealt: { left: null, right: null },
-      avgAttacksStarted: { left: null, right: null },
-      avgHitsLanded: { left: null, right: null },
-      avgBlocks: { left: null, right: null },
-      avgDodges: { left: null, right: null },
-    }
-  }
-
-  let leftWins = 0
-  let rightWins = 0
-  let draws = 0
-
-  let sumDuration = 0
-  let sumLeftDamage = 0
-  let sumRightDamage = 0
-  let sumLeftAttacks = 0
-  let sumRightAttacks = 0
-  let sumLeftHits = 0
-  let sumRightHits = 0
-  let sumLeftBlocks = 0
-  let sumRightBlocks = 0
-  let sumLeftDodges = 0
-  let sumRightDodges = 0
-
-  for (const r of list) {
-    const winner = r?.winner
-    if (winner === 'left') leftWins += 1
-    else if (winner === 'right') rightWins += 1
-    else draws += 1
-
-    sumDuration += Number(r?.durationMs ?? 0)
-    sumLeftDamage += Number(r?.left?.damageDealt ?? 0)
-    sumRightDamage += Number(r?.right?.damageDealt ?? 0)
-    sumLeftAttacks += Number(r?.left?.attacksStarted ?? 0)
-    sumRightAttacks += Number(r?.right?.attacksStarted ?? 0)
-    sumLeftHits += Number(r?.left?.hitsLanded ?? 0)
-    sumRightHits += Number(r?.right?.hitsLanded ?? 0)
-    sumLeftBlocks += Number(r?.left?.blocks ?? 0)
-    sumRightBlocks += Number(r?.right?.blocks ?? 0)
-    sumLeftDodges += Number(r?.left?.dodges ?? 0)
-    sumRightDodges += Number(r?.right?.dodges ?? 0)
-  }
-
-  return {
-    totalRounds: total,
-    wins: { left: leftWins, right: rightWins, draw: draws },
-    avgKoTimeMs: sumDuration / total,
-    avgDamageDealt: { left: sumLeftDamage / total, right: sumRightDamage / total },
-    avgAttacksStarted: { left: sumLeftAttacks / total, right: sumRightAttacks / total },
-    avgHitsLanded: { left: sumLeftHits / total, right: sumRightHits / total },
-    avgBlocks: { left: sumLeftBlocks / total, right: sumRightBlocks / total },
-    avgDodges: { left: sumLeftDodges / total, right: sumRightDodges / total },
-  }
-}
-
-function hashStringFNV1a32(text) {
-  // Tiny deterministic hash for debugging/regression testing.
-  //
-  // Why not crypto?
-  // - We want a zero-dependency helper that works in the browser sandbox.
-  // - 32-bit FNV-1a is good enough to "fingerprint" a BT JSON blob for comparisons.
-  const str = String(text ?? '')
-  let hash = 2166136261
-
-  for (let i = 0; i < str.length; i += 1) {
-    hash ^= str.charCodeAt(i)
-    // `Math.imul` keeps multiplication in 32-bit integer space.
-    hash = Math.imul(hash, 16777619)
-  }
-
-  // Convert to unsigned and format as fixed 8-char hex.
-  return (hash >>> 0).toString(16).padStart(8, '0')
-}
-
-function computeBtHashMeta(btJsonText) {
-  // Compute a stable BT identifier for regression testing.
-  //
-  // We parse JSON and stringify it back to remove whitespace differences.
-  // (Key order differences can still affect the output; that's acceptable for MVP.)
-  try {
-    const btObject = parseBtJsonText(btJsonText)
-    const canonicalText = JSON.stringify(btObject)
-    return {
-      hash: canonicalText ? hashStringFNV1a32(canonicalText) : null,
-      canonicalLength: canonicalText ? canonicalText.length : 0,
-    }
-  } catch {
-    return { hash: null, canonicalLength: 0 }
+function computeScoreBeforeRound(rounds, roundNumber) {
+  // Rebuild the HUD score from recorded winners (used when seeking inside a replay).
+  const score = { leftWins: 0, rightWins: 0, draws: 0 }
+  for (const r of rounds ?? []) {
+    if (Number(r.round) >= Number(roundNumber)) continue
+    if (r.winner === 'left') score.leftWins += 1
+    else if (r.winner === 'right') score.rightWins += 1
+    else if (r.winner === 'draw') score.draws += 1
   }
+  return score
 }
 
 function makeStageConfigKey(stageConfig) {
@@ -0,0 +1,609 @@
+// Headless AI-vs-AI match runner (no Phaser, no canvas).
+//
+// Why:
+// - Browser benchmarks run at real-time speed (20 rounds can take minutes).
+// - For AI tuning we want thousands of rounds from a Node script, with the *same* rules
+//   and the *same* export shape as `BattleScene.exportBenchmark` / `exportBenchmarkBatch`.
+//
+// How it stays faithful to the browser:
+// - Fighters share gameplay code with the browser Fighter (`withFighterCore`)
+// - Hits, push collision and telemetry use the same shared helpers as BattleScene
+// - The per-frame update order matches `BattleScene.update` (FIGHT phase)
+// - Physics runs at Phaser's fixed 60 fps step before the scene logic, like Arcade does
+//
+// Differences (on purpose):
+// - Time is simulated, so runs finish as fast as the CPU allows
+// - KO pauses / seed transitions advance the clock instead of rendering frames
+// - Rounds have a time limit (`maxRoundMs`) so a passive BT can never hang a run;
+//   a timed-out round is recorded as a draw
+
+import { BotAgent } from '../ai/BotAgent.js'
+import { createPlatformBrawlBtTree, parseBtJsonText } from '../ai/platformBrawlBt.js'
+import { computeBtProfileReport, createBtTiming, mergeBtTiming } from '../ai/bt/btProfiler.js'
+import { normalizeAiDifficultyId } from '../ai/aiDifficulty.js'
+import { resolveAiProfile } from '../ai/aiProfiles.js'
+import { deriveAiRngSeeds } from './seededRandom.js'
+import {
+  computeBenchmarkReport,
+  computeBtHashMetaBySide,
+  exportRoundStats,
+} from '../benchmark/benchmarkReport.js'
+import {
+  createRoundTelemetry,
+  resetRoundTelemetry,
+  sampleRoundTelemetry,
+} from '../benchmark/roundTelemetry.js'
+import { resolveMeleeHit } from '../combat/hitResolution.js'
+import { separateFighters } from '../combat/pushCollision.js'
+import { FIXED_STEP_MS } from './fixedTimestep.js'
+import { SimFighter } from './SimFighter.js'
+import { createSimStage } from './simStage.js'
+
+const DEFAULT_SPAWNS = {
+  left: { x: 260, y: 100, facing: 1 },
+  right: { x: 700, y: 100, facing: -1 },
+}
+
+export class HeadlessMatch {
+  constructor({
+    btJsonText = null,
+    btJsonTexts = null,
+    aiProfiles,
+    aiDifficulties,
+    stageConfig,
+    stageRotation,
+    koPauseMs = 1500,
+    maxRoundMs = 120000,
+  } = {}) {
+    // Per-side BT JSON (`btJsonText` = same tree for both sides), like BattleScene.
+    this._btJsonTextBySide = {
+      left: btJsonTexts?.left ?? btJsonText ?? null,
+      right: btJsonTexts?.right ?? btJsonText ?? null,
+    }
+    this._btHashMeta = computeBtHashMetaBySide(this._btJsonTextBySide)
+
+    // Each side is a built-in profile id or a custom profile object (recorded by value in exports).
+    this._aiProfileDefs = {
+      left: resolveAiProfile(aiProfiles?.left ?? 'balanced'),
+      right: resolveAiProfile(aiProfiles?.right ?? 'balanced'),
+    }
+    this._aiProfiles = { left: this._aiProfileDefs.left.id, right: this._aiProfileDefs.right.id }
+
+    // Default 'expert' (exact perception, no input errors) so benchmarks measure the BT itself.
+    this._aiDifficulties = {
+      left: normalizeAiDifficultyId(aiDifficulties?.left),
+      right: normalizeAiDifficultyId(aiDifficulties?.right),
+    }
+
+    this._stageConfig = normalizeStageConfig({
+      style: 'procedural:random',
+      seed: null,
+      ...(stageConfig ?? null),
+    })
+
+    const rawEvery = Number(stageRotation?.everyNRounds ?? 1)
+    this._stageRotation = {
+      enabled: Boolean(stageRotation?.enabled),
+      everyNRounds: Number.isFinite(rawEvery) ? Math.max(1, Math.min(20, Math.round(rawEvery))) : 1,
+    }
+
+    // Simulation clock (ms). Starts at 0 like a fresh Phaser clock, and again on every resetMatch().
+    this._nowMs = 0
+
+    this._koPauseMs = Math.max(0, Number(koPauseMs ?? 0))
+    this._maxRoundMs = Math.max(1000, Number(maxRoundMs ?? 0))
+
+    // Same AI tick rate as BattleScene.
+    this._aiTickIntervalMs = 1000 / 15
+    this._aiAccumulatorMs = 0
+
+    this._round = 1
+    this._score = { leftWins: 0, rightWins: 0, draws: 0 }
+
+    this._telemetry = createRoundTelemetry()
+    this._benchmark = createIdleBenchmark()
+    this._benchmarkBatch = null
+
+    // `_stage` is shared by reference with both BotAgents (like BattleScene), so we mutate it in place.
+    this._stage = { width: 1280, height: 720, centerX: 640, offstageMargin: 40 }
+    this._stageMeta = null
+    this._spawns = null
+    this._world = null
+    this._rebuildStage()
+
+    const leftSpawn = this._spawns?.left ?? DEFAULT_SPAWNS.left
+    const rightSpawn = this._spawns?.right ?? DEFAULT_SPAWNS.right
+    this._leftFighter = new SimFighter({ id: 'left', x: leftSpawn.x, y: leftSpawn.y, facing: leftSpawn.facing })
+    this._rightFighter = new SimFighter({
+      id: 'right',
+      x: rightSpawn.x,
+      y: rightSpawn.y,
+      facing: rightSpawn.facing,
+    })
+
+    // Each agent gets its own tree instance (decorators keep per-tree state).
+    const aiRngSeeds = deriveAiRngSeeds(this._stageMeta?.seed ?? null)
+    this._leftAi = new BotAgent({
+      id: 'left-ai',
+      self: this._leftFighter,
+      target: this._rightFighter,
+      stage: this._stage,
+      btRoot: createPlatformBrawlBtTree(parseBtJsonText(this._btJsonTextBySide.left)),
+      profile: this._aiProfileDefs.left,
+      difficultyId: this._aiDifficulties.left,
+      rngSeed: aiRngSeeds.left,
+    })
+    this._rightAi = new BotAgent({
+      id: 'right-ai',
+      self: this._rightFighter,
+      target: this._leftFighter,
+      stage: this._stage,
+      btRoot: createPlatformBrawlBtTree(parseBtJsonText(this._btJsonTextBySide.right)),
+      profile: this._aiProfileDefs.right,
+      difficultyId: this._aiDifficulties.right,
+      rngSeed: aiRngSeeds.right,
+    })
+
+    resetRoundTelemetry(this._telemetry, { nowMs: this._nowMs, roundNumber: this._round })
+  }
+
+  get nowMs() {
+    return this._nowMs
+  }
+
+  setStageConfig(nextConfig = {}) {
+    // Same merge rules as `BattleScene.setStageConfig` (minus the UI spam guard).
+    const { resetMatch = true, ...config } = nextConfig ?? {}
+    this._stageConfig = normalizeStageConfig({ ...this._stageConfig, ...config })
+    this._rebuildStage()
+    if (resetMatch) this.resetMatch()
+    else this._resetFighters()
+  }
+
+  setBtForSide({ side, btJsonText } = {}) {
+    // Same contract as `BattleScene.setBtForSide()`: swap one agent's tree between frames.
+    if (side !== 'left' && side !== 'right') return false
+    const btRoot = createPlatformBrawlBtTree(parseBtJsonText(btJsonText ?? null))
+
+    this._btJsonTextBySide = { ...this._btJsonTextBySide, [side]: btJsonText ?? null }
+    this._btHashMeta = computeBtHashMetaBySide(this._btJsonTextBySide)
+
+    const agent = side === 'left' ? this._leftAi : this._rightAi
+    agent.setBtRoot(btRoot, { nowMs: this._nowMs })
+    return true
+  }
+
+  resetMatch() {
+    // A match starts from the same state whatever ran before it (same seed => same rounds):
+    // the clock restarts at 0 like a fresh Phaser clock, and so do the AI tick phase and agents.
+    this._benchmark.enabled = false
+    this._round = 1
+    this._score = { leftWins: 0, rightWins: 0, draws: 0 }
+    this._nowMs = 0
+    this._aiAccumulatorMs = 0
+    this._resetAiForMatch()
+    this._resetFighters()
+    // Round resets keep the last intent and contact flags (like the browser Fighter); a new
+    // match must not start with the previous match's last inputs.
+    for (const fighter of [this._leftFighter, this._rightFighter]) {
+      fighter.setIntent(null)
+      fighter.body.resetFlags()
+    }
+  }
+
+  runBenchmark({ rounds = 20, resetMatch = true } = {}) {
+    // Run N rounds to completion and return the same payload as `BattleScene.exportBenchmark()`.
+    // Unlike the browser UI there is no 500-round cap: headless runs are meant to be long.
+    const desiredRounds = Number(rounds ?? 0)
+    const targetRounds = Number.isFinite(desiredRounds) ? Math.max(1, Math.round(desiredRounds)) : 20
+
+    if (resetMatch) this.resetMatch()
+
+    this._benchmark = {
+      ...createIdleBenchmark(),
+      enabled: true,
+      targetRounds,
+      startedAtRound: this._round,
+      startedAtMs: this._nowMs,
+    }
+    resetRoundTelemetry(this._telemetry, { nowMs: this._nowMs, roundNumber: this._round })
+    this._resetBtProfilers()
+    this._resetBtTiming()
+
+    while (this._benchmark.completedRounds < targetRounds) this._runRound()
+
+    this._benchmark.enabled = false
+    return this.exportBenchmark()
+  }
+
+  exportBenchmark() {
+    // Same shape as `BattleScene.exportBenchmark()`.
+    const b = this._benchmark
+
+    return {
+      exportedAtMs: this._nowMs,
+      config: {
+        stopOnComplete: Boolean(b.stopOnComplete),
+        targetRounds: Number(b.targetRounds ?? 0),
+        startedAtRound: Number(b.startedAtRound ?? 0),
+        startedAtMs: Number(b.startedAtMs ?? 0),
+      },
+      bt: { ...this._btHashMeta },
+      aiProfiles: { ...this._aiProfiles },
+      aiProfileDefs: { left: { ...this._aiProfileDefs.left }, right: { ...this._aiProfileDefs.right } },
+      aiDifficulties: { ...this._aiDifficulties },
+      aiRngSeeds: { left: this._leftAi.rngSeed, right: this._rightAi.rngSeed },
+      stage: this._stageMeta ? { ...this._stageMeta } : null,
+      stageConfig: this._stageConfig ? { ...this._stageConfig } : null,
+      stageRotation: this._stageRotation ? { ...this._stageRotation } : null,
+      rounds: Array.isArray(b.rounds) ? b.rounds.slice() : [],
+      report: b.report ?? null,
+      btProfile: computeBtProfileReport(b.rounds, this._getBtProfileTrees()),
+      btTiming: this._getBtTiming(),
+    }
+  }
+
+  runBenchmarkBatch({
+    seeds,
+    seedStart,
+    seedCount = 10,
+    roundsPerSeed = 20,
+    pauseBetweenSeedsMs = 0,
+    stageConfigTemplate,
+  } = {}) {
+    // Run one benchmark per stage seed and return the same payload as
+    // `BattleScene.exportBenchmarkBatch()`. Seed list rules match the browser.
+    const desiredSeedCount = Number(seedCount ?? 0)
+    const clampedSeedCount = Number.isFinite(desiredSeedCount) ? Math.max(1, Math.round(desiredSeedCount)) : 10
+
+    const desiredPause = Number(pauseBetweenSeedsMs ?? 0)
+    const clampedPauseMs = Number.isFinite(desiredPause) ? Math.max(0, Math.round(desiredPause)) : 0
+
+    let seedList = []
+    if (Array.isArray(seeds) && seeds.length) {
+      seedList = seeds
+        .map((value) => {
+          const n = Number(value)
+          return Number.isFinite(n) ? n >>> 0 : null
+        })
+        .filter((n) => n != null)
+    }
+
+    if (!seedList.length) {
+      const baseSeedCandidate =
+        seedStart != null && seedStart !== '' ? seedStart : this._stageMeta?.seed ?? (Date.now() >>> 0)
+      const baseSeedNumber = Number(baseSeedCandidate)
+      const baseSeed = Number.isFinite(baseSeedNumber) ? baseSeedNumber >>> 0 : Date.now() >>> 0
+      for (let i = 0; i < clampedSeedCount; i += 1) seedList.push((baseSeed + i) >>> 0)
+    }
+
+    // Batch runs never rotate stages (seed changes already provide variety).
+    const restoreStageRotation = { ...this._stageRotation }
+    this._stageRotation = { enabled: false, everyNRounds: 1 }
+
+    const batch = {
+      enabled: true,
+      done: false,
+      seeds: seedList,
+      seedIndex: 0,
+      roundsPerSeed: Number(roundsPerSeed ?? 20),
+      pauseBetweenSeedsMs: clampedPauseMs,
+      stageConfigTemplate: stageConfigTemplate ? { ...stageConfigTemplate } : null,
+      runs: [],
+      // Every seed's match restarts the sim clock, so batch times are on their own clock:
+      // the sum of the seed matches plus the pauses between them.
+      startedAtMs: 0,
+      finishedAtMs: 0,
+    }
+    this._benchmarkBatch = batch
+
+    let batchClockMs = 0
+    for (let seedIndex = 0; seedIndex < seedList.length; seedIndex += 1) {
+      batch.seedIndex = seedIndex
+      const seed = seedList[seedIndex]
+
+      this.setStageConfig({ ...(batch.stageConfigTemplate ?? null), seed, resetMatch: false })
+      const runPayload = this.runBenchmark({ rounds: batch.roundsPerSeed, resetMatch: true })
+      batch.runs.push({ ...runPayload, batch: { seedIndex, seed } })
+      batchClockMs += this._nowMs
+
+      // Transition delay between seeds (kept for parity with browser timing numbers).
+      if (seedIndex < seedList.length - 1) batchClockMs += batch.pauseBetweenSeedsMs
+    }
+
+    batch.enabled = false
+    batch.done = true
+    batch.finishedAtMs = batchClockMs
+    this._stageRotation = restoreStageRotation
+
+    return this.exportBenchmarkBatch()
+  }
+
+  exportBenchmarkBatch() {
+    // Same shape as `BattleScene.exportBenchmarkBatch()`.
+    const batch = this._benchmarkBatch
+    if (!batch) return null
+
+    const runs = batch.runs.slice()
+    const allRounds = runs.flatMap((run) => (Array.isArray(run?.rounds) ? run.rounds : []))
+
+    return {
+      kind: 'benchmarkBatch',
+      // On the batch clock (see runBenchmarkBatch).
+      exportedAtMs: batch.done ? batch.finishedAtMs : this._nowMs,
+      bt: { ...this._btHashMeta },
+      aiProfiles: { ...this._aiProfiles },
+      aiProfileDefs: { left: { ...this._aiProfileDefs.left }, right: { ...this._aiProfileDefs.right } },
+      aiDifficulties: { ...this._aiDifficulties },
+      stageConfigTemplate: batch.stageConfigTemplate ? { ...batch.stageConfigTemplate } : null,
+      batch: {
+        seeds: batch.seeds.slice(),
+        roundsPerSeed: Number(batch.roundsPerSeed ?? 0),
+        pauseBetweenSeedsMs: Number(batch.pauseBetweenSeedsMs ?? 0),
+        startedAtMs: Number(batch.startedAtMs ?? 0),
+        finishedAtMs: Number(batch.finishedAtMs ?? 0) || null,
+        seedIndex: Number(batch.seedIndex ?? 0),
+        totalSeeds: batch.seeds.length,
+        completedSeeds: runs.length,
+        done: Boolean(batch.done),
+        active: Boolean(batch.enabled),
+      },
+      runs,
+      report: computeBenchmarkReport(allRounds),
+      btProfile: computeBtProfileReport(allRounds, this._getBtProfileTrees()),
+      btTiming: mergeBtTiming(runs.map((run) => run.btTiming), this._getBtProfileTrees()),
+    }
+  }
+
+  // ---- Simulation loop ----
+
+  _runRound() {
+    // Step frames until KO (or timeout), then apply the KO pause + next-round reset.
+    const roundStartedAtMs = this._nowMs
+
+    for (;;) {
+      this._stepFrame()
+
+      const leftDead = this._leftFighter.hp <= 0
+      const rightDead = this._rightFighter.hp <= 0
+      if (leftDead || rightDead) {
+        this._endRound({ winner: leftDead && rightDead ? 'draw' : leftDead ? 'right' : 'left' })
+        return
+      }
+
+      if (this._nowMs - roundStartedAtMs >= this._maxRoundMs) {
+        this._endRound({ winner: 'draw' })
+        return
+      }
+    }
+  }
+
+  _stepFrame() {
+    // One fixed 60 fps frame. Order mirrors BattleScene.update (FIGHT phase).
+    const delta = FIXED_STEP_MS
+    this._nowMs += delta
+    const nowMs = this._nowMs
+
+    // Arcade integrates bodies before `scene.update` runs.
+    this._world.stepSprite(this._leftFighter, { dtMs: delta, nowMs })
+    this._world.stepSprite(this._rightFighter, { dtMs: delta, nowMs })
+
+    // AI tick (fixed rate, capped backlog).
+    this._aiAccumulatorMs += delta
+    if (this._aiAccumulatorMs >= this._aiTickIntervalMs) {
+      this._aiAccumulatorMs = Math.min(this._aiAccumulatorMs, this._aiTickIntervalMs * 3)
+
+      while (this._aiAccumulatorMs >= this._aiTickIntervalMs) {
+        this._aiAccumulatorMs -= this._aiTickIntervalMs
+        this._leftFighter.setIntent(this._leftAi.tick({ nowMs, profile: this._benchmark.enabled }))
+        this._rightFighter.setIntent(this._rightAi.tick({ nowMs, profile: this._benchmark.enabled }))
+      }
+    }
+
+    this._maybeDropThroughOneWay({ fighter: this._leftFighter, nowMs })
+    this._maybeDropThroughOneWay({ fighter: this._rightFighter, nowMs })
+
+    this._leftFighter.updateFighter({ nowMs, opponent: this._rightFighter })
+    this._rightFighter.updateFighter({ nowMs, opponent: this._leftFighter })
+
+    separateFighters({ left: this._leftFighter, right: this._rightFighter, bounds: this._world.bounds })
+
+    sampleRoundTelemetry(this._telemetry, { left: this._leftFighter, right: this._rightFighter, nowMs })
+
+    const round = this._telemetry.round
+    resolveMeleeHit({
+      attacker: this._leftFighter,
+      defender: this._rightFighter,
+      nowMs,
+      attackerStats: round.left,
+      defenderStats: round.right,
+    })
+    resolveMeleeHit({
+      attacker: this._rightFighter,
+      defender: this._leftFighter,
+      nowMs,
+      attackerStats: round.right,
+      defenderStats: round.left,
+    })
+
+    this._applyFailsafeBounds()
+  }
+
+  _maybeDropThroughOneWay({ fighter, nowMs }) {
+    // Same rule as `BattleScene._maybeDropThroughOneWay` ("down + jump" on a one-way tile).
+    const intent = fighter.getIntentRef()
+    if (!intent?.fastFall || !intent.jumpPressed) return
+
+    const onGround = Boolean(fighter.body.blocked.down || fighter.body.touching.down)
+    if (!onGround) return
+
+    const tileBelow = this._world.getTileAtWorldXY(fighter.x, fighter.body.bottom + 2)
+    if (!tileBelow || !this._world.isOneWayTileIndex(tileBelow.index)) return
+
+    fighter.enableDropThrough({ nowMs, durationMs: 240 })
+    fighter.body.setVelocityY(Math.max(fighter.body.velocity.y, 220))
+    intent.jumpPressed = false
+  }
+
+  _applyFailsafeBounds() {
+    // Same guardrail as BattleScene: teleport runaway fighters back to spawn.
+    const bounds = this._world.bounds
+    const marginPx = 900
+
+    const isRunaway = (f) =>
+      !Number.isFinite(f.x) ||
+      !Number.isFinite(f.y) ||
+      f.x < bounds.x - marginPx ||
+      f.x > bounds.right + marginPx ||
+      f.y < bounds.y - marginPx ||
+      f.y > bounds.bottom + marginPx
+
+    if (isRunaway(this._leftFighter) && this._spawns?.left) {
+      this._leftFighter.setPosition(this._spawns.left.x, this._spawns.left.y)
+      this._leftFighter.body.setVelocity(0, 0)
+    }
+    if (isRunaway(this._rightFighter) && this._spawns?.right) {
+      this._rightFighter.setPosition(this._spawns.right.x, this._spawns.right.y)
+      this._rightFighter.body.setVelocity(0, 0)
+    }
+  }
+
+  _endRound({ winner }) {
+    // Mirrors `_beginKoPause` + `_updateKoPhase` without the rendering.
+    const nowMs = this._nowMs
+    const t = this._telemetry
+    const round = t.round
+
+    round.endedAtMs = nowMs
+    round.durationMs = Math.max(0, nowMs - Number(round.startedAtMs ?? t.roundStartedAtMs ?? 0))
+    round.winner = winner
+    round.leftHpEnd = this._leftFighter.hp
+    round.rightHpEnd = this._rightFighter.hp
+    round.stage = {
+      style: this._stageMeta?.style ?? null,
+      seed: this._stageMeta?.seed ?? null,
+    }
+    round.btHashes = { left: this._btHashMeta.left.hash, right: this._btHashMeta.right.hash }
+    round.btProfile = { left: this._leftAi.profiler.takeRound(), right: this._rightAi.profiler.takeRound() }
+
+    if (this._benchmark.enabled) {
+      this._benchmark.rounds.push(exportRoundStats(round))
+      this._benchmark.completedRounds = this._benchmark.rounds.length
+      this._benchmark.report = computeBenchmarkReport(this._benchmark.rounds)
+    }
+
+    if (winner === 'draw') this._score.draws += 1
+    else if (winner === 'left') this._score.leftWins += 1
+    else if (winner === 'right') this._score.rightWins += 1
+
+    // KO pause: nothing moves, so we simply advance the clock.
+    this._nowMs += this._koPauseMs
+
+    const completedRound = this._round
+    this._round += 1
+
+    const shouldRotateStage =
+      this._stageRotation.enabled && completedRound % (this._stageRotation.everyNRounds || 1) === 0
+
+    if (shouldRotateStage) {
+      const currentSeed = Number(this._stageMeta?.seed ?? 0)
+      const nextSeed = Number.isFinite(currentSeed) ? (currentSeed + 1) >>> 0 : Date.now() >>> 0
+      this._stageConfig = { ...this._stageConfig, seed: nextSeed }
+      this._rebuildStage()
+    }
+
+    this._resetFighters()
+  }
+
+  _rebuildStage() {
+    const built = createSimStage({ stageConfig: this._stageConfig })
+
+    this._world = built.world
+    this._spawns = built.spawns
+    this._stageMeta = built.stageMeta
+    Object.assign(this._stage, built.stage)
+  }
+
+  _resetFighters() {
+    const nowMs = this._nowMs
+    const leftSpawn = this._spawns?.left ?? DEFAULT_SPAWNS.left
+    const rightSpawn = this._spawns?.right ?? DEFAULT_SPAWNS.right
+
+    this._leftFighter?.resetForNewRound({ ...leftSpawn, nowMs })
+    this._rightFighter?.resetForNewRound({ ...rightSpawn, nowMs })
+    this._leftAi?.resetRound()
+    this._rightAi?.resetRound()
+
+    resetRoundTelemetry(this._telemetry, { nowMs, roundNumber: this._round })
+    this._resetBtProfilers()
+  }
+
+  _resetBtProfilers() {
+    // Per-node BT counters follow the round telemetry bucket (see btProfiler.js).
+    this._leftAi?.profiler.reset()
+    this._rightAi?.profiler.reset()
+  }
+
+  _resetBtTiming() {
+    // Node timing covers a whole benchmark run (see btProfiler.js).
+    this._leftAi?.profiler.resetTiming()
+    this._rightAi?.profiler.resetTiming()
+  }
+
+  _getBtTiming() {
+    return createBtTiming(this._getBtProfileTrees(), {
+      left: this._leftAi?.profiler.takeTiming(),
+      right: this._rightAi?.profiler.takeTiming(),
+    })
+  }
+
+  _getBtProfileTrees() {
+    // The tree each side runs now; computeBtProfileReport only sums rounds played with it.
+    return {
+      left: { hash: this._btHashMeta.left.hash, nodes: this._leftAi?.profiler.nodes ?? [] },
+      right: { hash: this._btHashMeta.right.hash, nodes: this._rightAi?.profiler.nodes ?? [] },
+    }
+  }
+
+  _resetAiForMatch() {
+    // Agents start the match fresh (node memory, opponent model, ... see BotAgent.resetMatch);
+    // AI randomness restarts seeded from the match (stage) seed + side.
+    const seeds = deriveAiRngSeeds(this._stageMeta?.seed ?? null)
+    this._leftAi?.resetMatch({ rngSeed: seeds.left })
+    this._rightAi?.resetMatch({ rngSeed: seeds.right })
+  }
+}
+
+function createIdleBenchmark() {
+  return {
+    enabled: false,
+    stopOnComplete: true,
+    targetRounds: 0,
+    completedRounds: 0,
+    startedAtRound: 0,
+    startedAtMs: 0,
+    rounds: [],
+    report: null,
+  }
+}
+
+function normalizeStageConfig(config) {
+  // Same numeric clamps as `BattleScene.setStageConfig`.
+  const normalized = { ...config }
+
+  const widthTiles = Number(normalized.widthTiles)
+  if (Number.isFinite(widthTiles) && widthTiles > 0) {
+    normalized.widthTiles = Math.max(20, Math.min(120, Math.round(widthTiles)))
+  } else {
+    delete normalized.widthTiles
+  }
+
+  const heightTiles = Number(normalized.heightTiles)
+  if (Number.isFinite(heightTiles) && heightTiles > 0) {
+    normalized.heightTiles = Math.max(12, Math.min(60, Math.round(heightTiles)))
+  } else {
+    delete normalized.heightTiles
+  }
+
+  return normalized
+}
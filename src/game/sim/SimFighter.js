@@ -0,0 +1,16 @@
+// Headless fighter used by the Node match simulator.
+//
+// It shares *all* gameplay logic with the browser Fighter via `withFighterCore`,
+// but sits on top of `SimSprite` instead of `Phaser.Physics.Arcade.Sprite`.
+// The visual hooks stay as the core's no-ops.
+
+import { withFighterCore } from '../entities/fighterCore.js'
+import { SimSprite } from './simPhysics.js'
+
+export class SimFighter extends withFighterCore(SimSprite) {
+  constructor({ id, x, y, width = 44, height = 66, facing = 1, maxHp = 100 } = {}) {
+    super({ x, y, width, height })
+
+    this._initFighterCore({ id, x, y, facing, maxHp })
+  }
+}
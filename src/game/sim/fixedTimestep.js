@@ -0,0 +1,50 @@
+// Fixed-timestep helpers shared by BattleScene (browser) and the headless simulator.
+//
+// Why:
+// - Variable frame deltas make physics and timers depend on the machine's frame rate,
+//   so the same seed + BT + inputs could produce different winners.
+// - With a fixed step, the simulation only ever advances in identical 1/60 s ticks.
+//   Rendering catches up by running 0..N ticks per frame and interpolating visuals.
+//
+// This module must NOT import Phaser.
+
+// One simulation tick (60 Hz, matches Arcade's default physics fps).
+export const FIXED_STEP_MS = 1000 / 60
+
+// Upper bound on catch-up ticks per rendered frame (avoids the "spiral of death"
+// after a tab switch or long GC pause). Extra backlog is dropped, not simulated.
+export const MAX_FIXED_STEPS_PER_FRAME = 5
+
+export class FixedStepAccumulator {
+  constructor({ stepMs = FIXED_STEP_MS, maxStepsPerFrame = MAX_FIXED_STEPS_PER_FRAME } = {}) {
+    this.stepMs = stepMs
+    this.maxStepsPerFrame = maxStepsPerFrame
+    this._accumulatorMs = 0
+  }
+
+  // Fraction of a tick left in the accumulator (0..1). Use it to interpolate visuals.
+  get alpha() {
+    return this.stepMs > 0 ? this._accumulatorMs / this.stepMs : 0
+  }
+
+  reset() {
+    this._accumulatorMs = 0
+  }
+
+  // Add a rendered frame's delta and return how many fixed ticks to run now.
+  advance(deltaMs) {
+    const safeDeltaMs = Number.isFinite(deltaMs) ? Math.max(0, deltaMs) : 0
+    this._accumulatorMs += safeDeltaMs
+
+    let steps = Math.floor(this._accumulatorMs / this.stepMs)
+    if (steps > this.maxStepsPerFrame) {
+      // Drop the backlog: the game slows down instead of freezing.
+      steps = this.maxStepsPerFrame
+      this._accumulatorMs = 0
+      return steps
+    }
+
+    this._accumulatorMs -= steps * this.stepMs
+    return steps
+  }
+}
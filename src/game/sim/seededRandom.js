@@ -0,0 +1,49 @@
+// Small deterministic PRNG helpers shared by stage generation and AI.
+//
+// Why not Math.random?
+// - Benchmarks and replays must reproduce the same run from the same seed.
+// - Math.random cannot be seeded, so anything stochastic in gameplay/AI uses these instead.
+//
+// This module must NOT import Phaser.
+
+export function createMulberry32(seed) {
+  // Mulberry32 is a small fast deterministic PRNG for gameplay/content generation.
+  let t = seed >>> 0
+  return function next() {
+    t += 0x6d2b79f5
+    let r = Math.imul(t ^ (t >>> 15), 1 | t)
+    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r)
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+export function fnv1a32(str) {
+  // FNV-1a 32-bit hash (deterministic, simple, good enough for seeds).
+  let h = 0x811c9dc5
+  for (let i = 0; i < str.length; i += 1) {
+    h ^= str.charCodeAt(i)
+    h = Math.imul(h, 0x01000193)
+  }
+  return h >>> 0
+}
+
+export function toRngSeed(seed) {
+  // Numbers are used as-is (uint32); anything else is hashed as a string seed.
+  const n = typeof seed === 'number' ? seed : NaN
+  return Number.isFinite(n) ? n >>> 0 : fnv1a32(String(seed ?? ''))
+}
+
+export function createSeededRng(seed) {
+  return createMulberry32(toRngSeed(seed))
+}
+
+export function deriveAiRngSeed(matchSeed, side) {
+  // Per-side AI seed for a match: the same match (stage) seed gives the same AI randomness,
+  // while the two sides still draw different sequences.
+  return fnv1a32(`ai:${side}:${matchSeed ?? ''}`)
+}
+
+export function deriveAiRngSeeds(matchSeed) {
+  // Both sides' AI seeds for a match (scenes reseed their agents with these on match reset).
+  return { left: deriveAiRngSeed(matchSeed, 'left'), right: deriveAiRngSeed(matchSeed, 'right') }
+}
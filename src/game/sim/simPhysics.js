@@ -0,0 +1,365 @@
+// Minimal Arcade-like physics for the headless simulator.
+//
+// Why not run Phaser in Node?
+// - Phaser expects a browser (window/navigator/canvas) and cannot even be imported headlessly.
+// - The fighter logic only needs a tiny subset of Arcade Physics (velocity, drag, gravity,
+//   tile collisions, world bounds), so we re-implement exactly that subset here.
+//
+// What we mirror from the browser build:
+// - Arcade `computeVelocity` order: gravity -> drag (no acceleration) -> clamp to max velocity
+// - Solid tiles block from every side
+// - One-way tiles use the same rule as `BattleScene._processTileCollision`
+// - Closed world bounds (bounce 0) on all four sides
+//
+// What we intentionally do NOT mirror:
+// - Slopes, internal-edge smoothing, body-vs-body collisions (fighters use push collision instead)
+//
+// This module must NOT import Phaser.
+
+import { FIXED_STEP_MS } from './fixedTimestep.js'
+
+// Arcade gravity configured in `createPhaserGame.js`.
+export const SIM_GRAVITY_Y = 1400
+
+// Same tolerance as `BattleScene._processTileCollision` (float jitter on one-way tops).
+const ONE_WAY_TOLERANCE_PX = 6
+
+// Small epsilon so a body resting exactly on a tile top does not count as overlapping that row.
+const EDGE_EPSILON_PX = 0.001
+
+function createDirectionFlags() {
+  return { none: true, up: false, down: false, left: false, right: false }
+}
+
+// Arcade-like body attached to a SimSprite.
+// The body is always the sprite's display rectangle (Fighter calls `setSize(w, h, true)`).
+export class SimBody {
+  constructor(sprite, { width, height }) {
+    this.gameObject = sprite
+    this.width = Number(width ?? 0)
+    this.height = Number(height ?? 0)
+
+    this.velocity = { x: 0, y: 0 }
+    this.maxVelocity = { x: 10000, y: 10000 }
+    this.dragX = 0
+
+    // Arcade resets these every physics step.
+    this.blocked = createDirectionFlags()
+    this.touching = createDirectionFlags()
+
+    this.collideWorldBounds = false
+  }
+
+  get left() {
+    return this.gameObject.x - this.width / 2
+  }
+
+  get right() {
+    return this.gameObject.x + this.width / 2
+  }
+
+  get top() {
+    return this.gameObject.y - this.height / 2
+  }
+
+  get bottom() {
+    return this.gameObject.y + this.height / 2
+  }
+
+  setVelocity(x, y = x) {
+    this.velocity.x = Number(x ?? 0)
+    this.velocity.y = Number(y ?? 0)
+    return this
+  }
+
+  setVelocityX(x) {
+    this.velocity.x = Number(x ?? 0)
+    return this
+  }
+
+  setVelocityY(y) {
+    this.velocity.y = Number(y ?? 0)
+    return this
+  }
+
+  setMaxVelocity(x, y = x) {
+    this.maxVelocity.x = Number(x ?? 0)
+    this.maxVelocity.y = Number(y ?? 0)
+    return this
+  }
+
+  setDragX(value) {
+    this.dragX = Number(value ?? 0)
+    return this
+  }
+
+  setSize(width, height) {
+    this.width = Number(width ?? this.width)
+    this.height = Number(height ?? this.height)
+    return this
+  }
+
+  setCollideWorldBounds(value = true) {
+    this.collideWorldBounds = Boolean(value)
+    return this
+  }
+
+  resetFlags() {
+    this.blocked = createDirectionFlags()
+    this.touching = createDirectionFlags()
+  }
+}
+
+// Tiny stand-in for `Phaser.Physics.Arcade.Sprite`.
+// Only the fields used by fighterCore / combat helpers / AI are provided.
+export class SimSprite {
+  constructor({ x = 0, y = 0, width = 44, height = 66 } = {}) {
+    this.x = Number(x)
+    this.y = Number(y)
+    this.displayWidth = Number(width)
+    this.displayHeight = Number(height)
+    this.body = new SimBody(this, { width, height })
+  }
+
+  setPosition(x, y = x) {
+    this.x = Number(x ?? 0)
+    this.y = Number(y ?? 0)
+    return this
+  }
+}
+
+// Tile grid world: integrates bodies and resolves tile + world-bound collisions.
+export class SimTileWorld {
+  constructor({
+    grid,
+    tileSizePx,
+    offsetX = 0,
+    offsetY = 0,
+    solidTileIndices = [],
+    oneWayTileIndices = [],
+    gravityY = SIM_GRAVITY_Y,
+  } = {}) {
+    this.grid = Array.isArray(grid) ? grid : []
+    this.tileSizePx = Number(tileSizePx ?? 32)
+    this.offsetX = Number(offsetX ?? 0)
+    this.offsetY = Number(offsetY ?? 0)
+    this.gravityY = Number(gravityY ?? 0)
+
+    this.heightTiles = this.grid.length
+    this.widthTiles = this.grid[0]?.length ?? 0
+
+    // One-way wins over solid if a tile is (incorrectly) flagged as both,
+    // matching the browser where the one-way processCallback runs for those tiles.
+    this._oneWaySet = new Set(oneWayTileIndices)
+    this._solidSet = new Set(solidTileIndices)
+
+    // Same shape as `physics.world.bounds` (x/y/width/height + right/bottom).
+    const width = this.widthTiles * this.tileSizePx
+    const height = this.heightTiles * this.tileSizePx
+    this.bounds = {
+      x: this.offsetX,
+      y: this.offsetY,
+      width,
+      height,
+      right: this.offsetX + width,
+      bottom: this.offsetY + height,
+    }
+  }
+
+  isOneWayTileIndex(index) {
+    return this._oneWaySet.has(index)
+  }
+
+  getTileAtWorldXY(worldX, worldY) {
+    // Mirrors `TilemapLayer.getTileAtWorldXY(x, y, false)`: empty or out-of-bounds => null.
+    const tx = Math.floor((worldX - this.offsetX) / this.tileSizePx)
+    const ty = Math.floor((worldY - this.offsetY) / this.tileSizePx)
+    const index = this._getTileIndex(tx, ty)
+    if (index === -1) return null
+    return { index, x: tx, y: ty }
+  }
+
+  stepSprite(sprite, { dtMs, nowMs }) {
+    const body = sprite?.body
+    if (!body) return
+
+    const dt = Number(dtMs ?? FIXED_STEP_MS) / 1000
+    body.resetFlags()
+
+    // ---- computeVelocity (Arcade order) ----
+    let vx = body.velocity.x
+    let vy = body.velocity.y + this.gravityY * dt
+
+    if (body.dragX > 0) {
+      const drag = body.dragX * dt
+      if (vx - drag > 0) vx -= drag
+      else if (vx + drag < 0) vx += drag
+      else vx = 0
+    }
+
+    vx = clamp(vx, -body.maxVelocity.x, body.maxVelocity.x)
+    vy = clamp(vy, -body.maxVelocity.y, body.maxVelocity.y)
+    body.velocity.x = vx
+    body.velocity.y = vy
+
+    // ---- Move + collide per axis ----
+    // Separating axes keeps corner cases simple and stable (no diagonal tunneling into walls).
+    sprite.x += vx * dt
+    this._collideX(sprite)
+
+    const prevTop = body.top
+    const prevBottom = body.bottom
+    sprite.y += body.velocity.y * dt
+
+    const ignoreOneWay =
+      typeof sprite.isIgnoringOneWay === 'function' ? sprite.isIgnoringOneWay(nowMs) : false
+    this._collideY(sprite, { prevTop, prevBottom, ignoreOneWay })
+
+    if (body.collideWorldBounds) this._collideWorldBounds(sprite)
+
+    body.blocked.none = !(body.blocked.up || body.blocked.down || body.blocked.left || body.blocked.right)
+  }
+
+  _getTileIndex(tx, ty) {
+    if (ty < 0 || ty >= this.heightTiles) return -1
+    if (tx < 0 || tx >= this.widthTiles) return -1
+    const index = this.grid[ty]?.[tx]
+    return Number.isFinite(index) ? index : -1
+  }
+
+  _isSolid(tx, ty) {
+    const index = this._getTileIndex(tx, ty)
+    return index !== -1 && this._solidSet.has(index) && !this._oneWaySet.has(index)
+  }
+
+  _isOneWay(tx, ty) {
+    const index = this._getTileIndex(tx, ty)
+    return index !== -1 && this._oneWaySet.has(index)
+  }
+
+  _rowRange(top, bottom) {
+    const ts = this.tileSizePx
+    return {
+      from: Math.floor((top - this.offsetY) / ts),
+      to: Math.floor((bottom - EDGE_EPSILON_PX - this.offsetY) / ts),
+    }
+  }
+
+  _colRange(left, right) {
+    const ts = this.tileSizePx
+    return {
+      from: Math.floor((left - this.offsetX) / ts),
+      to: Math.floor((right - EDGE_EPSILON_PX - this.offsetX) / ts),
+    }
+  }
+
+  _collideX(sprite) {
+    // Only solid tiles block horizontally (one-way tiles are "floors" only).
+    const body = sprite.body
+    const vx = body.velocity.x
+    if (vx === 0) return
+
+    const ts = this.tileSizePx
+    const rows = this._rowRange(body.top, body.bottom)
+
+    if (vx > 0) {
+      const col = Math.floor((body.right - EDGE_EPSILON_PX - this.offsetX) / ts)
+      for (let ty = rows.from; ty <= rows.to; ty += 1) {
+        if (!this._isSolid(col, ty)) continue
+        const tileLeft = this.offsetX + col * ts
+        sprite.x = tileLeft - body.width / 2
+        body.velocity.x = 0
+        body.blocked.right = true
+        return
+      }
+    } else {
+      const col = Math.floor((body.left - this.offsetX) / ts)
+      for (let ty = rows.from; ty <= rows.to; ty += 1) {
+        if (!this._isSolid(col, ty)) continue
+        const tileRight = this.offsetX + (col + 1) * ts
+        sprite.x = tileRight + body.width / 2
+        body.velocity.x = 0
+        body.blocked.left = true
+        return
+      }
+    }
+  }
+
+  _collideY(sprite, { prevTop, prevBottom, ignoreOneWay }) {
+    const body = sprite.body
+    const vy = body.velocity.y
+    const ts = this.tileSizePx
+    const cols = this._colRange(body.left, body.right)
+
+    if (vy >= 0) {
+      // Falling (or resting): scan every row the feet crossed this step.
+      const rows = this._rowRange(prevBottom, body.bottom)
+      for (let ty = rows.from; ty <= rows.to; ty += 1) {
+        const tileTop = this.offsetY + ty * ts
+
+        // Solid tiles: only land if we were above the tile top before moving.
+        // One-way tiles: same rule as the browser processCallback (feet within tolerance of the top).
+        let landed = false
+        for (let tx = cols.from; tx <= cols.to && !landed; tx += 1) {
+          if (this._isSolid(tx, ty)) {
+            landed = prevBottom <= tileTop + EDGE_EPSILON_PX
+          } else if (!ignoreOneWay && this._isOneWay(tx, ty)) {
+            landed = body.bottom <= tileTop + ONE_WAY_TOLERANCE_PX
+          }
+        }
+
+        if (!landed) continue
+        sprite.y = tileTop - body.height / 2
+        body.velocity.y = 0
+        body.blocked.down = true
+        return
+      }
+      return
+    }
+
+    // Rising: only solid tiles can bonk the head.
+    const rows = this._rowRange(body.top, prevTop + EDGE_EPSILON_PX)
+    for (let ty = rows.to; ty >= rows.from; ty -= 1) {
+      const tileBottom = this.offsetY + (ty + 1) * ts
+      if (tileBottom > prevTop + EDGE_EPSILON_PX) continue
+
+      for (let tx = cols.from; tx <= cols.to; tx += 1) {
+        if (!this._isSolid(tx, ty)) continue
+        sprite.y = tileBottom + body.height / 2
+        body.velocity.y = 0
+        body.blocked.up = true
+        return
+      }
+    }
+  }
+
+  _collideWorldBounds(sprite) {
+    // Closed bounds on all sides (see `BattleScene._applyWorldAndCameraBounds`).
+    const body = sprite.body
+    const b = this.bounds
+
+    if (body.left < b.x) {
+      sprite.x = b.x + body.width / 2
+      body.velocity.x = 0
+      body.blocked.left = true
+    } else if (body.right > b.right) {
+      sprite.x = b.right - body.width / 2
+      body.velocity.x = 0
+      body.blocked.right = true
+    }
+
+    if (body.top < b.y) {
+      sprite.y = b.y + body.height / 2
+      body.velocity.y = 0
+      body.blocked.up = true
+    } else if (body.bottom > b.bottom) {
+      sprite.y = b.bottom - body.height / 2
+      body.velocity.y = 0
+      body.blocked.down = true
+    }
+  }
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value))
+}
@@ -0,0 +1,131 @@
+// Headless stage builder for the Node match simulator.
+//
+// This mirrors `BattleScene._rebuildStage` without any Phaser objects:
+// - generate a stage definition (procedural or preset)
+// - derive platform surfaces + platform graph from the terrain grid
+// - validate playability and re-roll the seed (same seed variants as the browser)
+//
+// The result contains a SimTileWorld for collisions plus the same `stage` / `stageMeta`
+// objects BattleScene exposes to AI and benchmark exports.
+
+import { buildPlatformGraph, buildPlatformNodes } from '../stage/platformGraph.js'
+import { validateBrawlStage } from '../stage/stageValidator.js'
+import { extractPlatformSurfacesFromGrid } from '../stage/tileStageBuilder.js'
+import { createStageDefinition } from '../stage/tileStageGenerator.js'
+import { getTilesetCollisionSets } from '../stage/tilesetAtlas.js'
+import { SIM_GRAVITY_Y, SimTileWorld } from './simPhysics.js'
+
+export function createSimStage({ stageConfig, gravityY = SIM_GRAVITY_Y } = {}) {
+  // Approximate reachability based on physics and Fighter tuning.
+  // Keep these aligned with `BattleScene._rebuildStage`.
+  const assumedJumpVelocity = 640
+  const assumedMoveSpeed = 340
+
+  const maxJumpHeight =
+    gravityY > 0 ? (assumedJumpVelocity * assumedJumpVelocity) / (2 * gravityY) : 140
+  const timeToApex = gravityY > 0 ? assumedJumpVelocity / gravityY : 0.45
+  const maxJumpDistance = assumedMoveSpeed * timeToApex * 2 * 0.85
+
+  const collision = getTilesetCollisionSets()
+  const collidableSet = new Set([...collision.solid, ...collision.oneWay])
+  const oneWaySet = new Set(collision.oneWay)
+
+  const maxAttempts = 8
+  const autoSeedBase = Date.now()
+
+  let accepted = null
+
+  for (let attempt = 0; attempt < maxAttempts; attempt += 1) {
+    // Same seed variants as the browser, so a seed reproduces the same layout in both.
+    const baseSeed = stageConfig?.seed
+    const seedForAttempt =
+      attempt === 0
+        ? baseSeed
+        : baseSeed == null || baseSeed === ''
+          ? autoSeedBase + attempt
+          : typeof baseSeed === 'number'
+            ? baseSeed + attempt
+            : `${String(baseSeed)}#${attempt}`
+
+    const stageDefinition = createStageDefinition({
+      ...stageConfig,
+      seed: seedForAttempt,
+    })
+
+    const platformObjects = extractPlatformSurfacesFromGrid({
+      grid: stageDefinition.layers.terrain,
+      tileSizePx: stageDefinition.tileSizePx,
+      offsetX: stageDefinition.offsetX,
+      offsetY: stageDefinition.offsetY,
+      isCollidableTileIndex: (tileIndex) => collidableSet.has(tileIndex),
+      isOneWayTileIndex: (tileIndex) => oneWaySet.has(tileIndex),
+    })
+
+    const platformNodes = buildPlatformNodes(platformObjects)
+    const platformGraph = buildPlatformGraph(platformNodes, {
+      maxJumpHeight,
+      maxJumpDistance,
+    })
+
+    const validation = validateBrawlStage({
+      platformNodes,
+      platformGraph,
+      spawns: stageDefinition.spawns,
+    })
+
+    // Accept the first valid stage, or the last attempt even if invalid.
+    if (validation.ok || attempt === maxAttempts - 1) {
+      accepted = {
+        stageDefinition,
+        platformObjects,
+        platformGraph,
+        validation,
+        rerolls: attempt,
+        platformCount: platformNodes.length,
+      }
+      break
+    }
+  }
+
+  const { stageDefinition, platformGraph, validation } = accepted
+
+  const world = new SimTileWorld({
+    grid: stageDefinition.layers.terrain,
+    tileSizePx: stageDefinition.tileSizePx,
+    offsetX: stageDefinition.offsetX,
+    offsetY: stageDefinition.offsetY,
+    solidTileIndices: collision.solid,
+    oneWayTileIndices: collision.oneWay,
+    gravityY,
+  })
+
+  const widthPx = stageDefinition.widthTiles * stageDefinition.tileSizePx
+  const heightPx = stageDefinition.heightTiles * stageDefinition.tileSizePx
+  const offsetX = Number(stageDefinition.offsetX ?? 0)
+  const offsetY = Number(stageDefinition.offsetY ?? 0)
+
+  return {
+    world,
+    spawns: stageDefinition.spawns ?? null,
+    platformSurfaces: accepted.platformObjects,
+
+    // Same shape as `BattleScene._stage` (read by BotAgent and BT leaves).
+    stage: {
+      width: offsetX + widthPx,
+      height: offsetY + heightPx,
+      centerX: offsetX + widthPx / 2,
+      offstageMargin: 40,
+      platformGraph,
+    },
+
+    // Same shape as `BattleScene._stageMeta` (exported with benchmark runs).
+    stageMeta: {
+      ...(stageDefinition.meta ?? null),
+      rerolls: accepted.rerolls,
+      valid: Boolean(validation?.ok),
+      errors: validation?.errors?.slice?.(0, 4) ?? [],
+      platformCount: accepted.platformCount,
+      spawnPlatformIds: validation?.spawnPlatformIds ?? null,
+    },
+  }
+}
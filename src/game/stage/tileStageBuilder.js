@@ -187,7 +187,9 @@ function createLayerFromGrid(
 //   - the tile is collidable
 //   - AND the tile above it is NOT collidable (or out of bounds)
 // - We then merge horizontal runs into one surface rectangle.
-function extractPlatformSurfacesFromGrid({
+//
+// Exported so the headless simulator (no Tilemap) can derive the exact same surfaces.
+export function extractPlatformSurfacesFromGrid({
   grid,
   tileSizePx,
   offsetX,
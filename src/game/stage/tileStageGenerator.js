@@ -17,6 +17,7 @@ import PRESET_LEVEL_1 from '../../../assets/levels/Level1.json'
 import PRESET_LEVEL_1_2 from '../../../assets/levels/Level1-2.json'
 
 import { DEFAULT_TILE_SIZE_PX, STAGE_OBJECT_KEYS } from './tilesetAtlas.js'
+import { createMulberry32, fnv1a32 } from '../sim/seededRandom.js'
 
 // Stage styles are string constants so they can travel across the React → Phaser boundary.
 export const STAGE_STYLE = {
@@ -588,27 +589,6 @@ function normalizeSeed(seed) {
   return { seedInt, seedLabel }
 }
 
-function createMulberry32(seed) {
-  // Mulberry32 is a small fast deterministic PRNG for gameplay/content generation.
-  let t = seed >>> 0
-  return function next() {
-    t += 0x6d2b79f5
-    let r = Math.imul(t ^ (t >>> 15), 1 | t)
-    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r)
-    return ((r ^ (r >>> 14)) >>> 0) / 4294967296
-  }
-}
-
-function fnv1a32(str) {
-  // FNV-1a 32-bit hash (deterministic, simple, good enough for seeds).
-  let h = 0x811c9dc5
-  for (let i = 0; i < str.length; i += 1) {
-    h ^= str.charCodeAt(i)
-    h = Math.imul(h, 0x01000193)
-  }
-  return h >>> 0
-}
-
 function randInt(rng, minInclusive, maxInclusive) {
   const min = Math.ceil(minInclusive)
   const max = Math.floor(maxInclusive)
@@ -4,11 +4,29 @@ import { useCallback, useMemo, useState } from 'react'
 import { Link } from 'react-router-dom'
 
 import GameHost from '../components/GameHost.jsx'
-import { BT_STORAGE_KEY } from '../game/ai/btStorage.js'
-import { REPLAY_STORAGE_KEY } from '../game/input/replayStorage.js'
+import BtTimelinePanel from '../components/BtTimelinePanel.jsx'
+import AiProfileEditor from '../components/AiProfileEditor.jsx'
+import { BT_LIBRARY_STORAGE_KEY, BT_STORAGE_KEY } from '../game/ai/btStorage.js'
+import {
+  decodeBtAssignment,
+  encodeBtAssignment,
+  normalizeBtLibrary,
+  resolveBtAssignment,
+  setBtAssignment,
+} from '../game/ai/btLibrary.js'
+import { LEGACY_REPLAY_STORAGE_KEYS, REPLAY_STORAGE_KEY } from '../game/input/replayStorage.js'
+import { getReplayTracks, migrateReplayData } from '../game/input/replayFormat.js'
 import { BENCHMARK_RUNS_STORAGE_KEY } from '../game/benchmark/benchmarkStorage.js'
-import { explainAiAgentSnapshot } from '../game/ai/explain/explainDecision.zh-TW.js'
-import { AI_PROFILE_OPTIONS } from '../game/ai/aiProfiles.js'
+import { explainAiAgentSnapshot, explainOpponentModel } from '../game/ai/explain/explainDecision.zh-TW.js'
+import { AI_PROFILE_LIBRARY_STORAGE_KEY } from '../game/ai/aiProfileStorage.js'
+import {
+  findAiProfile,
+  importCustomAiProfiles,
+  listAiProfileOptions,
+  normalizeAiProfileLibrary,
+} from '../game/ai/aiProfileLibrary.js'
+import { AI_DIFFICULTY_OPTIONS } from '../game/ai/aiDifficulty.js'
+import { formatBtProfileSummary } from '../game/ai/bt/btProfiler.js'
 import { STAGE_STYLE, STAGE_STYLE_LABEL } from '../game/stage/tileStageGenerator.js'
 import { getGameDebugConfig } from '../game/debug/debugConfig.js'
 
@@ -22,12 +40,62 @@ function readStoredBtJson() {
   }
 }
 
+// Read the named BT library (trees + per-side assignments) saved by the BT lab page.
+function readStoredBtLibrary() {
+  try {
+    const text = localStorage.getItem(BT_LIBRARY_STORAGE_KEY)
+    return normalizeBtLibrary(text ? JSON.parse(text) : null)
+  } catch {
+    return normalizeBtLibrary(null)
+  }
+}
+
+function writeStoredBtLibrary(library) {
+  try {
+    localStorage.setItem(BT_LIBRARY_STORAGE_KEY, JSON.stringify(library))
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Read the custom AI profiles (created with the profile editor on this page).
+function readStoredAiProfileLibrary() {
+  try {
+    const text = localStorage.getItem(AI_PROFILE_LIBRARY_STORAGE_KEY)
+    return normalizeAiProfileLibrary(text ? JSON.parse(text) : null)
+  } catch {
+    return normalizeAiProfileLibrary(null)
+  }
+}
+
+function writeStoredAiProfileLibrary(library) {
+  try {
+    localStorage.setItem(AI_PROFILE_LIBRARY_STORAGE_KEY, JSON.stringify(library))
+    return true
+  } catch {
+    return false
+  }
+}
+
 // Safely read replay data from localStorage.
+// Older single-side (v1) replays are migrated to the full-match format and re-saved once.
 function readStoredReplay() {
   try {
     const text = localStorage.getItem(REPLAY_STORAGE_KEY)
-    if (!text) return null
-    return JSON.parse(text)
+    if (text) return migrateReplayData(JSON.parse(text))
+
+    for (const legacyKey of LEGACY_REPLAY_STORAGE_KEYS) {
+      const legacyText = localStorage.getItem(legacyKey)
+      if (!legacyText) continue
+
+      const migrated = migrateReplayData(JSON.parse(legacyText))
+      if (migrated) localStorage.setItem(REPLAY_STORAGE_KEY, JSON.stringify(migrated))
+      localStorage.removeItem(legacyKey)
+      return migrated
+    }
+
+    return null
   } catch {
     return null
   }
@@ -184,6 +252,8 @@ function buildBenchmarkCsv(benchmarkData) {
 
   const header = [
     'btHash',
+    'leftBtHash',
+    'rightBtHash',
     'leftProfile',
     'rightProfile',
     'runIndex',
@@ -227,6 +297,8 @@ function buildBenchmarkCsv(benchmarkData) {
 
     const rounds = Array.isArray(run?.rounds) ? run.rounds : []
     const btHash = run?.bt?.hash ?? benchmarkData?.bt?.hash ?? ''
+    const runBtLeft = run?.bt?.left?.hash ?? benchmarkData?.bt?.left?.hash ?? ''
+    const runBtRight = run?.bt?.right?.hash ?? benchmarkData?.bt?.right?.hash ?? ''
     const leftProfile = run?.aiProfiles?.left ?? benchmarkData?.aiProfiles?.left ?? ''
     const rightProfile = run?.aiProfiles?.right ?? benchmarkData?.aiProfiles?.right ?? ''
 
@@ -236,6 +308,9 @@ function buildBenchmarkCsv(benchmarkData) {
     for (const r of rounds) {
     const row = [
       btHash,
+      // Per-round hashes win: a tree may have been hot-swapped during the run.
+      r?.btHashes?.left ?? runBtLeft,
+      r?.btHashes?.right ?? runBtRight,
       leftProfile,
       rightProfile,
       run?.batch?.seedIndex ?? runIndex,
@@ -303,6 +378,21 @@ export default function BattlePage() {
   // If none exists, GameHost will pass null and the scene can fall back to defaults.
   const btJsonText = useMemo(() => readStoredBtJson(), [])
 
+  // BT library: each side can run a different named tree/version (A/B testing BT variants).
+  // Sides without an assignment use the tree above (the one saved by the lab).
+  const [btLibrary, setBtLibrary] = useState(() => readStoredBtLibrary())
+  const btAssignments = useMemo(
+    () => ({
+      left: resolveBtAssignment(btLibrary, 'left', btJsonText),
+      right: resolveBtAssignment(btLibrary, 'right', btJsonText),
+    }),
+    [btLibrary, btJsonText],
+  )
+  const btJsonTexts = useMemo(
+    () => ({ left: btAssignments.left.text, right: btAssignments.right.text }),
+    [btAssignments],
+  )
+
   // Default is AI vs AI to reduce manual testing time.
   const [leftControl, setLeftControl] = useState('ai')
   const [rightControl, setRightControl] = useState('ai')
@@ -312,6 +402,14 @@ export default function BattlePage() {
   const [leftAiProfile, setLeftAiProfile] = useState('balanced')
   const [rightAiProfile, setRightAiProfile] = useState('balanced')
 
+  // Custom profiles (localStorage); they appear in the same dropdowns as the built-ins.
+  const [aiProfileLibrary, setAiProfileLibrary] = useState(() => readStoredAiProfileLibrary())
+  const aiProfileOptions = useMemo(() => listAiProfileOptions(aiProfileLibrary), [aiProfileLibrary])
+
+  // Difficulty (reaction delay + input errors) per side; 'expert' is the exact reference bot.
+  const [leftAiDifficulty, setLeftAiDifficulty] = useState('expert')
+  const [rightAiDifficulty, setRightAiDifficulty] = useState('expert')
+
   // Replay data recorded from human input (stored locally for convenience).
   const [replayData, setReplayData] = useState(() => readStoredReplay())
 
@@ -321,6 +419,9 @@ export default function BattlePage() {
   // A command object sent to GameHost/Phaser to start/stop recording or apply replay data.
   const [replayCommand, setReplayCommand] = useState(null)
 
+  // Timeline scrub position while the user drags the slider (null => follow the scene).
+  const [scrubFrame, setScrubFrame] = useState(null)
+
   // Stage generation controls (tilemap style + deterministic seed).
   const [stageStyle, setStageStyle] = useState(STAGE_STYLE.PROCEDURAL_RANDOM)
   const [stageSeed, setStageSeed] = useState('')
@@ -344,6 +445,10 @@ export default function BattlePage() {
   const [benchmarkCommand, setBenchmarkCommand] = useState(null)
   const [benchmarkData, setBenchmarkData] = useState(null)
 
+  // AI decision timeline: last captured history export (both agents' recent ticks).
+  const [aiHistoryCommand, setAiHistoryCommand] = useState(null)
+  const [aiHistory, setAiHistory] = useState(null)
+
   // Save/compare benchmark exports locally for regression testing.
   const [savedBenchmarkRuns, setSavedBenchmarkRuns] = useState(() => readStoredBenchmarkRuns())
   const [benchmarkSaveName, setBenchmarkSaveName] = useState('')
@@ -367,9 +472,18 @@ export default function BattlePage() {
     [leftControl, rightControl],
   )
 
+  // Profiles go to the scene by value, so custom profiles (and slider edits) apply live.
   const aiProfiles = useMemo(
-    () => ({ left: leftAiProfile, right: rightAiProfile }),
-    [leftAiProfile, rightAiProfile],
+    () => ({
+      left: findAiProfile(aiProfileLibrary, leftAiProfile) ?? 'balanced',
+      right: findAiProfile(aiProfileLibrary, rightAiProfile) ?? 'balanced',
+    }),
+    [aiProfileLibrary, leftAiProfile, rightAiProfile],
+  )
+
+  const aiDifficulties = useMemo(
+    () => ({ left: leftAiDifficulty, right: rightAiDifficulty }),
+    [leftAiDifficulty, rightAiDifficulty],
   )
 
   // Hold the latest debug snapshot emitted by Phaser (throttled to ~10Hz).
@@ -400,12 +514,53 @@ export default function BattlePage() {
     setGameHostKey((k) => k + 1)
   }
 
+  function updateAiProfileLibrary(next) {
+    setAiProfileLibrary(next)
+    writeStoredAiProfileLibrary(next)
+  }
+
+  function handleAiProfileRemoved(profileId) {
+    // Sides that used the deleted profile fall back to the default preset.
+    if (leftAiProfile === profileId) setLeftAiProfile('balanced')
+    if (rightAiProfile === profileId) setRightAiProfile('balanced')
+  }
+
+  function assignBtToSide(side, value) {
+    // GameHost hot-swaps the changed side's tree on the running scene (no restart).
+    const next = setBtAssignment(btLibrary, side, decodeBtAssignment(value))
+    setBtLibrary(next)
+    writeStoredBtLibrary(next)
+  }
+
+  function renderBtAssignmentOptions() {
+    // '' => active tree, 'treeId' => latest version, 'treeId@N' => pinned version.
+    return [
+      <option key="active" value="">
+        目前儲存的 BT（Lab）
+      </option>,
+      ...btLibrary.trees.map((tree) => (
+        <optgroup key={tree.id} label={tree.name}>
+          <option value={tree.id}>{tree.name}（最新）</option>
+          {tree.versions
+            .slice()
+            .reverse()
+            .map((v) => (
+              <option key={v.version} value={`${tree.id}@${v.version}`}>
+                {`${tree.name} v${v.version}${v.note ? ` — ${v.note}` : ''}`}
+              </option>
+            ))}
+        </optgroup>
+      )),
+    ]
+  }
+
   // Receive recorded replay data from Phaser and persist it for later reuse.
   const handleReplayData = useCallback((data) => {
-    if (!data) return
+    const normalized = migrateReplayData(data)
+    if (!normalized) return
 
-    setReplayData(data)
-    writeStoredReplay(data)
+    setReplayData(normalized)
+    writeStoredReplay(normalized)
   }, [])
 
   // Receive exported benchmark payload from Phaser (round rows + aggregate report).
@@ -414,6 +569,12 @@ export default function BattlePage() {
     setBenchmarkData(data)
   }, [])
 
+  // Receive the AI decision history captured for the timeline panel.
+  const handleAiHistoryData = useCallback((data) => {
+    if (!data) return
+    setAiHistory(data)
+  }, [])
+
   // UI helpers: send commands to Phaser via GameHost.
   function startRecordingLeft() {
     // Switch left to human automatically so recording makes sense.
@@ -421,10 +582,42 @@ export default function BattlePage() {
 
     setReplayCommand({
       type: 'startRecording',
-      payload: { side: 'left', notes: 'P1 recording' },
+      payload: { notes: 'P1 recording' },
     })
   }
 
+  function startRecordingMatch() {
+    // Record the match as currently configured (e.g. AI vs AI) without changing control modes.
+    setReplayCommand({
+      type: 'startRecording',
+      payload: { notes: 'Match recording' },
+    })
+  }
+
+  function playMatchReplay() {
+    if (!replayData) return
+
+    // Keep React control/profile state in sync with what the scene restores from the replay.
+    const tracks = getReplayTracks(replayData)
+    if (tracks.includes('left')) setLeftControl('replay')
+    if (tracks.includes('right')) setRightControl('replay')
+
+    // Custom profiles recorded by value are added to the local list so they can be selected.
+    const recordedDefs = Object.values(replayData.match?.aiProfileDefs ?? {})
+    const importedLibrary = importCustomAiProfiles(aiProfileLibrary, recordedDefs, { nowIso: new Date().toISOString() })
+    if (importedLibrary !== aiProfileLibrary) updateAiProfileLibrary(importedLibrary)
+
+    const recordedProfiles = replayData.match?.aiProfiles
+    if (recordedProfiles?.left) setLeftAiProfile(recordedProfiles.left)
+    if (recordedProfiles?.right) setRightAiProfile(recordedProfiles.right)
+
+    const recordedDifficulties = replayData.match?.aiDifficulties
+    if (recordedDifficulties?.left) setLeftAiDifficulty(recordedDifficulties.left)
+    if (recordedDifficulties?.right) setRightAiDifficulty(recordedDifficulties.right)
+
+    setReplayCommand({ type: 'playMatchReplay', payload: { replayData } })
+  }
+
   function stopRecording() {
     setReplayCommand({ type: 'stopRecording', payload: {} })
   }
@@ -459,9 +652,33 @@ export default function BattlePage() {
     clearStoredReplay()
   }
 
+  // Replay review controls (timeline seek / pause / step / speed).
+  function seekReplay(frame) {
+    setReplayCommand({ type: 'seekMatchReplay', payload: { frame } })
+  }
+
+  function setPlayback(payload) {
+    setReplayCommand({ type: 'setPlayback', payload })
+  }
+
+  function stepReplay(ticks) {
+    setReplayCommand({ type: 'stepPlayback', payload: { ticks } })
+  }
+
   const recordingState = debugSnapshot?.replay?.recording
   const isRecording = Boolean(recordingState?.active)
 
+  const matchReplayState = debugSnapshot?.replay?.match
+  const playbackState = debugSnapshot?.playback
+  const replayRounds = Array.isArray(replayData?.rounds) ? replayData.rounds : []
+  const timelineFrameCount = Math.max(1, Number(matchReplayState?.frameCount ?? 0))
+  const timelineFrame = scrubFrame ?? Number(matchReplayState?.frame ?? 0)
+  const timelineRound =
+    replayRounds.find((r) => timelineFrame >= r.startFrame && timelineFrame < r.endFrame) ??
+    replayRounds[replayRounds.length - 1] ??
+    null
+  const timelineStepMs = Number(replayData?.match?.stepMs ?? 1000 / 60)
+
   // Stage info is emitted by BattleScene so the UI can display the active style/seed.
   const stageInfo = debugSnapshot?.stage
 
@@ -584,6 +801,21 @@ export default function BattlePage() {
     }
   }
 
+  function captureAiHistory() {
+    // Pause first so the captured window ends where the match is frozen.
+    setPlayback({ paused: true })
+    setAiHistoryCommand({ type: 'exportAiHistory', payload: {} })
+  }
+
+  function downloadAiHistoryJson() {
+    if (!aiHistory) return
+    downloadTextFile({
+      filename: `ai_history_${aiHistory.bt?.hash ?? 'bt'}_${Date.now()}.json`,
+      text: JSON.stringify(aiHistory, null, 2),
+      mimeType: 'application/json;charset=utf-8',
+    })
+  }
+
   function downloadBenchmarkCsv() {
     if (!benchmarkCsv) return
 
@@ -831,14 +1063,48 @@ export default function BattlePage() {
               value={leftAiProfile}
               onChange={(event) => setLeftAiProfile(event.target.value)}
             >
-              {AI_PROFILE_OPTIONS.map((p) => (
+              {aiProfileOptions.map((p) => (
                 <option key={p.id} value={p.id}>
-                  {p.labelZh}
+                  {p.custom ? `自訂：${p.labelZh}` : p.labelZh}
                 </option>
               ))}
             </select>
             <p className="hint">
-              {AI_PROFILE_OPTIONS.find((p) => p.id === leftAiProfile)?.descriptionZh ?? ''}
+              {aiProfileOptions.find((p) => p.id === leftAiProfile)?.descriptionZh ?? ''}
+            </p>
+
+            <label className="label" htmlFor="leftAiDifficulty" style={{ marginTop: 12 }}>
+              AI 難度
+            </label>
+            <select
+              id="leftAiDifficulty"
+              className="select"
+              value={leftAiDifficulty}
+              onChange={(event) => setLeftAiDifficulty(event.target.value)}
+            >
+              {AI_DIFFICULTY_OPTIONS.map((d) => (
+                <option key={d.id} value={d.id}>
+                  {d.labelZh}
+                </option>
+              ))}
+            </select>
+            <p className="hint">
+              {AI_DIFFICULTY_OPTIONS.find((d) => d.id === leftAiDifficulty)?.descriptionZh ?? ''}
+            </p>
+
+            <label className="label" htmlFor="leftBt" style={{ marginTop: 12 }}>
+              行為樹（BT）
+            </label>
+            <select
+              id="leftBt"
+              className="select"
+              value={encodeBtAssignment(btLibrary.assignments.left)}
+              onChange={(event) => assignBtToSide('left', event.target.value)}
+            >
+              {renderBtAssignmentOptions()}
+            </select>
+            <p className="hint">
+              {btAssignments.left.label ?? '使用 BT Lab 儲存的樹（未儲存則為預設 BT）'}；在 BT Lab 管理樹庫與版本。
             </p>
           </div>
 
@@ -869,31 +1135,85 @@ export default function BattlePage() {
               value={rightAiProfile}
               onChange={(event) => setRightAiProfile(event.target.value)}
             >
-              {AI_PROFILE_OPTIONS.map((p) => (
+              {aiProfileOptions.map((p) => (
                 <option key={p.id} value={p.id}>
-                  {p.labelZh}
+                  {p.custom ? `自訂：${p.labelZh}` : p.labelZh}
                 </option>
               ))}
             </select>
             <p className="hint">
-              {AI_PROFILE_OPTIONS.find((p) => p.id === rightAiProfile)?.descriptionZh ?? ''}
+              {aiProfileOptions.find((p) => p.id === rightAiProfile)?.descriptionZh ?? ''}
+            </p>
+
+            <label className="label" htmlFor="rightAiDifficulty" style={{ marginTop: 12 }}>
+              AI 難度
+            </label>
+            <select
+              id="rightAiDifficulty"
+              className="select"
+              value={rightAiDifficulty}
+              onChange={(event) => setRightAiDifficulty(event.target.value)}
+            >
+              {AI_DIFFICULTY_OPTIONS.map((d) => (
+                <option key={d.id} value={d.id}>
+                  {d.labelZh}
+                </option>
+              ))}
+            </select>
+            <p className="hint">
+              {AI_DIFFICULTY_OPTIONS.find((d) => d.id === rightAiDifficulty)?.descriptionZh ?? ''}
+            </p>
+
+            <label className="label" htmlFor="rightBt" style={{ marginTop: 12 }}>
+              行為樹（BT）
+            </label>
+            <select
+              id="rightBt"
+              className="select"
+              value={encodeBtAssignment(btLibrary.assignments.right)}
+              onChange={(event) => assignBtToSide('right', event.target.value)}
+            >
+              {renderBtAssignmentOptions()}
+            </select>
+            <p className="hint">
+              {btAssignments.right.label ?? '使用 BT Lab 儲存的樹（未儲存則為預設 BT）'}；在 BT Lab 管理樹庫與版本。
             </p>
           </div>
         </div>
 
+        <AiProfileEditor
+          library={aiProfileLibrary}
+          onChange={updateAiProfileLibrary}
+          onRemove={handleAiProfileRemoved}
+        />
+
         <div className="controlGroup" style={{ marginBottom: 16 }}>
-          <h3 className="cardTitle">輸入錄製 / 回放（左方 P1）</h3>
+          <h3 className="cardTitle">對戰錄製 / 回放</h3>
           <div className="buttonRow">
             {!isRecording ? (
-              <button className="button" type="button" onClick={startRecordingLeft}>
-                開始錄製（左方）
-              </button>
+              <>
+                <button className="button" type="button" onClick={startRecordingLeft}>
+                  開始錄製（左方真人）
+                </button>
+                <button className="button" type="button" onClick={startRecordingMatch}>
+                  開始錄製（目前控制）
+                </button>
+              </>
             ) : (
               <button className="button" type="button" onClick={stopRecording}>
                 停止錄製
               </button>
             )}
 
+            <button
+              className="button"
+              type="button"
+              onClick={playMatchReplay}
+              disabled={!replayData?.match}
+            >
+              重播整場
+            </button>
+
             <button
               className="button"
               type="button"
@@ -935,13 +1255,101 @@ export default function BattlePage() {
             {replayData
               ? `已載入回放：${replayData.frameCount ?? replayData.frames?.length ?? 0} frames，${Math.round(
                   (replayData.durationMs ?? 0) / 1000,
-                )} 秒`
+                )} 秒，${replayData.rounds?.length ?? 0} 回合` +
+                (replayData.match
+                  ? `（stage seed ${replayData.match.stageConfig?.seed ?? '—'}，BT ${replayData.match.bt?.hash ?? '—'}）`
+                  : '（舊版單側回放，只能套用到單一方）')
               : '尚未錄製回放。'}
           </p>
+          <p className="hint">
+            錄製會重置比賽並記錄雙方每個 tick 的 intent；「重播整場」會還原地圖、AI 設定並依回合完整重現。
+          </p>
+          {matchReplayState?.active ? (
+            <div className="replayTimeline">
+              <div className="replayTimelineTrack">
+                <input
+                  className="replayTimelineSlider"
+                  type="range"
+                  min={0}
+                  max={timelineFrameCount - 1}
+                  value={Math.min(timelineFrame, timelineFrameCount - 1)}
+                  onChange={(event) => {
+                    const frame = Number(event.target.value)
+                    setScrubFrame(frame)
+                    seekReplay(frame)
+                  }}
+                  onPointerUp={() => setScrubFrame(null)}
+                  onKeyUp={() => setScrubFrame(null)}
+                  onBlur={() => setScrubFrame(null)}
+                />
+                {replayRounds.map((r) => (
+                  <span
+                    key={r.round}
+                    className="replayTimelineMarker"
+                    style={{ left: `${(r.startFrame / timelineFrameCount) * 100}%` }}
+                    title={`第 ${r.round} 回合`}
+                  />
+                ))}
+              </div>
+
+              <div className="buttonRow">
+                <button
+                  className="button"
+                  type="button"
+                  onClick={() => setPlayback({ paused: !playbackState?.paused })}
+                >
+                  {playbackState?.paused ? '繼續' : '暫停'}
+                </button>
+                <button className="button" type="button" onClick={() => stepReplay(1)}>
+                  單步（1 tick）
+                </button>
+                <button
+                  className="button buttonSecondary"
+                  type="button"
+                  onClick={() => {
+                    const prev = replayRounds.filter((r) => r.startFrame < (timelineRound?.startFrame ?? 0)).pop()
+                    seekReplay(prev?.startFrame ?? 0)
+                  }}
+                >
+                  上一回合
+                </button>
+                <button
+                  className="button buttonSecondary"
+                  type="button"
+                  onClick={() => {
+                    const next = replayRounds.find((r) => r.startFrame > timelineFrame)
+                    if (next) seekReplay(next.startFrame)
+                  }}
+                >
+                  下一回合
+                </button>
+                <label className="hint" style={{ display: 'flex', gap: 8, alignItems: 'center', margin: 0 }}>
+                  速度
+                  <select
+                    className="select"
+                    value={String(playbackState?.speed ?? 1)}
+                    onChange={(event) => setPlayback({ speed: Number(event.target.value) })}
+                  >
+                    {[0.25, 0.5, 1, 2, 4].map((speed) => (
+                      <option key={speed} value={String(speed)}>
+                        {speed}x
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              <p className="hint">
+                {`${(Math.round((timelineFrame * timelineStepMs) / 100) / 10).toFixed(1)}s / ${(
+                  Math.round((timelineFrameCount * timelineStepMs) / 100) / 10
+                ).toFixed(1)}s · tick ${timelineFrame} · 第 ${timelineRound?.round ?? '—'} 回合`}
+              </p>
+            </div>
+          ) : null}
           {isRecording ? (
             <p className="statusOk">
               錄製中：{recordingState?.frameCount ?? 0} frames（約{' '}
-              {Math.round((recordingState?.durationMs ?? 0) / 1000)} 秒）
+              {Math.round((recordingState?.durationMs ?? 0) / 1000)} 秒，{recordingState?.roundCount ?? 0} 回合）
             </p>
           ) : null}
         </div>
@@ -1260,6 +1668,21 @@ export default function BattlePage() {
             </details>
           ) : null}
 
+          {benchmarkData?.btProfile ? (
+            <details style={{ marginTop: 10 }}>
+              <summary className="hint">BT 節點統計（熱點 / 從未執行的分支）</summary>
+              <pre className="codeBlock">
+                {[
+                  '左方',
+                  ...formatBtProfileSummary(benchmarkData.btProfile.left, { timing: benchmarkData.btTiming?.left }),
+                  '',
+                  '右方',
+                  ...formatBtProfileSummary(benchmarkData.btProfile.right, { timing: benchmarkData.btTiming?.right }),
+                ].join('\n')}
+              </pre>
+            </details>
+          ) : null}
+
           {benchmarkData ? (
             <details style={{ marginTop: 10 }}>
               <summary className="hint">顯示已匯出的 Benchmark JSON（可手動複製）</summary>
@@ -1406,19 +1829,25 @@ export default function BattlePage() {
           <div>
             <GameHost
               key={gameHostKey}
-              btJsonText={btJsonText}
+              btJsonTexts={btJsonTexts}
               controlMode={controlMode}
               aiProfiles={aiProfiles}
+              aiDifficulties={aiDifficulties}
               restartToken={restartToken}
               replayCommand={replayCommand}
               stageCommand={stageCommand}
               benchmarkCommand={benchmarkCommand}
+              aiHistoryCommand={aiHistoryCommand}
               onReplayData={handleReplayData}
               onBenchmarkData={handleBenchmarkData}
+              onAiHistoryData={handleAiHistoryData}
               onDebugSnapshot={handleDebugSnapshot}
             />
             <p className="hint">
-              BT JSON（截斷顯示）：{' '}
+              BT：左 {btAssignments.left.label ?? 'Lab 儲存的樹'} | 右 {btAssignments.right.label ?? 'Lab 儲存的樹'}
+            </p>
+            <p className="hint">
+              BT JSON（Lab，截斷顯示）：{' '}
               {btJsonText ? btJsonText.slice(0, 140) : '（未儲存，使用預設）'}
             </p>
           </div>
@@ -1486,6 +1915,20 @@ export default function BattlePage() {
               <pre className="codeBlock">{rightExplain.details.join('\n')}</pre>
             ) : null}
 
+            <details style={{ marginTop: 12 }}>
+              <summary className="hint">對手模型（本場學到的對手習慣）</summary>
+              {['left', 'right'].map((side) =>
+                debugSnapshot?.controlMode?.[side] === 'ai' ? (
+                  <div key={side}>
+                    <p className="hint">{side === 'left' ? '左方 AI 眼中的右方' : '右方 AI 眼中的左方'}：</p>
+                    <pre className="codeBlock">
+                      {explainOpponentModel(debugSnapshot?.ai?.[side]?.opponentModel).join('\n')}
+                    </pre>
+                  </div>
+                ) : null,
+              )}
+            </details>
+
             <details style={{ marginTop: 12 }}>
               <summary className="hint">顯示原始 Debug JSON</summary>
               <pre className="codeBlock">
@@ -1496,6 +1939,14 @@ export default function BattlePage() {
             </details>
           </aside>
         </div>
+
+        <BtTimelinePanel
+          history={aiHistory}
+          paused={Boolean(playbackState?.paused)}
+          onCapture={captureAiHistory}
+          onResume={() => setPlayback({ paused: false })}
+          onExport={downloadAiHistoryJson}
+        />
       </section>
     </div>
   )
@@ -1,15 +1,39 @@
-// This page is the initial "BT editor" milestone.
-// For MVP it is JSON-based (textarea + validation), which is simple and teaches data-driven design.
-// Later we can replace/augment this with a graphical editor (e.g., node graph UI).
-import { useMemo, useState } from 'react'
+// This page is the "BT editor".
+// - Graphical mode: drag & drop tree editor (BtTreeEditor) with schema-generated param forms.
+// - JSON mode: the raw textarea (handy for copy/paste and for fixing JSON that does not parse).
+// Both modes edit the same JSON text, which is what gets validated and saved under BT_STORAGE_KEY.
+// The sandbox card runs a small battle with the last valid edit (left) against a chosen opponent
+// (right), hot-swapping the tree on every valid edit and highlighting the active path in the graph.
+// The BT library (named trees + version history, file import/download, diff) lives below the editor.
+import { useCallback, useMemo, useState } from 'react'
 import { Link } from 'react-router-dom'
 
-import { BT_STORAGE_KEY } from '../game/ai/btStorage.js'
+import BtTreeEditor from '../components/BtTreeEditor.jsx'
+import GameHost from '../components/GameHost.jsx'
+import JsonCodeEditor from '../components/JsonCodeEditor.jsx'
+import { BT_LIBRARY_STORAGE_KEY, BT_STORAGE_KEY } from '../game/ai/btStorage.js'
+import {
+  addBtLibraryTree,
+  addBtLibraryVersion,
+  decodeBtAssignment,
+  encodeBtAssignment,
+  findBtLibraryTree,
+  getBtLibraryVersion,
+  normalizeBtLibrary,
+  removeBtLibraryTree,
+  renameBtLibraryTree,
+} from '../game/ai/btLibrary.js'
+import { diffBtJson, formatBtDiff } from '../game/ai/bt/btDiff.js'
+import { locateJsonPath, parseJsonSourceMap } from '../game/ai/bt/jsonSourceMap.js'
+import { BT_LINT_SEVERITY, lintBtJson } from '../game/ai/bt/lintBtJson.js'
+import { matchBtTraceToJson } from '../game/ai/bt/btTraceMatch.js'
 import { DEFAULT_BT_JSON } from '../game/ai/defaultBt.js'
 import {
   KNOWN_BT_NODE_TYPES,
   validateBtJsonText,
 } from '../game/ai/bt/validateBtJson.js'
+import { REPLAY_STORAGE_KEY } from '../game/input/replayStorage.js'
+import { getReplayTracks, migrateReplayData } from '../game/input/replayFormat.js'
 
 // Safely load a string value from localStorage.
 function readStoredBtJson() {
@@ -30,6 +54,111 @@ function writeStoredBtJson(text) {
   }
 }
 
+// Read the named BT library (see btLibrary.js); junk/missing data becomes an empty library.
+function readStoredBtLibrary() {
+  try {
+    const text = localStorage.getItem(BT_LIBRARY_STORAGE_KEY)
+    return normalizeBtLibrary(text ? JSON.parse(text) : null)
+  } catch {
+    return normalizeBtLibrary(null)
+  }
+}
+
+function writeStoredBtLibrary(library) {
+  try {
+    localStorage.setItem(BT_LIBRARY_STORAGE_KEY, JSON.stringify(library))
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Read the replay saved by the battle page (read-only here; legacy keys are migrated over there).
+function readStoredReplay() {
+  try {
+    const text = localStorage.getItem(REPLAY_STORAGE_KEY)
+    return text ? migrateReplayData(JSON.parse(text)) : null
+  } catch {
+    return null
+  }
+}
+
+function downloadTextFile({ filename, text, mimeType } = {}) {
+  // Download a string as a file (no dependencies).
+  const blob = new Blob([String(text ?? '')], { type: mimeType ?? 'text/plain;charset=utf-8' })
+  const url = URL.createObjectURL(blob)
+
+  const a = document.createElement('a')
+  a.href = url
+  a.download = String(filename ?? `export_${Date.now()}.txt`)
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+
+  // Revoke after the click so the browser can read it.
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+// Parse without throwing (the textarea may hold half-typed JSON).
+function tryParseJson(text) {
+  try {
+    return { ok: true, value: JSON.parse(text) }
+  } catch (error) {
+    return { ok: false, error: error instanceof Error ? error.message : String(error) }
+  }
+}
+
+function readDiffSide(library, value, editorText) {
+  // Returns a tryParseJson result, or null when nothing is selected.
+  if (!value) return null
+  if (value === 'editor') return tryParseJson(editorText)
+  const { treeId, version } = decodeBtAssignment(value)
+  const entry = getBtLibraryVersion(library, treeId, version)
+  return entry ? tryParseJson(entry.text) : null
+}
+
+function renderDiffOptions(library, placeholder) {
+  return [
+    <option key="none" value="">
+      {placeholder}
+    </option>,
+    <option key="editor" value="editor">
+      編輯器內容（未儲存）
+    </option>,
+    ...library.trees.map((tree) => (
+      <optgroup key={tree.id} label={tree.name}>
+        {tree.versions
+          .slice()
+          .reverse()
+          .map((v) => (
+            <option key={v.version} value={encodeBtAssignment({ treeId: tree.id, version: v.version })}>
+              {`${tree.name} v${v.version}`}
+            </option>
+          ))}
+      </optgroup>
+    )),
+  ]
+}
+
+// Problem list row colors (see App.css).
+const PROBLEM_CLASS = {
+  error: 'btProblemError',
+  [BT_LINT_SEVERITY.WARNING]: 'btLintWarning',
+  [BT_LINT_SEVERITY.INFO]: 'btLintInfo',
+}
+
+function renderStatus(status) {
+  if (!status) return null
+  return (
+    <div>
+      <p className={status.kind === 'ok' ? 'statusOk' : 'statusError'}>{status.message}</p>
+      {status.kind === 'error' && status.issues?.length ? (
+        <pre className="codeBlock">{status.issues.map((line) => `- ${line}`).join('\n')}</pre>
+      ) : null}
+    </div>
+  )
+}
+
 export default function BehaviorTreeLabPage() {
   // Prepare the default JSON text once (stable across renders).
   const defaultText = useMemo(() => JSON.stringify(DEFAULT_BT_JSON, null, 2), [])
@@ -40,6 +169,222 @@ export default function BehaviorTreeLabPage() {
   // UI feedback message after "validate/save".
   const [status, setStatus] = useState(null)
 
+  // 'graph' | 'json'
+  const [editorMode, setEditorMode] = useState('graph')
+
+  // Parse once with source positions, so every problem can point at a line/column.
+  const sourceMap = useMemo(() => parseJsonSourceMap(text), [text])
+
+  // The graphical editor works on the parsed text (`ok: false` while the text is not valid JSON).
+  const parsed = useMemo(() => {
+    if (sourceMap.ok) return { ok: true, value: sourceMap.value }
+    const { message, line, column } = sourceMap.error
+    return { ok: false, error: `${message}，第 ${line} 行第 ${column} 欄` }
+  }, [sourceMap])
+
+  // Schema validation and semantic lint run live on every edit (lint is hints only; saving is never blocked).
+  const validation = useMemo(() => validateBtJsonText(text), [text])
+  const lintIssues = useMemo(() => (parsed.ok ? lintBtJson(parsed.value) : []), [parsed])
+
+  // Every problem with its source position: JSON syntax errors, schema errors, then lint hints.
+  const problems = useMemo(() => {
+    if (!sourceMap.ok) {
+      return [{ severity: 'error', path: '', message: `JSON parse error: ${sourceMap.error.message}`, ...sourceMap.error }]
+    }
+    const located = (issue, severity) => ({
+      severity,
+      path: issue.path,
+      message: issue.message,
+      ...(locateJsonPath(sourceMap, issue.path) ?? { offset: 0, line: 1, column: 1 }),
+    })
+    return [
+      ...validation.details.map((detail) => located(detail, 'error')),
+      ...lintIssues.map((issue) => located(issue, issue.severity)),
+    ]
+  }, [sourceMap, validation, lintIssues])
+
+  // Jump-to-problem target for the JSON editor (`nonce` re-triggers the same location).
+  const [jumpTarget, setJumpTarget] = useState(null)
+
+  // ---- Sandbox (mini battle preview) ----
+  // The sandbox only ever runs text that passed validation, so half-typed edits never reach the AI.
+  const [sandboxEnabled, setSandboxEnabled] = useState(true)
+  const [sandboxBtText, setSandboxBtText] = useState(() => (validateBtJsonText(text).ok ? text : null))
+  // 'default' (default BT) | 'replay:left' | 'replay:right' (a recorded track from /battle)
+  const [sandboxOpponent, setSandboxOpponent] = useState('default')
+  const [sandboxReplay] = useState(() => readStoredReplay())
+  const [sandboxReplayCommand, setSandboxReplayCommand] = useState(null)
+  const [sandboxRestartToken, setSandboxRestartToken] = useState(0)
+  const [sandboxSnapshot, setSandboxSnapshot] = useState(null)
+
+  const sandboxReplayTracks = useMemo(() => getReplayTracks(sandboxReplay), [sandboxReplay])
+  const sandboxBtTexts = useMemo(() => ({ left: sandboxBtText, right: null }), [sandboxBtText])
+  const sandboxControlMode = useMemo(
+    () => ({ left: 'ai', right: sandboxOpponent === 'default' ? 'ai' : 'replay' }),
+    [sandboxOpponent],
+  )
+
+  // Must be stable: GameHost re-creates the game when this callback changes.
+  const handleSandboxSnapshot = useCallback((snapshot) => {
+    setSandboxSnapshot(snapshot)
+  }, [])
+
+  // Highlight only while the editor shows exactly the tree the sandbox runs.
+  const sandboxTrace = sandboxSnapshot?.ai?.left?.fullTrace
+  const activePaths = useMemo(() => {
+    if (!sandboxEnabled || !parsed.ok || text !== sandboxBtText) return null
+    return matchBtTraceToJson(parsed.value, sandboxTrace)
+  }, [sandboxEnabled, parsed, text, sandboxBtText, sandboxTrace])
+
+  // ---- BT library ----
+  const [library, setLibrary] = useState(() => readStoredBtLibrary())
+  const [libraryStatus, setLibraryStatus] = useState(null)
+  const [selectedTreeId, setSelectedTreeId] = useState(() => library.trees[0]?.id ?? '')
+  const [selectedVersion, setSelectedVersion] = useState('')
+  const [treeName, setTreeName] = useState('')
+  const [versionNote, setVersionNote] = useState('')
+
+  // Diff sides: 'editor' (current text) or an encoded 'treeId@version'.
+  const [diffFrom, setDiffFrom] = useState('')
+  const [diffTo, setDiffTo] = useState('editor')
+
+  const selectedTree = findBtLibraryTree(library, selectedTreeId)
+  const selectedEntry = selectedTree
+    ? getBtLibraryVersion(library, selectedTree.id, selectedVersion ? Number(selectedVersion) : null)
+    : null
+
+  const diffLines = useMemo(() => {
+    const before = readDiffSide(library, diffFrom, text)
+    const after = readDiffSide(library, diffTo, text)
+    if (!before || !after) return null
+    if (!before.ok || !after.ok) return ['（其中一邊不是合法 JSON，無法比較）']
+    const lines = formatBtDiff(diffBtJson(before.value, after.value))
+    return lines.length ? lines : ['（兩個版本的樹結構相同）']
+  }, [library, diffFrom, diffTo, text])
+
+  function commitLibrary(next, message) {
+    setLibrary(next)
+    const ok = writeStoredBtLibrary(next)
+    setLibraryStatus(ok ? { kind: 'ok', message } : { kind: 'error', message: '儲存失敗：瀏覽器拒絕寫入 localStorage。' })
+  }
+
+  function validateForLibrary(candidateText) {
+    // The library only stores trees that would load in /battle.
+    const result = validateBtJsonText(candidateText)
+    if (!result.ok) setLibraryStatus({ kind: 'error', message: '無法加入樹庫：BT JSON 驗證失敗。', issues: result.issues })
+    return result.ok
+  }
+
+  function saveAsNewTree() {
+    if (!validateForLibrary(text)) return
+    const name = treeName.trim() || `BT ${library.nextId}`
+    const { library: next, treeId } = addBtLibraryTree(library, {
+      name,
+      text,
+      note: versionNote.trim() || null,
+      nowIso: new Date().toISOString(),
+    })
+    commitLibrary(next, `已新增「${name}」（v1）。`)
+    setSelectedTreeId(treeId)
+    setSelectedVersion('')
+    setVersionNote('')
+  }
+
+  function saveAsNewVersion() {
+    if (!selectedTree || !validateForLibrary(text)) return
+    const { library: next, version } = addBtLibraryVersion(library, selectedTree.id, {
+      text,
+      note: versionNote.trim() || null,
+      nowIso: new Date().toISOString(),
+    })
+    if (next === library) {
+      setLibraryStatus({ kind: 'ok', message: `內容與 v${version} 相同，未建立新版本。` })
+      return
+    }
+    commitLibrary(next, `已儲存「${selectedTree.name}」v${version}。`)
+    setSelectedVersion('')
+    setVersionNote('')
+  }
+
+  function loadSelectedVersion() {
+    if (!selectedEntry) return
+    editText(selectedEntry.text)
+    setStatus({ kind: 'ok', message: `已載入「${selectedTree.name}」v${selectedEntry.version} 到編輯器。` })
+  }
+
+  function renameSelectedTree() {
+    if (!selectedTree || !treeName.trim()) return
+    commitLibrary(renameBtLibraryTree(library, selectedTree.id, treeName), `已重新命名為「${treeName.trim()}」。`)
+  }
+
+  function deleteSelectedTree() {
+    if (!selectedTree) return
+    const next = removeBtLibraryTree(library, selectedTree.id)
+    commitLibrary(next, `已刪除「${selectedTree.name}」。`)
+    setSelectedTreeId(next.trees[0]?.id ?? '')
+    setSelectedVersion('')
+  }
+
+  function downloadSelectedVersion() {
+    if (!selectedEntry) return
+    const safeName = selectedTree.name.replace(/[^\w\u4e00-\u9fff-]+/g, '_')
+    downloadTextFile({
+      filename: `bt_${safeName}_v${selectedEntry.version}.json`,
+      text: selectedEntry.text,
+      mimeType: 'application/json;charset=utf-8',
+    })
+  }
+
+  async function importFile(event) {
+    // Imported files become a new tree named after the file (validated like any save).
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    const fileText = await file.text()
+    if (!validateForLibrary(fileText)) return
+
+    const name = file.name.replace(/\.json$/i, '') || `BT ${library.nextId}`
+    const { library: next, treeId } = addBtLibraryTree(library, {
+      name,
+      text: fileText,
+      note: '匯入',
+      nowIso: new Date().toISOString(),
+    })
+    commitLibrary(next, `已匯入「${name}」。`)
+    setSelectedTreeId(treeId)
+    setSelectedVersion('')
+  }
+
+  // Every edit goes through here so the sandbox picks up each valid version right away.
+  function editText(nextText) {
+    setText(nextText)
+    if (validateBtJsonText(nextText).ok) setSandboxBtText(nextText)
+  }
+
+  function jumpToProblem(problem) {
+    // Problems are located in the text, so show the JSON editor even when coming from graph mode.
+    setEditorMode('json')
+    setJumpTarget((prev) => ({ offset: problem.offset, line: problem.line, nonce: (prev?.nonce ?? 0) + 1 }))
+  }
+
+  // Graph edits are written back as pretty JSON (same format as the default tree).
+  function handleGraphChange(nextJson) {
+    editText(JSON.stringify(nextJson, null, 2))
+  }
+
+  function selectSandboxOpponent(value) {
+    setSandboxOpponent(value)
+    if (value.startsWith('replay:') && sandboxReplay) {
+      setSandboxReplayCommand({
+        type: 'setReplayData',
+        payload: { side: 'right', replayData: sandboxReplay, loop: true, track: value.slice('replay:'.length) },
+      })
+      return
+    }
+    setSandboxReplayCommand({ type: 'clearReplayData', payload: { side: 'right' } })
+  }
+
   // Validate JSON + schema so we can show friendly errors before saving.
   function validateJson() {
     const result = validateBtJsonText(text)
@@ -47,7 +392,9 @@ export default function BehaviorTreeLabPage() {
     if (result.ok) {
       setStatus({
         kind: 'ok',
-        message: 'BT JSON 驗證成功（可載入到對戰頁使用）。',
+        message: lintIssues.length
+          ? `BT JSON 驗證成功（可載入到對戰頁使用），另有 ${lintIssues.length} 個語意提示，見下方。`
+          : 'BT JSON 驗證成功（可載入到對戰頁使用）。',
         issues: [],
       })
       return
@@ -83,7 +430,7 @@ export default function BehaviorTreeLabPage() {
 
   // Reset the editor to the default BT.
   function resetToDefault() {
-    setText(defaultText)
+    editText(defaultText)
     setStatus({ kind: 'ok', message: '已重設為預設 BT。' })
   }
 
@@ -91,26 +438,49 @@ export default function BehaviorTreeLabPage() {
     <div className="page">
       <header className="pageHeader">
         <div className="headerRow">
-          <h1 className="title">Behavior Tree 實驗室（JSON）</h1>
+          <h1 className="title">Behavior Tree 實驗室</h1>
           <Link className="button buttonSecondary" to="/menu">
             回選單
           </Link>
         </div>
         <p className="subtitle">
-          這裡先用 JSON 編輯 BT（後續再做圖形化編輯器）。對戰頁會從 localStorage
-          讀取並套用你儲存的樹。
+          用拖曳的方式編輯 BT，或切換到 JSON 模式直接改文字。對戰頁會從
+          localStorage 讀取並套用你儲存的樹。
         </p>
       </header>
 
       <section className="card">
-        <h2 className="cardTitle">BT JSON</h2>
-        <textarea
-          className="textArea"
-          value={text}
-          onChange={(event) => setText(event.target.value)}
-          spellCheck={false}
-          rows={18}
-        />
+        <div className="headerRow toolbarRow">
+          <h2 className="cardTitle">{editorMode === 'graph' ? 'BT 圖形編輯' : 'BT JSON'}</h2>
+          <div className="buttonRow">
+            <button
+              className={editorMode === 'graph' ? 'button' : 'button buttonSecondary'}
+              type="button"
+              onClick={() => setEditorMode('graph')}
+            >
+              圖形模式
+            </button>
+            <button
+              className={editorMode === 'json' ? 'button' : 'button buttonSecondary'}
+              type="button"
+              onClick={() => setEditorMode('json')}
+            >
+              JSON 模式
+            </button>
+          </div>
+        </div>
+
+        {editorMode === 'graph' ? (
+          parsed.ok ? (
+            <BtTreeEditor value={parsed.value} onChange={handleGraphChange} activePaths={activePaths} />
+          ) : (
+            <p className="statusError">
+              JSON 無法解析（{parsed.error}），請切換到 JSON 模式修正後再使用圖形編輯。
+            </p>
+          )
+        ) : (
+          <JsonCodeEditor value={text} onChange={editText} markers={problems} jumpTo={jumpTarget} />
+        )}
 
         <p className="hint">
           支援節點：{KNOWN_BT_NODE_TYPES.join(', ')}
@@ -135,21 +505,206 @@ export default function BehaviorTreeLabPage() {
           </Link>
         </div>
 
-        {status ? (
-          <div>
-            <p className={status.kind === 'ok' ? 'statusOk' : 'statusError'}>
-              {status.message}
-            </p>
-            {status.kind === 'error' && status.issues?.length ? (
-              <pre className="codeBlock">
-                {status.issues.map((line) => `- ${line}`).join('\n')}
-              </pre>
-            ) : null}
+        {renderStatus(status)}
+
+        <div className="controlGroup">
+          <div className="label">問題（驗證錯誤會阻擋儲存；語意檢查 lint 只是提示）</div>
+          {problems.length ? (
+            <ul className="btLintList">
+              {problems.map((problem, index) => (
+                <li key={`${problem.path}:${index}`} className={PROBLEM_CLASS[problem.severity] ?? ''}>
+                  <button className="btProblemLink" type="button" onClick={() => jumpToProblem(problem)}>
+                    第 {problem.line} 行第 {problem.column} 欄
+                  </button>{' '}
+                  <span className="btNodeBadge">{problem.severity}</span> <code>{problem.path || '(root)'}</code>{' '}
+                  {problem.message}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="hint">沒有發現問題。</p>
+          )}
+        </div>
+      </section>
+
+      <section className="card btSandbox" style={{ marginTop: 16 }}>
+        <div className="headerRow toolbarRow">
+          <h2 className="cardTitle">即時沙盒</h2>
+          <div className="buttonRow">
+            <select
+              className="select"
+              value={sandboxOpponent}
+              onChange={(event) => selectSandboxOpponent(event.target.value)}
+              disabled={!sandboxEnabled}
+            >
+              <option value="default">對手：預設 BT</option>
+              {sandboxReplayTracks.map((track) => (
+                <option key={track} value={`replay:${track}`}>
+                  對手：錄影（{track === 'left' ? '左方' : '右方'}軌）
+                </option>
+              ))}
+            </select>
+            <button
+              className="button buttonSecondary"
+              type="button"
+              onClick={() => setSandboxRestartToken((n) => n + 1)}
+              disabled={!sandboxEnabled}
+            >
+              重新開始
+            </button>
+            <button className="button buttonSecondary" type="button" onClick={() => setSandboxEnabled((v) => !v)}>
+              {sandboxEnabled ? '關閉沙盒' : '開啟沙盒'}
+            </button>
           </div>
+        </div>
+
+        {sandboxEnabled ? (
+          <GameHost
+            btJsonTexts={sandboxBtTexts}
+            controlMode={sandboxControlMode}
+            restartToken={sandboxRestartToken}
+            replayCommand={sandboxReplayCommand}
+            onDebugSnapshot={handleSandboxSnapshot}
+          />
+        ) : (
+          <p className="hint">沙盒已關閉。</p>
+        )}
+
+        <p className="hint">
+          左方執行編輯器中最後一次通過驗證的樹，每次合法的修改都會立即熱替換；圖形模式會標示最近一次
+          tick 走過的節點與狀態。
+          {sandboxReplayTracks.length ? null : '（在對戰頁錄影後，也可以選擇錄影軌當對手。）'}
+        </p>
+        {sandboxEnabled && text !== sandboxBtText ? (
+          <p className="statusError">目前的內容未通過驗證，沙盒仍在執行上一個合法版本。</p>
+        ) : null}
+        {sandboxEnabled && sandboxSnapshot?.ai?.left ? (
+          <p className="hint">
+            左方 AI：{sandboxSnapshot.ai.left.status}
+            {sandboxSnapshot.ai.left.reasons?.length ? ` | ${sandboxSnapshot.ai.left.reasons.slice(-3).join(', ')}` : ''}
+          </p>
         ) : null}
+      </section>
+
+      <section className="card" style={{ marginTop: 16 }}>
+        <h2 className="cardTitle">BT 樹庫（版本 / 匯入匯出 / 差異）</h2>
+
+        <div className="controlPanel">
+          <div className="controlGroup">
+            <label className="label" htmlFor="btLibraryTree">
+              樹
+            </label>
+            <select
+              id="btLibraryTree"
+              className="select"
+              value={selectedTree?.id ?? ''}
+              onChange={(event) => {
+                setSelectedTreeId(event.target.value)
+                setSelectedVersion('')
+              }}
+            >
+              {library.trees.length ? null : <option value="">（樹庫是空的）</option>}
+              {library.trees.map((tree) => (
+                <option key={tree.id} value={tree.id}>
+                  {tree.name}（{tree.versions.length} 個版本）
+                </option>
+              ))}
+            </select>
+
+            <label className="label" htmlFor="btLibraryVersion" style={{ marginTop: 12 }}>
+              版本
+            </label>
+            <select
+              id="btLibraryVersion"
+              className="select"
+              value={selectedVersion}
+              onChange={(event) => setSelectedVersion(event.target.value)}
+              disabled={!selectedTree}
+            >
+              <option value="">最新</option>
+              {(selectedTree?.versions ?? [])
+                .slice()
+                .reverse()
+                .map((v) => (
+                  <option key={v.version} value={String(v.version)}>
+                    {`v${v.version}${v.savedAtIso ? ` | ${v.savedAtIso.slice(0, 16).replace('T', ' ')}` : ''}${v.note ? ` | ${v.note}` : ''}`}
+                  </option>
+                ))}
+            </select>
+
+            <div className="buttonRow" style={{ marginTop: 12 }}>
+              <button className="button" type="button" onClick={loadSelectedVersion} disabled={!selectedEntry}>
+                載入到編輯器
+              </button>
+              <button className="button buttonSecondary" type="button" onClick={downloadSelectedVersion} disabled={!selectedEntry}>
+                下載 JSON
+              </button>
+              <button className="button buttonSecondary" type="button" onClick={deleteSelectedTree} disabled={!selectedTree}>
+                刪除此樹
+              </button>
+            </div>
+          </div>
+
+          <div className="controlGroup">
+            <label className="label" htmlFor="btLibraryName">
+              名稱 / 版本備註
+            </label>
+            <input
+              id="btLibraryName"
+              className="input"
+              value={treeName}
+              placeholder="新樹名稱（也用於重新命名）"
+              onChange={(event) => setTreeName(event.target.value)}
+            />
+            <input
+              className="input"
+              style={{ marginTop: 8 }}
+              value={versionNote}
+              placeholder="版本備註（選填，例如：提高 punish 權重）"
+              onChange={(event) => setVersionNote(event.target.value)}
+            />
+
+            <div className="buttonRow" style={{ marginTop: 12 }}>
+              <button className="button" type="button" onClick={saveAsNewVersion} disabled={!selectedTree}>
+                存成新版本
+              </button>
+              <button className="button" type="button" onClick={saveAsNewTree}>
+                另存為新樹
+              </button>
+              <button className="button buttonSecondary" type="button" onClick={renameSelectedTree} disabled={!selectedTree}>
+                重新命名
+              </button>
+            </div>
+
+            <label className="label" htmlFor="btLibraryImport" style={{ marginTop: 12 }}>
+              匯入 BT JSON 檔案
+            </label>
+            <input id="btLibraryImport" type="file" accept=".json,application/json" onChange={importFile} />
+          </div>
+        </div>
+
+        <div className="controlGroup">
+          <div className="label">結構差異</div>
+          <div className="buttonRow">
+            <select className="select btDiffSelect" value={diffFrom} onChange={(event) => setDiffFrom(event.target.value)}>
+              {renderDiffOptions(library, '（選擇基準版本）')}
+            </select>
+            <span>→</span>
+            <select className="select btDiffSelect" value={diffTo} onChange={(event) => setDiffTo(event.target.value)}>
+              {renderDiffOptions(library, '（選擇比較版本）')}
+            </select>
+          </div>
+          {diffLines ? (
+            <pre className="codeBlock">{diffLines.join('\n')}</pre>
+          ) : (
+            <p className="hint">選擇兩個版本（或「編輯器內容」）即可看到節點 / 參數層級的差異。</p>
+          )}
+        </div>
+
+        {renderStatus(libraryStatus)}
 
         <p className="hint">
-          下一步（M6）會做 schema 驗證、防循環連線、以及圖形化節點編輯 UI。
+          對戰頁可以分別替左右方指定樹庫中的樹（最新或固定版本），方便讓不同 BT 版本互相對打。
         </p>
       </section>
     </div>